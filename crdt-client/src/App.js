@@ -1,320 +1,269 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { AlertCircle, Users, Wifi, WifiOff, RotateCcw, Info } from 'lucide-react';
-
-// Simulated Yjs CRDT implementation
-class SimpleYDoc {
-    constructor(clientId) {
-        this.clientId = clientId;
-        this.content = [];
-        this.vectorClock = {};
-        this.listeners = new Set();
-        this.undoStack = [];
-        this.redoStack = [];
-    }
-
-    getText() {
-        return this.content
-            .filter(char => !char.deleted)
-            .map(char => char.value)
-            .join('');
-    }
-
-    insert(position, text, origin = 'local') {
-        const ops = [];
-        for (let i = 0; i < text.length; i++) {
-            const clock = (this.vectorClock[this.clientId] || 0) + 1;
-            this.vectorClock[this.clientId] = clock;
-
-            const char = {
-                id: `${this.clientId}-${clock}`,
-                value: text[i],
-                clientId: this.clientId,
-                clock: clock,
-                deleted: false,
-                position: position + i
-            };
-
-            let insertIndex = 0;
-            for (let j = 0; j < this.content.length; j++) {
-                if (!this.content[j].deleted) {
-                    if (insertIndex === position + i) break;
-                    insertIndex++;
-                }
-            }
-
-            this.content.splice(insertIndex, 0, char);
-            ops.push({ type: 'insert', char, origin });
-        }
-
-        if (origin === 'local') {
-            this.undoStack.push({ type: 'insert', text, position, count: text.length });
-            this.redoStack = [];
-        }
-
-        this.notifyListeners(ops);
-        return ops;
-    }
-
-    delete(position, length, origin = 'local') {
-        const ops = [];
-        let deleted = 0;
-        let currentPos = 0;
-
-        for (let i = 0; i < this.content.length && deleted < length; i++) {
-            if (!this.content[i].deleted) {
-                if (currentPos >= position) {
-                    this.content[i].deleted = true;
-                    ops.push({ type: 'delete', char: this.content[i], origin });
-                    deleted++;
-                }
-                currentPos++;
-            }
-        }
-
-        if (origin === 'local') {
-            const deletedChars = ops.map(op => op.char);
-            this.undoStack.push({ type: 'delete', position, chars: deletedChars });
-            this.redoStack = [];
-        }
-
-        this.notifyListeners(ops);
-        return ops;
-    }
-
-    undo() {
-        if (this.undoStack.length === 0) return;
-
-        const operation = this.undoStack.pop();
-
-        if (operation.type === 'insert') {
-            this.delete(operation.position, operation.count, 'undo');
-            this.redoStack.push({ ...operation, isRedo: true });
-        } else if (operation.type === 'delete') {
-            operation.chars.forEach(char => {
-                char.deleted = false;
-            });
-            this.redoStack.push({ ...operation, isRedo: true });
-            this.notifyListeners([{ type: 'undo-delete' }]);
-        }
-    }
-
-    redo() {
-        if (this.redoStack.length === 0) return;
-
-        const operation = this.redoStack.pop();
-
-        if (operation.type === 'insert') {
-            this.insert(operation.position, operation.text, 'redo');
-            this.undoStack.push(operation);
-        } else if (operation.type === 'delete') {
-            operation.chars.forEach(char => {
-                char.deleted = true;
-            });
-            this.undoStack.push(operation);
-            this.notifyListeners([{ type: 'redo-delete' }]);
-        }
-    }
-
-    applyRemoteOps(ops) {
-        ops.forEach(op => {
-            if (op.type === 'insert') {
-                const existingIndex = this.content.findIndex(c => c.id === op.char.id);
-                if (existingIndex === -1) {
-                    this.content.push(op.char);
-                    this.content.sort((a, b) => {
-                        if (a.clientId === b.clientId) return a.clock - b.clock;
-                        return a.clientId.localeCompare(b.clientId);
-                    });
-                }
-            } else if (op.type === 'delete') {
-                const char = this.content.find(c => c.id === op.char.id);
-                if (char) char.deleted = true;
-            }
-        });
-        this.notifyListeners([{ type: 'remote' }]);
-    }
-
-    onChange(callback) {
-        this.listeners.add(callback);
-        return () => this.listeners.delete(callback);
-    }
-
-    notifyListeners(ops) {
-        this.listeners.forEach(cb => cb(ops));
-    }
-
-    getState() {
-        return {
-            content: this.content,
-            vectorClock: this.vectorClock,
-            clientId: this.clientId
-        };
-    }
-
-    setState(state) {
-        this.content = state.content;
-        this.vectorClock = state.vectorClock;
-        this.notifyListeners([{ type: 'state-restored' }]);
-    }
-}
-
-// Simulated WebSocket connection
-class SimulatedConnection {
-    constructor(clientId, onMessage, onStatusChange) {
-        this.clientId = clientId;
-        this.onMessage = onMessage;
-        this.onStatusChange = onStatusChange;
-        this.connected = true;
-        this.messageQueue = [];
-
-        if (!window.__collaborativeState) {
-            window.__collaborativeState = {
-                docs: {},
-                connections: new Set()
-            };
-        }
-
-        window.__collaborativeState.connections.add(this);
-        this.syncInterval = setInterval(() => this.syncState(), 100);
-    }
-
-    send(message) {
-        if (this.connected) {
-            this.broadcast(message);
-        } else {
-            this.messageQueue.push(message);
-        }
-    }
-
-    broadcast(message) {
-        window.__collaborativeState.connections.forEach(conn => {
-            if (conn !== this && conn.connected) {
-                setTimeout(() => conn.onMessage(message), Math.random() * 50);
-            }
-        });
-    }
-
-    syncState() {
-        // Simulated periodic state sync
-    }
-
-    disconnect() {
-        this.connected = false;
-        this.onStatusChange(false);
-    }
+import React, { useState, useEffect, useLayoutEffect, useMemo, useRef } from 'react';
+import { AlertCircle, Users, Wifi, WifiOff, RotateCcw, Info, Eye, Highlighter, MessageSquare, MessageSquarePlus } from 'lucide-react';
+import * as Y from 'yjs';
+import WebSocketConnection from './WebSocketConnection';
+import { diffText, transformPosition } from './textBinding';
+import { loadLocalUser, getInitials, getPeers, getRemoteCursors } from './presence';
+import RemoteCursors from './RemoteCursors';
+import { useBlame, BlameHighlights, BlameLegend } from './Blame';
+import DocumentTransfer from './DocumentTransfer';
+import SearchBox, { getMatchFromLocation, getDocumentLocation } from './SearchBox';
+import CommentsSidebar, { COMMENT_ROLES, CommentHighlights, anchorFromSelection, readThreads } from './Comments';
+import { getAuthTokenFromLocation, getShareTokenFromLocation, getSessionId, withToken } from './credentials';
+import { API_URL } from './api';
+
+const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:3001';
+
+// Transaction origin for edits typed into this editor (tracked by the undo manager)
+const LOCAL_ORIGIN = 'local';
+
+// Roles that may change the text
+const EDIT_ROLES = ['editor', 'owner'];
+
+// Document to open, taken from ?doc=<id> in the page URL
+const getDocIdFromLocation = () => {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('doc') || 'default';
+};
 
-    reconnect() {
-        this.connected = true;
-        this.onStatusChange(true);
+// Structural statistics of a Yjs document for the status bar
+const getDocStats = (doc) => {
+    let structs = 0;
+    doc.store.clients.forEach(items => {
+        structs += items.length;
+    });
+
+    return {
+        structs,
+        writers: doc.store.clients.size,
+        updateSize: Y.encodeStateAsUpdate(doc).length
+    };
+};
 
-        while (this.messageQueue.length > 0) {
-            this.broadcast(this.messageQueue.shift());
-        }
-    }
+const encodeBase64 = (bytes) => {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+};
 
-    destroy() {
-        clearInterval(this.syncInterval);
-        window.__collaborativeState.connections.delete(this);
-    }
-}
+const decodeBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
 
 // Main collaborative editor component
 const CollaborativeEditor = () => {
     const [clientId] = useState(() => `client-${Math.random().toString(36).substr(2, 9)}`);
+    const [docId] = useState(getDocIdFromLocation);
+    const [authToken] = useState(getAuthTokenFromLocation);
+    const [shareToken] = useState(getShareTokenFromLocation);
+    const [sessionId] = useState(getSessionId);
+    const credentials = useMemo(() => ({ authToken, shareToken, sessionId }), [authToken, shareToken, sessionId]);
+    const [role, setRole] = useState(null);
     const [text, setText] = useState('');
-    const [connected, setConnected] = useState(true);
-    const [activeUsers, setActiveUsers] = useState(1);
+    const [docStats, setDocStats] = useState({ structs: 0, writers: 0, updateSize: 0 });
+    const [connected, setConnected] = useState(false);
+    const [transport, setTransport] = useState('websocket');
+    const [localUser, setLocalUser] = useState(loadLocalUser);
+    const [peers, setPeers] = useState([]);
+    const [scrollTop, setScrollTop] = useState(0);
+    const [scrollbarWidth, setScrollbarWidth] = useState(0);
     const [showInfo, setShowInfo] = useState(false);
+    const [connectionError, setConnectionError] = useState(null);
+    const [showBlame, setShowBlame] = useState(false);
+    const [threads, setThreads] = useState([]);
+    const [showComments, setShowComments] = useState(false);
+    const [activeThreadId, setActiveThreadId] = useState(null);
+    const [commentDraft, setCommentDraft] = useState(null);
 
     const docRef = useRef(null);
+    const ytextRef = useRef(null);
+    const undoManagerRef = useRef(null);
     const connectionRef = useRef(null);
     const textareaRef = useRef(null);
-    const cursorPositionRef = useRef(0);
+    const pendingSelectionRef = useRef(null);
+    const pendingMatchRef = useRef(getMatchFromLocation());
+    const localUserRef = useRef(localUser);
+    localUserRef.current = localUser;
 
     useEffect(() => {
-        docRef.current = new SimpleYDoc(clientId);
-
-        connectionRef.current = new SimulatedConnection(
-            clientId,
-            (message) => {
-                if (message.type === 'ops' && message.clientId !== clientId) {
-                    docRef.current.applyRemoteOps(message.ops);
-                }
-            },
-            (status) => setConnected(status)
-        );
-
-        const unsubscribe = docRef.current.onChange(() => {
-            setText(docRef.current.getText());
+        const doc = new Y.Doc();
+        const ytext = doc.getText('content');
+        docRef.current = doc;
+        ytextRef.current = ytext;
+        undoManagerRef.current = new Y.UndoManager(ytext, {
+            trackedOrigins: new Set([LOCAL_ORIGIN])
         });
 
-        setActiveUsers(window.__collaborativeState.connections.size);
-        const userInterval = setInterval(() => {
-            setActiveUsers(window.__collaborativeState.connections.size);
-        }, 1000);
-
-        const saveInterval = setInterval(() => {
-            if (connected) {
-                const state = docRef.current.getState();
-                localStorage.setItem(`crdt-state-${clientId}`, JSON.stringify(state));
-            }
-        }, 2000);
-
-        const savedState = localStorage.getItem(`crdt-state-${clientId}`);
+        // Restore the local copy first so offline edits survive a page crash
+        const savedState = localStorage.getItem(`crdt-state-${docId}`);
         if (savedState) {
             try {
-                const state = JSON.parse(savedState);
-                docRef.current.setState(state);
-                setText(docRef.current.getText());
+                Y.applyUpdate(doc, decodeBase64(savedState), 'restore');
             } catch (e) {
                 console.error('Failed to restore state:', e);
             }
         }
+        setText(ytext.toString());
+        setDocStats(getDocStats(doc));
+        setThreads(readThreads(doc));
+
+        // Re-render on every change; keep the caret in place for changes we did not type
+        const handleTextObserve = (event, transaction) => {
+            const textarea = textareaRef.current;
+            if (transaction.origin !== LOCAL_ORIGIN && textarea && document.activeElement === textarea) {
+                pendingSelectionRef.current = {
+                    start: transformPosition(textarea.selectionStart, event.delta),
+                    end: transformPosition(textarea.selectionEnd, event.delta),
+                    direction: textarea.selectionDirection
+                };
+            }
+
+            setText(ytext.toString());
+            setDocStats(getDocStats(doc));
+            setThreads(readThreads(doc));
+        };
+        ytext.observe(handleTextObserve);
+
+        const comments = doc.getMap('comments');
+        const handleCommentsObserve = () => setThreads(readThreads(doc));
+        comments.observeDeep(handleCommentsObserve);
+
+        connectionRef.current = new WebSocketConnection(withToken(WS_URL, authToken), docId, doc, {
+            onStatusChange: (status, connectionTransport) => {
+                setConnected(status);
+                setTransport(connectionTransport);
+                if (status) setConnectionError(null);
+            },
+            onJoined: (message) => setRole(message.role),
+            onError: (message) => setConnectionError(message),
+            onCommentAck: (message) => {
+                if (message.action === 'create') setActiveThreadId(message.threadId);
+            },
+            onDocumentDeleted: () => setConnectionError('This document was deleted on the server')
+        }, { sessionId, shareToken, fallbackUrl: withToken(`${API_URL}/sse`, authToken) });
+
+        // Presence: publish who we are, track everyone else in the document
+        const awareness = connectionRef.current.awareness;
+        awareness.setLocalState({ user: localUserRef.current, cursor: null });
+
+        const handleAwarenessChange = () => setPeers(getPeers(awareness));
+        awareness.on('change', handleAwarenessChange);
+
+        const saveInterval = setInterval(() => {
+            localStorage.setItem(`crdt-state-${docId}`, encodeBase64(Y.encodeStateAsUpdate(doc)));
+        }, 2000);
 
         return () => {
-            unsubscribe();
+            ytext.unobserve(handleTextObserve);
+            comments.unobserveDeep(handleCommentsObserve);
+            awareness.off('change', handleAwarenessChange);
             connectionRef.current.destroy();
-            clearInterval(userInterval);
+            undoManagerRef.current.destroy();
             clearInterval(saveInterval);
+            doc.destroy();
         };
-    }, [clientId]);
+    }, [docId, authToken, shareToken, sessionId]);
 
-    const handleTextChange = (e) => {
-        const newText = e.target.value;
-        const oldText = text;
-        const cursorPos = e.target.selectionStart;
-
-        if (newText.length > oldText.length) {
-            const insertPos = cursorPos - (newText.length - oldText.length);
-            const insertedText = newText.slice(insertPos, cursorPos);
-            const ops = docRef.current.insert(insertPos, insertedText);
-
-            connectionRef.current.send({
-                type: 'ops',
-                ops: ops,
-                clientId: clientId
-            });
-        } else if (newText.length < oldText.length) {
-            const deletePos = cursorPos;
-            const deleteCount = oldText.length - newText.length;
-            const ops = docRef.current.delete(deletePos, deleteCount);
-
-            connectionRef.current.send({
-                type: 'ops',
-                ops: ops,
-                clientId: clientId
-            });
+    useEffect(() => {
+        localStorage.setItem('crdt-user', JSON.stringify(localUser));
+        connectionRef.current?.awareness.setLocalStateField('user', localUser);
+    }, [localUser]);
+
+    // The overlay must not cover the scrollbar, or its text would wrap differently
+    useLayoutEffect(() => {
+        const textarea = textareaRef.current;
+        if (textarea) {
+            setScrollbarWidth(textarea.offsetWidth - textarea.clientWidth);
+        }
+    }, [text]);
+
+    // Restore the caret after a remote change re-rendered the textarea
+    useLayoutEffect(() => {
+        const selection = pendingSelectionRef.current;
+        if (selection && textareaRef.current) {
+            textareaRef.current.setSelectionRange(selection.start, selection.end, selection.direction);
         }
+        pendingSelectionRef.current = null;
+    }, [text]);
+
+    // Select the search match we were opened at once its text has arrived
+    useEffect(() => {
+        const match = pendingMatchRef.current;
+        if (!match || !connected || text.length < match.end) return;
+
+        pendingMatchRef.current = null;
+        selectRange(match.start, match.end);
+        window.history.replaceState(null, '', getDocumentLocation(docId, null));
+    });
+
+    const blame = useBlame(docId, credentials, text, showBlame);
+
+    // Until the server says otherwise we assume editing is allowed
+    const readOnly = role !== null && !EDIT_ROLES.includes(role);
+    const canComment = role === null || COMMENT_ROLES.includes(role);
+    const openThreads = threads.filter(thread => !thread.resolved);
+
+    const handleTextChange = (e) => {
+        if (readOnly) return;
 
-        cursorPositionRef.current = cursorPos;
+        const ytext = ytextRef.current;
+        const { index, deleteCount, insertText } = diffText(ytext.toString(), e.target.value);
+
+        docRef.current.transact(() => {
+            if (deleteCount > 0) ytext.delete(index, deleteCount);
+            if (insertText) ytext.insert(index, insertText);
+        }, LOCAL_ORIGIN);
+    };
+
+    // Publish our selection as relative positions so it survives concurrent edits
+    const publishCursor = () => {
+        const textarea = textareaRef.current;
+        const ytext = ytextRef.current;
+        if (!textarea || !ytext || !connectionRef.current) return;
+
+        const { selectionStart, selectionEnd, selectionDirection } = textarea;
+        const [anchor, head] = selectionDirection === 'backward'
+            ? [selectionEnd, selectionStart]
+            : [selectionStart, selectionEnd];
+
+        connectionRef.current.awareness.setLocalStateField('cursor', {
+            anchor: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, anchor)),
+            head: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, head))
+        });
     };
 
+    // Select a range and scroll it into view; lines are assumed not to wrap
+    const selectRange = (start, end) => {
+        const textarea = textareaRef.current;
+        if (!textarea) return;
+
+        textarea.focus();
+        textarea.setSelectionRange(start, end);
+        const line = textarea.value.slice(0, start).split('\n').length - 1;
+        const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 24;
+        textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 3);
+        publishCursor();
+    };
+
+    const clearCursor = () => {
+        connectionRef.current?.awareness.setLocalStateField('cursor', null);
+    };
+
+    const handleRename = () => {
+        const name = window.prompt('Your display name', localUser.name);
+        if (name && name.trim()) {
+            setLocalUser({ ...localUser, name: name.trim() });
+        }
+    };
+
+    const remoteCursors = docRef.current ? getRemoteCursors(docRef.current, peers, text.length) : [];
+
     const handleUndo = () => {
-        docRef.current.undo();
+        undoManagerRef.current.undo();
     };
 
     const handleRedo = () => {
-        docRef.current.redo();
+        undoManagerRef.current.redo();
     };
 
     const handleDisconnect = () => {
@@ -325,28 +274,63 @@ const CollaborativeEditor = () => {
         connectionRef.current.reconnect();
     };
 
+    // Comment changes go through the server, which checks the role and credits
+    // the author; they come back to us as a document update
+    const sendComment = (message) => {
+        const sent = connectionRef.current.send({ type: 'comment', docId, ...message });
+        if (!sent) {
+            setConnectionError('Comments need a connection to the server');
+        }
+        return sent;
+    };
+
+    // Start a thread on the selected text
+    const startComment = () => {
+        const { selectionStart, selectionEnd } = textareaRef.current;
+        if (selectionStart === selectionEnd) {
+            setConnectionError('Select the text you want to comment on');
+            return;
+        }
+
+        setShowComments(true);
+        setCommentDraft({
+            anchor: anchorFromSelection(ytextRef.current, selectionStart, selectionEnd),
+            quote: text.slice(selectionStart, selectionEnd)
+        });
+    };
+
+    const openThread = (thread) => {
+        setActiveThreadId(thread.id);
+        if (!thread.detached) {
+            selectRange(thread.start, thread.end);
+        }
+    };
+
+    // Moving the caret into commented text selects its thread
+    const handleSelect = () => {
+        publishCursor();
+        const caret = textareaRef.current.selectionStart;
+        const thread = openThreads.find(t => !t.detached && t.start <= caret && caret < t.end);
+        if (thread) {
+            setActiveThreadId(thread.id);
+        }
+    };
+
     const startRobotTyping = () => {
+        if (readOnly) return;
+
         const robot1Text = "Robot A says: ";
         const robot2Text = "Robot B says: ";
+        const ytext = ytextRef.current;
 
         setTimeout(() => {
-            const pos = Math.floor(Math.random() * text.length);
-            const ops = docRef.current.insert(pos, robot1Text);
-            connectionRef.current.send({
-                type: 'ops',
-                ops: ops,
-                clientId: 'robot-a'
-            });
+            const pos = Math.floor(Math.random() * ytext.length);
+            docRef.current.transact(() => ytext.insert(pos, robot1Text), 'robot-a');
         }, 500);
 
         setTimeout(() => {
-            const pos = Math.floor(Math.random() * text.length);
-            const ops = docRef.current.insert(pos, robot2Text);
-            connectionRef.current.send({
-                type: 'ops',
-                ops: ops,
-                clientId: 'robot-b'
-            });
+            const pos = Math.floor(Math.random() * ytext.length);
+            docRef.current.transact(() => ytext.insert(pos, robot2Text), 'robot-b');
         }, 1000);
     };
 
@@ -394,6 +378,14 @@ const CollaborativeEditor = () => {
                             fontSize: '11px',
                             fontFamily: 'monospace'
                         }}>{clientId}</code>
+                            <span style={{ margin: '0 8px', color: '#d1d5db' }}>|</span>
+                            Document: <code style={{
+                            background: '#f3f4f6',
+                            padding: '4px 8px',
+                            borderRadius: '4px',
+                            fontSize: '11px',
+                            fontFamily: 'monospace'
+                        }}>{docId}</code>
                         </p>
                     </div>
 
@@ -402,6 +394,13 @@ const CollaborativeEditor = () => {
                         alignItems: 'center',
                         gap: '16px'
                     }}>
+                        <SearchBox
+                            docId={docId}
+                            credentials={credentials}
+                            onSelectMatch={({ start, end }) => selectRange(start, end)}
+                            onError={setConnectionError}
+                        />
+
                         <div style={{
                             display: 'flex',
                             alignItems: 'center',
@@ -415,9 +414,57 @@ const CollaborativeEditor = () => {
                                 fontSize: '14px',
                                 fontWeight: '600',
                                 color: '#1e40af'
-                            }}>{activeUsers} active</span>
+                            }}>{peers.length + 1} active</span>
+                            <div style={{ display: 'flex', marginLeft: '8px' }}>
+                                {[{ clientId: 'local', user: localUser }, ...peers].map((peer, i) => (
+                                    <div
+                                        key={peer.clientId}
+                                        title={peer.clientId === 'local'
+                                            ? `${peer.user.name} (you) - click to rename`
+                                            : peer.user.name}
+                                        onClick={peer.clientId === 'local' ? handleRename : undefined}
+                                        style={{
+                                            width: '28px',
+                                            height: '28px',
+                                            borderRadius: '50%',
+                                            background: peer.user.color,
+                                            color: 'white',
+                                            border: '2px solid white',
+                                            marginLeft: i === 0 ? 0 : '-8px',
+                                            display: 'flex',
+                                            alignItems: 'center',
+                                            justifyContent: 'center',
+                                            fontSize: '11px',
+                                            fontWeight: '700',
+                                            cursor: peer.clientId === 'local' ? 'pointer' : 'default'
+                                        }}
+                                    >
+                                        {getInitials(peer.user.name)}
+                                    </div>
+                                ))}
+                            </div>
                         </div>
 
+                        {readOnly && (
+                            <div style={{
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '8px',
+                                padding: '8px 16px',
+                                borderRadius: '12px',
+                                background: '#fef3c7',
+                                color: '#92400e'
+                            }}>
+                                <Eye className="w-5 h-5" />
+                                <span style={{
+                                    fontSize: '14px',
+                                    fontWeight: '600'
+                                }}>
+                                    {role === 'commenter' ? 'Comment only' : 'View only'}
+                                </span>
+                            </div>
+                        )}
+
                         <div style={{
                             display: 'flex',
                             alignItems: 'center',
@@ -437,6 +484,14 @@ const CollaborativeEditor = () => {
                             }}>
                                 {connected ? 'Connected' : 'Offline'}
                             </span>
+                            {connected && transport === 'sse' && (
+                                <span
+                                    title="WebSockets are blocked on this network; using Server-Sent Events"
+                                    style={{ fontSize: '12px', opacity: 0.8 }}
+                                >
+                                    (SSE)
+                                </span>
+                            )}
                         </div>
 
                         <button
@@ -493,19 +548,22 @@ const CollaborativeEditor = () => {
                                 margin: 0
                             }}>
                                 <li style={{ marginBottom: '8px' }}>
-                                    <strong>CRDT:</strong> Each character has a unique ID (clientId + clock) for conflict-free merging
+                                    <strong>CRDT:</strong> The text is a Yjs Y.Text; each character has a unique ID (clientId + clock) for conflict-free merging
                                 </li>
                                 <li style={{ marginBottom: '8px' }}>
-                                    <strong>Per-client undo:</strong> Each client maintains its own undo stack that only reverts their operations
+                                    <strong>Per-client undo:</strong> A Y.UndoManager tracks only the edits typed in this tab, so undo never reverts other users' changes
                                 </li>
                                 <li style={{ marginBottom: '8px' }}>
-                                    <strong>Offline resilience:</strong> Changes are queued when offline and synced on reconnect
+                                    <strong>Presence:</strong> Other users' carets and selections are anchored to CRDT positions, so they stay put while the text around them changes
+                                </li>
+                                <li style={{ marginBottom: '8px' }}>
+                                    <strong>Offline resilience:</strong> Changes stay in the local document while offline and are synced with the server on reconnect
                                 </li>
                                 <li style={{ marginBottom: '8px' }}>
                                     <strong>Crash recovery:</strong> State is persisted to localStorage every 2 seconds
                                 </li>
                                 <li>
-                                    <strong>Deterministic order:</strong> Operations are ordered by clientId + clock for consistency
+                                    <strong>Deterministic order:</strong> Concurrent inserts are ordered by the Yjs algorithm, so every client converges to the same text
                                 </li>
                             </ul>
                         </div>
@@ -525,6 +583,7 @@ const CollaborativeEditor = () => {
             }}>
                 <button
                     onClick={handleUndo}
+                    disabled={readOnly}
                     style={{
                         display: 'flex',
                         alignItems: 'center',
@@ -533,7 +592,8 @@ const CollaborativeEditor = () => {
                         background: '#f3f4f6',
                         border: 'none',
                         borderRadius: '10px',
-                        cursor: 'pointer',
+                        cursor: readOnly ? 'not-allowed' : 'pointer',
+                        opacity: readOnly ? 0.5 : 1,
                         transition: 'all 0.2s',
                         fontSize: '14px',
                         fontWeight: '500',
@@ -554,6 +614,7 @@ const CollaborativeEditor = () => {
 
                 <button
                     onClick={handleRedo}
+                    disabled={readOnly}
                     style={{
                         display: 'flex',
                         alignItems: 'center',
@@ -562,7 +623,8 @@ const CollaborativeEditor = () => {
                         background: '#f3f4f6',
                         border: 'none',
                         borderRadius: '10px',
-                        cursor: 'pointer',
+                        cursor: readOnly ? 'not-allowed' : 'pointer',
+                        opacity: readOnly ? 0.5 : 1,
                         transition: 'all 0.2s',
                         fontSize: '14px',
                         fontWeight: '500',
@@ -581,16 +643,95 @@ const CollaborativeEditor = () => {
                     Redo
                 </button>
 
+                <button
+                    onClick={() => setShowBlame(!showBlame)}
+                    title="Color the text by who wrote it"
+                    style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        padding: '10px 20px',
+                        background: showBlame ? '#e0e7ff' : '#f3f4f6',
+                        border: 'none',
+                        borderRadius: '10px',
+                        cursor: 'pointer',
+                        transition: 'all 0.2s',
+                        fontSize: '14px',
+                        fontWeight: '500',
+                        color: showBlame ? '#3730a3' : '#374151'
+                    }}
+                >
+                    <Highlighter className="w-4 h-4" />
+                    Blame
+                </button>
+
+                {showBlame && blame && <BlameLegend blame={blame} />}
+
                 <div style={{ flex: 1 }} />
 
+                <button
+                    onClick={startComment}
+                    disabled={!canComment}
+                    title="Comment on the selected text"
+                    style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        padding: '10px 20px',
+                        background: '#f3f4f6',
+                        border: 'none',
+                        borderRadius: '10px',
+                        cursor: canComment ? 'pointer' : 'not-allowed',
+                        opacity: canComment ? 1 : 0.5,
+                        transition: 'all 0.2s',
+                        fontSize: '14px',
+                        fontWeight: '500',
+                        color: '#374151'
+                    }}
+                >
+                    <MessageSquarePlus className="w-4 h-4" />
+                    Comment
+                </button>
+
+                <button
+                    onClick={() => setShowComments(!showComments)}
+                    title="Show the comment threads"
+                    style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        padding: '10px 20px',
+                        background: showComments ? '#fef3c7' : '#f3f4f6',
+                        border: 'none',
+                        borderRadius: '10px',
+                        cursor: 'pointer',
+                        transition: 'all 0.2s',
+                        fontSize: '14px',
+                        fontWeight: '500',
+                        color: showComments ? '#92400e' : '#374151'
+                    }}
+                >
+                    <MessageSquare className="w-4 h-4" />
+                    Comments{openThreads.length > 0 && ` (${openThreads.length})`}
+                </button>
+
+                <DocumentTransfer
+                    docId={docId}
+                    credentials={credentials}
+                    readOnly={readOnly}
+                    onError={setConnectionError}
+                />
+
                 <button
                     onClick={startRobotTyping}
+                    disabled={readOnly}
                     style={{
                         padding: '10px 20px',
                         background: 'linear-gradient(135deg, #a78bfa 0%, #8b5cf6 100%)',
                         border: 'none',
                         borderRadius: '10px',
-                        cursor: 'pointer',
+                        cursor: readOnly ? 'not-allowed' : 'pointer',
+                        opacity: readOnly ? 0.5 : 1,
                         transition: 'all 0.2s',
                         fontSize: '14px',
                         fontWeight: '600',
@@ -647,31 +788,75 @@ const CollaborativeEditor = () => {
             {/* Editor */}
             <div style={{
                 flex: 1,
+                display: 'flex',
+                gap: '16px',
                 padding: '24px',
                 overflow: 'hidden'
             }}>
-                <textarea
-                    ref={textareaRef}
-                    value={text}
-                    onChange={handleTextChange}
-                    style={{
-                        width: '100%',
-                        height: '100%',
-                        padding: '20px',
-                        border: 'none',
-                        borderRadius: '16px',
-                        fontSize: '15px',
-                        fontFamily: '"Fira Code", "Courier New", monospace',
-                        resize: 'none',
-                        outline: 'none',
-                        background: 'rgba(255, 255, 255, 0.95)',
-                        backdropFilter: 'blur(10px)',
-                        boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
-                        lineHeight: '1.6',
-                        color: '#1f2937'
-                    }}
-                    placeholder="Start typing... Open this in multiple tabs to see collaborative editing in action! ✨"
-                />
+                <div style={{ position: 'relative', flex: 1, height: '100%' }}>
+                    <textarea
+                        ref={textareaRef}
+                        value={text}
+                        readOnly={readOnly}
+                        onChange={handleTextChange}
+                        onSelect={handleSelect}
+                        onBlur={clearCursor}
+                        onScroll={(e) => setScrollTop(e.target.scrollTop)}
+                        style={{
+                            width: '100%',
+                            height: '100%',
+                            padding: '20px',
+                            border: 'none',
+                            borderRadius: '16px',
+                            fontSize: '15px',
+                            fontFamily: '"Fira Code", "Courier New", monospace',
+                            resize: 'none',
+                            outline: 'none',
+                            background: 'rgba(255, 255, 255, 0.95)',
+                            backdropFilter: 'blur(10px)',
+                            boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
+                            lineHeight: '1.6',
+                            color: '#1f2937'
+                        }}
+                        placeholder={readOnly
+                            ? 'This document is empty.'
+                            : 'Start typing... Open this in multiple tabs to see collaborative editing in action! ✨'}
+                    />
+                    {showComments && (
+                        <CommentHighlights
+                            text={text}
+                            threads={openThreads.filter(thread => !thread.detached)}
+                            activeThreadId={activeThreadId}
+                            scrollTop={scrollTop}
+                            scrollbarWidth={scrollbarWidth}
+                        />
+                    )}
+                    {showBlame && blame && blame.text === text && (
+                        <BlameHighlights
+                            blame={blame}
+                            scrollTop={scrollTop}
+                            scrollbarWidth={scrollbarWidth}
+                        />
+                    )}
+                    <RemoteCursors
+                        text={text}
+                        cursors={remoteCursors}
+                        scrollTop={scrollTop}
+                        scrollbarWidth={scrollbarWidth}
+                    />
+                </div>
+
+                {showComments && (
+                    <CommentsSidebar
+                        threads={threads}
+                        draft={commentDraft}
+                        activeThreadId={activeThreadId}
+                        canComment={canComment}
+                        sendComment={sendComment}
+                        onOpenThread={openThread}
+                        onCloseDraft={() => setCommentDraft(null)}
+                    />
+                )}
             </div>
 
             {/* Status Bar */}
@@ -691,10 +876,24 @@ const CollaborativeEditor = () => {
                     <div>
                         <span style={{ fontWeight: '500' }}>Characters:</span> {text.length}
                         <span style={{ margin: '0 12px', color: '#d1d5db' }}>|</span>
-                        <span style={{ fontWeight: '500' }}>CRDT Nodes:</span> {docRef.current?.content.length || 0}
+                        <span style={{ fontWeight: '500' }}>CRDT Structs:</span> {docStats.structs}
+                        <span style={{ margin: '0 12px', color: '#d1d5db' }}>|</span>
+                        <span style={{ fontWeight: '500' }}>Writers:</span> {docStats.writers}
+                        <span style={{ margin: '0 12px', color: '#d1d5db' }}>|</span>
+                        <span style={{ fontWeight: '500' }}>Update Size:</span> {docStats.updateSize} B
                     </div>
                     <div>
-                        {!connected && (
+                        {connectionError ? (
+                            <span style={{
+                                color: '#dc2626',
+                                fontWeight: '600',
+                                display: 'flex',
+                                alignItems: 'center',
+                                gap: '6px'
+                            }}>
+                                ❌ {connectionError}
+                            </span>
+                        ) : !connected && (
                             <span style={{
                                 color: '#f59e0b',
                                 fontWeight: '600',
@@ -1,8 +1,159 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import * as Y from 'yjs';
 import App from './App';
+import { FakeEventSource, FakeWebSocket } from './fakeSockets';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+const RealWebSocket = global.WebSocket;
+
+beforeEach(() => {
+    global.WebSocket = FakeWebSocket;
+    FakeWebSocket.reset();
+    localStorage.clear();
+    window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+    global.WebSocket = RealWebSocket;
+});
+
+test('shows the shared text once the server accepts the connection', () => {
+    render(<App />);
+    expect(screen.getByText('Offline')).toBeInTheDocument();
+
+    const server = new Y.Doc();
+    server.getText('content').insert(0, 'Hello from the server');
+    const ws = FakeWebSocket.latest();
+    act(() => {
+        ws.open();
+        ws.receive({ type: 'sync', docId: 'default', update: Array.from(Y.encodeStateAsUpdate(server)) });
+        ws.receive({ type: 'sync-step1', docId: 'default', stateVector: Array.from(Y.encodeStateVector(server)) });
+        ws.receive({ type: 'joined', docId: 'default', stats: { clients: 2 } });
+    });
+
+    expect(ws.messages('join')).toEqual([{
+        type: 'join',
+        docId: 'default',
+        sessionId: expect.stringMatching(/^session-/),
+        shareToken: null,
+        stateVector: [0]
+    }]);
+    expect(screen.getByText('Connected')).toBeInTheDocument();
+    expect(screen.getByRole('textbox')).toHaveValue('Hello from the server');
+});
+
+test('joins through a share link and locks the editor for a view-only role', () => {
+    window.history.replaceState(null, '', '/?doc=shared&share=link-secret');
+    render(<App />);
+
+    const ws = FakeWebSocket.latest();
+    act(() => {
+        ws.open();
+        ws.receive({ type: 'sync-step1', docId: 'shared', stateVector: [0] });
+        ws.receive({ type: 'joined', docId: 'shared', role: 'viewer', stats: { clients: 1 } });
+    });
+
+    expect(ws.messages('join')[0]).toMatchObject({ docId: 'shared', shareToken: 'link-secret' });
+    expect(screen.getByText('View only')).toBeInTheDocument();
+    expect(screen.getByRole('textbox')).toHaveAttribute('readonly');
+    expect(screen.getByRole('button', { name: /undo/i })).toBeDisabled();
+});
+
+test('falls back to Server-Sent Events when WebSocket handshakes fail', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const RealEventSource = global.EventSource;
+    global.EventSource = FakeEventSource;
+    FakeEventSource.reset();
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    window.history.replaceState(null, '', '/?token=abc');
+
+    const { unmount } = render(<App />);
+    act(() => {
+        FakeWebSocket.latest().refuse();
+        jest.advanceTimersByTime(500);
+        FakeWebSocket.latest().refuse();
+        jest.advanceTimersByTime(500);
+    });
+
+    const source = FakeEventSource.latest();
+    expect(source.url).toBe('http://localhost:3001/sse?token=abc');
+    await act(async () => {
+        source.open();
+        source.receive({ type: 'sync-step1', docId: 'default', stateVector: [0] });
+    });
+    expect(screen.getByText('(SSE)')).toBeInTheDocument();
+
+    // Leaving posts a last presence update; let it go out before the fakes do
+    await act(async () => unmount());
+    global.EventSource = RealEventSource;
+    delete global.fetch;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+test('selects the search match it was opened at once the text arrives', () => {
+    window.history.replaceState(null, '', '/?doc=notes&at=6-11');
+    render(<App />);
+
+    const server = new Y.Doc();
+    server.getText('content').insert(0, 'Hello world');
+    const ws = FakeWebSocket.latest();
+    act(() => {
+        ws.open();
+        ws.receive({ type: 'sync', docId: 'notes', update: Array.from(Y.encodeStateAsUpdate(server)) });
+        ws.receive({ type: 'sync-step1', docId: 'notes', stateVector: Array.from(Y.encodeStateVector(server)) });
+        ws.receive({ type: 'joined', docId: 'notes', stats: { clients: 1 } });
+    });
+
+    const textarea = screen.getByRole('textbox');
+    expect([textarea.selectionStart, textarea.selectionEnd]).toEqual([6, 11]);
+    expect(window.location.search).toBe('?doc=notes');
+});
+
+test('comments on the selected text and shows the thread the server stores', () => {
+    render(<App />);
+
+    const server = new Y.Doc();
+    server.getText('content').insert(0, 'Ship it on Friday');
+    const ws = FakeWebSocket.latest();
+    act(() => {
+        ws.open();
+        ws.receive({ type: 'sync', docId: 'default', update: Array.from(Y.encodeStateAsUpdate(server)) });
+        ws.receive({ type: 'sync-step1', docId: 'default', stateVector: Array.from(Y.encodeStateVector(server)) });
+        ws.receive({ type: 'joined', docId: 'default', role: 'commenter', stats: { clients: 1 } });
+    });
+
+    const textarea = screen.getByRole('textbox');
+    textarea.setSelectionRange(11, 17);
+    fireEvent.select(textarea);
+    fireEvent.click(screen.getByTitle('Comment on the selected text'));
+    fireEvent.change(screen.getByPlaceholderText('Add a comment'), { target: { value: 'Which Friday?' } });
+    fireEvent.submit(screen.getByPlaceholderText('Add a comment').closest('form'));
+
+    const [sent] = ws.messages('comment');
+    expect(sent).toMatchObject({ docId: 'default', action: 'create', text: 'Which Friday?' });
+    expect(screen.queryByPlaceholderText('Add a comment')).not.toBeInTheDocument();
+
+    // The server stores the thread in the document and acknowledges it
+    const before = Y.encodeStateVector(server);
+    const thread = new Y.Map();
+    const messages = new Y.Array();
+    messages.push([{ id: 'm1', author: { id: 'alice', name: 'Alice' }, text: 'Which Friday?', createdAt: 1 }]);
+    server.transact(() => {
+        thread.set('id', 'thread-1');
+        thread.set('anchor', sent.anchor);
+        thread.set('quote', 'Friday');
+        thread.set('resolved', false);
+        thread.set('messages', messages);
+        server.getMap('comments').set('thread-1', thread);
+    });
+    act(() => {
+        ws.receive({ type: 'update', docId: 'default', update: Array.from(Y.encodeStateAsUpdate(server, before)) });
+        ws.receive({ type: 'comment-ack', docId: 'default', action: 'create', threadId: 'thread-1' });
+    });
+
+    expect(screen.getByRole('button', { name: 'Comments (1)' })).toBeInTheDocument();
+    expect(screen.getByText('“Friday”')).toBeInTheDocument();
+    expect(screen.getByText('Which Friday?')).toBeInTheDocument();
 });
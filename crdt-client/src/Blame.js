@@ -0,0 +1,91 @@
+// Who wrote which part of the text, as reported by the server's blame API
+
+import React, { useEffect, useState } from 'react';
+import TextOverlay from './TextOverlay';
+import { USER_COLORS } from './presence';
+import { fetchJson } from './api';
+
+// Delay after the last change before asking, and before asking again for a stale answer
+const BLAME_DELAY = 500;
+const BLAME_RETRY_DELAY = 2000;
+
+// Color of an author in the blame view: their presence color, else one derived from their id
+export const getAuthorColor = (author) => {
+    if (author.color) return author.color;
+
+    let hash = 0;
+    for (const char of author.id) {
+        hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+    return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+};
+
+// Blame of the document while enabled, refreshed shortly after the text changes.
+// The server may not have our latest edits yet, so an answer for other text is retried.
+export const useBlame = (docId, credentials, text, enabled) => {
+    const [blame, setBlame] = useState(null);
+    const [request, setRequest] = useState(0);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        let cancelled = false;
+        let retryTimeout = null;
+        const timeout = setTimeout(() => {
+            fetchJson(`/api/documents/${encodeURIComponent(docId)}/blame`, credentials)
+                .then(result => {
+                    if (cancelled) return;
+                    setBlame(result);
+                    if (result.text !== text) {
+                        retryTimeout = setTimeout(() => setRequest(count => count + 1), BLAME_RETRY_DELAY);
+                    }
+                })
+                .catch(error => console.error('Failed to load blame:', error));
+        }, BLAME_DELAY);
+
+        return () => {
+            cancelled = true;
+            clearTimeout(timeout);
+            clearTimeout(retryTimeout);
+        };
+    }, [docId, credentials, text, enabled, request]);
+
+    return blame;
+};
+
+// Text tinted with the color of whoever wrote it
+export const BlameHighlights = ({ blame, scrollTop, scrollbarWidth }) => (
+    <TextOverlay scrollTop={scrollTop} scrollbarWidth={scrollbarWidth}>
+        {blame.ranges.map(range => {
+            const author = range.author && blame.authors[range.author];
+            return (
+                <span key={range.start} style={author ? { background: `${getAuthorColor(author)}33` } : undefined}>
+                    {range.text}
+                </span>
+            );
+        })}
+        {blame.text.endsWith('\n') && ' '}
+    </TextOverlay>
+);
+
+// Color key for the authors in the blame
+export const BlameLegend = ({ blame }) => Object.values(blame.authors).map(author => (
+    <span
+        key={author.id}
+        style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            fontSize: '13px',
+            color: '#374151'
+        }}
+    >
+        <span style={{
+            width: '12px',
+            height: '12px',
+            borderRadius: '3px',
+            background: getAuthorColor(author)
+        }} />
+        {author.name}
+    </span>
+));
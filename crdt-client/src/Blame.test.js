@@ -0,0 +1,106 @@
+import { act, render, renderHook, screen } from '@testing-library/react';
+import { getAuthorColor, useBlame, BlameHighlights, BlameLegend } from './Blame';
+import { USER_COLORS } from './presence';
+
+const blame = {
+    text: 'hello world',
+    authors: {
+        ada: { id: 'ada', name: 'Ada', color: '#ff0000' },
+        bob: { id: 'bob', name: 'Bob' }
+    },
+    ranges: [
+        { start: 0, text: 'hello', author: 'ada' },
+        { start: 5, text: ' ', author: null },
+        { start: 6, text: 'world', author: 'bob' }
+    ]
+};
+
+const credentials = { authToken: null, shareToken: 'link-secret', sessionId: 'tab-1' };
+
+const respondWith = (...bodies) => {
+    global.fetch = jest.fn();
+    bodies.forEach(body => global.fetch.mockResolvedValueOnce({ ok: true, json: async () => body }));
+};
+
+describe('getAuthorColor', () => {
+    test('uses the author\'s presence color when there is one', () => {
+        expect(getAuthorColor({ id: 'ada', color: '#ff0000' })).toBe('#ff0000');
+    });
+
+    test('derives a stable color from the id otherwise', () => {
+        const color = getAuthorColor({ id: 'bob' });
+        expect(USER_COLORS).toContain(color);
+        expect(getAuthorColor({ id: 'bob' })).toBe(color);
+    });
+});
+
+test('tints the text of known authors only', () => {
+    render(<BlameHighlights blame={blame} scrollTop={0} scrollbarWidth={0} />);
+
+    expect(screen.getByText('hello')).toHaveStyle({ background: '#ff000033' });
+    expect(screen.getByText('world')).toHaveStyle({ background: `${getAuthorColor({ id: 'bob' })}33` });
+    expect(screen.getByText('hello').nextSibling.getAttribute('style')).toBeNull();
+});
+
+test('lists every author with their color', () => {
+    render(<div><BlameLegend blame={blame} /></div>);
+
+    expect(screen.getByText('Ada')).toBeInTheDocument();
+    expect(screen.getByText('Bob')).toBeInTheDocument();
+});
+
+describe('useBlame', () => {
+    const RealFetch = global.fetch;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        global.fetch = RealFetch;
+        jest.useRealTimers();
+    });
+
+    test('asks nothing while the blame view is off', () => {
+        respondWith(blame);
+        renderHook(() => useBlame('notes', credentials, 'hello world', false));
+
+        jest.advanceTimersByTime(5000);
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test('asks with the client\'s credentials once the text settles', async () => {
+        respondWith(blame);
+        const { result, rerender } = renderHook(({ text }) => useBlame('team notes', credentials, text, true), {
+            initialProps: { text: 'hello' }
+        });
+        rerender({ text: 'hello world' });
+
+        await act(async () => {
+            jest.advanceTimersByTime(500);
+        });
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:3001/api/documents/team%20notes/blame?share=link-secret&sessionId=tab-1');
+        expect(result.current).toEqual(blame);
+    });
+
+    test('asks again while the server is behind the editor', async () => {
+        respondWith({ ...blame, text: 'hello' }, blame);
+        const { result } = renderHook(() => useBlame('notes', credentials, 'hello world', true));
+
+        await act(async () => {
+            jest.advanceTimersByTime(500);
+        });
+        expect(result.current.text).toBe('hello');
+
+        await act(async () => {
+            jest.advanceTimersByTime(2000);
+        });
+        await act(async () => {
+            jest.advanceTimersByTime(500);
+        });
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(result.current.text).toBe('hello world');
+    });
+});
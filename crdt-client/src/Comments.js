@@ -0,0 +1,289 @@
+// Comment threads anchored to ranges of the text: reading them from the document,
+// their highlights in the editor and the sidebar to read and answer them
+
+import React, { useState } from 'react';
+import * as Y from 'yjs';
+import TextOverlay from './TextOverlay';
+import { resolveCursor } from './presence';
+import { getAuthorColor } from './Blame';
+
+// Roles that may add and answer comments
+export const COMMENT_ROLES = ['commenter', 'editor', 'owner'];
+
+// Comment threads stored in the document (the server's comments.js writes them),
+// with their anchors resolved to text indexes; detached ones lost their text
+export const readThreads = (doc) => {
+    const threads = [];
+    doc.getMap('comments').forEach(thread => {
+        if (!(thread instanceof Y.Map)) return;
+
+        const anchor = thread.get('anchor');
+        let range = null;
+        try {
+            range = anchor ? resolveCursor(doc, { anchor: anchor.start, head: anchor.end }) : null;
+        } catch (e) {
+            // Anchored to content we have not received
+        }
+        const start = range ? range.anchor : null;
+        const end = range ? Math.max(range.anchor, range.head) : null;
+
+        threads.push({
+            id: thread.get('id'),
+            start,
+            end,
+            quote: thread.get('quote'),
+            detached: !range || start === end,
+            author: thread.get('author'),
+            createdAt: thread.get('createdAt'),
+            resolved: thread.get('resolved'),
+            resolvedBy: thread.get('resolvedBy'),
+            messages: thread.get('messages').toArray()
+        });
+    });
+
+    return threads.sort((a, b) =>
+        (a.detached - b.detached) || (a.detached ? 0 : a.start - b.start) || a.createdAt - b.createdAt);
+};
+
+// Anchor for the text indexes [start, end), stuck to its first and last
+// character like the server's, so it moves with edits around it
+export const anchorFromSelection = (ytext, start, end) => ({
+    start: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, start, 0)),
+    end: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, end, -1))
+});
+
+// Commented ranges, marked more strongly where threads overlap or one is selected
+export const CommentHighlights = ({ text, threads, activeThreadId, scrollTop, scrollbarWidth }) => {
+    const points = new Set([0, text.length]);
+    threads.forEach(thread => {
+        points.add(Math.min(thread.start, text.length));
+        points.add(Math.min(thread.end, text.length));
+    });
+    const sortedPoints = Array.from(points).sort((a, b) => a - b);
+
+    return (
+        <TextOverlay scrollTop={scrollTop} scrollbarWidth={scrollbarWidth}>
+            {sortedPoints.slice(0, -1).map((point, i) => {
+                const next = sortedPoints[i + 1];
+                const covering = threads.filter(thread => thread.start <= point && next <= thread.end);
+                let background;
+                if (covering.some(thread => thread.id === activeThreadId)) {
+                    background = '#fdba7480';
+                } else if (covering.length > 0) {
+                    background = covering.length > 1 ? '#fde04799' : '#fde04759';
+                }
+                return (
+                    <span key={point} style={background ? { background, borderBottom: '2px solid #facc15' } : undefined}>
+                        {text.slice(point, next)}
+                    </span>
+                );
+            })}
+            {text.endsWith('\n') && ' '}
+        </TextOverlay>
+    );
+};
+
+const Quote = ({ text, detached }) => (
+    <div style={{
+        fontStyle: 'italic',
+        color: '#6b7280',
+        marginBottom: '8px',
+        textDecoration: detached ? 'line-through' : 'none'
+    }}>
+        “{text.length > 120 ? `${text.slice(0, 120)}…` : text}”
+    </div>
+);
+
+const smallButtonStyle = {
+    padding: '4px 10px',
+    border: 'none',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '12px'
+};
+
+// Comment changes go out through sendComment, which returns whether they
+// were sent; they come back as document updates, so the threads shown are
+// always the document's. `draft` is { anchor, quote } of a thread being opened.
+const CommentsSidebar = ({ threads, draft, activeThreadId, canComment, sendComment, onOpenThread, onCloseDraft }) => {
+    const [showResolved, setShowResolved] = useState(false);
+    const resolvedCount = threads.filter(thread => thread.resolved).length;
+
+    const submitComment = (e) => {
+        e.preventDefault();
+        const body = e.target.elements.comment.value;
+        if (body.trim() && sendComment({ action: 'create', anchor: draft.anchor, text: body })) {
+            onCloseDraft();
+        }
+    };
+
+    const submitReply = (e, threadId) => {
+        e.preventDefault();
+        const input = e.target.elements.reply;
+        if (input.value.trim() && sendComment({ action: 'reply', threadId, text: input.value })) {
+            input.value = '';
+        }
+    };
+
+    return (
+        <div style={{
+            width: '320px',
+            flexShrink: 0,
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '12px',
+            overflowY: 'auto',
+            padding: '16px',
+            borderRadius: '16px',
+            background: 'rgba(255, 255, 255, 0.95)',
+            boxShadow: '0 8px 32px rgba(0, 0, 0, 0.1)',
+            fontSize: '13px',
+            color: '#374151'
+        }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <span style={{ fontSize: '15px', fontWeight: '600', color: '#1f2937' }}>Comments</span>
+                {resolvedCount > 0 && (
+                    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                        <input
+                            type="checkbox"
+                            checked={showResolved}
+                            onChange={(e) => setShowResolved(e.target.checked)}
+                        />
+                        Show resolved ({resolvedCount})
+                    </label>
+                )}
+            </div>
+
+            {draft && (
+                <form onSubmit={submitComment} style={{
+                    padding: '12px',
+                    borderRadius: '10px',
+                    border: '2px solid #facc15',
+                    background: '#fefce8'
+                }}>
+                    <Quote text={draft.quote} />
+                    <textarea
+                        name="comment"
+                        autoFocus
+                        placeholder="Add a comment"
+                        style={{
+                            width: '100%',
+                            minHeight: '60px',
+                            padding: '8px',
+                            border: '1px solid #e5e7eb',
+                            borderRadius: '6px',
+                            fontSize: '13px',
+                            resize: 'vertical'
+                        }}
+                    />
+                    <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '8px' }}>
+                        <button
+                            type="button"
+                            onClick={onCloseDraft}
+                            style={{ padding: '6px 12px', background: 'transparent', border: 'none', borderRadius: '6px', cursor: 'pointer', color: '#6b7280' }}
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            style={{ padding: '6px 12px', background: '#667eea', border: 'none', borderRadius: '6px', cursor: 'pointer', color: 'white', fontWeight: '500' }}
+                        >
+                            Comment
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {threads.length === 0 && !draft && (
+                <div style={{ color: '#6b7280' }}>
+                    No comments yet. Select some text and press Comment.
+                </div>
+            )}
+
+            {threads.filter(thread => showResolved || !thread.resolved).map(thread => (
+                <div
+                    key={thread.id}
+                    onClick={() => onOpenThread(thread)}
+                    style={{
+                        padding: '12px',
+                        borderRadius: '10px',
+                        border: `2px solid ${thread.id === activeThreadId ? '#fb923c' : '#e5e7eb'}`,
+                        background: thread.resolved ? '#f9fafb' : 'white',
+                        opacity: thread.resolved ? 0.7 : 1,
+                        cursor: 'pointer'
+                    }}
+                >
+                    <Quote text={thread.quote} detached={thread.detached} />
+                    {thread.detached && (
+                        <div style={{ fontSize: '12px', color: '#b45309', marginBottom: '8px' }}>
+                            The commented text was deleted
+                        </div>
+                    )}
+
+                    {thread.messages.map(message => (
+                        <div key={message.id} style={{ marginBottom: '8px' }}>
+                            <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                                <span style={{
+                                    width: '8px',
+                                    height: '8px',
+                                    borderRadius: '50%',
+                                    background: getAuthorColor(message.author)
+                                }} />
+                                <span style={{ fontWeight: '600' }}>{message.author.name}</span>
+                                <span style={{ fontSize: '11px', color: '#9ca3af' }}>
+                                    {new Date(message.createdAt).toLocaleString()}
+                                </span>
+                            </div>
+                            <div style={{ marginTop: '2px', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                                {message.text}
+                            </div>
+                        </div>
+                    ))}
+
+                    {thread.resolved && thread.resolvedBy && (
+                        <div style={{ fontSize: '12px', color: '#065f46', marginBottom: '8px' }}>
+                            Resolved by {thread.resolvedBy.name}
+                        </div>
+                    )}
+
+                    {canComment && (
+                        <div onClick={(e) => e.stopPropagation()}>
+                            {!thread.resolved && (
+                                <form onSubmit={(e) => submitReply(e, thread.id)}>
+                                    <input
+                                        name="reply"
+                                        placeholder="Reply"
+                                        style={{
+                                            width: '100%',
+                                            padding: '6px 8px',
+                                            border: '1px solid #e5e7eb',
+                                            borderRadius: '6px',
+                                            fontSize: '13px'
+                                        }}
+                                    />
+                                </form>
+                            )}
+                            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '8px' }}>
+                                <button
+                                    onClick={() => sendComment({ action: thread.resolved ? 'reopen' : 'resolve', threadId: thread.id })}
+                                    style={{ ...smallButtonStyle, background: '#f3f4f6', color: '#374151' }}
+                                >
+                                    {thread.resolved ? 'Reopen' : 'Resolve'}
+                                </button>
+                                <button
+                                    onClick={() => window.confirm('Delete this thread and its replies?') &&
+                                        sendComment({ action: 'delete', threadId: thread.id })}
+                                    style={{ ...smallButtonStyle, background: '#fee2e2', color: '#991b1b' }}
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default CommentsSidebar;
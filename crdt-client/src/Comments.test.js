@@ -0,0 +1,189 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import * as Y from 'yjs';
+import CommentsSidebar, { CommentHighlights, anchorFromSelection, readThreads } from './Comments';
+
+const alice = { id: 'alice', name: 'Alice' };
+
+// A thread stored the way the server's comments.js stores it
+const addThread = (doc, { id, start, end, createdAt = 1, resolved = false, messages = ['Why?'] }) => {
+    const ytext = doc.getText('content');
+    const thread = new Y.Map();
+    const replies = new Y.Array();
+    replies.push(messages.map((text, i) => ({ id: `${id}-${i}`, author: alice, text, createdAt })));
+
+    thread.set('id', id);
+    thread.set('anchor', anchorFromSelection(ytext, start, end));
+    thread.set('quote', ytext.toString().slice(start, end));
+    thread.set('author', alice);
+    thread.set('createdAt', createdAt);
+    thread.set('resolved', resolved);
+    thread.set('resolvedBy', resolved ? alice : null);
+    thread.set('messages', replies);
+    doc.getMap('comments').set(id, thread);
+};
+
+const docWithText = (text) => {
+    const doc = new Y.Doc();
+    doc.getText('content').insert(0, text);
+    return doc;
+};
+
+describe('readThreads', () => {
+    test('resolves anchors to the current text and follows edits', () => {
+        const doc = docWithText('The plan is final.');
+        addThread(doc, { id: 't1', start: 4, end: 8 });
+
+        doc.getText('content').insert(0, 'Note: ');
+        // Typing right after the range does not widen it
+        doc.getText('content').insert(14, '!');
+
+        expect(readThreads(doc)).toEqual([expect.objectContaining({
+            id: 't1', start: 10, end: 14, quote: 'plan', detached: false, resolved: false,
+            messages: [expect.objectContaining({ text: 'Why?', author: alice })]
+        })]);
+    });
+
+    test('threads whose text was deleted are detached and listed last', () => {
+        const doc = docWithText('one two three');
+        addThread(doc, { id: 'late', start: 8, end: 13, createdAt: 2 });
+        addThread(doc, { id: 'gone', start: 4, end: 7, createdAt: 1 });
+        addThread(doc, { id: 'early', start: 0, end: 3, createdAt: 3 });
+
+        doc.getText('content').delete(3, 4);
+
+        expect(readThreads(doc).map(({ id, detached }) => [id, detached])).toEqual([
+            ['early', false], ['late', false], ['gone', true]
+        ]);
+    });
+
+    test('ignores anything in the map that is not a thread', () => {
+        const doc = docWithText('text');
+        doc.getMap('comments').set('junk', 'not a thread');
+
+        expect(readThreads(doc)).toEqual([]);
+    });
+});
+
+test('highlights mark commented text, most strongly the active thread', () => {
+    const threads = [{ id: 'a', start: 0, end: 5 }, { id: 'b', start: 3, end: 9 }];
+    const { container } = render(
+        <CommentHighlights text="Hello world" threads={threads} activeThreadId="b" scrollTop={0} scrollbarWidth={0} />
+    );
+
+    const spans = Array.from(container.querySelectorAll('span'));
+    expect(spans.map(span => span.textContent)).toEqual(['Hel', 'lo', ' wor', 'ld']);
+    const [onlyA, overlap, onlyB, plain] = spans.map(span => span.style.background);
+    expect(onlyA).not.toBe('');
+    expect(overlap).toBe(onlyB);
+    expect(overlap).not.toBe(onlyA);
+    expect(plain).toBe('');
+});
+
+describe('CommentsSidebar', () => {
+    let sendComment;
+    let onOpenThread;
+    let onCloseDraft;
+
+    const thread = (fields) => ({
+        id: 't1', start: 0, end: 4, quote: 'plan', detached: false, author: alice, createdAt: 1,
+        resolved: false, resolvedBy: null, messages: [{ id: 'm1', author: alice, text: 'Why?', createdAt: 1 }],
+        ...fields
+    });
+
+    const renderSidebar = (props = {}) => render(
+        <CommentsSidebar
+            threads={[]}
+            draft={null}
+            activeThreadId={null}
+            canComment
+            sendComment={sendComment}
+            onOpenThread={onOpenThread}
+            onCloseDraft={onCloseDraft}
+            {...props}
+        />
+    );
+
+    beforeEach(() => {
+        sendComment = jest.fn().mockReturnValue(true);
+        onOpenThread = jest.fn();
+        onCloseDraft = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('opens a thread on the draft\'s anchor', () => {
+        const anchor = { start: { item: null }, end: { item: null } };
+        renderSidebar({ draft: { anchor, quote: 'the plan' } });
+
+        expect(screen.getByText('“the plan”')).toBeInTheDocument();
+        fireEvent.change(screen.getByPlaceholderText('Add a comment'), { target: { value: 'Too vague' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+
+        expect(sendComment).toHaveBeenCalledWith({ action: 'create', anchor, text: 'Too vague' });
+        expect(onCloseDraft).toHaveBeenCalled();
+    });
+
+    test('keeps the draft when the comment could not be sent', () => {
+        sendComment.mockReturnValue(false);
+        renderSidebar({ draft: { anchor: {}, quote: 'plan' } });
+
+        fireEvent.change(screen.getByPlaceholderText('Add a comment'), { target: { value: 'Later' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Comment' }));
+
+        expect(onCloseDraft).not.toHaveBeenCalled();
+    });
+
+    test('replies, resolves and deletes a thread', () => {
+        jest.spyOn(window, 'confirm').mockReturnValue(true);
+        renderSidebar({ threads: [thread()] });
+
+        const reply = screen.getByPlaceholderText('Reply');
+        fireEvent.change(reply, { target: { value: 'Because' } });
+        fireEvent.submit(reply.closest('form'));
+        expect(sendComment).toHaveBeenCalledWith({ action: 'reply', threadId: 't1', text: 'Because' });
+        expect(reply).toHaveValue('');
+
+        fireEvent.click(screen.getByRole('button', { name: 'Resolve' }));
+        expect(sendComment).toHaveBeenCalledWith({ action: 'resolve', threadId: 't1' });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+        expect(sendComment).toHaveBeenCalledWith({ action: 'delete', threadId: 't1' });
+        expect(onOpenThread).not.toHaveBeenCalled();
+    });
+
+    test('clicking a thread opens it', () => {
+        renderSidebar({ threads: [thread()] });
+
+        fireEvent.click(screen.getByText('Why?'));
+
+        expect(onOpenThread).toHaveBeenCalledWith(expect.objectContaining({ id: 't1' }));
+    });
+
+    test('resolved threads are hidden until asked for, and can be reopened', () => {
+        renderSidebar({ threads: [thread({ resolved: true, resolvedBy: alice })] });
+        expect(screen.queryByText('Why?')).not.toBeInTheDocument();
+
+        fireEvent.click(screen.getByLabelText('Show resolved (1)'));
+
+        expect(screen.getByText('Resolved by Alice')).toBeInTheDocument();
+        expect(screen.queryByPlaceholderText('Reply')).not.toBeInTheDocument();
+        fireEvent.click(screen.getByRole('button', { name: 'Reopen' }));
+        expect(sendComment).toHaveBeenCalledWith({ action: 'reopen', threadId: 't1' });
+    });
+
+    test('detached threads say their text is gone', () => {
+        renderSidebar({ threads: [thread({ detached: true, start: 2, end: 2 })] });
+
+        expect(screen.getByText('The commented text was deleted')).toBeInTheDocument();
+    });
+
+    test('viewers read threads without controls', () => {
+        renderSidebar({ threads: [thread()], canComment: false });
+
+        expect(screen.getByText('Why?')).toBeInTheDocument();
+        expect(screen.queryByPlaceholderText('Reply')).not.toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Resolve' })).not.toBeInTheDocument();
+    });
+});
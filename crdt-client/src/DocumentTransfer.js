@@ -0,0 +1,141 @@
+// Download and Import buttons for the server's export and import routes
+
+import React, { useRef, useState } from 'react';
+import { Download, Upload } from 'lucide-react';
+import { fetchApi } from './api';
+
+const EXPORT_FORMATS = [
+    { format: 'txt', label: 'Plain text (.txt)' },
+    { format: 'md', label: 'Markdown (.md)' },
+    { format: 'html', label: 'HTML (.html)' },
+    { format: 'yjs', label: 'Yjs update (.yjs)' }
+];
+
+const buttonStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '10px 20px',
+    background: '#f3f4f6',
+    border: 'none',
+    borderRadius: '10px',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: '#374151'
+};
+
+// Failures are reported through onError; an import reaches the editor as ordinary
+// edits from the server, so there is nothing to apply here
+const DocumentTransfer = ({ docId, credentials, readOnly, onError }) => {
+    const [showMenu, setShowMenu] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const documentPath = (path) => `/api/documents/${encodeURIComponent(docId)}${path}`;
+
+    const handleDownload = async (format) => {
+        setShowMenu(false);
+        try {
+            const response = await fetchApi(documentPath(`/export.${format}`), credentials);
+            const url = URL.createObjectURL(await response.blob());
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${docId}.${format}`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            onError(`Download failed: ${error.message}`);
+        }
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file || !window.confirm(`Replace the text of "${docId}" with ${file.name}?`)) return;
+
+        try {
+            await fetchApi(documentPath(`/import?filename=${encodeURIComponent(file.name)}`), credentials, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file
+            });
+        } catch (error) {
+            onError(`Import failed: ${error.message}`);
+        }
+    };
+
+    return (
+        <>
+            <div style={{ position: 'relative' }}>
+                <button
+                    onClick={() => setShowMenu(!showMenu)}
+                    style={{ ...buttonStyle, background: showMenu ? '#e5e7eb' : '#f3f4f6' }}
+                >
+                    <Download className="w-4 h-4" />
+                    Download
+                </button>
+                {showMenu && (
+                    <div style={{
+                        position: 'absolute',
+                        top: '100%',
+                        left: 0,
+                        marginTop: '4px',
+                        background: 'white',
+                        borderRadius: '10px',
+                        boxShadow: '0 8px 24px rgba(0, 0, 0, 0.15)',
+                        padding: '4px',
+                        zIndex: 10,
+                        minWidth: '180px'
+                    }}>
+                        {EXPORT_FORMATS.map(({ format, label }) => (
+                            <button
+                                key={format}
+                                onClick={() => handleDownload(format)}
+                                style={{
+                                    display: 'block',
+                                    width: '100%',
+                                    padding: '8px 12px',
+                                    background: 'transparent',
+                                    border: 'none',
+                                    borderRadius: '6px',
+                                    cursor: 'pointer',
+                                    textAlign: 'left',
+                                    fontSize: '14px',
+                                    color: '#374151'
+                                }}
+                                onMouseEnter={(e) => e.target.style.background = '#f3f4f6'}
+                                onMouseLeave={(e) => e.target.style.background = 'transparent'}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <button
+                onClick={() => fileInputRef.current.click()}
+                disabled={readOnly}
+                title="Replace the text with a .txt, .md, .html or .yjs file"
+                style={{
+                    ...buttonStyle,
+                    cursor: readOnly ? 'not-allowed' : 'pointer',
+                    opacity: readOnly ? 0.5 : 1
+                }}
+            >
+                <Upload className="w-4 h-4" />
+                Import
+            </button>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".txt,.md,.markdown,.html,.htm,.yjs"
+                onChange={handleImport}
+                style={{ display: 'none' }}
+            />
+        </>
+    );
+};
+
+export default DocumentTransfer;
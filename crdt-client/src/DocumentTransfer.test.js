@@ -0,0 +1,100 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import DocumentTransfer from './DocumentTransfer';
+
+const RealFetch = global.fetch;
+const credentials = { authToken: null, shareToken: 'link-secret', sessionId: 'tab-1' };
+
+let onError;
+
+const renderTransfer = (props = {}) => render(
+    <DocumentTransfer docId="team notes" credentials={credentials} readOnly={false} onError={onError} {...props} />
+);
+
+const chooseFile = (container, file) => {
+    fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+};
+
+beforeEach(() => {
+    onError = jest.fn();
+    URL.createObjectURL = jest.fn(() => 'blob:download');
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+});
+
+afterEach(() => {
+    global.fetch = RealFetch;
+    jest.restoreAllMocks();
+});
+
+test('downloads the chosen format through the share link', async () => {
+    const blob = new Blob(['# notes']);
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, blob: async () => blob });
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    renderTransfer();
+
+    fireEvent.click(screen.getByRole('button', { name: /download/i }));
+    await act(async () => {
+        fireEvent.click(screen.getByRole('button', { name: 'Markdown (.md)' }));
+    });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/documents/team%20notes/export.md?share=link-secret&sessionId=tab-1',
+        undefined
+    );
+    expect(URL.createObjectURL).toHaveBeenCalledWith(blob);
+    expect(click.mock.instances[0].download).toBe('team notes.md');
+    expect(screen.queryByRole('button', { name: 'Markdown (.md)' })).not.toBeInTheDocument();
+});
+
+test('reports a refused download with the server\'s message', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404, json: async () => ({ error: 'Document not found' }) });
+    renderTransfer();
+
+    fireEvent.click(screen.getByRole('button', { name: /download/i }));
+    fireEvent.click(screen.getByRole('button', { name: 'Plain text (.txt)' }));
+
+    await waitFor(() => expect(onError).toHaveBeenCalledWith('Download failed: Document not found'));
+});
+
+test('uploads a confirmed file with its name and type', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true });
+    const { container } = renderTransfer();
+    const file = new File(['<p>hi</p>'], 'page.html', { type: 'text/html' });
+
+    await act(async () => {
+        chooseFile(container, file);
+    });
+
+    expect(window.confirm).toHaveBeenCalledWith('Replace the text of "team notes" with page.html?');
+    expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/documents/team%20notes/import?filename=page.html&share=link-secret&sessionId=tab-1',
+        { method: 'POST', headers: { 'Content-Type': 'text/html' }, body: file }
+    );
+    expect(onError).not.toHaveBeenCalled();
+});
+
+test('does not upload when the replacement is not confirmed', () => {
+    window.confirm.mockReturnValue(false);
+    global.fetch = jest.fn();
+    const { container } = renderTransfer();
+
+    chooseFile(container, new File(['x'], 'notes.txt'));
+
+    expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('reports a refused import', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 415, json: async () => ({ error: 'Unsupported format' }) });
+    const { container } = renderTransfer();
+
+    chooseFile(container, new File(['x'], 'notes.docx'));
+
+    await waitFor(() => expect(onError).toHaveBeenCalledWith('Import failed: Unsupported format'));
+});
+
+test('keeps view-only users from importing', () => {
+    renderTransfer({ readOnly: true });
+
+    expect(screen.getByRole('button', { name: /import/i })).toBeDisabled();
+    expect(screen.getByRole('button', { name: /download/i })).toBeEnabled();
+});
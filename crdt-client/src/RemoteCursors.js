@@ -0,0 +1,62 @@
+import React from 'react';
+import TextOverlay from './TextOverlay';
+
+// Remote carets and selections, drawn in a transparent copy of the textarea text
+const RemoteCursors = ({ text, cursors, scrollTop, scrollbarWidth }) => {
+    const points = new Set([0, text.length]);
+    cursors.forEach(({ start, end, head }) => {
+        points.add(start);
+        points.add(end);
+        points.add(head);
+    });
+    const sortedPoints = Array.from(points).sort((a, b) => a - b);
+
+    const children = [];
+    sortedPoints.forEach((point, i) => {
+        cursors.filter(cursor => cursor.head === point).forEach(cursor => {
+            children.push(
+                <span key={`caret-${cursor.clientId}`} style={{ position: 'relative' }}>
+                    <span style={{
+                        position: 'absolute',
+                        left: '-1px',
+                        top: '0',
+                        height: '1.6em',
+                        borderLeft: `2px solid ${cursor.color}`
+                    }} />
+                    <span style={{
+                        position: 'absolute',
+                        left: '-1px',
+                        top: '-1.3em',
+                        padding: '0 4px',
+                        borderRadius: '3px',
+                        background: cursor.color,
+                        color: 'white',
+                        fontSize: '10px',
+                        lineHeight: '1.6',
+                        whiteSpace: 'nowrap',
+                        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif'
+                    }}>{cursor.name}</span>
+                </span>
+            );
+        });
+
+        const next = sortedPoints[i + 1];
+        if (next === undefined || next === point) return;
+
+        const selection = cursors.find(cursor => cursor.start <= point && next <= cursor.end);
+        children.push(
+            <span key={`text-${point}`} style={selection ? { background: `${selection.color}40` } : undefined}>
+                {text.slice(point, next)}
+            </span>
+        );
+    });
+
+    return (
+        <TextOverlay scrollTop={scrollTop} scrollbarWidth={scrollbarWidth}>
+            {children}
+            {text.endsWith('\n') && ' '}
+        </TextOverlay>
+    );
+};
+
+export default RemoteCursors;
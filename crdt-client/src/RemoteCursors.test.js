@@ -0,0 +1,30 @@
+import { render, screen } from '@testing-library/react';
+import RemoteCursors from './RemoteCursors';
+
+const ada = { clientId: 1, name: 'Ada', color: '#ff0000', head: 5, start: 0, end: 5 };
+const bob = { clientId: 2, name: 'Bob', color: '#0000ff', head: 8, start: 8, end: 8 };
+
+test('labels every remote caret with its user', () => {
+    render(<RemoteCursors text="hello world" cursors={[ada, bob]} scrollTop={0} scrollbarWidth={0} />);
+
+    expect(screen.getByText('Ada')).toHaveStyle({ background: '#ff0000' });
+    expect(screen.getByText('Bob')).toHaveStyle({ background: '#0000ff' });
+});
+
+test('tints the selected text in the selecting user\'s color', () => {
+    render(<RemoteCursors text="hello world" cursors={[ada, bob]} scrollTop={0} scrollbarWidth={0} />);
+
+    expect(screen.getByText('hello').getAttribute('style')).toContain('background');
+    expect(screen.getByText('wo').getAttribute('style')).toBeNull();
+    expect(screen.getByText('rld').getAttribute('style')).toBeNull();
+});
+
+test('follows the textarea scroll and leaves its scrollbar uncovered', () => {
+    const { container } = render(
+        <RemoteCursors text="hello" cursors={[]} scrollTop={40} scrollbarWidth={15} />
+    );
+
+    expect(container.firstChild).toHaveStyle({ right: '15px' });
+    expect(container.firstChild.firstChild).toHaveStyle({ transform: 'translateY(-40px)' });
+    expect(screen.getByText('hello')).toBeInTheDocument();
+});
@@ -0,0 +1,171 @@
+// Full-text search over every document the user can read, through the server's search API
+
+import React, { useState } from 'react';
+import { Search } from 'lucide-react';
+import { fetchJson } from './api';
+
+// Text range to select once the document is loaded, from ?at=<start>-<end> (set by search results)
+export const getMatchFromLocation = () => {
+    const params = new URLSearchParams(window.location.search);
+    const match = /^(\d+)-(\d+)$/.exec(params.get('at') || '');
+    return match ? { start: Number(match[1]), end: Number(match[2]) } : null;
+};
+
+// Page URL of another document, keeping the access token; a share link only grants the current one
+export const getDocumentLocation = (docId, match) => {
+    const url = new URL(window.location.href);
+    url.searchParams.set('doc', docId);
+    url.searchParams.delete('share');
+    if (match) {
+        url.searchParams.set('at', `${match.start}-${match.end}`);
+    } else {
+        url.searchParams.delete('at');
+    }
+    return url.toString();
+};
+
+// A search snippet with its matched words marked; offsets are positions in the whole document
+export const SnippetText = ({ snippet }) => {
+    const parts = [];
+    let position = snippet.start;
+    snippet.highlights.forEach(highlight => {
+        parts.push(snippet.text.slice(position - snippet.start, highlight.start - snippet.start));
+        parts.push(
+            <mark key={highlight.start} style={{ background: '#fef08a', borderRadius: '2px' }}>
+                {snippet.text.slice(highlight.start - snippet.start, highlight.end - snippet.start)}
+            </mark>
+        );
+        position = highlight.end;
+    });
+    parts.push(snippet.text.slice(position - snippet.start));
+
+    return (
+        <>
+            {snippet.start > 0 && '…'}
+            {parts}
+        </>
+    );
+};
+
+// A match in the open document is handed to onSelectMatch; one elsewhere opens
+// that document at the match
+const SearchBox = ({ docId, credentials, onSelectMatch, onError }) => {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null);
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!query.trim()) {
+            setResults(null);
+            return;
+        }
+
+        try {
+            setResults(await fetchJson(`/api/search?q=${encodeURIComponent(query)}`, credentials));
+        } catch (error) {
+            onError(`Search failed: ${error.message}`);
+        }
+    };
+
+    const openMatch = (result, highlight) => {
+        setResults(null);
+        if (result.docId === docId) {
+            onSelectMatch(highlight);
+        } else {
+            window.location.assign(getDocumentLocation(result.docId, highlight));
+        }
+    };
+
+    return (
+        <div style={{ position: 'relative' }}>
+            <form
+                role="search"
+                onSubmit={handleSearch}
+                style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    background: '#f3f4f6',
+                    padding: '8px 16px',
+                    borderRadius: '12px'
+                }}
+            >
+                <Search className="w-4 h-4" style={{ color: '#6b7280' }} />
+                <input
+                    type="search"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Escape' && setResults(null)}
+                    placeholder="Search all documents"
+                    style={{
+                        border: 'none',
+                        outline: 'none',
+                        background: 'transparent',
+                        fontSize: '14px',
+                        width: '200px',
+                        color: '#1f2937'
+                    }}
+                />
+            </form>
+            {results && (
+                <div style={{
+                    position: 'absolute',
+                    top: '100%',
+                    right: 0,
+                    marginTop: '4px',
+                    background: 'white',
+                    borderRadius: '10px',
+                    boxShadow: '0 8px 24px rgba(0, 0, 0, 0.15)',
+                    padding: '4px',
+                    zIndex: 20,
+                    width: '420px',
+                    maxHeight: '60vh',
+                    overflowY: 'auto'
+                }}>
+                    {results.results.length === 0 && (
+                        <div style={{ padding: '8px 12px', fontSize: '14px', color: '#6b7280' }}>
+                            No document contains "{results.query}"
+                        </div>
+                    )}
+                    {results.results.map(result => (
+                        <div key={result.docId} style={{ padding: '8px 12px' }}>
+                            <div style={{ fontSize: '14px', fontWeight: '600', color: '#1f2937' }}>
+                                {result.title}
+                                <span style={{ marginLeft: '8px', fontSize: '12px', fontWeight: '400', color: '#6b7280' }}>
+                                    {result.docId} · {result.matches} match{result.matches === 1 ? '' : 'es'}
+                                </span>
+                            </div>
+                            {result.snippets.map(snippet => (
+                                <button
+                                    key={snippet.start}
+                                    onClick={() => openMatch(result, snippet.highlights[0])}
+                                    style={{
+                                        display: 'block',
+                                        width: '100%',
+                                        marginTop: '4px',
+                                        padding: '6px 8px',
+                                        background: 'transparent',
+                                        border: 'none',
+                                        borderRadius: '6px',
+                                        cursor: 'pointer',
+                                        textAlign: 'left',
+                                        fontSize: '13px',
+                                        color: '#374151',
+                                        whiteSpace: 'pre-wrap',
+                                        wordBreak: 'break-word'
+                                    }}
+                                    onMouseEnter={(e) => e.currentTarget.style.background = '#f3f4f6'}
+                                    onMouseLeave={(e) => e.currentTarget.style.background = 'transparent'}
+                                >
+                                    <SnippetText snippet={snippet} />
+                                </button>
+                            ))}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SearchBox;
@@ -0,0 +1,125 @@
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import SearchBox, { getDocumentLocation, getMatchFromLocation } from './SearchBox';
+
+const RealFetch = global.fetch;
+const RealLocation = window.location;
+const credentials = { authToken: 'abc', shareToken: null, sessionId: 'tab-1' };
+
+const RESULTS = {
+    query: 'launch',
+    total: 2,
+    limit: 10,
+    offset: 0,
+    results: [
+        {
+            docId: 'notes',
+            title: 'Team notes',
+            score: 1.2,
+            matches: 2,
+            snippets: [{ start: 10, text: 'the launch is on Friday', highlights: [{ start: 14, end: 20 }] }]
+        },
+        {
+            docId: 'plan',
+            title: 'Plan',
+            score: 0.4,
+            matches: 1,
+            snippets: [{ start: 0, text: 'Launch plan', highlights: [{ start: 0, end: 6 }] }]
+        }
+    ]
+};
+
+let onSelectMatch;
+let onError;
+
+const renderSearch = () => render(
+    <SearchBox docId="notes" credentials={credentials} onSelectMatch={onSelectMatch} onError={onError} />
+);
+
+const search = async (query) => {
+    fireEvent.change(screen.getByPlaceholderText('Search all documents'), { target: { value: query } });
+    await act(async () => {
+        fireEvent.submit(screen.getByRole('search'));
+    });
+};
+
+beforeEach(() => {
+    onSelectMatch = jest.fn();
+    onError = jest.fn();
+    window.history.replaceState(null, '', '/');
+});
+
+afterEach(() => {
+    global.fetch = RealFetch;
+    window.location = RealLocation;
+});
+
+test('searches with the user\'s token and marks the matched words', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => RESULTS });
+    renderSearch();
+
+    await search('launch day');
+
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3001/api/search?q=launch+day&token=abc', undefined);
+    expect(screen.getByText('notes · 2 matches')).toBeInTheDocument();
+    expect(screen.getByText('plan · 1 match')).toBeInTheDocument();
+
+    const snippet = screen.getByRole('button', { name: /the launch is on Friday/ });
+    expect(snippet).toHaveTextContent('…the launch is on Friday');
+    expect(snippet.querySelector('mark')).toHaveTextContent('launch');
+});
+
+test('a match in the open document is selected in place', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => RESULTS });
+    renderSearch();
+    await search('launch');
+
+    fireEvent.click(screen.getByRole('button', { name: /the launch is on Friday/ }));
+
+    expect(onSelectMatch).toHaveBeenCalledWith({ start: 14, end: 20 });
+    expect(screen.queryByText('Team notes')).not.toBeInTheDocument();
+});
+
+test('a match in another document opens it at the match', async () => {
+    delete window.location;
+    window.location = { href: 'http://localhost/?doc=notes&token=abc', assign: jest.fn() };
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => RESULTS });
+    renderSearch();
+    await search('launch');
+
+    fireEvent.click(screen.getByRole('button', { name: /Launch plan/ }));
+
+    expect(window.location.assign).toHaveBeenCalledWith('http://localhost/?doc=plan&token=abc&at=0-6');
+    expect(onSelectMatch).not.toHaveBeenCalled();
+});
+
+test('says when nothing matches, and Escape closes the results', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ ...RESULTS, query: 'zebra', results: [] }) });
+    renderSearch();
+    await search('zebra');
+
+    expect(screen.getByText('No document contains "zebra"')).toBeInTheDocument();
+    fireEvent.keyDown(screen.getByPlaceholderText('Search all documents'), { key: 'Escape' });
+    expect(screen.queryByText(/No document contains/)).not.toBeInTheDocument();
+});
+
+test('blank queries are not sent and failures are reported', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 400, json: async () => ({ error: 'q is required' }) });
+    renderSearch();
+
+    await search('   ');
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    await search('launch');
+    await waitFor(() => expect(onError).toHaveBeenCalledWith('Search failed: q is required'));
+});
+
+test('locations carry the match to open and drop a share link', () => {
+    window.history.replaceState(null, '', '/?doc=notes&share=link-secret&token=abc&at=4-9');
+
+    expect(getMatchFromLocation()).toEqual({ start: 4, end: 9 });
+    expect(getDocumentLocation('plan', { start: 1, end: 3 })).toBe('http://localhost/?doc=plan&token=abc&at=1-3');
+    expect(getDocumentLocation('notes', null)).toBe('http://localhost/?doc=notes&token=abc');
+
+    window.history.replaceState(null, '', '/?at=nonsense');
+    expect(getMatchFromLocation()).toBeNull();
+});
@@ -0,0 +1,88 @@
+// WebSocket look-alike over Server-Sent Events, for networks that block WebSockets:
+// messages from the server arrive on an EventSource, our own are POSTed in
+// batches to the URL the server announces in its first event
+
+// Bytes of queued messages sent in one POST
+const BATCH_BYTES = 64 * 1024;
+
+class SseSocket {
+    // Same values as WebSocket's, so callers can check either alike
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSED = 3;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = SseSocket.CONNECTING;
+        this.messagesUrl = null;
+        this.outbox = [];
+        this.posting = false;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+
+        this.source = new EventSource(url);
+        this.source.addEventListener('endpoint', (event) => {
+            this.messagesUrl = new URL(event.data, url).toString();
+            this.readyState = SseSocket.OPEN;
+            this.onopen?.();
+        });
+        this.source.onmessage = (event) => this.onmessage?.(event);
+
+        // EventSource would reconnect by itself; the connection decides instead
+        this.source.onerror = (error) => {
+            if (this.readyState === SseSocket.CONNECTING) {
+                this.onerror?.(error);
+            }
+            this.close();
+        };
+    }
+
+    send(data) {
+        if (this.readyState !== SseSocket.OPEN) return;
+        this.outbox.push(data);
+        this.flush();
+    }
+
+    // One request at a time keeps the messages in order
+    async flush() {
+        if (this.posting || this.outbox.length === 0) return;
+
+        let size = 0;
+        let count = 0;
+        while (count < this.outbox.length && (count === 0 || size + this.outbox[count].length <= BATCH_BYTES)) {
+            size += this.outbox[count].length;
+            count++;
+        }
+        const batch = this.outbox.splice(0, count);
+
+        this.posting = true;
+        try {
+            const response = await fetch(this.messagesUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain' },
+                body: `[${batch.join(',')}]`
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (error) {
+            // Anything unsent is still in the local doc and goes out with the next sync
+            console.error('SSE message delivery failed:', error);
+            this.close();
+            return;
+        } finally {
+            this.posting = false;
+        }
+        this.flush();
+    }
+
+    close() {
+        if (this.readyState === SseSocket.CLOSED) return;
+        this.readyState = SseSocket.CLOSED;
+        this.source.close();
+        this.outbox = [];
+        this.onclose?.();
+    }
+}
+
+export default SseSocket;
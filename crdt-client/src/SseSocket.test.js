@@ -0,0 +1,114 @@
+import SseSocket from './SseSocket';
+import { FakeEventSource } from './fakeSockets';
+
+const RealEventSource = global.EventSource;
+const RealFetch = global.fetch;
+
+let socket;
+
+// A fetch whose responses the test hands out one at a time
+const deferredFetch = () => {
+    const pending = [];
+    global.fetch = jest.fn(() => new Promise(resolve => pending.push(resolve)));
+    return {
+        respond: async (response = { ok: true }) => {
+            pending.shift()(response);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+    };
+};
+
+const postedBodies = () => global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body));
+
+beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.EventSource = FakeEventSource;
+    FakeEventSource.reset();
+
+    socket = new SseSocket('http://server/sse?token=abc');
+    socket.onopen = jest.fn();
+    socket.onmessage = jest.fn();
+    socket.onclose = jest.fn();
+    socket.onerror = jest.fn();
+});
+
+afterEach(() => {
+    global.EventSource = RealEventSource;
+    global.fetch = RealFetch;
+    jest.restoreAllMocks();
+});
+
+test('opens once the server names the URL for its messages', () => {
+    const source = FakeEventSource.latest();
+    expect(source.url).toBe('http://server/sse?token=abc');
+    expect(socket.readyState).toBe(SseSocket.CONNECTING);
+
+    source.open('/sse/connection-token');
+    expect(socket.readyState).toBe(SseSocket.OPEN);
+    expect(socket.messagesUrl).toBe('http://server/sse/connection-token');
+    expect(socket.onopen).toHaveBeenCalled();
+
+    source.receive({ type: 'connected', clientId: 'client-1' });
+    expect(socket.onmessage).toHaveBeenCalledWith({ data: '{"type":"connected","clientId":"client-1"}' });
+});
+
+test('posts messages in order, batching those queued behind a pending request', async () => {
+    const server = deferredFetch();
+    FakeEventSource.latest().open();
+
+    socket.send('{"n":1}');
+    socket.send('{"n":2}');
+    socket.send('{"n":3}');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledWith('http://server/sse/connection-token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: '[{"n":1}]'
+    });
+
+    await server.respond();
+    expect(postedBodies()).toEqual([[{ n: 1 }], [{ n: 2 }, { n: 3 }]]);
+
+    await server.respond();
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('drops messages sent before it is open', () => {
+    global.fetch = jest.fn();
+    socket.send('{"n":1}');
+
+    FakeEventSource.latest().open();
+    expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('a stream that never opens is a failed handshake', () => {
+    const source = FakeEventSource.latest();
+    source.fail();
+
+    expect(socket.onerror).toHaveBeenCalled();
+    expect(socket.onclose).toHaveBeenCalledTimes(1);
+    expect(socket.readyState).toBe(SseSocket.CLOSED);
+    expect(source.closed).toBe(true);
+});
+
+test('closes instead of letting the stream reconnect by itself', () => {
+    const source = FakeEventSource.latest();
+    source.open();
+    source.fail();
+
+    expect(socket.onerror).not.toHaveBeenCalled();
+    expect(socket.onclose).toHaveBeenCalledTimes(1);
+    expect(source.closed).toBe(true);
+});
+
+test('closes when the server refuses its messages', async () => {
+    const server = deferredFetch();
+    FakeEventSource.latest().open();
+    socket.send('{"n":1}');
+    socket.send('{"n":2}');
+
+    await server.respond({ ok: false, status: 404 });
+
+    expect(socket.onclose).toHaveBeenCalledTimes(1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,30 @@
+import React from 'react';
+
+// Transparent copy of the textarea text, kept in line with its scroll position
+const TextOverlay = ({ scrollTop, scrollbarWidth, children }) => (
+    <div style={{
+        position: 'absolute',
+        top: 0,
+        left: 0,
+        bottom: 0,
+        right: `${scrollbarWidth}px`,
+        overflow: 'hidden',
+        pointerEvents: 'none',
+        borderRadius: '16px'
+    }}>
+        <div style={{
+            padding: '20px',
+            fontSize: '15px',
+            fontFamily: '"Fira Code", "Courier New", monospace',
+            lineHeight: '1.6',
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word',
+            color: 'transparent',
+            transform: `translateY(-${scrollTop}px)`
+        }}>
+            {children}
+        </div>
+    </div>
+);
+
+export default TextOverlay;
@@ -0,0 +1,279 @@
+import * as Y from 'yjs';
+import {
+    Awareness,
+    applyAwarenessUpdate,
+    encodeAwarenessUpdate,
+    removeAwarenessStates
+} from 'y-protocols/awareness';
+import SseSocket from './SseSocket';
+
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 10000;
+// WebSocket handshakes that may fail in a row before falling back to Server-Sent Events
+const WS_FALLBACK_ATTEMPTS = 2;
+
+// Connection to the collaboration server (join/update/sync protocol). Uses a
+// WebSocket, or Server-Sent Events when WebSocket handshakes keep failing.
+class WebSocketConnection {
+    constructor(url, docId, ydoc, handlers = {}, { sessionId = null, shareToken = null, fallbackUrl = null } = {}) {
+        this.url = url;
+        this.fallbackUrl = fallbackUrl;
+        this.transport = 'websocket';
+        this.handshakeFailures = 0;
+        this.docId = docId;
+        this.ydoc = ydoc;
+        this.handlers = handlers;
+        this.sessionId = sessionId;
+        this.shareToken = shareToken;
+        this.ws = null;
+        this.connected = false;
+        this.shouldConnect = true;
+        this.serverClientId = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimeout = null;
+        this.resyncTimeout = null;
+        this.awareness = new Awareness(ydoc);
+
+        // Forward every local Yjs update to the server
+        this.handleDocUpdate = (update, origin) => {
+            if (origin !== this) {
+                this.sendUpdate(update);
+            }
+        };
+        this.ydoc.on('update', this.handleDocUpdate);
+
+        // Forward presence changes that did not come from the server
+        this.handleAwarenessUpdate = ({ added, updated, removed }, origin) => {
+            if (origin !== this) {
+                this.sendAwareness(added.concat(updated, removed));
+            }
+        };
+        this.awareness.on('update', this.handleAwarenessUpdate);
+
+        this.connect();
+    }
+
+    connect() {
+        const ws = this.transport === 'sse' ? new SseSocket(this.fallbackUrl) : new WebSocket(this.url);
+        this.ws = ws;
+        let opened = false;
+
+        ws.onopen = () => {
+            opened = true;
+            this.reconnectAttempts = 0;
+            this.handshakeFailures = 0;
+            this.send({
+                type: 'join',
+                docId: this.docId,
+                sessionId: this.sessionId,
+                shareToken: this.shareToken,
+                stateVector: Array.from(Y.encodeStateVector(this.ydoc))
+            });
+        };
+
+        ws.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                console.error('Invalid message from server:', error);
+                return;
+            }
+            this.handleMessage(message);
+        };
+
+        ws.onclose = () => {
+            if (this.ws !== ws) return;
+            this.ws = null;
+            this.setConnected(false);
+            if (!opened) {
+                this.handleHandshakeFailure();
+            }
+
+            if (this.shouldConnect) {
+                this.scheduleReconnect();
+            }
+        };
+
+        ws.onerror = (error) => {
+            console.error(`${this.transport === 'sse' ? 'SSE' : 'WebSocket'} error:`, error);
+        };
+    }
+
+    // A proxy that refuses WebSocket upgrades fails every handshake; switch to
+    // SSE then. A server that is down fails both, so failing SSE goes back.
+    handleHandshakeFailure() {
+        this.handshakeFailures++;
+        if (!this.fallbackUrl || this.handshakeFailures < WS_FALLBACK_ATTEMPTS) return;
+
+        this.transport = this.transport === 'websocket' ? 'sse' : 'websocket';
+        this.handshakeFailures = 0;
+        this.reconnectAttempts = 0;
+        console.warn(`Switching to ${this.transport === 'sse' ? 'Server-Sent Events' : 'WebSocket'} transport`);
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'connected':
+                this.serverClientId = message.clientId;
+                break;
+
+            case 'sync':
+            case 'update':
+                if (message.docId === this.docId) {
+                    Y.applyUpdate(this.ydoc, Uint8Array.from(message.update), this);
+                }
+                break;
+
+            case 'sync-step1':
+                // Reply with what the server is missing, e.g. edits made while offline
+                if (message.docId === this.docId) {
+                    this.send({
+                        type: 'sync-step2',
+                        docId: this.docId,
+                        update: Array.from(Y.encodeStateAsUpdate(this.ydoc, Uint8Array.from(message.stateVector)))
+                    });
+                    this.setConnected(true);
+                    this.sendAwareness([this.ydoc.clientID]);
+                }
+                break;
+
+            case 'awareness':
+                if (message.docId === this.docId) {
+                    applyAwarenessUpdate(this.awareness, Uint8Array.from(message.update), this);
+                }
+                break;
+
+            case 'joined':
+                this.handlers.onJoined?.(message);
+                break;
+
+            case 'error':
+                // Dropped edits are still in the local doc; a resync sends them again
+                if (message.code === 'RATE_LIMITED') {
+                    this.scheduleResync(message.retryAfter);
+                    break;
+                }
+                console.error('Server error:', message.message);
+                this.handlers.onError?.(message.message);
+                break;
+
+            case 'comment-ack':
+                this.handlers.onCommentAck?.(message);
+                break;
+
+            case 'document-deleted':
+                this.shouldConnect = false;
+                this.handlers.onDocumentDeleted?.(message.docId);
+                break;
+
+            default:
+                console.log(`Unknown message type: ${message.type}`);
+        }
+    }
+
+    send(message) {
+        if (this.ws && this.ws.readyState === WebSocket.OPEN) { // SseSocket uses the same states
+            this.ws.send(JSON.stringify(message));
+            return true;
+        }
+        return false;
+    }
+
+    sendUpdate(update) {
+        // While offline the update stays in the local doc and is sent during the next sync
+        if (!this.connected) return;
+
+        this.send({
+            type: 'update',
+            docId: this.docId,
+            update: Array.from(update)
+        });
+    }
+
+    sendAwareness(changedClients) {
+        if (!this.connected) return;
+
+        this.send({
+            type: 'awareness',
+            docId: this.docId,
+            update: Array.from(encodeAwarenessUpdate(this.awareness, changedClients))
+        });
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+
+        // Other users' presence is unknown while we are offline
+        if (!connected) {
+            const remoteClients = Array.from(this.awareness.getStates().keys())
+                .filter(id => id !== this.ydoc.clientID);
+            removeAwarenessStates(this.awareness, remoteClients, this);
+        }
+
+        this.handlers.onStatusChange?.(connected, this.transport);
+    }
+
+    scheduleReconnect() {
+        const delay = Math.min(
+            RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts,
+            RECONNECT_MAX_DELAY
+        );
+        this.reconnectAttempts++;
+
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            if (this.shouldConnect && !this.ws) {
+                this.connect();
+            }
+        }, delay);
+    }
+
+    scheduleResync(delay = 1000) {
+        if (this.resyncTimeout) return;
+
+        this.resyncTimeout = setTimeout(() => {
+            this.resyncTimeout = null;
+            this.send({
+                type: 'sync-request',
+                docId: this.docId,
+                stateVector: Array.from(Y.encodeStateVector(this.ydoc))
+            });
+        }, delay);
+    }
+
+    disconnect() {
+        this.shouldConnect = false;
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        clearTimeout(this.resyncTimeout);
+        this.resyncTimeout = null;
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            ws.close();
+        }
+        this.setConnected(false);
+    }
+
+    reconnect() {
+        this.shouldConnect = true;
+        this.reconnectAttempts = 0;
+        if (!this.ws) {
+            this.connect();
+        }
+    }
+
+    destroy() {
+        // Tell the others we left before the socket goes away
+        removeAwarenessStates(this.awareness, [this.ydoc.clientID], 'destroy');
+        this.disconnect();
+        this.ydoc.off('update', this.handleDocUpdate);
+        this.awareness.off('update', this.handleAwarenessUpdate);
+        this.awareness.destroy();
+    }
+}
+
+export default WebSocketConnection;
@@ -0,0 +1,348 @@
+import * as Y from 'yjs';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate } from 'y-protocols/awareness';
+import WebSocketConnection from './WebSocketConnection';
+import { FakeEventSource, FakeWebSocket } from './fakeSockets';
+
+const RealWebSocket = global.WebSocket;
+const RealEventSource = global.EventSource;
+
+let doc;
+let handlers;
+let connection;
+
+const updateFrom = (build) => {
+    const source = new Y.Doc();
+    build(source.getText('content'));
+    return Array.from(Y.encodeStateAsUpdate(source));
+};
+
+// Open a connection and play the server's side of the join handshake
+const join = (server = new Y.Doc()) => {
+    const ws = FakeWebSocket.latest();
+    ws.open();
+    const { stateVector } = ws.messages('join').pop();
+    ws.receive({ type: 'sync', docId: 'notes', update: Array.from(Y.encodeStateAsUpdate(server, Uint8Array.from(stateVector))) });
+    ws.receive({ type: 'sync-step1', docId: 'notes', stateVector: Array.from(Y.encodeStateVector(server)) });
+    ws.receive({ type: 'joined', docId: 'notes', stats: { clients: 1 } });
+    return ws;
+};
+
+beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    global.WebSocket = FakeWebSocket;
+    global.EventSource = FakeEventSource;
+    FakeWebSocket.reset();
+    FakeEventSource.reset();
+
+    doc = new Y.Doc();
+    handlers = {
+        onStatusChange: jest.fn(),
+        onJoined: jest.fn(),
+        onError: jest.fn(),
+        onCommentAck: jest.fn(),
+        onDocumentDeleted: jest.fn()
+    };
+    connection = new WebSocketConnection('ws://server', 'notes', doc, handlers);
+});
+
+afterEach(() => {
+    connection.destroy();
+    doc.destroy();
+    global.WebSocket = RealWebSocket;
+    global.EventSource = RealEventSource;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+});
+
+test('joins the document with its state vector once the socket opens', () => {
+    doc.getText('content').insert(0, 'local');
+    const ws = FakeWebSocket.latest();
+    expect(ws.url).toBe('ws://server');
+    expect(ws.sent).toEqual([]);
+
+    ws.open();
+    expect(ws.sent).toEqual([{
+        type: 'join',
+        docId: 'notes',
+        sessionId: null,
+        shareToken: null,
+        stateVector: Array.from(Y.encodeStateVector(doc))
+    }]);
+    expect(connection.connected).toBe(false);
+});
+
+test('joins as the same session through its share link after every reconnect', () => {
+    connection.destroy();
+    connection = new WebSocketConnection('ws://server', 'notes', doc, handlers, { sessionId: 'tab-1', shareToken: 'link-secret' });
+
+    join().close();
+    jest.advanceTimersByTime(500);
+    FakeWebSocket.latest().open();
+
+    const joins = FakeWebSocket.instances.slice(-2).map(ws => ws.messages('join')[0]);
+    joins.forEach(message => {
+        expect(message).toMatchObject({ docId: 'notes', sessionId: 'tab-1', shareToken: 'link-secret' });
+    });
+});
+
+test('answers sync-step1 with only what the server is missing', () => {
+    const server = new Y.Doc();
+    server.getText('content').insert(0, 'shared');
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(server));
+    doc.getText('content').insert(6, ' and written offline');
+
+    const ws = join(server);
+    const [step2] = ws.messages('sync-step2');
+    expect(step2.docId).toBe('notes');
+
+    const { structs } = Y.decodeUpdate(Uint8Array.from(step2.update));
+    expect(structs.map(struct => struct.content.str)).toEqual([' and written offline']);
+    Y.applyUpdate(server, Uint8Array.from(step2.update));
+    expect(server.getText('content').toString()).toBe('shared and written offline');
+});
+
+test('is connected once the handshake is done, not on joined alone', () => {
+    const ws = FakeWebSocket.latest();
+    ws.open();
+    ws.receive({ type: 'joined', docId: 'notes' });
+    expect(connection.connected).toBe(false);
+
+    ws.receive({ type: 'sync-step1', docId: 'elsewhere', stateVector: [0] });
+    expect(connection.connected).toBe(false);
+    expect(ws.messages('sync-step2')).toEqual([]);
+
+    ws.receive({ type: 'sync-step1', docId: 'notes', stateVector: [0] });
+    expect(connection.connected).toBe(true);
+    expect(handlers.onStatusChange).toHaveBeenCalledWith(true, 'websocket');
+    expect(handlers.onJoined).toHaveBeenCalledWith(expect.objectContaining({ docId: 'notes' }));
+});
+
+test('applies server updates for its document without echoing them', () => {
+    const ws = join();
+    ws.sent = [];
+
+    ws.receive({ type: 'sync', docId: 'notes', update: updateFrom(text => text.insert(0, 'from the server')) });
+    ws.receive({ type: 'update', docId: 'elsewhere', update: updateFrom(text => text.insert(0, 'other document')) });
+
+    expect(doc.getText('content').toString()).toBe('from the server');
+    expect(ws.sent).toEqual([]);
+});
+
+test('sends local edits only while connected', () => {
+    const ws = FakeWebSocket.latest();
+    doc.getText('content').insert(0, 'early');
+    ws.open();
+    expect(ws.messages('update')).toEqual([]);
+
+    ws.receive({ type: 'sync-step1', docId: 'notes', stateVector: [0] });
+    ws.sent = [];
+    doc.getText('content').insert(5, '!');
+
+    expect(ws.sent).toEqual([{ type: 'update', docId: 'notes', update: expect.any(Array) }]);
+});
+
+test('publishes presence once connected and tracks everyone else\'s', () => {
+    connection.awareness.setLocalState({ user: { name: 'Me' } });
+    const ws = join();
+
+    const server = new Awareness(new Y.Doc());
+    ws.messages('awareness').forEach(message => applyAwarenessUpdate(server, Uint8Array.from(message.update), 'client'));
+    expect(server.getStates().get(doc.clientID)).toEqual({ user: { name: 'Me' } });
+
+    const peer = new Awareness(new Y.Doc());
+    peer.setLocalState({ user: { name: 'Ada' } });
+    ws.sent = [];
+    ws.receive({ type: 'awareness', docId: 'notes', update: Array.from(encodeAwarenessUpdate(peer, [peer.clientID])) });
+
+    expect(connection.awareness.getStates().get(peer.clientID)).toEqual({ user: { name: 'Ada' } });
+    // Presence from the server is not echoed back
+    expect(ws.messages('awareness')).toEqual([]);
+});
+
+test('keeps its presence to itself while offline and forgets everyone else\'s', () => {
+    const ws = join();
+    const peer = new Awareness(new Y.Doc());
+    peer.setLocalState({ user: { name: 'Ada' } });
+    ws.receive({ type: 'awareness', docId: 'notes', update: Array.from(encodeAwarenessUpdate(peer, [peer.clientID])) });
+    const sentOnline = ws.messages('awareness').length;
+
+    ws.close();
+    expect(connection.awareness.getStates().has(peer.clientID)).toBe(false);
+
+    connection.awareness.setLocalStateField('cursor', { anchor: 1, head: 1 });
+    expect(ws.messages('awareness')).toHaveLength(sentOnline);
+});
+
+test('tells the others it left when destroyed', () => {
+    connection.awareness.setLocalState({ user: { name: 'Me' } });
+    const ws = join();
+    const server = new Awareness(new Y.Doc());
+    const applyAll = () => ws.messages('awareness').forEach(message => applyAwarenessUpdate(server, Uint8Array.from(message.update), 'client'));
+    applyAll();
+    expect(server.getStates().has(doc.clientID)).toBe(true);
+
+    connection.destroy();
+    applyAll();
+    expect(server.getStates().has(doc.clientID)).toBe(false);
+});
+
+test('reconnects with a growing delay after the socket closes', () => {
+    join().close();
+    expect(handlers.onStatusChange).toHaveBeenLastCalledWith(false, 'websocket');
+
+    jest.advanceTimersByTime(499);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+
+    // A second failure waits twice as long
+    FakeWebSocket.latest().close();
+    jest.advanceTimersByTime(999);
+    expect(FakeWebSocket.instances).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+
+    // Joining again resets the delay
+    join().close();
+    jest.advanceTimersByTime(500);
+    expect(FakeWebSocket.instances).toHaveLength(4);
+});
+
+test('stays offline after disconnect() until reconnect()', () => {
+    join();
+    connection.disconnect();
+    jest.advanceTimersByTime(60000);
+    expect(FakeWebSocket.instances).toHaveLength(1);
+    expect(connection.connected).toBe(false);
+
+    connection.reconnect();
+    expect(FakeWebSocket.instances).toHaveLength(2);
+});
+
+test('reports server errors and stops for a deleted document', () => {
+    const ws = join();
+
+    ws.receive({ type: 'error', code: 'INVALID_MESSAGE', message: 'Invalid message' });
+    expect(handlers.onError).toHaveBeenCalledWith('Invalid message');
+
+    ws.receive({ type: 'document-deleted', docId: 'notes' });
+    ws.close();
+    jest.advanceTimersByTime(60000);
+
+    expect(handlers.onDocumentDeleted).toHaveBeenCalledWith('notes');
+    expect(FakeWebSocket.instances).toHaveLength(1);
+});
+
+test('sends comment actions as they are and passes on their acknowledgements', () => {
+    expect(connection.send({ type: 'comment', docId: 'notes', action: 'resolve', threadId: 't1' })).toBe(false);
+
+    const ws = join();
+    expect(connection.send({ type: 'comment', docId: 'notes', action: 'resolve', threadId: 't1' })).toBe(true);
+    expect(ws.messages('comment')).toEqual([{ type: 'comment', docId: 'notes', action: 'resolve', threadId: 't1' }]);
+
+    const ack = { type: 'comment-ack', docId: 'notes', action: 'resolve', threadId: 't1' };
+    ws.receive(ack);
+    expect(handlers.onCommentAck).toHaveBeenCalledWith(ack);
+});
+
+test('asks for a resync after being rate limited instead of reporting an error', () => {
+    const ws = join();
+    ws.sent = [];
+
+    ws.receive({ type: 'error', code: 'RATE_LIMITED', message: 'Rate limit exceeded', retryAfter: 200 });
+    ws.receive({ type: 'error', code: 'RATE_LIMITED', message: 'Rate limit exceeded', retryAfter: 200 });
+    expect(handlers.onError).not.toHaveBeenCalled();
+
+    // The dropped edit is still in the local doc
+    doc.getText('content').insert(0, 'dropped');
+    jest.advanceTimersByTime(199);
+    expect(ws.messages('sync-request')).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(ws.messages('sync-request')).toEqual([
+        { type: 'sync-request', docId: 'notes', stateVector: Array.from(Y.encodeStateVector(doc)) }
+    ]);
+});
+
+test('drops a pending resync when disconnected', () => {
+    const ws = join();
+    ws.receive({ type: 'error', code: 'RATE_LIMITED', message: 'Rate limit exceeded' });
+
+    connection.disconnect();
+    jest.advanceTimersByTime(60000);
+    expect(ws.messages('sync-request')).toEqual([]);
+});
+
+describe('with a Server-Sent Events fallback', () => {
+    beforeEach(() => {
+        connection.destroy();
+        FakeWebSocket.reset();
+        connection = new WebSocketConnection('ws://server', 'notes', doc, handlers, { fallbackUrl: 'http://server/sse' });
+    });
+
+    const failWebSocketHandshakes = () => {
+        FakeWebSocket.latest().refuse();
+        jest.advanceTimersByTime(500);
+        FakeWebSocket.latest().refuse();
+        jest.advanceTimersByTime(500);
+    };
+
+    test('switches to SSE after two failed WebSocket handshakes in a row', () => {
+        failWebSocketHandshakes();
+
+        expect(FakeWebSocket.instances).toHaveLength(2);
+        expect(FakeEventSource.latest().url).toBe('http://server/sse');
+        expect(connection.transport).toBe('sse');
+    });
+
+    test('joins over SSE like over a WebSocket and reports the transport', async () => {
+        global.fetch = jest.fn().mockResolvedValue({ ok: true });
+        failWebSocketHandshakes();
+
+        const source = FakeEventSource.latest();
+        source.open();
+        await Promise.resolve();
+        const [url, { body }] = global.fetch.mock.calls[0];
+        expect(url).toBe('http://server/sse/connection-token');
+        expect(JSON.parse(body)).toEqual([expect.objectContaining({ type: 'join', docId: 'notes' })]);
+
+        source.receive({ type: 'sync-step1', docId: 'notes', stateVector: [0] });
+        expect(handlers.onStatusChange).toHaveBeenLastCalledWith(true, 'sse');
+        connection.disconnect();
+        delete global.fetch;
+    });
+
+    test('a handshake that once worked is not a reason to switch', () => {
+        join().close();
+        jest.advanceTimersByTime(500);
+        FakeWebSocket.latest().refuse();
+        jest.advanceTimersByTime(1000);
+
+        expect(FakeEventSource.instances).toHaveLength(0);
+        expect(FakeWebSocket.instances).toHaveLength(3);
+    });
+
+    test('goes back to WebSockets when SSE fails as well', () => {
+        failWebSocketHandshakes();
+        FakeEventSource.latest().fail();
+        jest.advanceTimersByTime(1000);
+        FakeEventSource.latest().fail();
+        jest.advanceTimersByTime(500);
+
+        expect(FakeEventSource.instances).toHaveLength(2);
+        expect(FakeWebSocket.instances).toHaveLength(3);
+        expect(connection.transport).toBe('websocket');
+    });
+});
+
+test('keeps retrying the WebSocket without a fallback', () => {
+    FakeWebSocket.latest().refuse();
+    jest.advanceTimersByTime(500);
+    FakeWebSocket.latest().refuse();
+    jest.advanceTimersByTime(1000);
+
+    expect(FakeEventSource.instances).toHaveLength(0);
+    expect(FakeWebSocket.instances).toHaveLength(3);
+});
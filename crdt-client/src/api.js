@@ -0,0 +1,25 @@
+// REST calls to the collaboration server
+
+import { withCredentials } from './credentials';
+
+const WS_URL = process.env.REACT_APP_WS_URL || 'ws://localhost:3001';
+export const API_URL = process.env.REACT_APP_API_URL || WS_URL.replace(/^ws/, 'http');
+
+// URL of an API path for this client, credentials included
+export const apiUrl = (path, credentials) => withCredentials(`${API_URL}${path}`, credentials);
+
+// Call the API and resolve to the response; error statuses reject with the server's message
+export const fetchApi = async (path, credentials, init) => {
+    const response = await fetch(apiUrl(path, credentials), init);
+    if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw new Error(body?.error || `Request failed (${response.status})`);
+    }
+    return response;
+};
+
+// Call the API and resolve to its JSON body
+export const fetchJson = async (path, credentials, init) => {
+    const response = await fetchApi(path, credentials, init);
+    return response.json().catch(() => null);
+};
@@ -0,0 +1,35 @@
+import { apiUrl, fetchApi, fetchJson } from './api';
+
+const RealFetch = global.fetch;
+const credentials = { authToken: 'abc', shareToken: null, sessionId: 'tab-1' };
+
+afterEach(() => {
+    global.fetch = RealFetch;
+});
+
+test('builds URLs on the API server with the client\'s credentials', () => {
+    expect(apiUrl('/api/documents/notes/blame', credentials)).toBe('http://localhost:3001/api/documents/notes/blame?token=abc');
+});
+
+test('resolves to the JSON body', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ docId: 'notes' }) });
+
+    await expect(fetchJson('/api/documents/notes', credentials, { method: 'GET' })).resolves.toEqual({ docId: 'notes' });
+    expect(global.fetch).toHaveBeenCalledWith('http://localhost:3001/api/documents/notes?token=abc', { method: 'GET' });
+});
+
+test('rejects with the server\'s message, or the status without one', async () => {
+    global.fetch = jest.fn()
+        .mockResolvedValueOnce({ ok: false, status: 403, json: async () => ({ error: 'Requires viewer access to this document' }) })
+        .mockResolvedValueOnce({ ok: false, status: 502, json: async () => { throw new SyntaxError('Unexpected token'); } });
+
+    await expect(fetchJson('/api/documents/notes', credentials)).rejects.toThrow('Requires viewer access to this document');
+    await expect(fetchJson('/api/documents/notes', credentials)).rejects.toThrow('Request failed (502)');
+});
+
+test('hands over the response itself for bodies that are not JSON', async () => {
+    const response = { ok: true, blob: async () => new Blob(['text']) };
+    global.fetch = jest.fn().mockResolvedValue(response);
+
+    await expect(fetchApi('/api/documents/notes/export.txt', credentials)).resolves.toBe(response);
+});
@@ -0,0 +1,43 @@
+// How this client proves who it is to the server
+
+// Access token from ?token= or the build environment; null when the server runs without auth
+export const getAuthTokenFromLocation = () => {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('token') || process.env.REACT_APP_AUTH_TOKEN || null;
+};
+
+// Share link token from ?share=; it grants access to this one document
+export const getShareTokenFromLocation = () => {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('share');
+};
+
+// Stable id for this tab, so rejoining after a reconnect counts as the same session
+export const getSessionId = () => {
+    let sessionId = sessionStorage.getItem('crdt-session');
+    if (!sessionId) {
+        sessionId = `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        sessionStorage.setItem('crdt-session', sessionId);
+    }
+    return sessionId;
+};
+
+// Append the access token to a server URL
+export const withToken = (url, token) => {
+    if (!token) return url;
+    const withParams = new URL(url);
+    withParams.searchParams.set('token', token);
+    return withParams.toString();
+};
+
+// Append what REST calls need to act as this client. A share link stands in for
+// the user's own token, as it does when joining; the tab's session id keeps the
+// calls from using the link up.
+export const withCredentials = (url, { authToken, shareToken, sessionId }) => {
+    if (!shareToken) return withToken(url, authToken);
+
+    const withParams = new URL(url);
+    withParams.searchParams.set('share', shareToken);
+    withParams.searchParams.set('sessionId', sessionId);
+    return withParams.toString();
+};
@@ -0,0 +1,83 @@
+import { getAuthTokenFromLocation, getShareTokenFromLocation, getSessionId, withToken, withCredentials } from './credentials';
+
+const RealEnvToken = process.env.REACT_APP_AUTH_TOKEN;
+
+afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    if (RealEnvToken === undefined) {
+        delete process.env.REACT_APP_AUTH_TOKEN;
+    } else {
+        process.env.REACT_APP_AUTH_TOKEN = RealEnvToken;
+    }
+});
+
+describe('getAuthTokenFromLocation', () => {
+    test('reads the token from the page URL before the build environment', () => {
+        process.env.REACT_APP_AUTH_TOKEN = 'from-build';
+        window.history.replaceState(null, '', '/?doc=notes&token=from-url');
+        expect(getAuthTokenFromLocation()).toBe('from-url');
+
+        window.history.replaceState(null, '', '/?doc=notes');
+        expect(getAuthTokenFromLocation()).toBe('from-build');
+    });
+
+    test('is null when the server runs without auth', () => {
+        delete process.env.REACT_APP_AUTH_TOKEN;
+        expect(getAuthTokenFromLocation()).toBeNull();
+    });
+});
+
+describe('getShareTokenFromLocation', () => {
+    test('reads the share link token from the page URL', () => {
+        window.history.replaceState(null, '', '/?doc=notes&share=link-secret');
+        expect(getShareTokenFromLocation()).toBe('link-secret');
+
+        window.history.replaceState(null, '', '/?doc=notes');
+        expect(getShareTokenFromLocation()).toBeNull();
+    });
+});
+
+describe('getSessionId', () => {
+    beforeEach(() => {
+        sessionStorage.clear();
+    });
+
+    test('stays the same for the tab', () => {
+        const sessionId = getSessionId();
+        expect(sessionId).toMatch(/^session-/);
+        expect(getSessionId()).toBe(sessionId);
+    });
+
+    test('is new for a new tab', () => {
+        const first = getSessionId();
+        sessionStorage.clear();
+        expect(getSessionId()).not.toBe(first);
+    });
+});
+
+describe('withToken', () => {
+    test('adds the token next to the URL\'s own parameters', () => {
+        expect(withToken('ws://server:3001/?mode=ws', 'a.b c')).toBe('ws://server:3001/?mode=ws&token=a.b+c');
+    });
+
+    test('leaves the URL alone without a token', () => {
+        expect(withToken('ws://server:3001', null)).toBe('ws://server:3001');
+    });
+});
+
+describe('withCredentials', () => {
+    test('sends the access token when there is no share link', () => {
+        expect(withCredentials('http://server/api/documents/notes', { authToken: 'abc', shareToken: null, sessionId: 'tab-1' }))
+            .toBe('http://server/api/documents/notes?token=abc');
+    });
+
+    test('lets a share link stand in for the token, with the tab\'s session', () => {
+        expect(withCredentials('http://server/api/documents/notes', { authToken: 'abc', shareToken: 'link-secret', sessionId: 'tab-1' }))
+            .toBe('http://server/api/documents/notes?share=link-secret&sessionId=tab-1');
+    });
+
+    test('leaves the URL alone without either', () => {
+        expect(withCredentials('http://server/api/documents', { authToken: null, shareToken: null, sessionId: 'tab-1' }))
+            .toBe('http://server/api/documents');
+    });
+});
@@ -0,0 +1,99 @@
+// Stand-ins for the browser's sockets in tests: they record what the client
+// sends and let the test play the server's part
+
+export class FakeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    // Every socket opened since the last reset, oldest first
+    static instances = [];
+
+    static reset() {
+        FakeWebSocket.instances = [];
+    }
+
+    static latest() {
+        return FakeWebSocket.instances[FakeWebSocket.instances.length - 1];
+    }
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        FakeWebSocket.instances.push(this);
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        if (this.readyState === FakeWebSocket.CLOSED) return;
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose?.({});
+    }
+
+    // Server side: accept the handshake
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen?.();
+    }
+
+    // Server side: refuse the handshake
+    refuse() {
+        this.onerror?.(new Error('Handshake refused'));
+        this.close();
+    }
+
+    receive(message) {
+        this.onmessage?.({ data: JSON.stringify(message) });
+    }
+
+    // Messages sent so far, optionally only those of one type
+    messages(type) {
+        return type ? this.sent.filter(message => message.type === type) : this.sent;
+    }
+}
+
+export class FakeEventSource {
+    static instances = [];
+
+    static reset() {
+        FakeEventSource.instances = [];
+    }
+
+    static latest() {
+        return FakeEventSource.instances[FakeEventSource.instances.length - 1];
+    }
+
+    constructor(url) {
+        this.url = url;
+        this.closed = false;
+        this.listeners = {};
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    close() {
+        this.closed = true;
+    }
+
+    // Server side: announce the URL for the client's messages
+    open(endpoint = '/sse/connection-token') {
+        this.listeners.endpoint?.forEach(listener => listener({ data: endpoint }));
+    }
+
+    // Server side: the stream failed or could not be opened
+    fail() {
+        this.onerror?.(new Event('error'));
+    }
+
+    receive(message) {
+        this.onmessage?.({ data: JSON.stringify(message) });
+    }
+}
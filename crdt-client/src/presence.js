@@ -0,0 +1,68 @@
+// Who is in the document and where their cursors are, as published through awareness
+
+import * as Y from 'yjs';
+
+export const USER_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#14b8a6', '#f97316'];
+const USER_ANIMALS = ['Fox', 'Owl', 'Otter', 'Panda', 'Koala', 'Tiger', 'Falcon', 'Dolphin'];
+
+// Display name and color shown to other users, remembered across visits
+export const loadLocalUser = () => {
+    const stored = localStorage.getItem('crdt-user');
+    if (stored) {
+        try {
+            return JSON.parse(stored);
+        } catch (e) {
+            console.error('Failed to restore user:', e);
+        }
+    }
+
+    return {
+        name: `Anonymous ${USER_ANIMALS[Math.floor(Math.random() * USER_ANIMALS.length)]}`,
+        color: USER_COLORS[Math.floor(Math.random() * USER_COLORS.length)]
+    };
+};
+
+export const getInitials = (name) => name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('') || '?';
+
+// Resolve a cursor published as Yjs relative positions to text indexes
+export const resolveCursor = (doc, cursor) => {
+    if (!cursor || !cursor.anchor || !cursor.head) return null;
+
+    const anchor = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(cursor.anchor), doc);
+    const head = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(cursor.head), doc);
+    if (!anchor || !head) return null;
+
+    return { anchor: anchor.index, head: head.index };
+};
+
+// Everyone else in the document who has said who they are
+export const getPeers = (awareness) => {
+    const peers = [];
+    awareness.getStates().forEach((state, id) => {
+        if (id !== awareness.clientID && state.user) {
+            peers.push({ clientId: id, user: state.user, cursor: state.cursor || null });
+        }
+    });
+    return peers;
+};
+
+// Peers' cursors as text ranges, clamped to the text we are showing
+export const getRemoteCursors = (doc, peers, textLength) => peers
+    .map(peer => {
+        const cursor = resolveCursor(doc, peer.cursor);
+        if (!cursor) return null;
+        return {
+            clientId: peer.clientId,
+            name: peer.user.name,
+            color: peer.user.color,
+            head: Math.min(cursor.head, textLength),
+            start: Math.min(cursor.anchor, cursor.head, textLength),
+            end: Math.min(Math.max(cursor.anchor, cursor.head), textLength)
+        };
+    })
+    .filter(Boolean);
@@ -0,0 +1,102 @@
+import * as Y from 'yjs';
+import { Awareness, applyAwarenessUpdate, encodeAwarenessUpdate } from 'y-protocols/awareness';
+import { getInitials, getPeers, getRemoteCursors, loadLocalUser, resolveCursor } from './presence';
+
+// A cursor the way the editor publishes it: relative positions in the Y.Text
+const cursorAt = (ytext, anchor, head = anchor) => ({
+    anchor: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, anchor)),
+    head: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, head))
+});
+
+beforeEach(() => {
+    localStorage.clear();
+});
+
+describe('loadLocalUser', () => {
+    test('restores the remembered user', () => {
+        localStorage.setItem('crdt-user', JSON.stringify({ name: 'Ada', color: '#3b82f6' }));
+        expect(loadLocalUser()).toEqual({ name: 'Ada', color: '#3b82f6' });
+    });
+
+    test('makes up an anonymous user the first time', () => {
+        const user = loadLocalUser();
+        expect(user.name).toMatch(/^Anonymous \w+$/);
+        expect(user.color).toMatch(/^#[0-9a-f]{6}$/);
+    });
+
+    test('makes up a new user when the stored one is unreadable', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        localStorage.setItem('crdt-user', '{not json');
+
+        expect(loadLocalUser().name).toMatch(/^Anonymous /);
+        expect(console.error).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+});
+
+test.each([
+    ['Ada Lovelace', 'AL'],
+    ['grace brewster hopper', 'GB'],
+    ['  Linus  ', 'L'],
+    ['', '?']
+])('the initials of %j are %j', (name, initials) => {
+    expect(getInitials(name)).toBe(initials);
+});
+
+describe('resolveCursor', () => {
+    test('follows the text the cursor was placed in', () => {
+        const doc = new Y.Doc();
+        const ytext = doc.getText('content');
+        ytext.insert(0, 'hello world');
+        const cursor = cursorAt(ytext, 6, 11);
+
+        ytext.insert(0, '>> ');
+        expect(resolveCursor(doc, cursor)).toEqual({ anchor: 9, head: 14 });
+    });
+
+    test('is null when there is no cursor to show', () => {
+        const doc = new Y.Doc();
+        expect(resolveCursor(doc, null)).toBeNull();
+        expect(resolveCursor(doc, { anchor: null, head: null })).toBeNull();
+    });
+});
+
+describe('getPeers', () => {
+    test('lists the other users, not ourselves or states without a user', () => {
+        const local = new Awareness(new Y.Doc());
+        local.setLocalState({ user: { name: 'Me' } });
+
+        const remote = new Awareness(new Y.Doc());
+        remote.setLocalState({ user: { name: 'Ada', color: '#f00' } });
+        const silent = new Awareness(new Y.Doc());
+        silent.setLocalState({ cursor: null });
+
+        applyAwarenessUpdate(local, encodeAwarenessUpdate(remote, [remote.clientID]), 'remote');
+        applyAwarenessUpdate(local, encodeAwarenessUpdate(silent, [silent.clientID]), 'remote');
+
+        expect(getPeers(local)).toEqual([
+            { clientId: remote.clientID, user: { name: 'Ada', color: '#f00' }, cursor: null }
+        ]);
+    });
+});
+
+describe('getRemoteCursors', () => {
+    test('turns peers into ordered, clamped ranges and skips those without a cursor', () => {
+        const doc = new Y.Doc();
+        const ytext = doc.getText('content');
+        ytext.insert(0, 'hello world');
+
+        const peers = [
+            { clientId: 1, user: { name: 'Ada', color: '#f00' }, cursor: cursorAt(ytext, 11, 6) },
+            { clientId: 2, user: { name: 'Bob', color: '#0f0' }, cursor: null }
+        ];
+
+        expect(getRemoteCursors(doc, peers, 11)).toEqual([
+            { clientId: 1, name: 'Ada', color: '#f00', head: 6, start: 6, end: 11 }
+        ]);
+        // The textarea may still show a shorter text than the document has
+        expect(getRemoteCursors(doc, peers, 8)).toEqual([
+            { clientId: 1, name: 'Ada', color: '#f00', head: 6, start: 6, end: 8 }
+        ]);
+    });
+});
@@ -0,0 +1,48 @@
+// Helpers that keep the textarea and its Y.Text in step
+
+// Minimal single-range diff between two strings (common prefix/suffix)
+export const diffText = (oldText, newText) => {
+    const minLength = Math.min(oldText.length, newText.length);
+    let start = 0;
+    while (start < minLength && oldText[start] === newText[start]) {
+        start++;
+    }
+
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    return {
+        index: start,
+        deleteCount: oldEnd - start,
+        insertText: newText.slice(start, newEnd)
+    };
+};
+
+// Map a position in the old text through a Y.Text delta
+export const transformPosition = (position, delta) => {
+    let index = 0;
+    let shift = 0;
+
+    for (const op of delta) {
+        if (index > position) break;
+
+        if (op.retain) {
+            index += op.retain;
+        } else if (op.insert) {
+            if (index < position) {
+                shift += typeof op.insert === 'string' ? op.insert.length : 1;
+            }
+        } else if (op.delete) {
+            if (index < position) {
+                shift -= Math.min(op.delete, position - index);
+            }
+            index += op.delete;
+        }
+    }
+
+    return position + shift;
+};
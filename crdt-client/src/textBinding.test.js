@@ -0,0 +1,99 @@
+import * as Y from 'yjs';
+import { diffText, transformPosition } from './textBinding';
+
+// Apply a diff the way the editor applies it to the Y.Text
+const applyDiff = (text, { index, deleteCount, insertText }) =>
+    text.slice(0, index) + insertText + text.slice(index + deleteCount);
+
+// The delta a Y.Text observer sees when `change` runs on `initial`
+const deltaOf = (initial, change) => {
+    const doc = new Y.Doc();
+    const ytext = doc.getText('content');
+    ytext.insert(0, initial);
+
+    let delta;
+    ytext.observe(event => {
+        delta = event.delta;
+    });
+    change(ytext);
+    return delta;
+};
+
+describe('diffText', () => {
+    test.each([
+        ['insert at the start', 'world', 'hello world', { index: 0, deleteCount: 0, insertText: 'hello ' }],
+        ['insert at the end', 'hello', 'hello world', { index: 5, deleteCount: 0, insertText: ' world' }],
+        ['delete at the start', 'hello world', 'world', { index: 0, deleteCount: 6, insertText: '' }],
+        ['delete at the end', 'hello world', 'hello', { index: 5, deleteCount: 6, insertText: '' }],
+        ['replacement in the middle', 'the red fox', 'the blue fox', { index: 4, deleteCount: 3, insertText: 'blue' }],
+        ['everything replaced', 'abc', 'xyz', { index: 0, deleteCount: 3, insertText: 'xyz' }],
+        ['no change', 'same', 'same', { index: 4, deleteCount: 0, insertText: '' }]
+    ])('%s', (name, oldText, newText, expected) => {
+        expect(diffText(oldText, newText)).toEqual(expected);
+    });
+
+    test('never lets the prefix and suffix overlap on repeated characters', () => {
+        expect(diffText('aaa', 'aaaa')).toEqual({ index: 3, deleteCount: 0, insertText: 'a' });
+        expect(diffText('aaaa', 'aa')).toEqual({ index: 2, deleteCount: 2, insertText: '' });
+        expect(diffText('abab', 'ab')).toEqual({ index: 2, deleteCount: 2, insertText: '' });
+        expect(diffText('abcabc', 'abcXabc')).toEqual({ index: 3, deleteCount: 0, insertText: 'X' });
+    });
+
+    test.each([
+        ['', 'typed into an empty editor'],
+        ['cleared', ''],
+        ['mississippi', 'missippi'],
+        ['ab\nab\n', 'ab\n\nab\n'],
+        ['🙂🙂', '🙂x🙂']
+    ])('turns %j into %j', (oldText, newText) => {
+        expect(applyDiff(oldText, diffText(oldText, newText))).toBe(newText);
+    });
+});
+
+describe('transformPosition', () => {
+    test('moves a caret after a remote insert before it', () => {
+        const delta = deltaOf('hello world', text => text.insert(0, '>> '));
+        expect(transformPosition(8, delta)).toBe(11);
+    });
+
+    test('keeps a caret before or at a remote insert where it is', () => {
+        const delta = deltaOf('hello world', text => text.insert(5, ','));
+        expect(transformPosition(2, delta)).toBe(2);
+        expect(transformPosition(5, delta)).toBe(5);
+        expect(transformPosition(6, delta)).toBe(7);
+    });
+
+    test('keeps a caret before a remote delete where it is', () => {
+        const delta = deltaOf('hello world', text => text.delete(6, 5));
+        expect(transformPosition(3, delta)).toBe(3);
+        expect(transformPosition(6, delta)).toBe(6);
+    });
+
+    test('moves a caret inside a remote delete to where the deleted text was', () => {
+        const delta = deltaOf('hello world', text => text.delete(2, 6));
+        expect(transformPosition(3, delta)).toBe(2);
+        expect(transformPosition(7, delta)).toBe(2);
+    });
+
+    test('moves a caret after a remote delete back by the deleted length', () => {
+        const delta = deltaOf('hello world', text => text.delete(2, 6));
+        expect(transformPosition(8, delta)).toBe(2);
+        expect(transformPosition(11, delta)).toBe(5);
+    });
+
+    test('follows a remote replacement', () => {
+        const delta = deltaOf('the red fox', text => {
+            text.doc.transact(() => {
+                text.delete(4, 3);
+                text.insert(4, 'blue');
+            });
+        });
+        expect(transformPosition(2, delta)).toBe(2);
+        expect(transformPosition(5, delta)).toBe(4);
+        expect(transformPosition(9, delta)).toBe(10);
+    });
+
+    test('leaves the caret alone when the delta is empty', () => {
+        expect(transformPosition(4, [])).toBe(4);
+    });
+});
@@ -0,0 +1,203 @@
+// attribution.js - Who wrote which part of a document
+//
+// Every piece of Yjs content is identified by (client, clock): the id of the
+// Y.Doc that created it and a counter that only grows. For each Yjs client we
+// keep runs of clocks with the author that sent them and when:
+//
+//   clients: { [client]: [[clock, length, authorId, time], ...] }   (sorted by clock)
+//   authors: { [authorId]: { id, name, color } }
+//
+// Consecutive edits by the same author within MERGE_WINDOW share one run, so
+// a typing session costs a single entry.
+
+const Y = require('yjs');
+
+const MERGE_WINDOW = 60 * 1000;
+
+/**
+ * The visible text as [{ id, str }], one entry per Yjs item, where `id` is the
+ * (client, clock) of the item's first character.
+ *
+ * Diffing against the empty snapshot marks every item as added and hands its
+ * id to the ychange callback. The callback's `user` never matches an item's
+ * client, so Yjs does not merge neighbouring items into one insert.
+ */
+function pieces(ytext) {
+    const delta = ytext.toDelta(undefined, Y.emptySnapshot, (type, id) => ({ type, user: null, id }));
+    return delta
+        .filter(op => typeof op.insert === 'string')
+        .map(op => ({ id: op.attributes.ychange.id, str: op.insert }));
+}
+
+class Attribution {
+    constructor() {
+        this.clients = new Map(); // client -> runs
+        this.authors = new Map(); // authorId -> author
+        this.dirty = false;
+    }
+
+    /**
+     * Record the content created by an update. Returns the new runs as
+     * [client, clock, length, authorId, time] so they can be shared.
+     */
+    record(update, author, time = Date.now()) {
+        this.addAuthor(author);
+
+        const added = [];
+        Y.decodeUpdate(update).structs.forEach(struct => {
+            if (!(struct instanceof Y.Item)) return;
+
+            const { client, clock } = struct.id;
+            if (this.addRun(client, clock, struct.length, author.id, time)) {
+                added.push([client, clock, struct.length, author.id, time]);
+            }
+        });
+        return added;
+    }
+
+    addAuthor(author) {
+        const known = this.authors.get(author.id);
+        if (known && known.name === author.name && known.color === author.color) return;
+
+        this.authors.set(author.id, { id: author.id, name: author.name || author.id, color: author.color || null });
+        this.dirty = true;
+    }
+
+    /**
+     * Attribute clocks [clock, clock + length) of a client unless already known.
+     * Content is attributed to whoever first delivered it.
+     */
+    addRun(client, clock, length, authorId, time) {
+        if (!this.clients.has(client)) {
+            this.clients.set(client, []);
+        }
+        const runs = this.clients.get(client);
+        const last = runs[runs.length - 1];
+        const end = last ? last[0] + last[1] : 0;
+
+        // Clocks of a client arrive in order; anything below `end` is known
+        if (clock + length <= end) return false;
+        if (clock < end) {
+            length -= end - clock;
+            clock = end;
+        }
+
+        if (last && end === clock && last[2] === authorId && time - last[3] < MERGE_WINDOW) {
+            last[1] += length;
+        } else {
+            runs.push([clock, length, authorId, time]);
+        }
+        this.dirty = true;
+        return true;
+    }
+
+    /**
+     * Merge runs and authors recorded elsewhere (another instance, storage)
+     */
+    merge({ authors = {}, runs = [] }) {
+        Object.values(authors).forEach(author => this.addAuthor(author));
+        runs.forEach(([client, clock, length, authorId, time]) => {
+            this.addRun(client, clock, length, authorId, time);
+        });
+    }
+
+    /**
+     * The run containing a clock, or the gap up to the next known run
+     */
+    runAt(client, clock) {
+        const runs = this.clients.get(client) || [];
+        let low = 0;
+        let high = runs.length - 1;
+
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            const [start, length] = runs[middle];
+            if (clock < start) {
+                high = middle - 1;
+            } else if (clock >= start + length) {
+                low = middle + 1;
+            } else {
+                const [, , authorId, time] = runs[middle];
+                return { end: start + length, authorId, time };
+            }
+        }
+
+        return { end: low < runs.length ? runs[low][0] : Infinity, authorId: null, time: null };
+    }
+
+    /**
+     * Split the text into ranges by author: [{ start, end, text, author, time }]
+     */
+    blame(ytext) {
+        const ranges = [];
+        let index = 0;
+
+        pieces(ytext).forEach(({ id: { client, clock }, str }) => {
+            let offset = 0;
+
+            while (offset < str.length) {
+                const run = this.runAt(client, clock + offset);
+                const length = Math.min(str.length - offset, run.end - (clock + offset));
+                const previous = ranges[ranges.length - 1];
+
+                if (previous && previous.author === run.authorId && previous.time === run.time) {
+                    previous.end += length;
+                    previous.text += str.slice(offset, offset + length);
+                } else {
+                    ranges.push({
+                        start: index,
+                        end: index + length,
+                        text: str.slice(offset, offset + length),
+                        author: run.authorId,
+                        time: run.time
+                    });
+                }
+
+                index += length;
+                offset += length;
+            }
+        });
+
+        return ranges;
+    }
+
+    /**
+     * Every run as [client, clock, length, authorId, time]
+     */
+    runs() {
+        const runs = [];
+        this.clients.forEach((clientRuns, client) => {
+            clientRuns.forEach(run => runs.push([client, ...run]));
+        });
+        return runs;
+    }
+
+    toJSON() {
+        const clients = {};
+        this.clients.forEach((runs, client) => {
+            clients[client] = runs;
+        });
+        return { authors: Object.fromEntries(this.authors), clients };
+    }
+
+    /**
+     * Load stored attribution underneath whatever was recorded meanwhile
+     */
+    load(data) {
+        if (!data) return;
+
+        const recorded = { authors: Object.fromEntries(this.authors), runs: this.runs() };
+        const dirty = this.dirty;
+        this.clients.clear();
+
+        const stored = [];
+        Object.entries(data.clients || {}).forEach(([client, runs]) => {
+            runs.forEach(run => stored.push([Number(client), ...run]));
+        });
+        this.merge({ authors: data.authors, runs: stored });
+        this.merge(recorded);
+        this.dirty = dirty;
+    }
+}
+
+module.exports = { Attribution };
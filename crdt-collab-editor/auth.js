@@ -0,0 +1,134 @@
+// auth.js - Signed access tokens and per-document roles
+//
+// Tokens are JWTs signed with HMAC-SHA256 (HS256). The payload carries the
+// user and the role they hold on each document:
+//
+//   { "sub": "alice", "name": "Alice", "docs": { "design-notes": "owner", "*": "viewer" }, "exp": 1767225600 }
+//
+// "*" applies to every document without an entry of its own. `exp` (seconds
+// since the epoch) is optional.
+
+const crypto = require('crypto');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64url');
+}
+
+function sign(data, secret) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+/**
+ * Create a token for the given payload
+ */
+function signToken(payload, secret) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(payload));
+    return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+}
+
+/**
+ * Check signature and expiry; returns the payload or null
+ */
+function verifyToken(token, secret) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, body, signature] = parts;
+    const expected = Buffer.from(sign(`${header}.${body}`, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    try {
+        const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+        const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+
+        if (alg !== 'HS256' || typeof payload.sub !== 'string') return null;
+        if (payload.exp && payload.exp * 1000 < Date.now()) return null;
+
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Turn a verified payload into the user attached to sockets and requests
+ */
+function createUser(payload) {
+    const docs = {};
+    Object.entries(payload.docs || {}).forEach(([docId, role]) => {
+        if (ROLES.includes(role)) {
+            docs[docId] = role;
+        }
+    });
+
+    return {
+        id: payload.sub,
+        name: payload.name || payload.sub,
+        docs
+    };
+}
+
+/**
+ * Role the user holds on a document, or null without access
+ */
+function roleFor(user, docId) {
+    if (!user) return null;
+    return user.docs[docId] || user.docs['*'] || null;
+}
+
+/**
+ * Whether a role is at least as privileged as the required one
+ */
+function hasRole(role, required) {
+    return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Token from an "Authorization: Bearer" header or a ?token= query parameter
+ */
+function extractToken(req) {
+    const header = req.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+        return header.slice('Bearer '.length).trim();
+    }
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+// Issue a token from the command line:
+//   node auth.js <userId> <docId>=<role> [<docId>=<role> ...]
+if (require.main === module) {
+    const [userId, ...grants] = process.argv.slice(2);
+    const secret = process.env.AUTH_SECRET;
+
+    if (!userId || !secret) {
+        console.error('Usage: AUTH_SECRET=... node auth.js <userId> <docId>=<role> ...');
+        process.exit(1);
+    }
+
+    const docs = {};
+    grants.forEach(grant => {
+        const index = grant.lastIndexOf('=');
+        docs[grant.slice(0, index)] = grant.slice(index + 1);
+    });
+
+    console.log(signToken({ sub: userId, docs }, secret));
+}
+
+module.exports = {
+    ROLES,
+    signToken,
+    verifyToken,
+    createUser,
+    roleFor,
+    hasRole,
+    extractToken
+};
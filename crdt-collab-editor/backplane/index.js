@@ -0,0 +1,51 @@
+// backplane/index.js - Fan-out between server instances
+//
+// Every instance that has a document loaded subscribes to it; Yjs updates and
+// awareness changes are published so clients connected to other instances see
+// them. Messages look like
+//
+//   { type, from, payload }
+//
+// where `type` is 'update', 'awareness', 'sync-step1', 'sync-step2',
+// 'attribution' (JSON) or 'deleted', `from` is the sending instance id and
+// `payload` a Uint8Array.
+// An instance never receives its own messages.
+//
+// Backplanes implement:
+//
+//   subscribe(docId, handler)          -> handler(message) for messages of other instances
+//   unsubscribe(docId)
+//   publish(docId, message)            -> `from` is filled in by the backplane
+//   claimOwnership(docId, ttl)         -> true when this instance owns the document for
+//                                         the next `ttl` ms (takes it if free, renews it if ours)
+//   releaseOwnership(docId)            -> give it up, if ours
+//   close()
+//
+// Only the owner of a document writes it to persistence.
+
+const crypto = require('crypto');
+const { LoopbackBackplane } = require('./loopback');
+
+/**
+ * Create the backplane selected by configuration
+ */
+function createBackplane({ adapter = 'loopback', instanceId = generateInstanceId(), redisUrl }) {
+    switch (adapter) {
+        case 'loopback':
+            return new LoopbackBackplane({ instanceId });
+
+        case 'redis': {
+            const { RedisBackplane } = require('./redis');
+            return new RedisBackplane({ instanceId, url: redisUrl });
+        }
+
+        default:
+            throw new Error(`Unknown backplane adapter: ${adapter}`);
+    }
+}
+
+function generateInstanceId() {
+    return `instance-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+module.exports = { createBackplane, generateInstanceId };
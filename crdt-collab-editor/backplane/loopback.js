@@ -0,0 +1,73 @@
+// backplane/loopback.js - Backplane between instances in the same process
+//
+// A single server simply talks to itself (it is always the owner). Tests can
+// run several instances side by side on one hub.
+
+class LoopbackHub {
+    constructor() {
+        this.subscribers = new Map(); // docId -> Map(instanceId -> handler)
+        this.owners = new Map(); // docId -> { instanceId, expiresAt }
+    }
+}
+
+const defaultHub = new LoopbackHub();
+
+class LoopbackBackplane {
+    constructor({ instanceId, hub = defaultHub }) {
+        this.instanceId = instanceId;
+        this.hub = hub;
+    }
+
+    subscribe(docId, handler) {
+        if (!this.hub.subscribers.has(docId)) {
+            this.hub.subscribers.set(docId, new Map());
+        }
+        this.hub.subscribers.get(docId).set(this.instanceId, handler);
+    }
+
+    unsubscribe(docId) {
+        const subscribers = this.hub.subscribers.get(docId);
+        if (!subscribers) return;
+
+        subscribers.delete(this.instanceId);
+        if (subscribers.size === 0) {
+            this.hub.subscribers.delete(docId);
+        }
+    }
+
+    async publish(docId, { type, payload }) {
+        const subscribers = this.hub.subscribers.get(docId);
+        if (!subscribers) return;
+
+        // Delivered asynchronously like a real broker would
+        subscribers.forEach((handler, instanceId) => {
+            if (instanceId === this.instanceId) return;
+            const message = { type, from: this.instanceId, payload: payload && Uint8Array.from(payload) };
+            setImmediate(() => handler(message));
+        });
+    }
+
+    async claimOwnership(docId, ttl) {
+        const owner = this.hub.owners.get(docId);
+        if (owner && owner.instanceId !== this.instanceId && owner.expiresAt > Date.now()) {
+            return false;
+        }
+
+        this.hub.owners.set(docId, { instanceId: this.instanceId, expiresAt: Date.now() + ttl });
+        return true;
+    }
+
+    async releaseOwnership(docId) {
+        const owner = this.hub.owners.get(docId);
+        if (owner && owner.instanceId === this.instanceId) {
+            this.hub.owners.delete(docId);
+        }
+    }
+
+    async close() {
+        this.hub.subscribers.forEach((subscribers, docId) => this.unsubscribe(docId));
+        this.hub.owners.forEach((owner, docId) => this.releaseOwnership(docId));
+    }
+}
+
+module.exports = { LoopbackBackplane, LoopbackHub };
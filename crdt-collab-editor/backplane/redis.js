@@ -0,0 +1,314 @@
+// backplane/redis.js - Backplane over Redis pub/sub
+//
+// Speaks RESP directly over TCP, so anything that implements the commands
+// used here (SUBSCRIBE, UNSUBSCRIBE, PUBLISH, SET NX PX, EVAL) works as the
+// broker. One connection carries commands, a second one sits in subscribe
+// mode. Both reconnect on their own; subscriptions are restored.
+//
+// Channels are `<prefix>:doc:<docId>`, ownership keys `<prefix>:owner:<docId>`.
+
+const net = require('net');
+const { EventEmitter } = require('events');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 10000;
+
+// Ownership changes that depend on the current owner run as scripts, so no
+// other instance can take the key between the check and the change
+const RENEW_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+class RedisError extends Error {}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+function encodeCommand(args) {
+    const parts = [Buffer.from(`*${args.length}\r\n`)];
+    args.forEach(arg => {
+        const data = Buffer.isBuffer(arg) || arg instanceof Uint8Array ? Buffer.from(arg) : Buffer.from(String(arg));
+        parts.push(Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n'));
+    });
+    return Buffer.concat(parts);
+}
+
+/**
+ * Parse one RESP reply starting at offset. Returns { value, offset } or null
+ * when the buffer does not hold a complete reply yet. Bulk strings stay Buffers.
+ */
+function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const prefix = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+        case '+':
+            return { value: line, offset: next };
+
+        case '-':
+            return { value: new RedisError(line), offset: next };
+
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) return { value: null, offset: next };
+            if (buffer.length < next + length + 2) return null;
+            return { value: buffer.subarray(next, next + length), offset: next + length + 2 };
+        }
+
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) return { value: null, offset: next };
+
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) return null;
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+
+        default:
+            throw new RedisError(`Unexpected RESP type: ${prefix}`);
+    }
+}
+
+/**
+ * A single RESP connection with a FIFO of pending commands. Pub/sub pushes
+ * are emitted as 'message' (channel, payload); 'ready' fires on every connect.
+ */
+class RedisConnection extends EventEmitter {
+    constructor(url) {
+        super();
+        const { hostname, port, password, pathname } = new URL(url);
+        this.host = hostname || '127.0.0.1';
+        this.port = parseInt(port, 10) || 6379;
+        this.password = password ? decodeURIComponent(password) : null;
+        this.db = pathname && pathname.length > 1 ? parseInt(pathname.slice(1), 10) : 0;
+
+        this.socket = null;
+        this.connected = false;
+        this.closing = false;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+        this.reconnectAttempts = 0;
+        this.reconnectTimeout = null;
+
+        this.connect();
+    }
+
+    connect() {
+        const socket = net.connect({ host: this.host, port: this.port });
+        this.socket = socket;
+
+        socket.on('connect', () => {
+            this.connected = true;
+            this.reconnectAttempts = 0;
+
+            // Session setup goes out before anything queued by 'ready' listeners
+            if (this.password) this.command('AUTH', this.password).catch(error => this.emit('error', error));
+            if (this.db) this.command('SELECT', this.db).catch(error => this.emit('error', error));
+            this.emit('ready');
+        });
+
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.processBuffer();
+        });
+
+        socket.on('error', (error) => {
+            this.emit('error', error);
+        });
+
+        socket.on('close', () => {
+            this.connected = false;
+            this.buffer = Buffer.alloc(0);
+
+            const pending = this.pending;
+            this.pending = [];
+            pending.forEach(({ reject }) => reject(new RedisError('Connection closed')));
+
+            if (!this.closing) {
+                const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY);
+                this.reconnectAttempts++;
+                this.reconnectTimeout = setTimeout(() => this.connect(), delay);
+            }
+        });
+    }
+
+    processBuffer() {
+        let reply;
+        while ((reply = parseReply(this.buffer)) !== null) {
+            this.buffer = this.buffer.subarray(reply.offset);
+            const { value } = reply;
+
+            if (Array.isArray(value) && value.length === 3 && String(value[0]) === 'message') {
+                this.emit('message', String(value[1]), value[2]);
+                continue;
+            }
+
+            const command = this.pending.shift();
+            if (!command) continue;
+
+            if (value instanceof RedisError) {
+                command.reject(value);
+            } else {
+                command.resolve(value);
+            }
+        }
+    }
+
+    command(...args) {
+        if (!this.connected) {
+            return Promise.reject(new RedisError('Not connected'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    close() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimeout);
+        if (this.socket) {
+            this.socket.end();
+        }
+    }
+}
+
+function encodeMessage({ type, from, payload }) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarString(encoder, type);
+    encoding.writeVarString(encoder, from);
+    encoding.writeVarUint8Array(encoder, payload || new Uint8Array(0));
+    return encoding.toUint8Array(encoder);
+}
+
+function decodeMessage(data) {
+    const decoder = decoding.createDecoder(new Uint8Array(data));
+    return {
+        type: decoding.readVarString(decoder),
+        from: decoding.readVarString(decoder),
+        payload: decoding.readVarUint8Array(decoder)
+    };
+}
+
+class RedisBackplane {
+    constructor({ instanceId, url = 'redis://127.0.0.1:6379', prefix = 'crdt' }) {
+        this.instanceId = instanceId;
+        this.prefix = prefix;
+        this.handlers = new Map(); // channel -> handler
+
+        this.commands = new RedisConnection(url);
+        this.subscriber = new RedisConnection(url);
+
+        [this.commands, this.subscriber].forEach(connection => {
+            connection.on('error', (error) => {
+                console.error('Redis backplane error:', error.message);
+            });
+        });
+
+        // Restore subscriptions after every (re)connect; one channel per command
+        // so every command gets exactly one confirmation
+        this.subscriber.on('ready', () => {
+            this.handlers.forEach((handler, channel) => {
+                this.subscriber.command('SUBSCRIBE', channel)
+                    .catch(error => console.error(`Redis subscribe to ${channel} failed:`, error.message));
+            });
+        });
+
+        this.subscriber.on('message', (channel, data) => {
+            const handler = this.handlers.get(channel);
+            if (!handler) return;
+
+            let message;
+            try {
+                message = decodeMessage(data);
+            } catch (error) {
+                console.error(`Invalid backplane message on ${channel}:`, error.message);
+                return;
+            }
+
+            if (message.from !== this.instanceId) {
+                handler(message);
+            }
+        });
+    }
+
+    channel(docId) {
+        return `${this.prefix}:doc:${docId}`;
+    }
+
+    ownerKey(docId) {
+        return `${this.prefix}:owner:${docId}`;
+    }
+
+    subscribe(docId, handler) {
+        const channel = this.channel(docId);
+        this.handlers.set(channel, handler);
+
+        // While disconnected the 'ready' handler subscribes later
+        if (this.subscriber.connected) {
+            this.subscriber.command('SUBSCRIBE', channel)
+                .catch(error => console.error(`Redis subscribe to ${channel} failed:`, error.message));
+        }
+    }
+
+    unsubscribe(docId) {
+        const channel = this.channel(docId);
+        this.handlers.delete(channel);
+
+        if (this.subscriber.connected) {
+            this.subscriber.command('UNSUBSCRIBE', channel)
+                .catch(error => console.error(`Redis unsubscribe from ${channel} failed:`, error.message));
+        }
+    }
+
+    async publish(docId, { type, payload }) {
+        const data = encodeMessage({ type, from: this.instanceId, payload });
+        await this.commands.command('PUBLISH', this.channel(docId), data);
+    }
+
+    async claimOwnership(docId, ttl) {
+        const key = this.ownerKey(docId);
+
+        const taken = await this.commands.command('SET', key, this.instanceId, 'NX', 'PX', ttl);
+        if (taken === 'OK') {
+            return true;
+        }
+
+        // Renew only if the key is still ours
+        const renewed = await this.commands.command('EVAL', RENEW_SCRIPT, 1, key, this.instanceId, ttl);
+        return renewed === 1;
+    }
+
+    async releaseOwnership(docId) {
+        await this.commands.command('EVAL', RELEASE_SCRIPT, 1, this.ownerKey(docId), this.instanceId);
+    }
+
+    async close() {
+        this.commands.close();
+        this.subscriber.close();
+    }
+}
+
+module.exports = { RedisBackplane, RedisConnection, encodeCommand, parseReply, RENEW_SCRIPT, RELEASE_SCRIPT };
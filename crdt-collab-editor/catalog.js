@@ -0,0 +1,155 @@
+// catalog.js - Metadata of every stored document, and queries over it
+//
+// Each document has one metadata record, kept current by its DocumentManager
+// and stored through the persistence adapter:
+//
+//   { docId, title, description, tags, createdAt, createdBy, updatedAt, length, size, forkedFrom }
+//
+// createdBy is { id, name } of whoever created the document. Documents stored
+// before metadata existed have null times and creator until they are edited.
+// length is the text length in characters, size the encoded state in bytes.
+// forkedFrom is null, or for a fork { docId, forkedAt, mergedAt, mergedBy }
+// naming the document it was copied from and when it was last merged back.
+
+const SORT_FIELDS = ['title', 'createdAt', 'updatedAt', 'size', 'length'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+
+function createMetadata(docId, { title = null, description = null, tags = [], createdAt = null, createdBy = null, forkedFrom = null } = {}) {
+    return {
+        docId,
+        title: title || docId,
+        description,
+        tags,
+        createdAt,
+        createdBy,
+        updatedAt: createdAt,
+        length: 0,
+        size: 0,
+        forkedFrom
+    };
+}
+
+/**
+ * Check the editable fields of a request body. Returns { fields } with the
+ * ones present, or { error }.
+ */
+function validateMetadata({ title, description, tags }) {
+    const fields = {};
+
+    if (title !== undefined) {
+        if (typeof title !== 'string' || title.trim().length === 0 || title.length > MAX_TITLE_LENGTH) {
+            return { error: `title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` };
+        }
+        fields.title = title.trim();
+    }
+
+    if (description !== undefined) {
+        if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+            return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters, or null` };
+        }
+        fields.description = description;
+    }
+
+    if (tags !== undefined) {
+        if (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+            !tags.every(tag => typeof tag === 'string' && tag.length > 0 && tag.length <= MAX_TAG_LENGTH)) {
+            return { error: `tags must be a list of at most ${MAX_TAGS} strings of up to ${MAX_TAG_LENGTH} characters` };
+        }
+        fields.tags = Array.from(new Set(tags));
+    }
+
+    return { fields };
+}
+
+/**
+ * Parse list query parameters. Returns { query } or { error }.
+ *
+ *   q             title contains this, case-insensitive
+ *   owner         createdBy.id
+ *   tag           has this tag
+ *   forkOf        forked from this document
+ *   updatedAfter  updated at or after this time (ms or ISO date)
+ *   sort          one of SORT_FIELDS (default updatedAt)
+ *   order         asc | desc (default asc for title, desc otherwise)
+ *   limit, offset page of the sorted result
+ */
+function parseCatalogQuery({ q, owner, tag, forkOf, updatedAfter, sort = 'updatedAt', order, limit, offset }) {
+    if (!SORT_FIELDS.includes(sort)) {
+        return { error: `sort must be one of ${SORT_FIELDS.join(', ')}` };
+    }
+    if (order !== undefined && order !== 'asc' && order !== 'desc') {
+        return { error: 'order must be asc or desc' };
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    const start = offset === undefined ? 0 : Number(offset);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+        return { error: `limit must be an integer from 1 to ${MAX_LIMIT}` };
+    }
+    if (!Number.isInteger(start) || start < 0) {
+        return { error: 'offset must be a non-negative integer' };
+    }
+
+    let after = null;
+    if (updatedAfter !== undefined) {
+        after = /^\d+$/.test(updatedAfter) ? Number(updatedAfter) : Date.parse(updatedAfter);
+        if (!Number.isFinite(after)) {
+            return { error: 'updatedAfter must be a timestamp in ms or an ISO date' };
+        }
+    }
+
+    return {
+        query: {
+            q: typeof q === 'string' && q.trim() ? q.trim().toLowerCase() : null,
+            owner: typeof owner === 'string' ? owner : null,
+            tag: typeof tag === 'string' ? tag : null,
+            forkOf: typeof forkOf === 'string' ? forkOf : null,
+            updatedAfter: after,
+            sort,
+            order: order || (sort === 'title' ? 'asc' : 'desc'),
+            limit: pageSize,
+            offset: start
+        }
+    };
+}
+
+/**
+ * Filter, sort and page metadata records: { documents, total, limit, offset }
+ */
+function queryCatalog(entries, { q, owner, tag, forkOf, updatedAfter, sort, order, limit, offset }) {
+    const matches = entries.filter(entry =>
+        (!q || (entry.title || entry.docId).toLowerCase().includes(q)) &&
+        (!owner || (entry.createdBy && entry.createdBy.id === owner)) &&
+        (!tag || (entry.tags || []).includes(tag)) &&
+        (!forkOf || (entry.forkedFrom && entry.forkedFrom.docId === forkOf)) &&
+        (updatedAfter === null || (entry.updatedAt !== null && entry.updatedAt >= updatedAfter))
+    );
+
+    // Records without a value (old documents) go last in either order
+    const direction = order === 'asc' ? 1 : -1;
+    matches.sort((a, b) => {
+        const left = a[sort];
+        const right = b[sort];
+        if (left === null || left === undefined) return right === null || right === undefined ? a.docId.localeCompare(b.docId) : 1;
+        if (right === null || right === undefined) return -1;
+
+        const compared = sort === 'title'
+            ? left.localeCompare(right, undefined, { sensitivity: 'base' })
+            : left - right;
+        return compared * direction || a.docId.localeCompare(b.docId);
+    });
+
+    return {
+        documents: matches.slice(offset, offset + limit),
+        total: matches.length,
+        limit,
+        offset
+    };
+}
+
+module.exports = { createMetadata, validateMetadata, parseCatalogQuery, queryCatalog, SORT_FIELDS };
@@ -0,0 +1,219 @@
+// comments.js - Comment threads anchored to ranges of a document's text
+//
+// Threads live in the Y.Doc itself, in the map 'comments' next to the text,
+// so they sync, persist, fork and merge with it:
+//
+//   comments: { [threadId]: Y.Map {
+//       id, anchor: { start, end }, quote, author, createdAt,
+//       resolved, resolvedBy, resolvedAt,
+//       messages: Y.Array [{ id, author, text, createdAt }]
+//   } }
+//
+// The anchor is a pair of Yjs relative positions (as JSON), so the range
+// follows the text around it as it is edited. When the anchored text is
+// deleted, both ends collapse onto the same spot and the thread is reported as
+// `detached`; `quote` keeps what it was about. The first message is the
+// comment that opened the thread, the rest are replies.
+
+const Y = require('yjs');
+
+const COMMENTS_MAP = 'comments';
+const ACTIONS = ['create', 'reply', 'resolve', 'reopen', 'delete'];
+const MAX_COMMENT_LENGTH = 10000;
+const MAX_QUOTE_LENGTH = 500;
+
+function generateId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Check the text of a comment or reply. Returns an error message or null.
+ */
+function validateCommentText(text) {
+    if (typeof text !== 'string' || text.trim().length === 0 || text.length > MAX_COMMENT_LENGTH) {
+        return `text must be a non-empty string of at most ${MAX_COMMENT_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Anchor for text indexes [start, end): the start sticks to the first
+ * character and the end to the last, so typing just outside does not widen it
+ */
+function anchorFromRange(ytext, start, end) {
+    return {
+        start: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, start, 0)),
+        end: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(ytext, end, -1))
+    };
+}
+
+/**
+ * Text index of a relative position in the document text, or null if it
+ * does not point into it
+ */
+function resolvePosition(doc, ytext, position) {
+    // Looking up an unknown root type by name would create it
+    if (position.tname !== undefined && doc.share.get(position.tname) !== ytext) return null;
+
+    try {
+        const absolute = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(position), doc);
+        return absolute && absolute.type === ytext ? absolute.index : null;
+    } catch (error) {
+        // Positions sent by clients may name content this document never had
+        return null;
+    }
+}
+
+/**
+ * Current range of an anchor: { start, end }, or null if it is invalid
+ */
+function resolveAnchor(doc, ytext, anchor) {
+    if (!anchor || !anchor.start || !anchor.end) return null;
+
+    const start = resolvePosition(doc, ytext, anchor.start);
+    const end = resolvePosition(doc, ytext, anchor.end);
+    if (start === null || end === null) return null;
+
+    return { start, end: Math.max(start, end) };
+}
+
+/**
+ * Open a thread on an anchor (relative positions, as sent by clients).
+ * Returns { thread } or { error }.
+ */
+function createThread(doc, ytext, { anchor, text, author }) {
+    const textError = validateCommentText(text);
+    if (textError) {
+        return { error: textError };
+    }
+
+    const range = resolveAnchor(doc, ytext, anchor);
+    if (!range || range.start === range.end) {
+        return { error: 'anchor must be a non-empty range of the text' };
+    }
+
+    const id = generateId('thread');
+    const now = Date.now();
+    const thread = new Y.Map();
+    const messages = new Y.Array();
+    messages.push([{ id: generateId('comment'), author, text, createdAt: now }]);
+
+    thread.set('id', id);
+    // Stored as re-encoded, so nothing but the positions is kept from the request
+    thread.set('anchor', {
+        start: Y.relativePositionToJSON(Y.createRelativePositionFromJSON(anchor.start)),
+        end: Y.relativePositionToJSON(Y.createRelativePositionFromJSON(anchor.end))
+    });
+    thread.set('quote', ytext.toString().slice(range.start, range.end).slice(0, MAX_QUOTE_LENGTH));
+    thread.set('author', author);
+    thread.set('createdAt', now);
+    thread.set('resolved', false);
+    thread.set('resolvedBy', null);
+    thread.set('resolvedAt', null);
+    thread.set('messages', messages);
+    doc.getMap(COMMENTS_MAP).set(id, thread);
+
+    return { thread: describeThread(doc, ytext, thread) };
+}
+
+function getThread(doc, threadId) {
+    const thread = doc.getMap(COMMENTS_MAP).get(threadId);
+    return thread instanceof Y.Map ? thread : null;
+}
+
+/**
+ * Add a reply. Returns { thread } or { error }.
+ */
+function addReply(doc, ytext, threadId, { text, author }) {
+    const textError = validateCommentText(text);
+    if (textError) {
+        return { error: textError };
+    }
+
+    const thread = getThread(doc, threadId);
+    if (!thread) {
+        return { error: 'Thread not found', notFound: true };
+    }
+
+    thread.get('messages').push([{ id: generateId('comment'), author, text, createdAt: Date.now() }]);
+    return { thread: describeThread(doc, ytext, thread) };
+}
+
+/**
+ * Resolve or reopen a thread. Returns { thread } or { error }.
+ */
+function setResolved(doc, ytext, threadId, resolved, author) {
+    const thread = getThread(doc, threadId);
+    if (!thread) {
+        return { error: 'Thread not found', notFound: true };
+    }
+
+    if (thread.get('resolved') !== resolved) {
+        thread.set('resolved', resolved);
+        thread.set('resolvedBy', resolved ? author : null);
+        thread.set('resolvedAt', resolved ? Date.now() : null);
+    }
+    return { thread: describeThread(doc, ytext, thread) };
+}
+
+function deleteThread(doc, threadId) {
+    if (!getThread(doc, threadId)) return false;
+
+    doc.getMap(COMMENTS_MAP).delete(threadId);
+    return true;
+}
+
+/**
+ * Plain object for a thread with its anchor resolved to text indexes:
+ * start, end and the text currently in that range
+ */
+function describeThread(doc, ytext, thread) {
+    const range = resolveAnchor(doc, ytext, thread.get('anchor'));
+    const quote = thread.get('quote');
+
+    return {
+        id: thread.get('id'),
+        start: range ? range.start : null,
+        end: range ? range.end : null,
+        text: range ? ytext.toString().slice(range.start, range.end) : '',
+        quote,
+        detached: !range || (range.start === range.end && quote.length > 0),
+        author: thread.get('author'),
+        createdAt: thread.get('createdAt'),
+        resolved: thread.get('resolved'),
+        resolvedBy: thread.get('resolvedBy'),
+        resolvedAt: thread.get('resolvedAt'),
+        messages: thread.get('messages').toArray()
+    };
+}
+
+/**
+ * Every thread, in text order; detached threads last, oldest first
+ */
+function listThreads(doc, ytext) {
+    const threads = [];
+    doc.getMap(COMMENTS_MAP).forEach(thread => {
+        if (thread instanceof Y.Map) {
+            threads.push(describeThread(doc, ytext, thread));
+        }
+    });
+
+    return threads.sort((a, b) =>
+        (a.detached - b.detached) ||
+        (a.detached ? 0 : a.start - b.start) ||
+        a.createdAt - b.createdAt
+    );
+}
+
+module.exports = {
+    COMMENTS_MAP,
+    ACTIONS,
+    anchorFromRange,
+    createThread,
+    addReply,
+    setResolved,
+    deleteThread,
+    getThread,
+    listThreads,
+    validateCommentText
+};
@@ -0,0 +1,293 @@
+// formats.js - Converting document text to and from export formats
+//
+//   txt   plain text, as written
+//   md    Markdown that renders as the text: syntax is escaped, line breaks are hard breaks
+//   html  a standalone page, one <p> per blank-line separated block
+//   yjs   the raw Yjs update of the whole document
+//
+// Imports go the other way and only ever produce text; the caller applies it
+// as edits, so an import is an ordinary change for everyone connected.
+
+const Y = require('yjs');
+
+const FORMATS = {
+    txt: { contentType: 'text/plain; charset=utf-8', extensions: ['txt', 'text'] },
+    md: { contentType: 'text/markdown; charset=utf-8', extensions: ['md', 'markdown'] },
+    html: { contentType: 'text/html; charset=utf-8', extensions: ['html', 'htm'] },
+    yjs: { contentType: 'application/octet-stream', extensions: ['yjs'] }
+};
+
+// MIME types accepted for imports without an explicit format
+const CONTENT_TYPE_FORMATS = {
+    'text/plain': 'txt',
+    'text/markdown': 'md',
+    'text/x-markdown': 'md',
+    'text/html': 'html',
+    'application/octet-stream': 'yjs'
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Elements whose content is not text, dropped with it
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'head']);
+// Elements that end a paragraph, or only a line
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'blockquote', 'ul', 'ol', 'table']);
+const LINE_ELEMENTS = new Set(['li', 'tr']);
+
+function decodeEntity(entity, name) {
+    if (name[0] === '#') {
+        const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name.toLowerCase()] || entity;
+}
+
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, decodeEntity);
+}
+
+function toHtml(text, title) {
+    const paragraphs = text.split(/\n{2,}/)
+        .filter(block => block.length > 0)
+        .map(block => `<p>${block.split('\n').map(escapeHtml).join('<br>\n')}</p>`);
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>${escapeHtml(title)}</title>`,
+        '</head>',
+        '<body>',
+        ...paragraphs,
+        '</body>',
+        '</html>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * Readable text of an HTML page: block elements become line breaks, markup
+ * and scripts are dropped, <pre> keeps its whitespace.
+ *
+ * A single pass with indexOf, so hostile input costs linear time; anything
+ * after a comment, tag or script that is never closed is dropped.
+ */
+function fromHtml(html) {
+    // ASCII-only lowercasing keeps the offsets of `html`
+    const lower = html.replace(/[A-Z]+/g, letters => letters.toLowerCase());
+    const out = [];
+    let newlines = 0; // line breaks at the end of the output
+    let space = false; // collapsed whitespace waiting for the next word
+    let pre = 0;
+    let preStart = false;
+
+    function write(chunk) {
+        if (space && newlines === 0 && out.length > 0) {
+            out.push(' ');
+        }
+        space = false;
+        out.push(chunk);
+
+        let end = chunk.length;
+        while (end > 0 && chunk[end - 1] === '\n') end--;
+        newlines = end === 0 ? newlines + chunk.length : chunk.length - end;
+    }
+
+    function writeText(raw) {
+        let text = decodeHtmlEntities(raw);
+        if (pre > 0) {
+            // Like browsers, ignore the line break right after <pre>
+            if (preStart) text = text.replace(/^\r?\n/, '');
+            preStart = false;
+            if (text) write(text);
+            return;
+        }
+        text.split(/\s+/).forEach((word, index) => {
+            if (index > 0) space = true;
+            if (word) write(word);
+        });
+    }
+
+    function endLine(count) {
+        space = false;
+        if (out.length === 0) return;
+        while (newlines < count) {
+            out.push('\n');
+            newlines++;
+        }
+    }
+
+    let i = 0;
+    while (i < html.length) {
+        // A `<` that does not start a tag, comment or declaration is text
+        let lt = html.indexOf('<', i);
+        while (lt !== -1 && !/[a-z/!?]/.test(lower[lt + 1] || '')) {
+            lt = html.indexOf('<', lt + 1);
+        }
+        writeText(html.slice(i, lt === -1 ? html.length : lt));
+        if (lt === -1) break;
+
+        if (lower.startsWith('<!--', lt)) {
+            const close = html.indexOf('-->', lt + 4);
+            if (close === -1) break;
+            i = close + 3;
+            continue;
+        }
+
+        const gt = html.indexOf('>', lt);
+        if (gt === -1) break;
+        const [, slash, name] = /^<(\/?)([a-z][a-z0-9]*)?/.exec(lower.slice(lt, gt));
+        i = gt + 1;
+
+        if (!name) continue;
+        if (!slash && SKIPPED_ELEMENTS.has(name)) {
+            const close = lower.indexOf(`</${name}`, i);
+            const end = close === -1 ? -1 : html.indexOf('>', close);
+            if (end === -1) break;
+            i = end + 1;
+        } else if (name === 'body') {
+            if (slash) break;
+            // Only the body is text
+            out.length = 0;
+            newlines = 0;
+            space = false;
+        } else if (name === 'br') {
+            space = false;
+            if (out.length > 0 && newlines < 2) endLine(newlines + 1);
+        } else if (name === 'pre') {
+            endLine(2);
+            pre = slash ? Math.max(pre - 1, 0) : pre + 1;
+            preStart = !slash;
+        } else if (slash && BLOCK_ELEMENTS.has(name)) {
+            endLine(2);
+        } else if (slash && LINE_ELEMENTS.has(name)) {
+            endLine(1);
+        }
+    }
+
+    return out.join('').trimEnd();
+}
+
+// Spaces and tabs at the edges of a line, which Markdown would drop or read as indentation
+function encodeEdgeWhitespace(whitespace) {
+    return whitespace.replace(/ /g, '&#32;').replace(/\t/g, '&#9;');
+}
+
+/**
+ * Markdown that renders as `text`: every line is kept, with hard breaks
+ * inside a paragraph, and characters Markdown would read as syntax are escaped
+ */
+function toMarkdown(text) {
+    const lines = text.split('\n');
+
+    return lines.map((line, index) => {
+        let start = 0;
+        while (start < line.length && (line[start] === ' ' || line[start] === '\t')) start++;
+        let end = line.length;
+        while (end > start && (line[end - 1] === ' ' || line[end - 1] === '\t')) end--;
+
+        const body = line.slice(start, end)
+            .replace(/[\\`*_[\]<>#~|&]/g, '\\$&')
+            .replace(/^[-+=]/, '\\$&')
+            .replace(/^(\d+)([.)])/, '$1\\$2');
+        const markdown = encodeEdgeWhitespace(line.slice(0, start)) + body + encodeEdgeWhitespace(line.slice(end));
+
+        return markdown && lines[index + 1] ? `${markdown}\\` : markdown;
+    }).join('\n');
+}
+
+/**
+ * Text of a Markdown file: the source as written, with backslash escapes,
+ * backslash hard breaks and character references resolved
+ */
+function fromMarkdown(markdown) {
+    return markdown.replace(
+        /\\(\r?\n)|\\([!-/:-@[-`{-~])|&(#x[0-9a-f]+|#\d+|[a-z]+);/gi,
+        (match, newline, escaped, entity) => newline || escaped || decodeEntity(match, entity)
+    );
+}
+
+/**
+ * Export a document. Returns { body, contentType }.
+ */
+function exportDocument(doc, format, title) {
+    const text = doc.getText('content').toString();
+
+    switch (format) {
+        case 'txt':
+            return { body: text, contentType: FORMATS.txt.contentType };
+
+        case 'md':
+            return { body: toMarkdown(text), contentType: FORMATS.md.contentType };
+
+        case 'html':
+            return { body: toHtml(text, title), contentType: FORMATS.html.contentType };
+
+        case 'yjs':
+            return { body: Buffer.from(Y.encodeStateAsUpdate(doc)), contentType: FORMATS.yjs.contentType };
+
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+/**
+ * Text of an uploaded file (Buffer). Throws for data that is not valid in the format.
+ */
+function importText(data, format) {
+    switch (format) {
+        case 'txt':
+            return data.toString('utf8').replace(/^\uFEFF/, '');
+
+        case 'md':
+            return fromMarkdown(data.toString('utf8').replace(/^\uFEFF/, ''));
+
+        case 'html':
+            return fromHtml(data.toString('utf8'));
+
+        case 'yjs': {
+            const doc = new Y.Doc();
+            try {
+                Y.applyUpdate(doc, new Uint8Array(data));
+            } catch (error) {
+                throw new Error('Not a Yjs document update');
+            }
+            if (doc.store.pendingStructs || doc.store.pendingDs) {
+                throw new Error('Not a complete Yjs document update');
+            }
+            return doc.getText('content').toString();
+        }
+
+        default:
+            throw new Error(`Unknown import format: ${format}`);
+    }
+}
+
+/**
+ * Import format from an explicit name, a file name or the request's content type
+ */
+function detectFormat({ format, fileName, contentType }) {
+    if (format) {
+        return FORMATS[format] ? format : null;
+    }
+
+    const extension = fileName && fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : null;
+    if (extension) {
+        const match = Object.keys(FORMATS).find(name => FORMATS[name].extensions.includes(extension));
+        if (match) return match;
+    }
+
+    const mimeType = contentType ? contentType.split(';')[0].trim().toLowerCase() : null;
+    return CONTENT_TYPE_FORMATS[mimeType] || null;
+}
+
+module.exports = { FORMATS, exportDocument, importText, detectFormat };
@@ -0,0 +1,189 @@
+// metrics.js - Counters, gauges and histograms in the Prometheus text format
+//
+// Just enough of the exposition format for a scrape endpoint: metrics are
+// registered once, updated as things happen and rendered on request. Gauges
+// and histograms can instead be computed at scrape time with a `collect`
+// function returning [labels, value] pairs; a histogram counts the values.
+
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor({ name, help, labelNames = [] }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map(); // label key -> { labels, ... }
+    }
+
+    /**
+     * Series for a label set, created on first use
+     */
+    get(labels, create) {
+        const picked = {};
+        this.labelNames.forEach(name => {
+            picked[name] = labels[name] === undefined ? '' : labels[name];
+        });
+
+        const key = JSON.stringify(this.labelNames.map(name => picked[name]));
+        if (!this.series.has(key)) {
+            this.series.set(key, { labels: picked, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, value = 1) {
+        this.get(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = this.header();
+        this.series.forEach(({ labels, value }) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super(options);
+        this.collect = options.collect || null;
+    }
+
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels, value) {
+        this.get(labels, () => ({ value: 0 })).value = value;
+    }
+
+    render() {
+        const lines = this.header();
+        const samples = this.collect
+            ? this.collect()
+            : Array.from(this.series.values()).map(({ labels, value }) => [labels, value]);
+
+        samples.forEach(([labels, value]) => {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        });
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super(options);
+        this.buckets = options.buckets || DEFAULT_BUCKETS;
+        this.collect = options.collect || null;
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    observe(labels, value) {
+        const series = this.get(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start a timer; calling the returned function records the elapsed seconds
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return () => this.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+
+    /**
+     * Series made from the values `collect` returns right now
+     */
+    collected() {
+        const snapshot = new Histogram({ name: this.name, help: this.help, labelNames: this.labelNames, buckets: this.buckets });
+        this.collect().forEach(([labels, value]) => snapshot.observe(labels, value));
+        return snapshot.series;
+    }
+
+    render() {
+        const lines = this.header();
+        const series = this.collect ? this.collected() : this.series;
+        series.forEach(({ labels, counts, sum, count }) => {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * Everything in the text exposition format
+     */
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+Registry.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { Registry, Counter, Gauge, Histogram };
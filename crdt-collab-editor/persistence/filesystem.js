@@ -0,0 +1,387 @@
+// persistence/filesystem.js - One set of files per document in a directory
+//
+// Layout for a document:
+//   <docId>.yjs                 base state
+//   <docId>.log                 updates appended since the base state
+//   <docId>.snapshot.<ts>.yjs   recovery snapshots (newest SNAPSHOT_KEEP kept)
+//   <docId>.corrupt.<ts>.yjs    quarantined base state / update log (.log)
+//   <docId>.versions/           index.json with version metadata, <versionId>.yjs states
+//   <docId>.attribution.json    authorship of the content
+//   <docId>.metadata.json       title, creator, times (see catalog.js)
+//   <docId>.search.json         word counts for the search index
+//
+// Share links of all documents live in share-links.json. Files named after
+// the raw id, from before ids were escaped, are renamed when first loaded.
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const SNAPSHOT_KEEP = 5;
+
+/**
+ * Document ids are used in file names; dots and path separators are escaped
+ * so ids cannot collide with the file suffixes or leave the directory
+ */
+function encodeDocId(docId) {
+    return encodeURIComponent(docId).replace(/\./g, '%2E');
+}
+
+function decodeDocId(fileName) {
+    const name = fileName.split('.')[0];
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        // A raw id from before ids were escaped, with a stray '%'
+        return name;
+    }
+}
+
+/**
+ * Name the document's files had before ids were escaped (the raw id), or null
+ * if it is the same as now or could not have been a file in the directory
+ */
+function legacyName(docId) {
+    if (docId === encodeDocId(docId) || docId === '.' || docId === '..' || /[/\\]/.test(docId)) {
+        return null;
+    }
+    return docId;
+}
+
+/**
+ * Write a file so that readers only ever see the old or the complete new content
+ */
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+    try {
+        const fd = await fs.open(tempPath, 'w');
+        try {
+            await fs.write(fd, data);
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.remove(tempPath);
+        throw error;
+    }
+}
+
+/**
+ * Parse an update log of [uint32 length][update bytes] records. A trailing
+ * record cut short by a crash is ignored; validLength marks where it starts.
+ */
+function readUpdateLog(buffer) {
+    const updates = [];
+    let offset = 0;
+
+    while (offset + 4 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        if (offset + 4 + length > buffer.length) break;
+
+        updates.push(new Uint8Array(buffer.subarray(offset + 4, offset + 4 + length)));
+        offset += 4 + length;
+    }
+
+    return { updates, validLength: offset };
+}
+
+class FilesystemPersistence {
+    constructor(dir) {
+        this.dir = dir;
+        fs.ensureDirSync(dir);
+    }
+
+    statePath(docId) {
+        return path.join(this.dir, `${encodeDocId(docId)}.yjs`);
+    }
+
+    logPath(docId) {
+        return path.join(this.dir, `${encodeDocId(docId)}.log`);
+    }
+
+    attributionPath(docId) {
+        return path.join(this.dir, `${encodeDocId(docId)}.attribution.json`);
+    }
+
+    metadataPath(docId) {
+        return path.join(this.dir, `${encodeDocId(docId)}.metadata.json`);
+    }
+
+    searchRecordPath(docId) {
+        return path.join(this.dir, `${encodeDocId(docId)}.search.json`);
+    }
+
+    versionsDir(docId) {
+        return path.join(this.dir, `${encodeDocId(docId)}.versions`);
+    }
+
+    async readVersionIndex(docId) {
+        const indexPath = path.join(this.versionsDir(docId), 'index.json');
+        if (!(await fs.pathExists(indexPath))) {
+            return [];
+        }
+        return fs.readJson(indexPath);
+    }
+
+    async writeVersionIndex(docId, versions) {
+        const indexPath = path.join(this.versionsDir(docId), 'index.json');
+        await writeFileAtomic(indexPath, Buffer.from(JSON.stringify(versions, null, 2)));
+    }
+
+    async listSnapshotFiles(docId) {
+        const prefix = `${encodeDocId(docId)}.snapshot.`;
+        const files = await fs.readdir(this.dir);
+        return files
+            .filter(f => f.startsWith(prefix) && f.endsWith('.yjs'))
+            .sort()
+            .reverse();
+    }
+
+    /**
+     * Rename the base state, log and snapshots of a document stored under its
+     * raw id to the escaped names, unless it already has escaped ones
+     */
+    async migrateLegacyFiles(docId) {
+        const legacy = legacyName(docId);
+        if (!legacy || await fs.pathExists(this.statePath(docId)) || await fs.pathExists(this.logPath(docId))) {
+            return;
+        }
+
+        const snapshotPrefix = `${legacy}.snapshot.`;
+        const renames = (await fs.readdir(this.dir))
+            .filter(f => f.startsWith(snapshotPrefix) && /^\d+\.yjs$/.test(f.slice(snapshotPrefix.length)))
+            .map(f => [f, `${encodeDocId(docId)}.snapshot.${f.slice(snapshotPrefix.length)}`]);
+        renames.push([`${legacy}.yjs`, path.basename(this.statePath(docId))]);
+        renames.push([`${legacy}.log`, path.basename(this.logPath(docId))]);
+
+        let moved = 0;
+        for (const [from, to] of renames) {
+            if (await fs.pathExists(path.join(this.dir, from))) {
+                await fs.move(path.join(this.dir, from), path.join(this.dir, to));
+                moved++;
+            }
+        }
+        if (moved > 0) {
+            console.log(`📦 Renamed ${moved} file(s) of ${docId} to escaped names`);
+        }
+    }
+
+    async load(docId) {
+        await this.migrateLegacyFiles(docId);
+
+        const statePath = this.statePath(docId);
+        const logPath = this.logPath(docId);
+        let state = null;
+        let updates = [];
+
+        if (await fs.pathExists(statePath)) {
+            state = new Uint8Array(await fs.readFile(statePath));
+        }
+
+        if (await fs.pathExists(logPath)) {
+            const log = await fs.readFile(logPath);
+            const parsed = readUpdateLog(log);
+            updates = parsed.updates;
+
+            // Drop a record torn by a crash so new appends stay readable
+            if (parsed.validLength < log.length) {
+                console.warn(`⚠️  Truncating torn update log of ${docId} at byte ${parsed.validLength}`);
+                await fs.truncate(logPath, parsed.validLength);
+            }
+        }
+
+        if (!state && updates.length === 0) {
+            return null;
+        }
+        return { state, updates };
+    }
+
+    async storeUpdate(docId, update) {
+        const record = Buffer.alloc(4 + update.length);
+        record.writeUInt32BE(update.length, 0);
+        Buffer.from(update).copy(record, 4);
+
+        await fs.appendFile(this.logPath(docId), record);
+    }
+
+    async storeState(docId, state) {
+        await writeFileAtomic(this.statePath(docId), Buffer.from(state));
+
+        // Everything in the log is now part of the base state
+        await fs.remove(this.logPath(docId));
+    }
+
+    async storeSnapshot(docId, state) {
+        const snapshotPath = path.join(
+            this.dir,
+            `${encodeDocId(docId)}.snapshot.${Date.now()}.yjs`
+        );
+        await writeFileAtomic(snapshotPath, Buffer.from(state));
+
+        // Clean up old snapshots
+        const snapshots = await this.listSnapshotFiles(docId);
+        for (let i = SNAPSHOT_KEEP; i < snapshots.length; i++) {
+            await fs.remove(path.join(this.dir, snapshots[i]));
+        }
+    }
+
+    async loadSnapshots(docId) {
+        const snapshots = [];
+
+        for (const file of await this.listSnapshotFiles(docId)) {
+            const data = await fs.readFile(path.join(this.dir, file));
+            snapshots.push({
+                createdAt: parseInt(file.split('.')[2], 10),
+                state: new Uint8Array(data)
+            });
+        }
+
+        return snapshots;
+    }
+
+    async quarantine(docId) {
+        const prefix = `${encodeDocId(docId)}.corrupt.${Date.now()}`;
+        const moved = [];
+
+        for (const [source, suffix] of [[this.statePath(docId), 'yjs'], [this.logPath(docId), 'log']]) {
+            if (await fs.pathExists(source)) {
+                await fs.move(source, path.join(this.dir, `${prefix}.${suffix}`));
+                moved.push(`${prefix}.${suffix}`);
+            }
+        }
+
+        return moved.join(', ');
+    }
+
+    async storeVersion(docId, version, state) {
+        const dir = this.versionsDir(docId);
+        await fs.ensureDir(dir);
+        await writeFileAtomic(path.join(dir, `${version.id}.yjs`), Buffer.from(state));
+
+        const versions = await this.readVersionIndex(docId);
+        versions.unshift(version);
+        await this.writeVersionIndex(docId, versions);
+    }
+
+    async listVersions(docId) {
+        return this.readVersionIndex(docId);
+    }
+
+    async loadVersion(docId, versionId) {
+        const versions = await this.readVersionIndex(docId);
+        const version = versions.find(v => v.id === versionId);
+        if (!version) {
+            return null;
+        }
+
+        const data = await fs.readFile(path.join(this.versionsDir(docId), `${versionId}.yjs`));
+        return { version, state: new Uint8Array(data) };
+    }
+
+    async deleteVersion(docId, versionId) {
+        const versions = await this.readVersionIndex(docId);
+        await this.writeVersionIndex(docId, versions.filter(v => v.id !== versionId));
+        await fs.remove(path.join(this.versionsDir(docId), `${versionId}.yjs`));
+    }
+
+    async loadAttribution(docId) {
+        const attributionPath = this.attributionPath(docId);
+        if (!(await fs.pathExists(attributionPath))) {
+            return null;
+        }
+        return fs.readJson(attributionPath);
+    }
+
+    async storeAttribution(docId, attribution) {
+        await writeFileAtomic(this.attributionPath(docId), Buffer.from(JSON.stringify(attribution)));
+    }
+
+    async loadMetadata(docId) {
+        const metadataPath = this.metadataPath(docId);
+        if (!(await fs.pathExists(metadataPath))) {
+            return null;
+        }
+        return fs.readJson(metadataPath);
+    }
+
+    async storeMetadata(docId, metadata) {
+        await writeFileAtomic(this.metadataPath(docId), Buffer.from(JSON.stringify(metadata)));
+    }
+
+    async listMetadata() {
+        const files = (await fs.readdir(this.dir)).filter(file => /^[^.]+\.metadata\.json$/.test(file));
+        return Promise.all(files.map(file => fs.readJson(path.join(this.dir, file))));
+    }
+
+    async storeSearchRecord(docId, record) {
+        await writeFileAtomic(this.searchRecordPath(docId), Buffer.from(JSON.stringify(record)));
+    }
+
+    async listSearchRecords() {
+        const files = (await fs.readdir(this.dir)).filter(file => /^[^.]+\.search\.json$/.test(file));
+        return Promise.all(files.map(file => fs.readJson(path.join(this.dir, file))));
+    }
+
+    async loadShareLinks() {
+        const linksPath = path.join(this.dir, 'share-links.json');
+        if (!(await fs.pathExists(linksPath))) {
+            return [];
+        }
+        return fs.readJson(linksPath);
+    }
+
+    async storeShareLinks(links) {
+        const linksPath = path.join(this.dir, 'share-links.json');
+        await writeFileAtomic(linksPath, Buffer.from(JSON.stringify(links, null, 2)));
+    }
+
+    async loadWebhooks() {
+        const webhooksPath = path.join(this.dir, 'webhooks.json');
+        if (!(await fs.pathExists(webhooksPath))) {
+            return [];
+        }
+        return fs.readJson(webhooksPath);
+    }
+
+    async storeWebhooks(webhooks) {
+        const webhooksPath = path.join(this.dir, 'webhooks.json');
+        await writeFileAtomic(webhooksPath, Buffer.from(JSON.stringify(webhooks, null, 2)));
+    }
+
+    async list() {
+        const files = await fs.readdir(this.dir);
+        const docIds = new Set();
+
+        files.forEach(file => {
+            const match = /^(.+)\.(yjs|log)$/.exec(file);
+            if (!match || /\.(snapshot|corrupt)\.\d+$/.test(match[1])) return;
+
+            // Escaped names have no dots; a name with dots is a raw id from before
+            docIds.add(match[1].includes('.') ? match[1] : decodeDocId(file));
+        });
+
+        return Array.from(docIds);
+    }
+
+    async delete(docId) {
+        await this.migrateLegacyFiles(docId);
+        await fs.remove(this.statePath(docId));
+        await fs.remove(this.logPath(docId));
+        await fs.remove(this.attributionPath(docId));
+        await fs.remove(this.metadataPath(docId));
+        await fs.remove(this.searchRecordPath(docId));
+        await fs.remove(this.versionsDir(docId));
+
+        const prefixes = [`${encodeDocId(docId)}.snapshot.`, `${encodeDocId(docId)}.corrupt.`];
+        const files = await fs.readdir(this.dir);
+        for (const file of files.filter(f => prefixes.some(prefix => f.startsWith(prefix)))) {
+            await fs.remove(path.join(this.dir, file));
+        }
+    }
+
+    async close() {}
+}
+
+module.exports = { FilesystemPersistence, writeFileAtomic, readUpdateLog };
@@ -0,0 +1,60 @@
+// persistence/index.js - Storage adapters for CRDT documents
+//
+// Every adapter implements the same async interface:
+//
+//   load(docId)                 -> { state, updates } or null when unknown
+//   storeUpdate(docId, update)  -> append one Yjs update
+//   storeState(docId, state)    -> replace the base state, dropping stored updates
+//   storeSnapshot(docId, state) -> keep a full-state copy for crash recovery
+//   loadSnapshots(docId)        -> [{ createdAt, state }] recovery snapshots, newest first
+//   quarantine(docId)           -> move the base state and updates aside (they failed to
+//                                  decode); returns where they went
+//   storeVersion(docId, version, state) -> save a version (metadata + full state)
+//   listVersions(docId)         -> version metadata, newest first
+//   loadVersion(docId, id)      -> { version, state } or null
+//   deleteVersion(docId, id)    -> remove one version
+//   loadAttribution(docId)      -> who wrote what (plain object, see attribution.js) or null
+//   storeAttribution(docId, attribution) -> replace it
+//   loadMetadata(docId)         -> title, creator, times etc. (see catalog.js) or null
+//   storeMetadata(docId, metadata) -> replace it
+//   listMetadata()              -> the metadata of every document that has any
+//   storeSearchRecord(docId, record) -> replace the document's word counts (see search-index.js)
+//   listSearchRecords()         -> the word counts of every indexed document
+//   loadShareLinks()            -> every stored share link (plain objects)
+//   storeShareLinks(links)      -> replace the stored share links
+//   loadWebhooks()              -> every webhook subscription (plain objects)
+//   storeWebhooks(webhooks)     -> replace the stored subscriptions
+//   list()                      -> ids of all stored documents
+//   delete(docId)               -> remove everything stored for the document
+//   close()                     -> release handles on shutdown
+//
+// `state` and `updates` are Yjs updates (Uint8Array); `updates` were stored
+// after `state` and are applied on top of it.
+
+const path = require('path');
+const { FilesystemPersistence } = require('./filesystem');
+const { MemoryPersistence } = require('./memory');
+
+/**
+ * Create the adapter selected by configuration
+ */
+function createPersistence({ adapter = 'filesystem', dir, sqlitePath }) {
+    switch (adapter) {
+        case 'filesystem':
+            return new FilesystemPersistence(dir);
+
+        case 'sqlite': {
+            // Loaded on demand so the native module is only needed when used
+            const { SqlitePersistence } = require('./sqlite');
+            return new SqlitePersistence(sqlitePath || path.join(dir, 'documents.db'));
+        }
+
+        case 'memory':
+            return new MemoryPersistence();
+
+        default:
+            throw new Error(`Unknown persistence adapter: ${adapter}`);
+    }
+}
+
+module.exports = { createPersistence };
@@ -0,0 +1,142 @@
+// persistence/memory.js - Keeps documents in process memory (tests, throwaway servers)
+
+const SNAPSHOT_KEEP = 5;
+
+class MemoryPersistence {
+    constructor() {
+        this.documents = new Map();
+        this.shareLinks = [];
+        this.webhooks = [];
+    }
+
+    entry(docId) {
+        if (!this.documents.has(docId)) {
+            this.documents.set(docId, { state: null, updates: [], snapshots: [], versions: [], quarantined: [], attribution: null, metadata: null, searchRecord: null });
+        }
+        return this.documents.get(docId);
+    }
+
+    async load(docId) {
+        const entry = this.documents.get(docId);
+        if (!entry || (!entry.state && entry.updates.length === 0)) {
+            return null;
+        }
+        return { state: entry.state, updates: entry.updates.slice() };
+    }
+
+    async storeUpdate(docId, update) {
+        this.entry(docId).updates.push(Uint8Array.from(update));
+    }
+
+    async storeState(docId, state) {
+        const entry = this.entry(docId);
+        entry.state = Uint8Array.from(state);
+        entry.updates = [];
+    }
+
+    async storeSnapshot(docId, state) {
+        const entry = this.entry(docId);
+        entry.snapshots.unshift({ createdAt: Date.now(), state: Uint8Array.from(state) });
+        entry.snapshots.length = Math.min(entry.snapshots.length, SNAPSHOT_KEEP);
+    }
+
+    async loadSnapshots(docId) {
+        const entry = this.documents.get(docId);
+        return entry ? entry.snapshots.slice() : [];
+    }
+
+    async quarantine(docId) {
+        const entry = this.entry(docId);
+        entry.quarantined.push({ createdAt: Date.now(), state: entry.state, updates: entry.updates });
+        entry.state = null;
+        entry.updates = [];
+        return `memory (${entry.quarantined.length} quarantined)`;
+    }
+
+    async storeVersion(docId, version, state) {
+        this.entry(docId).versions.unshift({ version: { ...version }, state: Uint8Array.from(state) });
+    }
+
+    async listVersions(docId) {
+        const entry = this.documents.get(docId);
+        return entry ? entry.versions.map(({ version }) => ({ ...version })) : [];
+    }
+
+    async loadVersion(docId, versionId) {
+        const entry = this.documents.get(docId);
+        const stored = entry && entry.versions.find(({ version }) => version.id === versionId);
+        return stored ? { version: { ...stored.version }, state: stored.state } : null;
+    }
+
+    async deleteVersion(docId, versionId) {
+        const entry = this.documents.get(docId);
+        if (entry) {
+            entry.versions = entry.versions.filter(({ version }) => version.id !== versionId);
+        }
+    }
+
+    async loadAttribution(docId) {
+        const entry = this.documents.get(docId);
+        return entry && entry.attribution ? JSON.parse(entry.attribution) : null;
+    }
+
+    async storeAttribution(docId, attribution) {
+        this.entry(docId).attribution = JSON.stringify(attribution);
+    }
+
+    async loadMetadata(docId) {
+        const entry = this.documents.get(docId);
+        return entry && entry.metadata ? JSON.parse(entry.metadata) : null;
+    }
+
+    async storeMetadata(docId, metadata) {
+        this.entry(docId).metadata = JSON.stringify(metadata);
+    }
+
+    async listMetadata() {
+        return Array.from(this.documents.values())
+            .filter(entry => entry.metadata)
+            .map(entry => JSON.parse(entry.metadata));
+    }
+
+    async storeSearchRecord(docId, record) {
+        this.entry(docId).searchRecord = JSON.stringify(record);
+    }
+
+    async listSearchRecords() {
+        return Array.from(this.documents.values())
+            .filter(entry => entry.searchRecord)
+            .map(entry => JSON.parse(entry.searchRecord));
+    }
+
+    async loadShareLinks() {
+        return this.shareLinks.map(link => ({ ...link }));
+    }
+
+    async storeShareLinks(links) {
+        this.shareLinks = links.map(link => ({ ...link }));
+    }
+
+    async loadWebhooks() {
+        return this.webhooks.map(webhook => ({ ...webhook }));
+    }
+
+    async storeWebhooks(webhooks) {
+        this.webhooks = webhooks.map(webhook => ({ ...webhook }));
+    }
+
+    // Like the other adapters, only ids with content count as documents
+    async list() {
+        return Array.from(this.documents.entries())
+            .filter(([, entry]) => entry.state || entry.updates.length > 0)
+            .map(([docId]) => docId);
+    }
+
+    async delete(docId) {
+        this.documents.delete(docId);
+    }
+
+    async close() {}
+}
+
+module.exports = { MemoryPersistence };
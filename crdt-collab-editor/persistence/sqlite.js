@@ -0,0 +1,305 @@
+// persistence/sqlite.js - All documents in a single embedded SQLite database
+
+const Database = require('better-sqlite3');
+const fs = require('fs-extra');
+const path = require('path');
+
+const SNAPSHOT_KEEP = 5;
+
+class SqlitePersistence {
+    constructor(filePath) {
+        fs.ensureDirSync(path.dirname(filePath));
+
+        this.db = new Database(filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS documents (
+                doc_id TEXT PRIMARY KEY,
+                state BLOB,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS updates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                doc_id TEXT NOT NULL,
+                data BLOB NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS updates_doc_id ON updates (doc_id, id);
+            CREATE TABLE IF NOT EXISTS snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                doc_id TEXT NOT NULL,
+                state BLOB NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS snapshots_doc_id ON snapshots (doc_id, id);
+            CREATE TABLE IF NOT EXISTS versions (
+                id TEXT PRIMARY KEY,
+                doc_id TEXT NOT NULL,
+                metadata TEXT NOT NULL,
+                state BLOB NOT NULL,
+                created_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS versions_doc_id ON versions (doc_id, created_at);
+            CREATE TABLE IF NOT EXISTS attribution (
+                doc_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS metadata (
+                doc_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS search_records (
+                doc_id TEXT PRIMARY KEY,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS share_links (
+                id TEXT PRIMARY KEY,
+                doc_id TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id TEXT PRIMARY KEY,
+                doc_id TEXT NOT NULL,
+                data TEXT NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS quarantine (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                doc_id TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                data BLOB,
+                created_at INTEGER NOT NULL
+            );
+        `);
+
+        this.statements = {
+            getState: this.db.prepare('SELECT state FROM documents WHERE doc_id = ?'),
+            getUpdates: this.db.prepare('SELECT data FROM updates WHERE doc_id = ? ORDER BY id'),
+            insertUpdate: this.db.prepare(
+                'INSERT INTO updates (doc_id, data, created_at) VALUES (?, ?, ?)'
+            ),
+            upsertState: this.db.prepare(`
+                INSERT INTO documents (doc_id, state, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT (doc_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+            `),
+            deleteUpdates: this.db.prepare('DELETE FROM updates WHERE doc_id = ?'),
+            insertSnapshot: this.db.prepare(
+                'INSERT INTO snapshots (doc_id, state, created_at) VALUES (?, ?, ?)'
+            ),
+            pruneSnapshots: this.db.prepare(`
+                DELETE FROM snapshots WHERE doc_id = ? AND id NOT IN (
+                    SELECT id FROM snapshots WHERE doc_id = ? ORDER BY id DESC LIMIT ?
+                )
+            `),
+            deleteSnapshots: this.db.prepare('DELETE FROM snapshots WHERE doc_id = ?'),
+            getSnapshots: this.db.prepare(
+                'SELECT state, created_at FROM snapshots WHERE doc_id = ? ORDER BY id DESC'
+            ),
+            quarantineState: this.db.prepare(`
+                INSERT INTO quarantine (doc_id, kind, data, created_at)
+                SELECT doc_id, 'state', state, ? FROM documents WHERE doc_id = ?
+            `),
+            quarantineUpdates: this.db.prepare(`
+                INSERT INTO quarantine (doc_id, kind, data, created_at)
+                SELECT doc_id, 'update', data, ? FROM updates WHERE doc_id = ? ORDER BY id
+            `),
+            deleteQuarantine: this.db.prepare('DELETE FROM quarantine WHERE doc_id = ?'),
+            getAttribution: this.db.prepare('SELECT data FROM attribution WHERE doc_id = ?'),
+            upsertAttribution: this.db.prepare(`
+                INSERT INTO attribution (doc_id, data) VALUES (?, ?)
+                ON CONFLICT (doc_id) DO UPDATE SET data = excluded.data
+            `),
+            deleteAttribution: this.db.prepare('DELETE FROM attribution WHERE doc_id = ?'),
+            getMetadata: this.db.prepare('SELECT data FROM metadata WHERE doc_id = ?'),
+            upsertMetadata: this.db.prepare(`
+                INSERT INTO metadata (doc_id, data) VALUES (?, ?)
+                ON CONFLICT (doc_id) DO UPDATE SET data = excluded.data
+            `),
+            listMetadata: this.db.prepare('SELECT data FROM metadata'),
+            deleteMetadata: this.db.prepare('DELETE FROM metadata WHERE doc_id = ?'),
+            upsertSearchRecord: this.db.prepare(`
+                INSERT INTO search_records (doc_id, data) VALUES (?, ?)
+                ON CONFLICT (doc_id) DO UPDATE SET data = excluded.data
+            `),
+            listSearchRecords: this.db.prepare('SELECT data FROM search_records'),
+            deleteSearchRecord: this.db.prepare('DELETE FROM search_records WHERE doc_id = ?'),
+            listShareLinks: this.db.prepare('SELECT data FROM share_links'),
+            insertShareLink: this.db.prepare('INSERT INTO share_links (id, doc_id, data) VALUES (?, ?, ?)'),
+            clearShareLinks: this.db.prepare('DELETE FROM share_links'),
+            listWebhooks: this.db.prepare('SELECT data FROM webhooks'),
+            insertWebhook: this.db.prepare('INSERT INTO webhooks (id, doc_id, data) VALUES (?, ?, ?)'),
+            clearWebhooks: this.db.prepare('DELETE FROM webhooks'),
+            insertVersion: this.db.prepare(
+                'INSERT INTO versions (id, doc_id, metadata, state, created_at) VALUES (?, ?, ?, ?, ?)'
+            ),
+            listVersions: this.db.prepare(
+                'SELECT metadata FROM versions WHERE doc_id = ? ORDER BY created_at DESC, rowid DESC'
+            ),
+            getVersion: this.db.prepare('SELECT metadata, state FROM versions WHERE doc_id = ? AND id = ?'),
+            deleteVersion: this.db.prepare('DELETE FROM versions WHERE doc_id = ? AND id = ?'),
+            deleteVersions: this.db.prepare('DELETE FROM versions WHERE doc_id = ?'),
+            deleteDocument: this.db.prepare('DELETE FROM documents WHERE doc_id = ?'),
+            listDocuments: this.db.prepare(
+                'SELECT doc_id FROM documents UNION SELECT doc_id FROM updates'
+            )
+        };
+
+        // Replacing the base state and dropping its updates must happen together
+        this.replaceState = this.db.transaction((docId, state) => {
+            this.statements.upsertState.run(docId, Buffer.from(state), Date.now());
+            this.statements.deleteUpdates.run(docId);
+        });
+
+        this.moveToQuarantine = this.db.transaction((docId) => {
+            const now = Date.now();
+            this.statements.quarantineState.run(now, docId);
+            this.statements.quarantineUpdates.run(now, docId);
+            this.statements.deleteDocument.run(docId);
+            this.statements.deleteUpdates.run(docId);
+        });
+
+        this.replaceShareLinks = this.db.transaction((links) => {
+            this.statements.clearShareLinks.run();
+            links.forEach(link => {
+                this.statements.insertShareLink.run(link.id, link.docId, JSON.stringify(link));
+            });
+        });
+
+        this.replaceWebhooks = this.db.transaction((webhooks) => {
+            this.statements.clearWebhooks.run();
+            webhooks.forEach(webhook => {
+                this.statements.insertWebhook.run(webhook.id, webhook.docId, JSON.stringify(webhook));
+            });
+        });
+
+        this.deleteAll = this.db.transaction((docId) => {
+            this.statements.deleteDocument.run(docId);
+            this.statements.deleteUpdates.run(docId);
+            this.statements.deleteSnapshots.run(docId);
+            this.statements.deleteVersions.run(docId);
+            this.statements.deleteQuarantine.run(docId);
+            this.statements.deleteAttribution.run(docId);
+            this.statements.deleteMetadata.run(docId);
+            this.statements.deleteSearchRecord.run(docId);
+        });
+    }
+
+    async load(docId) {
+        const row = this.statements.getState.get(docId);
+        const updates = this.statements.getUpdates.all(docId)
+            .map(({ data }) => new Uint8Array(data));
+        const state = row && row.state ? new Uint8Array(row.state) : null;
+
+        if (!state && updates.length === 0) {
+            return null;
+        }
+        return { state, updates };
+    }
+
+    async storeUpdate(docId, update) {
+        this.statements.insertUpdate.run(docId, Buffer.from(update), Date.now());
+    }
+
+    async storeState(docId, state) {
+        this.replaceState(docId, state);
+    }
+
+    async storeSnapshot(docId, state) {
+        this.statements.insertSnapshot.run(docId, Buffer.from(state), Date.now());
+        this.statements.pruneSnapshots.run(docId, docId, SNAPSHOT_KEEP);
+    }
+
+    async loadSnapshots(docId) {
+        return this.statements.getSnapshots.all(docId).map(row => ({
+            createdAt: row.created_at,
+            state: new Uint8Array(row.state)
+        }));
+    }
+
+    async quarantine(docId) {
+        this.moveToQuarantine(docId);
+        return 'quarantine table';
+    }
+
+    async storeVersion(docId, version, state) {
+        this.statements.insertVersion.run(
+            version.id,
+            docId,
+            JSON.stringify(version),
+            Buffer.from(state),
+            version.createdAt
+        );
+    }
+
+    async listVersions(docId) {
+        return this.statements.listVersions.all(docId).map(({ metadata }) => JSON.parse(metadata));
+    }
+
+    async loadVersion(docId, versionId) {
+        const row = this.statements.getVersion.get(docId, versionId);
+        return row ? { version: JSON.parse(row.metadata), state: new Uint8Array(row.state) } : null;
+    }
+
+    async deleteVersion(docId, versionId) {
+        this.statements.deleteVersion.run(docId, versionId);
+    }
+
+    async loadAttribution(docId) {
+        const row = this.statements.getAttribution.get(docId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async storeAttribution(docId, attribution) {
+        this.statements.upsertAttribution.run(docId, JSON.stringify(attribution));
+    }
+
+    async loadMetadata(docId) {
+        const row = this.statements.getMetadata.get(docId);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async storeMetadata(docId, metadata) {
+        this.statements.upsertMetadata.run(docId, JSON.stringify(metadata));
+    }
+
+    async listMetadata() {
+        return this.statements.listMetadata.all().map(({ data }) => JSON.parse(data));
+    }
+
+    async storeSearchRecord(docId, record) {
+        this.statements.upsertSearchRecord.run(docId, JSON.stringify(record));
+    }
+
+    async listSearchRecords() {
+        return this.statements.listSearchRecords.all().map(({ data }) => JSON.parse(data));
+    }
+
+    async loadShareLinks() {
+        return this.statements.listShareLinks.all().map(({ data }) => JSON.parse(data));
+    }
+
+    async storeShareLinks(links) {
+        this.replaceShareLinks(links);
+    }
+
+    async loadWebhooks() {
+        return this.statements.listWebhooks.all().map(({ data }) => JSON.parse(data));
+    }
+
+    async storeWebhooks(webhooks) {
+        this.replaceWebhooks(webhooks);
+    }
+
+    async list() {
+        return this.statements.listDocuments.all().map(({ doc_id: docId }) => docId);
+    }
+
+    async delete(docId) {
+        this.deleteAll(docId);
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+module.exports = { SqlitePersistence };
@@ -0,0 +1,42 @@
+// rate-limit.js - Token bucket for per-connection message rates
+
+class TokenBucket {
+    /**
+     * @param {number} rate   tokens added per second
+     * @param {number} burst  bucket capacity (messages allowed at once)
+     */
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Take one token; false when the bucket is empty
+     */
+    take() {
+        this.refill();
+        if (this.tokens < 1) {
+            return false;
+        }
+        this.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * Milliseconds until the next token is available
+     */
+    retryAfter() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+    }
+}
+
+module.exports = { TokenBucket };
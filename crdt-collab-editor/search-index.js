@@ -0,0 +1,186 @@
+// search-index.js - Full-text index over the text of every document
+//
+// Text is split into lowercase words (letters and digits, two or more
+// characters). For every document we keep how often each word occurs:
+//
+//   record: { docId, terms: { [word]: count }, words, indexedAt }
+//
+// and invert that into word -> documents for lookups. Re-indexing a document
+// only touches the words whose counts changed. Results are ranked with BM25;
+// snippets are cut from the text at query time.
+
+const WORD = /[\p{L}\p{N}]{2,}/gu;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const SNIPPET_CONTEXT = 60;
+const MAX_SNIPPETS = 3;
+
+function tokenize(text) {
+    return (text.toLowerCase().match(WORD) || []);
+}
+
+function countTerms(text) {
+    const terms = {};
+    tokenize(text).forEach(term => {
+        terms[term] = (terms[term] || 0) + 1;
+    });
+    return terms;
+}
+
+class SearchIndex {
+    constructor() {
+        this.records = new Map(); // docId -> record
+        this.postings = new Map(); // word -> Map(docId -> count)
+        this.totalWords = 0;
+    }
+
+    /**
+     * Put a stored record into the index, replacing what it had for the document
+     */
+    add(record) {
+        // Indexed here since the record was stored
+        const current = this.records.get(record.docId);
+        if (current && current.indexedAt >= record.indexedAt) return;
+
+        this.remove(record.docId);
+        this.records.set(record.docId, record);
+        this.totalWords += record.words;
+        Object.entries(record.terms).forEach(([term, count]) => this.setPosting(term, record.docId, count));
+    }
+
+    /**
+     * Re-index a document from its text. Returns the new record, or null when
+     * no word count changed.
+     */
+    update(docId, text) {
+        const terms = countTerms(text);
+        const previous = this.records.get(docId);
+        const oldTerms = previous ? previous.terms : {};
+
+        let changed = !previous;
+        Object.keys(oldTerms).forEach(term => {
+            if (!(term in terms)) {
+                this.setPosting(term, docId, 0);
+                changed = true;
+            }
+        });
+        Object.entries(terms).forEach(([term, count]) => {
+            if (oldTerms[term] !== count) {
+                this.setPosting(term, docId, count);
+                changed = true;
+            }
+        });
+        if (!changed) return null;
+
+        const words = Object.values(terms).reduce((sum, count) => sum + count, 0);
+        this.totalWords += words - (previous ? previous.words : 0);
+
+        const record = { docId, terms, words, indexedAt: Date.now() };
+        this.records.set(docId, record);
+        return record;
+    }
+
+    remove(docId) {
+        const record = this.records.get(docId);
+        if (!record) return;
+
+        Object.keys(record.terms).forEach(term => this.setPosting(term, docId, 0));
+        this.totalWords -= record.words;
+        this.records.delete(docId);
+    }
+
+    has(docId) {
+        return this.records.has(docId);
+    }
+
+    setPosting(term, docId, count) {
+        if (count > 0) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Map());
+            }
+            this.postings.get(term).set(docId, count);
+            return;
+        }
+
+        const docs = this.postings.get(term);
+        if (docs) {
+            docs.delete(docId);
+            if (docs.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+    }
+
+    /**
+     * Documents containing any word of the query, best first:
+     * [{ docId, score, terms: [matched words] }]
+     */
+    search(query, { filter = () => true } = {}) {
+        const queryTerms = Array.from(new Set(tokenize(query)));
+        const documentCount = this.records.size;
+        if (queryTerms.length === 0 || documentCount === 0) return [];
+
+        const averageWords = this.totalWords / documentCount || 1;
+        const scores = new Map();
+
+        queryTerms.forEach(term => {
+            const docs = this.postings.get(term);
+            if (!docs) return;
+
+            const idf = Math.log(1 + (documentCount - docs.size + 0.5) / (docs.size + 0.5));
+            docs.forEach((count, docId) => {
+                if (!filter(docId)) return;
+
+                const { words } = this.records.get(docId);
+                const weight = idf * count * (BM25_K1 + 1) /
+                    (count + BM25_K1 * (1 - BM25_B + BM25_B * words / averageWords));
+
+                const entry = scores.get(docId) || { docId, score: 0, terms: [] };
+                entry.score += weight;
+                entry.terms.push(term);
+                scores.set(docId, entry);
+            });
+        });
+
+        return Array.from(scores.values())
+            .sort((a, b) => b.score - a.score || a.docId.localeCompare(b.docId));
+    }
+}
+
+/**
+ * Where the query's words occur in a text, and snippets around the first few:
+ * { matches: [{ start, end }], snippets: [{ start, end, text, highlights: [{ start, end }] }] }
+ * All offsets are positions in the full text.
+ */
+function findMatches(text, query) {
+    const wanted = new Set(tokenize(query));
+    const matches = [];
+    for (const match of text.matchAll(WORD)) {
+        if (wanted.has(match[0].toLowerCase())) {
+            matches.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    const snippets = [];
+    matches.forEach(match => {
+        const current = snippets[snippets.length - 1];
+        if (current && match.start < current.end) {
+            // Close enough to share the previous snippet
+            current.end = Math.max(current.end, Math.min(text.length, match.end + SNIPPET_CONTEXT));
+            current.highlights.push(match);
+        } else if (snippets.length < MAX_SNIPPETS) {
+            snippets.push({
+                start: Math.max(0, match.start - SNIPPET_CONTEXT),
+                end: Math.min(text.length, match.end + SNIPPET_CONTEXT),
+                highlights: [match]
+            });
+        }
+    });
+
+    return {
+        matches,
+        snippets: snippets.map(snippet => ({ ...snippet, text: text.slice(snippet.start, snippet.end) }))
+    };
+}
+
+module.exports = { SearchIndex, findMatches, tokenize };
@@ -1,276 +1,1894 @@
 // server.js - Node.js/Express WebSocket Server for CRDT Collaboration
 //
 // Installation:
-// npm install express ws yjs fs-extra cors
+// npm install express ws yjs y-protocols lib0 fs-extra cors better-sqlite3
 
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const http = require('http');
 const Y = require('yjs');
-const fs = require('fs-extra');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
 const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
+const { createPersistence } = require('./persistence');
+const { createBackplane, generateInstanceId } = require('./backplane');
+const { diffLines, applyTextDiff } = require('./text-diff');
+const { FORMATS, exportDocument, importText, detectFormat } = require('./formats');
+const { TokenBucket } = require('./rate-limit');
+const { Registry } = require('./metrics');
+const { Attribution } = require('./attribution');
+const { createMetadata, validateMetadata, parseCatalogQuery, queryCatalog } = require('./catalog');
+const { SearchIndex, findMatches } = require('./search-index');
+const comments = require('./comments');
+const auth = require('./auth');
+const { ShareLinkStore, SCOPE_ROLES, describeShareLink } = require('./share-links');
+const { WebhookStore, EVENTS: WEBHOOK_EVENTS, describeWebhook } = require('./webhooks');
+const { SseConnection } = require('./sse');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
 
 // Configuration
 const PORT = process.env.PORT || 3001;
-const PERSISTENCE_DIR = './crdt-persistence';
+const PERSISTENCE_DIR = process.env.PERSISTENCE_DIR || './crdt-persistence';
+const PERSISTENCE_ADAPTER = process.env.PERSISTENCE_ADAPTER || 'filesystem';
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(PERSISTENCE_DIR, 'documents.db');
+const YJS_PATH_PREFIX = '/yjs/';
+const SSE_PATH = '/sse';
+const UNDO_GRACE_PERIOD = parseInt(process.env.UNDO_GRACE_PERIOD, 10) || 60000;
+const LOG_COMPACT_BYTES = parseInt(process.env.LOG_COMPACT_BYTES, 10) || 1024 * 1024;
+const LOG_COMPACT_COUNT = parseInt(process.env.LOG_COMPACT_COUNT, 10) || 500;
+const VERSION_INTERVAL = parseInt(process.env.VERSION_INTERVAL, 10) || 10 * 60 * 1000;
+const MAX_AUTO_VERSIONS = parseInt(process.env.MAX_AUTO_VERSIONS, 10) || 50;
+const MAX_RECOVERY_LOG = 20;
+const AUTH_SECRET = process.env.AUTH_SECRET || null;
+const SHARE_LINK_TTL = parseInt(process.env.SHARE_LINK_TTL, 10) || 7 * 24 * 60 * 60 * 1000;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+const INSTANCE_ID = process.env.INSTANCE_ID || generateInstanceId();
+const BACKPLANE_ADAPTER = process.env.BACKPLANE || 'loopback';
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const OWNERSHIP_TTL = parseInt(process.env.OWNERSHIP_TTL, 10) || 30000;
+const DOC_IDLE_TIMEOUT = parseInt(process.env.DOC_IDLE_TIMEOUT, 10) || 5 * 60 * 1000;
+const DOC_MEMORY_BUDGET = parseInt(process.env.DOC_MEMORY_BUDGET, 10) || 256 * 1024 * 1024;
+const EVICTION_INTERVAL = parseInt(process.env.EVICTION_INTERVAL, 10) || 30000;
+const MAX_MESSAGE_SIZE = parseInt(process.env.MAX_MESSAGE_SIZE, 10) || 4 * 1024 * 1024;
+const MAX_UPDATE_SIZE = parseInt(process.env.MAX_UPDATE_SIZE, 10) || 1024 * 1024;
+const MAX_DOCUMENT_SIZE = parseInt(process.env.MAX_DOCUMENT_SIZE, 10) || 10 * 1024 * 1024;
+const RATE_LIMIT_RATE = parseInt(process.env.RATE_LIMIT_RATE, 10) || 60; // messages per second
+const RATE_LIMIT_BURST = parseInt(process.env.RATE_LIMIT_BURST, 10) || 120;
+const SLOW_CLIENT_BUFFER = parseInt(process.env.SLOW_CLIENT_BUFFER, 10) || 1024 * 1024;
+const SLOW_CLIENT_MAX_BUFFER = parseInt(process.env.SLOW_CLIENT_MAX_BUFFER, 10) || 8 * 1024 * 1024;
+const WEBHOOK_DEBOUNCE = parseInt(process.env.WEBHOOK_DEBOUNCE, 10) || 5000;
+const WEBHOOK_MAX_WAIT = parseInt(process.env.WEBHOOK_MAX_WAIT, 10) || 60000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_DELAY = parseInt(process.env.WEBHOOK_RETRY_DELAY, 10) || 2000;
+const WEBHOOK_TIMEOUT = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const SEARCH_INDEX_DELAY = parseInt(process.env.SEARCH_INDEX_DELAY, 10) || 2000;
+
+// Origin of changes that arrived from other instances through the backplane
+const BACKPLANE_ORIGIN = 'backplane';
+
+// Without a secret every caller acts as owner of every document (local development)
+const ANONYMOUS_USER = { id: 'anonymous', name: 'Anonymous', docs: { '*': 'owner' } };
+
+// Oversized messages get a proper error below; far larger ones are cut off by ws itself
+const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE * 2 });
+const yjsWss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE * 2 });
+
+// y-protocols message types (compatible with y-websocket)
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const MESSAGE_QUERY_AWARENESS = 3;
+
+// Storage backend for document state (filesystem, sqlite or memory)
+const persistence = createPersistence({
+    adapter: PERSISTENCE_ADAPTER,
+    dir: PERSISTENCE_DIR,
+    sqlitePath: SQLITE_PATH
+});
+
+// Share links for guests without a login
+const shareLinks = new ShareLinkStore(persistence);
+
+// Callbacks to other services when documents change
+const webhooks = new WebhookStore(persistence, {
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    retryDelay: WEBHOOK_RETRY_DELAY,
+    timeout: WEBHOOK_TIMEOUT,
+    allowPrivate: WEBHOOK_ALLOW_PRIVATE
+});
+
+// Words of every stored document; loaded and brought up to date in the background
+const searchIndex = new SearchIndex();
+
+// Fan-out to other server instances (loopback when running alone)
+const backplane = createBackplane({
+    adapter: BACKPLANE_ADAPTER,
+    instanceId: INSTANCE_ID,
+    redisUrl: REDIS_URL
+});
+
+// Prometheus metrics served on /metrics
+const metrics = new Registry();
+
+const updatesReceived = metrics.counter({
+    name: 'crdt_updates_received_total',
+    help: 'Document updates applied, by where they came from',
+    labelNames: ['source']
+});
+
+const updatesBroadcast = metrics.counter({
+    name: 'crdt_updates_broadcast_total',
+    help: 'Document updates sent to connected clients',
+    labelNames: ['transport']
+});
+
+const bytesReceived = metrics.counter({
+    name: 'crdt_received_bytes_total',
+    help: 'WebSocket message bytes received from clients',
+    labelNames: ['transport']
+});
+
+const bytesSent = metrics.counter({
+    name: 'crdt_sent_bytes_total',
+    help: 'WebSocket message bytes sent to clients',
+    labelNames: ['transport']
+});
+
+const joinDuration = metrics.histogram({
+    name: 'crdt_join_duration_seconds',
+    help: 'Time from a join until the client is syncing, including document load',
+    labelNames: ['transport']
+});
+
+const persistenceWriteDuration = metrics.histogram({
+    name: 'crdt_persistence_write_duration_seconds',
+    help: 'Duration of persistence writes',
+    labelNames: ['operation']
+});
+
+const persistenceWriteFailures = metrics.counter({
+    name: 'crdt_persistence_write_failures_total',
+    help: 'Persistence writes that failed',
+    labelNames: ['operation']
+});
+
+const snapshotDuration = metrics.histogram({
+    name: 'crdt_snapshot_duration_seconds',
+    help: 'Time to encode and store a recovery snapshot'
+});
+
+const heartbeatTerminations = metrics.counter({
+    name: 'crdt_heartbeat_terminations_total',
+    help: 'Connections terminated for missing heartbeats',
+    labelNames: ['transport']
+});
+
+metrics.gauge({
+    name: 'crdt_connections',
+    help: 'Open client connections',
+    labelNames: ['transport'],
+    collect: () => [
+        [{ transport: 'json' }, wss.clients.size],
+        [{ transport: 'yjs' }, yjsWss.clients.size],
+        [{ transport: 'sse' }, sseConnections.size]
+    ]
+});
+
+metrics.gauge({
+    name: 'crdt_documents_loaded',
+    help: 'Documents held in memory',
+    collect: () => [[{}, documents.size]]
+});
+
+// Per-document values as distributions: a doc_id label would expose document
+// ids on an open endpoint and grow with every document ever loaded
+metrics.histogram({
+    name: 'crdt_document_clients',
+    help: 'Loaded documents by the number of clients connected to them',
+    buckets: [0, 1, 2, 5, 10, 25, 50, 100],
+    collect: () => Array.from(documents.values()).map(doc => [{}, doc.clients.size])
+});
 
-// Ensure persistence directory exists
-fs.ensureDirSync(PERSISTENCE_DIR);
+metrics.histogram({
+    name: 'crdt_document_size_bytes',
+    help: 'Loaded documents by encoded size',
+    buckets: [1024, 10 * 1024, 100 * 1024, 1024 * 1024, 10 * 1024 * 1024],
+    collect: () => Array.from(documents.values()).map(doc => [{}, doc.estimatedSize])
+});
+
+metrics.gauge({
+    name: 'crdt_documents_resident_bytes',
+    help: 'Encoded size of all loaded documents',
+    collect: () => [[{}, getResidentSize()]]
+});
+
+const documentEvictions = metrics.counter({
+    name: 'crdt_document_evictions_total',
+    help: 'Documents unloaded to save memory'
+});
+
+metrics.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory of the server process',
+    collect: () => [[{}, process.memoryUsage().rss]]
+});
+
+instrumentPersistenceWrites(persistence);
+
+// Imports read the uploaded file as it is, whatever its Content-Type says
+const IMPORT_PATH = /^\/api\/documents\/[^/]+\/import$/;
+
+function unlessImport(parser) {
+    return (req, res, next) => (IMPORT_PATH.test(req.path) ? next() : parser(req, res, next));
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+app.use(unlessImport(express.json({ limit: MAX_MESSAGE_SIZE })));
+app.use(unlessImport(express.urlencoded({ extended: true })));
 
 // Serve static files from 'public' directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Every API route needs a valid token. Without one, a share link (?share=) is
+// left to requireRole, as it only opens routes on its own document.
+app.use('/api', (req, res, next) => {
+    req.user = authenticate(req);
+    if (!req.user && (auth.extractToken(req) || !req.query.share)) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    next();
+});
+
 // Store for documents and client connections
 const documents = new Map();
 const rooms = new Map();
 
+// Open Server-Sent Events connections by their token
+const sseConnections = new Map();
+
+// Most recent load failures and how they were resolved, newest first
+const recoveries = [];
+
+// Writes of unloaded documents still in flight; a reload waits for them
+const pendingFlushes = new Map();
+
+const evictionStats = {
+    evictions: 0,
+    lastEvictedAt: null,
+    lastEvictedDocId: null
+};
+
 /**
  * Document Manager - Handles CRDT document lifecycle
  */
 class DocumentManager {
-    constructor(docId) {
+    constructor(docId, { creator = null } = {}) {
         this.docId = docId;
         this.doc = new Y.Doc();
         this.text = this.doc.getText('content');
         this.clients = new Set();
-        this.persistencePath = path.join(PERSISTENCE_DIR, `${docId}.yjs`);
-
-        // Load persisted state if exists
-        this.loadState();
+        this.awareness = new awarenessProtocol.Awareness(this.doc);
+        this.awareness.setLocalState(null);
+        this.undoSessions = new Map();
+        this.logCount = 0;
+        this.logBytes = 0;
+        this.changedSinceVersion = false;
+        this.changedSinceSnapshot = false;
+
+        // Who wrote what; `currentAuthor` credits server-side edits made on someone's behalf
+        this.attribution = new Attribution();
+        this.currentAuthor = null;
+
+        // Catalog entry (see catalog.js); `creator` is credited if the document is new
+        this.creator = creator;
+        this.metadata = createMetadata(docId);
+        this.updatedAt = null;
+        this.metadataDirty = false;
+
+        // Changes not yet announced through a document.updated webhook
+        this.webhookChanges = 0;
+        this.webhookAuthors = new Set();
+        this.webhookFirstChange = null;
+        this.webhookTimeout = null;
+
+        // Pending re-index of the text for search
+        this.indexTimeout = null;
+
+        // For eviction: last join, edit or REST access, and the encoded size
+        // of the document as a cheap stand-in for its memory use
+        this.lastAccess = Date.now();
+        this.estimatedSize = 0;
+
+        // 'loading' until persisted state is applied, then 'ready'. Anything that
+        // reads or serves the document waits for `loaded` first.
+        this.status = 'loading';
+        this.recovery = null;
+
+        // Only the owning instance writes the document to persistence
+        this.isOwner = false;
+
+        // Load persisted state if exists; all writes queue up behind the load
+        this.loaded = Promise.resolve(pendingFlushes.get(docId))
+            .then(() => this.claimOwnership())
+            .then(() => this.loadState());
+        this.writeQueue = this.loaded;
+
+        // Changes made on other instances
+        backplane.subscribe(docId, message => this.handleBackplaneMessage(message));
+        this.loaded.then(() => this.publish('sync-step1', Y.encodeStateVector(this.doc)));
 
         // Set up auto-save on updates
         this.doc.on('update', (update, origin) => {
+            this.estimatedSize += update.length;
             if (origin !== 'load') {
-                this.saveState();
+                updatesReceived.inc({ source: updateSource(origin) });
+                this.changedSinceVersion = true;
+                this.changedSinceSnapshot = true;
+                this.updatedAt = Date.now();
+                this.metadataDirty = true;
+                this.touch();
+                this.appendUpdate(update);
                 this.broadcastUpdate(update, origin);
+                this.scheduleUpdatedWebhook();
+                this.scheduleIndexing();
+                if (origin !== BACKPLANE_ORIGIN) {
+                    this.publish('update', update);
+                    this.attribute(update, origin);
+                }
+            }
+        });
+
+        // Relay presence changes and remember which awareness ids each client owns
+        this.awareness.on('update', ({ added, updated, removed }, origin) => {
+            if (this.clients.has(origin)) {
+                added.concat(updated).forEach(id => origin.awarenessIds.add(id));
+                removed.forEach(id => origin.awarenessIds.delete(id));
+            }
+            const changedClients = added.concat(updated, removed);
+            this.broadcastAwareness(changedClients);
+            if (origin !== BACKPLANE_ORIGIN) {
+                this.publish('awareness', awarenessProtocol.encodeAwarenessUpdate(this.awareness, changedClients));
             }
         });
 
-        // Periodic state snapshot for crash recovery
+        // Keep (or pick up, if its owner went away) the right to persist
+        this.ownershipInterval = setInterval(() => {
+            this.claimOwnership();
+        }, OWNERSHIP_TTL / 3);
+
+        // Periodic state snapshot for crash recovery, skipped while nothing changes
         this.snapshotInterval = setInterval(() => {
-            this.saveSnapshot();
+            if (this.changedSinceSnapshot) {
+                this.saveSnapshot();
+            }
+            if (this.attribution.dirty) {
+                this.saveAttribution();
+            }
+            if (this.metadataDirty) {
+                this.saveMetadata();
+            }
         }, 30000); // Every 30 seconds
+
+        // Automatic version for the history, only when something changed
+        this.versionInterval = setInterval(() => {
+            if (this.isOwner && this.changedSinceVersion) {
+                this.createVersion({ auto: true }).catch(error => {
+                    console.error(`Error creating version for ${this.docId}:`, error);
+                });
+            }
+        }, VERSION_INTERVAL);
     }
 
     /**
-     * Load document state from disk
+     * Load document state from storage: base state plus logged updates on top.
+     * If that does not decode, fall back to the newest valid snapshot.
      */
     async loadState() {
+        let created = false;
         try {
-            if (await fs.pathExists(this.persistencePath)) {
-                const data = await fs.readFile(this.persistencePath);
-                Y.applyUpdate(this.doc, new Uint8Array(data), 'load');
-                console.log(`📂 Loaded document ${this.docId} from disk`);
+            const stored = await persistence.load(this.docId);
+            created = !stored;
+            if (stored) {
+                Y.applyUpdate(this.doc, decodeStoredState(stored.state, stored.updates), 'load');
+
+                this.logCount = stored.updates.length;
+                this.logBytes = stored.updates.reduce((total, update) => total + update.length, 0);
+                console.log(`📂 Loaded document ${this.docId} (${stored.updates.length} logged updates)`);
             }
         } catch (error) {
             console.error(`Error loading document ${this.docId}:`, error);
+            await this.recoverFromSnapshot(error);
+        }
+
+        try {
+            this.attribution.load(await persistence.loadAttribution(this.docId));
+        } catch (error) {
+            console.error(`Error loading attribution for ${this.docId}:`, error);
+        }
+
+        try {
+            const metadata = await persistence.loadMetadata(this.docId);
+            if (metadata) {
+                // Edits that arrived meanwhile are newer than the stored time
+                this.metadata = { ...this.metadata, ...metadata };
+                this.updatedAt = Math.max(this.updatedAt || 0, metadata.updatedAt || 0) || null;
+            } else if (created) {
+                this.metadata = createMetadata(this.docId, { createdAt: Date.now(), createdBy: this.creator });
+                this.updatedAt = this.updatedAt || this.metadata.createdAt;
+                this.metadataDirty = true;
+            } else {
+                // Stored before there was metadata; recorded with the next save
+                this.metadataDirty = true;
+            }
+        } catch (error) {
+            console.error(`Error loading metadata for ${this.docId}:`, error);
         }
+
+        this.estimatedSize = Y.encodeStateAsUpdate(this.doc).length;
+        this.status = 'ready';
+
+        if (created && this.isOwner) {
+            webhooks.emit('document.created', this.docId);
+        }
+
+        // The stored index may predate edits made elsewhere
+        this.indexText();
     }
 
     /**
-     * Save document state to disk
+     * Replace unreadable stored state with the newest snapshot that decodes,
+     * moving the bad data aside so it can be inspected later
      */
-    async saveState() {
+    async recoverFromSnapshot(loadError) {
+        let snapshot = null;
+        let state = null;
+
         try {
-            const state = Y.encodeStateAsUpdate(this.doc);
-            await fs.writeFile(this.persistencePath, Buffer.from(state));
+            for (const candidate of await persistence.loadSnapshots(this.docId)) {
+                try {
+                    state = decodeStoredState(candidate.state, []);
+                    snapshot = candidate;
+                    break;
+                } catch (error) {
+                    console.warn(`⚠️  Skipping unreadable snapshot of ${this.docId} from ${new Date(candidate.createdAt).toISOString()}`);
+                }
+            }
         } catch (error) {
-            console.error(`Error saving document ${this.docId}:`, error);
+            console.error(`Error reading snapshots of ${this.docId}:`, error);
+        }
+
+        // Storage is only repaired by the owning instance
+        let quarantined = null;
+        if (this.isOwner) {
+            try {
+                quarantined = await persistence.quarantine(this.docId);
+            } catch (error) {
+                console.error(`Error quarantining ${this.docId}:`, error);
+            }
+        }
+
+        if (state) {
+            Y.applyUpdate(this.doc, state, 'load');
+            if (this.isOwner) {
+                try {
+                    await persistence.storeState(this.docId, state);
+                } catch (error) {
+                    console.error(`Error storing recovered state of ${this.docId}:`, error);
+                }
+            }
+        }
+
+        this.recovery = {
+            docId: this.docId,
+            status: state ? 'recovered' : 'failed',
+            error: loadError.message,
+            snapshotCreatedAt: snapshot ? snapshot.createdAt : null,
+            quarantined,
+            recoveredAt: Date.now()
+        };
+        recoveries.unshift(this.recovery);
+        recoveries.length = Math.min(recoveries.length, MAX_RECOVERY_LOG);
+
+        if (state) {
+            console.warn(`🩹 Recovered ${this.docId} from snapshot ${new Date(snapshot.createdAt).toISOString()}`);
+        } else {
+            console.error(`❌ No usable snapshot for ${this.docId}; starting empty`);
         }
     }
 
     /**
-     * Save complete snapshot for recovery
+     * Take or renew ownership through the backplane. An instance that takes
+     * over from a departed owner stores its full state right away, since the
+     * previous owner may have gone down before persisting its last updates.
      */
-    async saveSnapshot() {
+    async claimOwnership() {
+        let owner;
         try {
-            const snapshotPath = path.join(
-                PERSISTENCE_DIR,
-                `${this.docId}.snapshot.${Date.now()}.yjs`
-            );
-            const state = Y.encodeStateAsUpdate(this.doc);
-            await fs.writeFile(snapshotPath, Buffer.from(state));
+            owner = await backplane.claimOwnership(this.docId, OWNERSHIP_TTL);
+        } catch (error) {
+            // Keep the current role until the backplane can be asked again
+            console.error(`Error claiming ownership of ${this.docId}:`, error.message);
+            return;
+        }
 
-            // Clean up old snapshots (keep last 5)
-            const files = await fs.readdir(PERSISTENCE_DIR);
-            const snapshots = files
-                .filter(f => f.startsWith(`${this.docId}.snapshot.`))
-                .sort()
-                .reverse();
+        const wasOwner = this.isOwner;
+        this.isOwner = owner;
 
-            for (let i = 5; i < snapshots.length; i++) {
-                await fs.remove(path.join(PERSISTENCE_DIR, snapshots[i]));
-            }
-        } catch (error) {
-            console.error(`Error saving snapshot for ${this.docId}:`, error);
+        if (owner && !wasOwner && this.status === 'ready') {
+            console.log(`👑 ${INSTANCE_ID} took over persisting ${this.docId}`);
+            this.saveState();
+        } else if (!owner && wasOwner) {
+            console.warn(`⚠️  ${INSTANCE_ID} lost ownership of ${this.docId}`);
         }
     }
 
     /**
-     * Add client to document
+     * Send a message to the other instances that have this document loaded
      */
-    addClient(client) {
-        this.clients.add(client);
-        console.log(`👤 Client ${client.id} joined document ${this.docId}`);
-
-        // Send current state to new client
-        const state = Y.encodeStateAsUpdate(this.doc);
-        client.send(JSON.stringify({
-            type: 'sync',
-            update: Array.from(state),
-            docId: this.docId
-        }));
+    publish(type, payload) {
+        backplane.publish(this.docId, { type, payload }).catch(error => {
+            console.error(`Backplane publish for ${this.docId} failed:`, error.message);
+        });
     }
 
     /**
-     * Remove client from document
+     * Apply a message from another instance
      */
-    removeClient(client) {
-        this.clients.delete(client);
-        console.log(`👋 Client ${client.id} left document ${this.docId}`);
+    handleBackplaneMessage({ type, payload }) {
+        switch (type) {
+            case 'update':
+            case 'sync-step2':
+                Y.applyUpdate(this.doc, payload, BACKPLANE_ORIGIN);
+                break;
+
+            case 'sync-step1':
+                // Another instance just loaded the document; send what it lacks
+                this.loaded.then(() => {
+                    this.publish('sync-step2', Y.encodeStateAsUpdate(this.doc, payload));
+                });
+                break;
 
-        // Clean up if no clients remain
-        if (this.clients.size === 0) {
-            this.cleanup();
+            case 'awareness':
+                awarenessProtocol.applyAwarenessUpdate(this.awareness, payload, BACKPLANE_ORIGIN);
+                break;
+
+            case 'metadata':
+                this.loaded.then(() => this.updateMetadata(JSON.parse(Buffer.from(payload).toString()), false));
+                break;
+
+            case 'attribution': {
+                const attribution = JSON.parse(Buffer.from(payload).toString());
+                this.attribution.merge(attribution);
+                attribution.runs.forEach(([, , , authorId]) => this.webhookAuthors.add(authorId));
+                break;
+            }
+
+            case 'deleted':
+                closeDeletedDocument(this);
+                break;
+
+            default:
+                console.log(`Unknown backplane message type: ${type}`);
         }
     }
 
     /**
-     * Broadcast update to all clients except sender
+     * Run a persistence task after every previously queued one
      */
-    broadcastUpdate(update, origin) {
-        const message = JSON.stringify({
-            type: 'update',
-            update: Array.from(update),
-            docId: this.docId
+    enqueueWrite(task) {
+        this.writeQueue = this.writeQueue.then(task).catch(error => {
+            console.error(`Persistence error for ${this.docId}:`, error);
         });
+        return this.writeQueue;
+    }
 
-        this.clients.forEach(client => {
-            if (client !== origin && client.readyState === 1) { // WebSocket.OPEN
-                try {
-                    client.send(message);
-                } catch (error) {
-                    console.error(`Error broadcasting to client ${client.id}:`, error);
-                }
+    /**
+     * Append a single update to the document's log
+     */
+    appendUpdate(update) {
+        return this.enqueueWrite(async () => {
+            if (!this.isOwner) return;
+
+            await persistence.storeUpdate(this.docId, update);
+            this.logCount++;
+            this.logBytes += update.length;
+
+            if (this.logCount >= LOG_COMPACT_COUNT || this.logBytes >= LOG_COMPACT_BYTES) {
+                await this.compact();
             }
         });
     }
 
     /**
-     * Apply update from client
+     * Merge the logged updates into the base state
      */
-    applyUpdate(update, client) {
-        try {
-            Y.applyUpdate(this.doc, new Uint8Array(update), client);
-        } catch (error) {
-            console.error(`Error applying update from client ${client.id}:`, error);
-        }
+    async compact() {
+        if (!this.isOwner) return;
+
+        const state = Y.encodeStateAsUpdate(this.doc);
+        this.estimatedSize = state.length;
+        await persistence.storeState(this.docId, state);
+        this.logCount = 0;
+        this.logBytes = 0;
     }
 
     /**
-     * Get document statistics
+     * Save document state to disk (compacts the update log)
      */
-    getStats() {
-        return {
-            docId: this.docId,
-            clients: this.clients.size,
-            textLength: this.text.length,
-            updateSize: Y.encodeStateAsUpdate(this.doc).length
-        };
+    saveState() {
+        this.enqueueWrite(() => this.compact());
+        this.saveAttribution();
+        return this.saveMetadata();
     }
 
     /**
-     * Cleanup resources
+     * Store who wrote what, if anything new was recorded
      */
-    cleanup() {
-        clearInterval(this.snapshotInterval);
-        this.saveState();
-        documents.delete(this.docId);
-        console.log(`🗑️  Cleaned up document ${this.docId}`);
+    saveAttribution() {
+        return this.enqueueWrite(async () => {
+            if (!this.isOwner || !this.attribution.dirty) return;
+
+            this.attribution.dirty = false;
+            try {
+                await persistence.storeAttribution(this.docId, this.attribution.toJSON());
+            } catch (error) {
+                this.attribution.dirty = true;
+                throw error;
+            }
+        });
     }
-}
 
-/**
- * Get or create document manager
- */
-function getDocument(docId) {
-    if (!documents.has(docId)) {
-        documents.set(docId, new DocumentManager(docId));
+    /**
+     * Store the catalog entry if it changed
+     */
+    saveMetadata() {
+        return this.enqueueWrite(async () => {
+            if (!this.isOwner || !this.metadataDirty) return;
+
+            this.metadataDirty = false;
+            try {
+                await persistence.storeMetadata(this.docId, this.getMetadata());
+            } catch (error) {
+                this.metadataDirty = true;
+                throw error;
+            }
+        });
     }
-    return documents.get(docId);
-}
 
-/**
- * WebSocket connection handler
- */
-wss.on('connection', (ws, req) => {
-    ws.id = `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    ws.currentDoc = null;
-    ws.isAlive = true;
+    /**
+     * Catalog entry with the current times and sizes
+     */
+    getMetadata() {
+        return {
+            ...this.metadata,
+            updatedAt: this.updatedAt,
+            length: this.text.length,
+            size: this.estimatedSize
+        };
+    }
 
-    console.log(`🔌 New connection: ${ws.id}`);
+    /**
+     * Change title, description or tags (validated by the caller) here and,
+     * unless they came from there, on the other instances
+     */
+    updateMetadata(fields, publish = true) {
+        this.metadata = { ...this.metadata, ...fields };
+        this.metadataDirty = true;
+        if (publish) {
+            this.publish('metadata', Buffer.from(JSON.stringify(fields)));
+        }
+        return this.saveMetadata();
+    }
 
-    // Heartbeat
-    ws.on('pong', () => {
-        ws.isAlive = true;
-    });
+    /**
+     * Credit the content of an update to whoever made it and tell the other
+     * instances (they only see the update itself)
+     */
+    attribute(update, origin) {
+        const author = this.authorOf(origin);
+        if (!author) return;
+
+        this.webhookAuthors.add(author.id);
+        const runs = this.attribution.record(update, author);
+        if (runs.length > 0) {
+            const authors = { [author.id]: this.attribution.authors.get(author.id) };
+            this.publish('attribution', Buffer.from(JSON.stringify({ authors, runs })));
+        }
+    }
 
-    ws.on('message', (data) => {
-        try {
-            const message = JSON.parse(data);
+    authorOf(origin) {
+        if (this.currentAuthor) {
+            return this.currentAuthor;
+        }
 
-            switch (message.type) {
-                case 'join':
-                    handleJoin(ws, message);
-                    break;
+        // Server-side undo/redo runs with the session's undo manager as origin
+        if (origin instanceof Y.UndoManager) {
+            const session = Array.from(this.undoSessions.values()).find(s => s.undoManager === origin);
+            origin = session && session.client;
+        }
 
-                case 'update':
-                    handleUpdate(ws, message);
-                    break;
+        return origin && origin.transport ? describeAuthor(origin, this.awareness) : null;
+    }
 
-                case 'sync-request':
-                    handleSyncRequest(ws, message);
-                    break;
+    /**
+     * Announce changes once they settle: WEBHOOK_DEBOUNCE after the last one,
+     * or WEBHOOK_MAX_WAIT after the first while edits keep coming
+     */
+    scheduleUpdatedWebhook() {
+        this.webhookChanges++;
+        if (this.webhookFirstChange === null) {
+            this.webhookFirstChange = Date.now();
+        }
 
-                case 'undo':
-                    handleUndo(ws, message);
-                    break;
+        clearTimeout(this.webhookTimeout);
+        const delay = Math.min(WEBHOOK_DEBOUNCE, this.webhookFirstChange + WEBHOOK_MAX_WAIT - Date.now());
+        this.webhookTimeout = setTimeout(() => this.fireUpdatedWebhook(), Math.max(delay, 0));
+    }
 
-                case 'redo':
-                    handleRedo(ws, message);
-                    break;
+    /**
+     * Re-index the text at most every SEARCH_INDEX_DELAY while it changes
+     */
+    scheduleIndexing() {
+        if (!this.indexTimeout) {
+            this.indexTimeout = setTimeout(() => this.indexText(), SEARCH_INDEX_DELAY);
+        }
+    }
 
-                default:
-                    console.log(`Unknown message type: ${message.type}`);
-            }
-        } catch (error) {
-            console.error(`Error handling message from ${ws.id}:`, error);
-            ws.send(JSON.stringify({
-                type: 'error',
-                message: error.message
-            }));
+    indexText() {
+        clearTimeout(this.indexTimeout);
+        this.indexTimeout = null;
+
+        const record = searchIndex.update(this.docId, this.text.toString());
+        if (record) {
+            this.enqueueWrite(async () => {
+                if (this.isOwner) {
+                    await persistence.storeSearchRecord(this.docId, record);
+                }
+            });
         }
-    });
+    }
 
-    ws.on('close', () => {
-        console.log(`🔌 Connection closed: ${ws.id}`);
-        if (ws.currentDoc) {
-            const doc = documents.get(ws.currentDoc);
-            if (doc) {
-                doc.removeClient(ws);
-            }
+    /**
+     * Send document.updated for the changes collected so far. Every instance
+     * sees every change, so only the owner sends it.
+     */
+    fireUpdatedWebhook() {
+        clearTimeout(this.webhookTimeout);
+        this.webhookTimeout = null;
+        if (this.webhookChanges === 0) return;
+
+        if (this.isOwner) {
+            webhooks.emit('document.updated', this.docId, {
+                changes: this.webhookChanges,
+                authors: Array.from(this.webhookAuthors).map(id => this.attribution.authors.get(id) || { id, name: id, color: null }),
+                length: this.text.length,
+                etag: this.getETag()
+            });
         }
-    });
+
+        this.webhookChanges = 0;
+        this.webhookAuthors.clear();
+        this.webhookFirstChange = null;
+    }
+
+    /**
+     * Text split into ranges tagged with their author and time
+     */
+    getBlame() {
+        const ranges = this.attribution.blame(this.text);
+        const authors = {};
+        ranges.forEach(range => {
+            if (range.author && !authors[range.author]) {
+                authors[range.author] = this.attribution.authors.get(range.author) ||
+                    { id: range.author, name: range.author, color: null };
+            }
+        });
+
+        return { docId: this.docId, text: this.text.toString(), authors, ranges };
+    }
+
+    /**
+     * Save complete snapshot for recovery
+     */
+    async saveSnapshot() {
+        if (!this.isOwner) return;
+
+        this.changedSinceSnapshot = false;
+        const endTimer = snapshotDuration.startTimer();
+        try {
+            await persistence.storeSnapshot(this.docId, Y.encodeStateAsUpdate(this.doc));
+            endTimer();
+        } catch (error) {
+            console.error(`Error saving snapshot for ${this.docId}:`, error);
+        }
+    }
+
+    /**
+     * Record the current state as a version in the history
+     */
+    async createVersion({ label = null, author = null, auto = false } = {}) {
+        await this.loaded;
+
+        const version = {
+            id: generateVersionId(),
+            docId: this.docId,
+            label,
+            author,
+            auto,
+            createdAt: Date.now(),
+            textLength: this.text.length
+        };
+        this.changedSinceVersion = false;
+        await persistence.storeVersion(this.docId, version, Y.encodeStateAsUpdate(this.doc));
+
+        // Named versions are kept forever, automatic ones only up to a limit
+        if (auto) {
+            const autoVersions = (await persistence.listVersions(this.docId)).filter(v => v.auto);
+            for (const stale of autoVersions.slice(MAX_AUTO_VERSIONS)) {
+                await persistence.deleteVersion(this.docId, stale.id);
+            }
+        }
+
+        console.log(`🏷️  Created ${auto ? 'automatic ' : ''}version ${version.id} of ${this.docId}`);
+        return version;
+    }
+
+    /**
+     * Bring the text back to a stored version as a new forward edit, so live
+     * clients simply receive it as an update
+     */
+    async restoreVersion(versionId, { author = null } = {}) {
+        await this.loaded;
+
+        const stored = await persistence.loadVersion(this.docId, versionId);
+        if (!stored) {
+            return null;
+        }
+
+        if (this.changedSinceVersion) {
+            await this.createVersion({
+                auto: true,
+                author,
+                label: `Before restoring ${stored.version.label || versionId}`
+            });
+        }
+
+        this.transactAs(author ? { id: author, name: author } : null, () => {
+            applyTextDiff(this.text, readTextFromState(stored.state));
+        }, 'restore');
+
+        console.log(`⏪ Restored ${this.docId} to version ${versionId}`);
+        return stored.version;
+    }
+
+    /**
+     * Edit on someone's behalf; the change is broadcast and attributed like any other
+     */
+    transactAs(author, fn, origin) {
+        this.currentAuthor = author;
+        try {
+            this.doc.transact(fn, origin);
+        } finally {
+            this.currentAuthor = null;
+        }
+    }
+
+    /**
+     * Change the comment threads on someone's behalf. `fn(doc, text)` runs in
+     * one transaction and its result is returned.
+     */
+    editComments(author, fn) {
+        let result = null;
+        this.transactAs(author, () => {
+            result = fn(this.doc, this.text);
+        }, 'comment');
+        return result;
+    }
+
+    /**
+     * Bring in content from a related document (a fork's source, or a fork
+     * being merged back). Its attribution comes first so the text keeps its
+     * original authors; anything it does not cover is credited to `author`.
+     */
+    applyRelatedUpdate(source, update, author, origin) {
+        const attribution = { authors: Object.fromEntries(source.attribution.authors), runs: source.attribution.runs() };
+        this.attribution.merge(attribution);
+        this.publish('attribution', Buffer.from(JSON.stringify(attribution)));
+
+        this.transactAs(author, () => Y.applyUpdate(this.doc, update), origin);
+        this.saveAttribution();
+    }
+
+    /**
+     * Tag of the current state (state vector and deletions) for HTTP caching
+     * and optimistic concurrency; equal on every instance with the same state
+     */
+    getETag() {
+        const snapshot = Y.encodeSnapshot(Y.snapshot(this.doc));
+        return `"${crypto.createHash('sha1').update(snapshot).digest('base64url')}"`;
+    }
+
+    /**
+     * Note a use of the document for the eviction policy
+     */
+    touch() {
+        this.lastAccess = Date.now();
+    }
+
+    /**
+     * Whether the document can be unloaded without affecting anyone
+     */
+    isEvictable() {
+        return this.status === 'ready' && this.clients.size === 0;
+    }
+
+    /**
+     * Add client to document
+     */
+    addClient(client, stateVector = null) {
+        this.touch();
+        this.clients.add(client);
+        this.attachUndoSession(client);
+        console.log(`👤 Client ${client.id} joined document ${this.docId}`);
+        webhooks.emit('client.joined', this.docId, describeWebhookClient(client, this.awareness));
+
+        if (client.transport === 'yjs') {
+            // Start the y-protocols handshake and share current presence
+            const encoder = encoding.createEncoder();
+            encoding.writeVarUint(encoder, MESSAGE_SYNC);
+            syncProtocol.writeSyncStep1(encoder, this.doc);
+            client.send(encoding.toUint8Array(encoder));
+
+            const awarenessStates = this.awareness.getStates();
+            if (awarenessStates.size > 0) {
+                client.send(encodeAwarenessMessage(
+                    this.awareness,
+                    Array.from(awarenessStates.keys())
+                ));
+            }
+            return;
+        }
+
+        this.sendSync(client, stateVector);
+
+        const awarenessStates = this.awareness.getStates();
+        if (awarenessStates.size > 0) {
+            client.send(JSON.stringify({
+                type: 'awareness',
+                update: Array.from(awarenessProtocol.encodeAwarenessUpdate(
+                    this.awareness,
+                    Array.from(awarenessStates.keys())
+                )),
+                docId: this.docId
+            }));
+        }
+    }
+
+    /**
+     * Two-way state vector exchange with a JSON client: send the updates the
+     * client is missing, then our state vector so it can reply with its own
+     * missing updates (sync-step2)
+     */
+    sendSync(client, stateVector = null) {
+        const diff = stateVector
+            ? Y.encodeStateAsUpdate(this.doc, new Uint8Array(stateVector))
+            : Y.encodeStateAsUpdate(this.doc);
+
+        client.send(JSON.stringify({
+            type: 'sync',
+            update: Array.from(diff),
+            docId: this.docId
+        }));
+
+        client.send(JSON.stringify({
+            type: 'sync-step1',
+            stateVector: Array.from(Y.encodeStateVector(this.doc)),
+            docId: this.docId
+        }));
+    }
+
+    /**
+     * Remove client from document
+     */
+    removeClient(client) {
+        if (!this.clients.delete(client)) return;
+        console.log(`👋 Client ${client.id} left document ${this.docId}`);
+        webhooks.emit('client.left', this.docId, describeWebhookClient(client, this.awareness));
+
+        // Drop the presence of everyone this connection announced
+        if (client.awarenessIds.size > 0) {
+            awarenessProtocol.removeAwarenessStates(
+                this.awareness,
+                Array.from(client.awarenessIds),
+                null
+            );
+        }
+
+        // Keep the undo stack around in case the client reconnects shortly
+        const session = this.undoSessions.get(client.sessionId);
+        if (session && session.client === client) {
+            session.expiryTimeout = setTimeout(() => {
+                this.expireUndoSession(client.sessionId);
+            }, UNDO_GRACE_PERIOD);
+        }
+
+        // Clean up if no clients remain
+        if (this.clients.size === 0 && this.undoSessions.size === 0) {
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Give the client its own undo manager, or hand it back the one it had
+     * before a reconnect within the grace period
+     */
+    attachUndoSession(client) {
+        const session = this.undoSessions.get(client.sessionId);
+
+        if (!session) {
+            this.undoSessions.set(client.sessionId, {
+                undoManager: new Y.UndoManager(this.text, {
+                    trackedOrigins: new Set([client])
+                }),
+                client,
+                expiryTimeout: null
+            });
+            return;
+        }
+
+        clearTimeout(session.expiryTimeout);
+        session.expiryTimeout = null;
+
+        if (!this.clients.has(session.client)) {
+            session.undoManager.trackedOrigins.delete(session.client);
+        }
+        session.undoManager.trackedOrigins.add(client);
+        session.client = client;
+    }
+
+    /**
+     * Drop an undo stack whose client did not come back in time
+     */
+    expireUndoSession(sessionId) {
+        const session = this.undoSessions.get(sessionId);
+        if (!session) return;
+
+        clearTimeout(session.expiryTimeout);
+        session.undoManager.destroy();
+        this.undoSessions.delete(sessionId);
+
+        if (this.clients.size === 0 && this.undoSessions.size === 0) {
+            this.cleanup();
+        }
+    }
+
+    /**
+     * Undo the last change made by this client only
+     */
+    undo(client) {
+        const session = this.undoSessions.get(client.sessionId);
+        const applied = session ? session.undoManager.undo() !== null : false;
+        return { applied, ...this.getUndoState(client) };
+    }
+
+    /**
+     * Redo the last change undone by this client
+     */
+    redo(client) {
+        const session = this.undoSessions.get(client.sessionId);
+        const applied = session ? session.undoManager.redo() !== null : false;
+        return { applied, ...this.getUndoState(client) };
+    }
+
+    /**
+     * Whether the client has anything left to undo or redo
+     */
+    getUndoState(client) {
+        const session = this.undoSessions.get(client.sessionId);
+        return {
+            canUndo: session ? session.undoManager.canUndo() : false,
+            canRedo: session ? session.undoManager.canRedo() : false
+        };
+    }
+
+    /**
+     * Broadcast update to all clients except sender
+     */
+    broadcastUpdate(update, origin) {
+        const message = JSON.stringify({
+            type: 'update',
+            update: Array.from(update),
+            docId: this.docId
+        });
+
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_SYNC);
+        syncProtocol.writeUpdate(encoder, update);
+        const binaryMessage = encoding.toUint8Array(encoder);
+
+        this.clients.forEach(client => {
+            if (client !== origin && client.readyState === 1) { // WebSocket.OPEN
+                // Clients that fall behind get their updates merged into one later
+                if (client.pendingUpdates || client.bufferedAmount > SLOW_CLIENT_BUFFER) {
+                    this.queueUpdate(client, update);
+                    return;
+                }
+
+                try {
+                    client.send(client.transport === 'yjs' ? binaryMessage : message);
+                    updatesBroadcast.inc({ transport: client.transport });
+                } catch (error) {
+                    console.error(`Error broadcasting to client ${client.id}:`, error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Hold back an update for a slow client. Past SLOW_CLIENT_MAX_BUFFER the
+     * client is dropped; it resyncs when it reconnects.
+     */
+    queueUpdate(client, update) {
+        client.pendingUpdates = client.pendingUpdates || [];
+        client.pendingUpdates.push(update);
+        client.pendingBytes = (client.pendingBytes || 0) + update.length;
+
+        if (client.bufferedAmount + client.pendingBytes > SLOW_CLIENT_MAX_BUFFER) {
+            console.warn(`🐢 Dropping slow client ${client.id} (${client.bufferedAmount + client.pendingBytes} bytes behind)`);
+            client.pendingUpdates = null;
+            client.terminate();
+            return;
+        }
+
+        if (!client.flushTimeout) {
+            client.flushTimeout = setTimeout(() => this.flushUpdates(client), 100);
+        }
+    }
+
+    /**
+     * Send the held back updates as one merged update once the socket drains
+     */
+    flushUpdates(client) {
+        client.flushTimeout = null;
+        if (client.readyState !== 1 || !client.pendingUpdates) return;
+
+        if (client.bufferedAmount > SLOW_CLIENT_BUFFER) {
+            client.flushTimeout = setTimeout(() => this.flushUpdates(client), 100);
+            return;
+        }
+
+        const update = Y.mergeUpdates(client.pendingUpdates);
+        client.pendingUpdates = null;
+        client.pendingBytes = 0;
+
+        if (client.transport === 'yjs') {
+            const encoder = encoding.createEncoder();
+            encoding.writeVarUint(encoder, MESSAGE_SYNC);
+            syncProtocol.writeUpdate(encoder, update);
+            client.send(encoding.toUint8Array(encoder));
+        } else {
+            client.send(JSON.stringify({
+                type: 'update',
+                update: Array.from(update),
+                docId: this.docId
+            }));
+        }
+        updatesBroadcast.inc({ transport: client.transport });
+    }
+
+    /**
+     * Broadcast awareness (presence) changes to all clients
+     */
+    broadcastAwareness(changedClients) {
+        const update = awarenessProtocol.encodeAwarenessUpdate(this.awareness, changedClients);
+        const message = JSON.stringify({
+            type: 'awareness',
+            update: Array.from(update),
+            docId: this.docId
+        });
+
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+        encoding.writeVarUint8Array(encoder, update);
+        const binaryMessage = encoding.toUint8Array(encoder);
+
+        this.clients.forEach(client => {
+            if (client.readyState === 1) {
+                try {
+                    client.send(client.transport === 'yjs' ? binaryMessage : message);
+                } catch (error) {
+                    console.error(`Error sending awareness to client ${client.id}:`, error);
+                }
+            }
+        });
+    }
+
+    /**
+     * Apply update from client
+     */
+    applyUpdate(update, client) {
+        try {
+            Y.applyUpdate(this.doc, new Uint8Array(update), client);
+        } catch (error) {
+            console.error(`Error applying update from client ${client.id}:`, error);
+        }
+    }
+
+    /**
+     * Apply awareness (presence) update from client
+     */
+    applyAwarenessUpdate(update, client) {
+        try {
+            awarenessProtocol.applyAwarenessUpdate(this.awareness, new Uint8Array(update), client);
+        } catch (error) {
+            console.error(`Error applying awareness from client ${client.id}:`, error);
+        }
+    }
+
+    /**
+     * Users currently present in the document (from awareness)
+     */
+    getUsers() {
+        const users = [];
+        this.awareness.getStates().forEach((state, clientId) => {
+            if (state.user) {
+                users.push({ clientId, ...state.user });
+            }
+        });
+        return users;
+    }
+
+    /**
+     * Get document statistics
+     */
+    getStats() {
+        return {
+            docId: this.docId,
+            clients: this.clients.size,
+            users: this.getUsers(),
+            textLength: this.text.length,
+            updateSize: Y.encodeStateAsUpdate(this.doc).length,
+            status: this.status,
+            recovery: this.recovery,
+            owner: this.isOwner
+        };
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup(persist = true) {
+        clearTimeout(this.webhookTimeout);
+        if (persist && this.indexTimeout) {
+            this.indexText();
+        }
+        clearTimeout(this.indexTimeout);
+        clearInterval(this.snapshotInterval);
+        clearInterval(this.versionInterval);
+        clearInterval(this.ownershipInterval);
+        backplane.unsubscribe(this.docId);
+        this.undoSessions.forEach(session => {
+            clearTimeout(session.expiryTimeout);
+            session.undoManager.destroy();
+        });
+        this.undoSessions.clear();
+        this.awareness.destroy();
+        if (persist) {
+            this.fireUpdatedWebhook();
+            this.saveState();
+            if (this.isOwner && this.changedSinceVersion) {
+                this.createVersion({ auto: true }).catch(error => {
+                    console.error(`Error creating version for ${this.docId}:`, error);
+                });
+            }
+        }
+
+        // Another instance still serving the document may take over once our
+        // writes are done; a reload here waits for them too
+        const flushed = this.writeQueue
+            .then(() => this.isOwner && backplane.releaseOwnership(this.docId))
+            .catch(error => console.error(`Error releasing ownership of ${this.docId}:`, error.message))
+            .then(() => {
+                if (pendingFlushes.get(this.docId) === flushed) {
+                    pendingFlushes.delete(this.docId);
+                }
+            });
+        pendingFlushes.set(this.docId, flushed);
+
+        documents.delete(this.docId);
+        console.log(`🗑️  Cleaned up document ${this.docId}`);
+    }
+}
+
+/**
+ * Disconnect everyone from a deleted document and drop it without saving
+ */
+function closeDeletedDocument(doc) {
+    doc.clients.forEach(client => {
+        if (client.transport !== 'yjs') {
+            client.send(JSON.stringify({
+                type: 'document-deleted',
+                docId: doc.docId
+            }));
+        }
+        client.close();
+    });
+
+    doc.cleanup(false);
+    searchIndex.remove(doc.docId);
+}
+
+function generateVersionId() {
+    return `version-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Plain text of the document content in a stored full state
+ */
+function readTextFromState(state) {
+    const doc = new Y.Doc();
+    Y.applyUpdate(doc, state);
+    const text = doc.getText('content').toString();
+    doc.destroy();
+    return text;
+}
+
+/**
+ * Plain text of a stored document without loading it, or null if there is none
+ */
+async function readStoredText(docId) {
+    const stored = await persistence.load(docId);
+    return stored ? readTextFromState(decodeStoredState(stored.state, stored.updates)) : null;
+}
+
+/**
+ * Fill the search index from storage. Documents stored before there was an
+ * index are read and indexed one at a time.
+ */
+async function loadSearchIndex() {
+    try {
+        (await persistence.listSearchRecords()).forEach(record => searchIndex.add(record));
+    } catch (error) {
+        console.error('Error loading the search index:', error);
+        return;
+    }
+
+    let missing = [];
+    try {
+        missing = (await persistence.list()).filter(docId => !searchIndex.has(docId));
+    } catch (error) {
+        console.error('Error listing documents to index:', error);
+    }
+
+    for (const docId of missing) {
+        // Loaded documents index themselves
+        if (documents.has(docId)) continue;
+        try {
+            const record = searchIndex.update(docId, (await readStoredText(docId)) || '');
+            if (record) {
+                await persistence.storeSearchRecord(docId, record);
+            }
+        } catch (error) {
+            console.error(`Error indexing ${docId}:`, error.message);
+        }
+    }
+    if (missing.length > 0) {
+        console.log(`🔎 Indexed ${missing.length} document(s) for search`);
+    }
+}
+
+/**
+ * Apply stored state and updates to a scratch document and return the merged
+ * state. Throws when the data is not valid Yjs or leaves references unresolved.
+ */
+function decodeStoredState(state, updates) {
+    const doc = new Y.Doc();
+    try {
+        if (state) {
+            Y.applyUpdate(doc, state);
+        }
+        updates.forEach(update => Y.applyUpdate(doc, update));
+
+        if (doc.store.pendingStructs || doc.store.pendingDs) {
+            throw new Error('Stored state references missing updates');
+        }
+        return Y.encodeStateAsUpdate(doc);
+    } finally {
+        doc.destroy();
+    }
+}
+
+/**
+ * Get or create document manager; `user` is recorded as creator of a new document
+ */
+function getDocument(docId, user = null) {
+    if (!documents.has(docId)) {
+        documents.set(docId, new DocumentManager(docId, {
+            creator: user ? { id: user.id, name: user.name } : null
+        }));
+    }
+
+    const doc = documents.get(docId);
+    doc.touch();
+    return doc;
+}
+
+/**
+ * Loaded document, reloading it if it was evicted; null if it was never stored
+ */
+async function loadExistingDocument(docId) {
+    if (!documents.has(docId) && !(await persistence.list()).includes(docId)) {
+        return null;
+    }
+
+    const doc = getDocument(docId);
+    await doc.loaded;
+    return doc;
+}
+
+/**
+ * Unload documents nobody is connected to: those idle past DOC_IDLE_TIMEOUT,
+ * then least recently used ones while the total stays above DOC_MEMORY_BUDGET.
+ * Evicted documents are saved first and reload on their next use.
+ */
+function evictDocuments() {
+    const now = Date.now();
+    const evict = (doc, reason) => {
+        console.log(`💤 Evicting ${doc.docId} (${reason})`);
+        doc.cleanup();
+        evictionStats.evictions++;
+        documentEvictions.inc();
+        evictionStats.lastEvictedAt = now;
+        evictionStats.lastEvictedDocId = doc.docId;
+    };
+
+    documents.forEach(doc => {
+        if (doc.isEvictable() && now - doc.lastAccess > DOC_IDLE_TIMEOUT) {
+            evict(doc, 'idle');
+        }
+    });
+
+    let residentSize = getResidentSize();
+    if (residentSize <= DOC_MEMORY_BUDGET) return;
+
+    const leastRecentlyUsed = Array.from(documents.values())
+        .filter(doc => doc.isEvictable())
+        .sort((a, b) => a.lastAccess - b.lastAccess);
+
+    for (const doc of leastRecentlyUsed) {
+        if (residentSize <= DOC_MEMORY_BUDGET) break;
+        residentSize -= doc.estimatedSize;
+        evict(doc, 'memory budget');
+    }
+}
+
+function getResidentSize() {
+    let total = 0;
+    documents.forEach(doc => {
+        total += doc.estimatedSize;
+    });
+    return total;
+}
+
+/**
+ * Route handler whose rejections reach the error handler instead of leaving
+ * the request without an answer
+ */
+function asyncRoute(handler) {
+    return (req, res, next) => {
+        Promise.resolve(handler(req, res, next)).catch(next);
+    };
+}
+
+/**
+ * Encode a y-protocols awareness message for the given awareness clients
+ */
+function encodeAwarenessMessage(awareness, changedClients) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(
+        encoder,
+        awarenessProtocol.encodeAwarenessUpdate(awareness, changedClients)
+    );
+    return encoding.toUint8Array(encoder);
+}
+
+/**
+ * Author credited for a client's edits: the signed-in user, or for anonymous
+ * sessions the name the client shows in its presence
+ */
+function describeAuthor(client, awareness) {
+    let presence = null;
+    client.awarenessIds.forEach(id => {
+        const state = awareness.getStates().get(id);
+        if (!presence && state && state.user) {
+            presence = state.user;
+        }
+    });
+    const color = presence ? presence.color : null;
+
+    if (client.user && client.user !== ANONYMOUS_USER) {
+        return { id: client.user.id, name: client.user.name, color };
+    }
+    return { id: `session:${client.sessionId}`, name: presence ? presence.name : 'Guest', color };
+}
+
+/**
+ * Who a client.joined / client.left webhook is about
+ */
+function describeWebhookClient(client, awareness) {
+    return {
+        clientId: client.id,
+        sessionId: client.sessionId,
+        transport: client.transport,
+        user: describeAuthor(client, awareness)
+    };
+}
+
+/**
+ * Whether an If-Match / If-None-Match header lists the ETag ("*" lists any)
+ */
+function matchesETag(header, etag) {
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === '*' || tag === etag);
+}
+
+/**
+ * Check explicit text operations against the text length, in order.
+ * Returns an error message or null.
+ */
+function validateTextOperations(operations, length) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return 'Expected a non-empty "operations" array';
+    }
+
+    for (const [i, op] of operations.entries()) {
+        if (!op || !Number.isInteger(op.index) || op.index < 0 || op.index > length) {
+            return `Operation ${i}: index must be an integer between 0 and ${length}`;
+        }
+
+        if (op.type === 'insert' && typeof op.text === 'string') {
+            length += op.text.length;
+        } else if (op.type === 'delete' && Number.isInteger(op.length) && op.length > 0 && op.index + op.length <= length) {
+            length -= op.length;
+        } else {
+            return `Operation ${i}: expected { type: 'insert', index, text } or { type: 'delete', index, length } within the text`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Make a document (created if missing) read `text` for a REST request,
+ * honouring If-Match, and send the response
+ */
+async function replaceDocumentText(req, res, text, details = {}) {
+    const { docId } = req.params;
+    let doc = await loadExistingDocument(docId);
+
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !(doc && matchesETag(ifMatch, doc.getETag()))) {
+        return res.status(412).json({ error: 'Document has changed', etag: doc ? doc.getETag() : null });
+    }
+
+    const created = !doc;
+    if (created) {
+        doc = getDocument(docId, req.user);
+        await doc.loaded;
+    }
+
+    doc.transactAs({ id: req.user.id, name: req.user.name }, () => {
+        applyTextDiff(doc.text, text);
+    }, 'rest');
+
+    const etag = doc.getETag();
+    res.set('ETag', etag)
+        .status(created ? 201 : 200)
+        .json({ docId, ...details, etag, textLength: doc.text.length });
+}
+
+/**
+ * Carry out a comment action ('create', 'reply', 'resolve', 'reopen' or
+ * 'delete') for someone holding `role`. Returns { thread }, { deleted: true }
+ * or { status, error } with the HTTP status of the failure.
+ */
+function performCommentAction(doc, { action, threadId, anchor, text }, author, role) {
+    if (!comments.ACTIONS.includes(action)) {
+        return { status: 400, error: `action must be one of ${comments.ACTIONS.join(', ')}` };
+    }
+    if (!auth.hasRole(role, 'commenter')) {
+        return { status: 403, error: 'Requires commenter access to this document' };
+    }
+
+    const existing = threadId ? comments.getThread(doc.doc, threadId) : null;
+    if (action !== 'create' && !existing) {
+        return { status: 404, error: 'Thread not found' };
+    }
+
+    let result;
+    switch (action) {
+        case 'create':
+            result = doc.editComments(author, (ydoc, ytext) => comments.createThread(ydoc, ytext, { anchor, text, author }));
+            break;
+
+        case 'reply':
+            result = doc.editComments(author, (ydoc, ytext) => comments.addReply(ydoc, ytext, threadId, { text, author }));
+            break;
+
+        case 'resolve':
+        case 'reopen':
+            result = doc.editComments(author, (ydoc, ytext) => comments.setResolved(ydoc, ytext, threadId, action === 'resolve', author));
+            break;
+
+        case 'delete':
+            // Threads are removed by whoever opened them, or by an editor
+            if (existing.get('author').id !== author.id && !auth.hasRole(role, 'editor')) {
+                return { status: 403, error: 'Only the author or an editor can delete this thread' };
+            }
+            doc.editComments(author, ydoc => comments.deleteThread(ydoc, threadId));
+            return { deleted: true };
+    }
+
+    return result.error ? { status: 400, error: result.error } : result;
+}
+
+function generateClientId() {
+    return `client-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Metrics label for the origin of a document update
+ */
+function updateSource(origin) {
+    if (origin === BACKPLANE_ORIGIN) return 'backplane';
+    if (origin && origin.transport) return origin.transport;
+    if (origin === 'rest') return 'rest';
+    return 'server'; // undo/redo, version restores, forks, merges and comments
+}
+
+/**
+ * Count the bytes of everything sent on a connection
+ */
+function countSentBytes(ws) {
+    const send = ws.send.bind(ws);
+    ws.send = (data, ...args) => {
+        bytesSent.inc({ transport: ws.transport }, typeof data === 'string' ? Buffer.byteLength(data) : data.length);
+        return send(data, ...args);
+    };
+}
+
+/**
+ * Time every write of the persistence adapter and count the failures
+ */
+function instrumentPersistenceWrites(adapter) {
+    const operations = ['storeUpdate', 'storeState', 'storeSnapshot', 'storeVersion', 'deleteVersion',
+        'storeAttribution', 'storeMetadata', 'storeSearchRecord', 'storeShareLinks', 'storeWebhooks',
+        'quarantine', 'delete'];
+
+    operations.forEach(operation => {
+        const write = adapter[operation].bind(adapter);
+        adapter[operation] = async (...args) => {
+            const endTimer = persistenceWriteDuration.startTimer({ operation });
+            try {
+                return await write(...args);
+            } catch (error) {
+                persistenceWriteFailures.inc({ operation });
+                throw error;
+            } finally {
+                endTimer();
+            }
+        };
+    });
+}
+
+/**
+ * Stable key a client can pass to keep its undo stack across reconnects
+ */
+function normalizeSessionId(sessionId, fallback) {
+    if (typeof sessionId === 'string' && sessionId.length > 0 && sessionId.length <= 128) {
+        return sessionId;
+    }
+    return fallback;
+}
+
+/**
+ * User behind a request's token, or null when it is missing or invalid
+ */
+function authenticate(req) {
+    if (!AUTH_SECRET) {
+        return ANONYMOUS_USER;
+    }
+
+    const payload = auth.verifyToken(auth.extractToken(req), AUTH_SECRET);
+    return payload ? auth.createUser(payload) : null;
+}
+
+/**
+ * Guest with the role of the share link in ?share=, on the link's document
+ * only (req.params.docId unless given). REST calls pass the tab's ?sessionId=
+ * so they do not use the link up.
+ * Resolves to { user } or { error }.
+ */
+async function authenticateShareLink(req, docId = req.params.docId) {
+    const sessionId = normalizeSessionId(req.query.sessionId, generateClientId());
+    const { link, role, error } = await shareLinks.redeem(String(req.query.share), docId, sessionId);
+    if (!role) {
+        return { error };
+    }
+
+    return { user: auth.createUser({ sub: `guest-${link.id}`, name: 'Guest', docs: { [docId]: role } }) };
+}
+
+/**
+ * Route middleware: the caller needs at least `role` on req.params.docId
+ */
+function requireRole(role) {
+    return asyncRoute(async (req, res, next) => {
+        if (!req.user) {
+            const { user, error } = await authenticateShareLink(req);
+            if (!user) {
+                return res.status(401).json({ error });
+            }
+            req.user = user;
+        }
+
+        if (!auth.hasRole(auth.roleFor(req.user, req.params.docId), role)) {
+            return res.status(403).json({ error: `Requires ${role} access to this document` });
+        }
+        next();
+    });
+}
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP status
+ */
+function rejectUpgrade(socket, status, reason) {
+    socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+    socket.destroy();
+}
+
+/**
+ * Route WebSocket upgrades: /yjs/<docName> speaks y-protocols, anything else JSON
+ */
+server.on('upgrade', (req, socket, head) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const target = pathname.startsWith(YJS_PATH_PREFIX) ? yjsWss : wss;
+
+    // A bad token is refused outright; no token at all is left to share links
+    req.user = authenticate(req);
+    if (!req.user && auth.extractToken(req)) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+    }
+
+    const accept = () => {
+        target.handleUpgrade(req, socket, head, (ws) => {
+            target.emit('connection', ws, req);
+        });
+    };
+
+    // JSON clients are checked on join
+    if (target === wss) {
+        return accept();
+    }
+
+    // The Yjs endpoint names its document up front; guests pass ?share=<token>
+    const docId = decodeURIComponent(pathname.slice(YJS_PATH_PREFIX.length));
+    const shareToken = searchParams.get('share');
+    const access = shareToken
+        ? shareLinks.redeem(shareToken, docId, normalizeSessionId(searchParams.get('sessionId'), generateClientId()))
+        : Promise.resolve({ role: auth.roleFor(req.user, docId) });
+
+    access.then(({ role }) => {
+        if (!role) {
+            return req.user
+                ? rejectUpgrade(socket, 403, 'Forbidden')
+                : rejectUpgrade(socket, 401, 'Unauthorized');
+        }
+
+        req.role = role;
+        accept();
+    }).catch(error => {
+        console.error('Error authorizing Yjs connection:', error);
+        socket.destroy();
+    });
+});
+
+/**
+ * WebSocket connection handler
+ */
+wss.on('connection', (ws, req) => {
+    acceptJsonClient(ws, req.user, 'json');
+});
+
+/**
+ * Set up a JSON protocol client: a WebSocket or an SseConnection standing in for one
+ */
+function acceptJsonClient(ws, user, transport) {
+    ws.id = generateClientId();
+    ws.sessionId = ws.id;
+    ws.transport = transport;
+    ws.rateLimiter = new TokenBucket(RATE_LIMIT_RATE, RATE_LIMIT_BURST);
+    ws.user = user;
+    ws.role = null;
+    ws.currentDoc = null;
+    ws.awarenessIds = new Set();
+    ws.isAlive = true;
+    countSentBytes(ws);
+
+    console.log(`🔌 New connection: ${ws.id}`);
+
+    // Heartbeat
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    ws.on('message', (data) => {
+        bytesReceived.inc({ transport: ws.transport }, data.length);
+        if (data.length > MAX_MESSAGE_SIZE) {
+            sendError(ws, 'MESSAGE_TOO_LARGE', `Messages are limited to ${MAX_MESSAGE_SIZE} bytes`);
+            return;
+        }
+
+        try {
+            const message = JSON.parse(data);
+
+            switch (message.type) {
+                case 'join':
+                    handleJoin(ws, message);
+                    break;
+
+                case 'update':
+                case 'sync-step2':
+                    handleUpdate(ws, message);
+                    break;
+
+                case 'sync-request':
+                    handleSyncRequest(ws, message);
+                    break;
+
+                case 'awareness':
+                    handleAwareness(ws, message);
+                    break;
+
+                case 'undo':
+                    handleUndo(ws, message);
+                    break;
+
+                case 'redo':
+                    handleRedo(ws, message);
+                    break;
+
+                case 'comment':
+                    handleComment(ws, message);
+                    break;
+
+                default:
+                    console.log(`Unknown message type: ${message.type}`);
+            }
+        } catch (error) {
+            console.error(`Error handling message from ${ws.id}:`, error);
+            sendError(ws, 'INVALID_MESSAGE', error.message);
+        }
+    });
+
+    ws.on('close', () => {
+        console.log(`🔌 Connection closed: ${ws.id}`);
+        if (ws.currentDoc) {
+            const doc = documents.get(ws.currentDoc);
+            if (doc) {
+                doc.removeClient(ws);
+            }
+        }
+    });
 
     ws.on('error', (error) => {
         console.error(`WebSocket error for ${ws.id}:`, error);
@@ -282,41 +1900,212 @@ wss.on('connection', (ws, req) => {
         clientId: ws.id,
         timestamp: Date.now()
     }));
+}
+
+/**
+ * y-protocols connection handler (y-websocket compatible)
+ */
+yjsWss.on('connection', (ws, req) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    const docId = decodeURIComponent(pathname.slice(YJS_PATH_PREFIX.length));
+
+    if (!docId) {
+        ws.close(1008, 'Document ID required');
+        return;
+    }
+
+    ws.id = generateClientId();
+    ws.sessionId = normalizeSessionId(searchParams.get('sessionId'), ws.id);
+    ws.transport = 'yjs';
+    ws.rateLimiter = new TokenBucket(RATE_LIMIT_RATE, RATE_LIMIT_BURST);
+    ws.user = req.user;
+    ws.role = req.role;
+    ws.currentDoc = docId;
+    ws.awarenessIds = new Set();
+    ws.isAlive = true;
+    countSentBytes(ws);
+    const endJoinTimer = joinDuration.startTimer({ transport: ws.transport });
+
+    console.log(`🔌 New Yjs connection: ${ws.id} (${docId})`);
+
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
+    const doc = getDocument(docId, ws.user);
+
+    // Messages wait for the document to load, in the order they arrived.
+    // y-protocols has no error message, so limit violations close the socket
+    // (the provider reconnects and resyncs).
+    ws.on('message', (data) => {
+        bytesReceived.inc({ transport: ws.transport }, data.length);
+        if (data.length > MAX_MESSAGE_SIZE) {
+            ws.close(1009, 'Message too large');
+            return;
+        }
+
+        doc.loaded.then(() => {
+            if (!doc.clients.has(ws)) return;
+            handleYjsMessage(ws, doc, new Uint8Array(data));
+        }).catch(error => {
+            console.error(`Error handling Yjs message from ${ws.id}:`, error);
+        });
+    });
+
+    ws.on('close', () => {
+        console.log(`🔌 Yjs connection closed: ${ws.id}`);
+        if (doc.clients.has(ws)) {
+            doc.removeClient(ws);
+        }
+    });
+
+    ws.on('error', (error) => {
+        console.error(`WebSocket error for ${ws.id}:`, error);
+    });
+
+    doc.loaded.then(() => {
+        if (ws.readyState === 1) { // WebSocket.OPEN
+            doc.addClient(ws);
+            endJoinTimer();
+        }
+    });
 });
 
+/**
+ * Send a structured error to a JSON client: { type: 'error', code, message, ...details }
+ */
+function sendError(ws, code, message, details = {}) {
+    if (ws.readyState !== 1) return;
+    ws.send(JSON.stringify({
+        type: 'error',
+        code,
+        message,
+        ...details
+    }));
+}
+
+/**
+ * Handle a binary y-protocols message
+ */
+function handleYjsMessage(ws, doc, data) {
+    const decoder = decoding.createDecoder(data);
+    const messageType = decoding.readVarUint(decoder);
+
+    if (messageType !== MESSAGE_QUERY_AWARENESS && !ws.rateLimiter.take()) {
+        ws.close(1008, 'Rate limit exceeded');
+        return;
+    }
+
+    switch (messageType) {
+        case MESSAGE_SYNC: {
+            if (data.length > MAX_UPDATE_SIZE) {
+                ws.close(1009, 'Update too large');
+                return;
+            }
+
+            // Replies (sync step 2) are written into the encoder; updates apply with ws as origin
+            const encoder = encoding.createEncoder();
+            encoding.writeVarUint(encoder, MESSAGE_SYNC);
+            const canWrite = auth.hasRole(ws.role, 'editor') &&
+                doc.estimatedSize + data.length <= MAX_DOCUMENT_SIZE;
+
+            if (canWrite) {
+                syncProtocol.readSyncMessage(decoder, encoder, doc.doc, ws);
+            } else if (decoding.readVarUint(decoder) === syncProtocol.messageYjsSyncStep1) {
+                // Read-only roles (and full documents) may fetch; their updates are dropped
+                syncProtocol.readSyncStep1(decoder, encoder, doc.doc);
+            }
+
+            if (encoding.length(encoder) > 1) {
+                ws.send(encoding.toUint8Array(encoder));
+            }
+            break;
+        }
+
+        case MESSAGE_AWARENESS:
+            awarenessProtocol.applyAwarenessUpdate(
+                doc.awareness,
+                decoding.readVarUint8Array(decoder),
+                ws
+            );
+            break;
+
+        case MESSAGE_QUERY_AWARENESS:
+            ws.send(encodeAwarenessMessage(
+                doc.awareness,
+                Array.from(doc.awareness.getStates().keys())
+            ));
+            break;
+
+        default:
+            console.log(`Unknown Yjs message type: ${messageType}`);
+    }
+}
+
 /**
  * Handle client joining a document
  */
 function handleJoin(ws, message) {
-    const { docId } = message;
+    const { docId, stateVector, sessionId, shareToken } = message;
 
     if (!docId) {
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Document ID required'
-        }));
+        sendError(ws, 'DOC_ID_REQUIRED', 'Document ID required');
         return;
     }
 
-    // Leave current document if any
-    if (ws.currentDoc) {
-        const oldDoc = documents.get(ws.currentDoc);
-        if (oldDoc) {
-            oldDoc.removeClient(ws);
+    const endJoinTimer = joinDuration.startTimer({ transport: ws.transport });
+
+    // A share link stands in for the user's own access
+    const nextSessionId = normalizeSessionId(sessionId, ws.id);
+    const access = shareToken
+        ? shareLinks.redeem(shareToken, docId, nextSessionId)
+        : Promise.resolve({ role: auth.roleFor(ws.user, docId) });
+
+    access.then(({ role, error, code }) => {
+        if (!role) {
+            if (error) {
+                sendError(ws, code, error);
+            } else if (ws.user) {
+                sendError(ws, 'ACCESS_DENIED', 'Access denied');
+            } else {
+                sendError(ws, 'AUTH_REQUIRED', 'Authentication required');
+            }
+            return;
         }
-    }
 
-    // Join new document
-    ws.currentDoc = docId;
-    const doc = getDocument(docId);
-    doc.addClient(ws);
+        // Leave current document if any
+        if (ws.currentDoc) {
+            const oldDoc = documents.get(ws.currentDoc);
+            if (oldDoc) {
+                oldDoc.removeClient(ws);
+            }
+        }
 
-    // Send room info
-    ws.send(JSON.stringify({
-        type: 'joined',
-        docId: docId,
-        stats: doc.getStats()
-    }));
+        // Join new document once its stored state is in memory
+        ws.currentDoc = docId;
+        ws.role = role;
+        ws.sessionId = nextSessionId;
+        const doc = getDocument(docId, ws.user);
+
+        return doc.loaded.then(() => {
+            // The client may have left or switched documents while it was loading
+            if (ws.readyState !== 1 || ws.currentDoc !== docId) return;
+
+            doc.addClient(ws, stateVector);
+
+            // Send room info
+            ws.send(JSON.stringify({
+                type: 'joined',
+                docId: docId,
+                role: role,
+                stats: doc.getStats(),
+                undo: doc.getUndoState(ws)
+            }));
+            endJoinTimer();
+        });
+    }).catch(error => {
+        console.error(`Error joining ${docId} for ${ws.id}:`, error);
+    });
 }
 
 /**
@@ -326,16 +2115,68 @@ function handleUpdate(ws, message) {
     const { update, docId } = message;
 
     if (!ws.currentDoc || ws.currentDoc !== docId) {
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Not in document'
-        }));
+        sendError(ws, 'NOT_IN_DOCUMENT', 'Not in document');
+        return;
+    }
+
+    if (!auth.hasRole(ws.role, 'editor')) {
+        // Every client answers the server's sync-step1; only explicit edits are errors
+        if (message.type === 'update') {
+            sendError(ws, 'READ_ONLY', 'Read-only access');
+        }
+        return;
+    }
+
+    if (!Array.isArray(update)) {
+        sendError(ws, 'INVALID_MESSAGE', 'update must be an array of bytes');
+        return;
+    }
+
+    if (update.length > MAX_UPDATE_SIZE) {
+        sendError(ws, 'UPDATE_TOO_LARGE', `Updates are limited to ${MAX_UPDATE_SIZE} bytes`);
+        return;
+    }
+
+    // A dropped update is not lost: the client sends it again in its next sync-step2
+    if (!ws.rateLimiter.take()) {
+        sendError(ws, 'RATE_LIMITED', 'Too many updates', {
+            retryAfter: ws.rateLimiter.retryAfter()
+        });
+        return;
+    }
+
+    const doc = documents.get(docId);
+    if (!doc) return;
+
+    if (doc.estimatedSize + update.length > MAX_DOCUMENT_SIZE) {
+        sendError(ws, 'DOCUMENT_TOO_LARGE', `Documents are limited to ${MAX_DOCUMENT_SIZE} bytes`);
+        return;
+    }
+
+    doc.applyUpdate(update, ws);
+}
+
+/**
+ * Handle presence (awareness) update from client
+ */
+function handleAwareness(ws, message) {
+    const { update, docId } = message;
+
+    if (!ws.currentDoc || ws.currentDoc !== docId) {
+        sendError(ws, 'NOT_IN_DOCUMENT', 'Not in document');
+        return;
+    }
+
+    if (!ws.rateLimiter.take()) {
+        sendError(ws, 'RATE_LIMITED', 'Too many presence updates', {
+            retryAfter: ws.rateLimiter.retryAfter()
+        });
         return;
     }
 
     const doc = documents.get(docId);
     if (doc) {
-        doc.applyUpdate(update, ws);
+        doc.applyAwarenessUpdate(update, ws);
     }
 }
 
@@ -343,24 +2184,21 @@ function handleUpdate(ws, message) {
  * Handle sync request from reconnecting client
  */
 function handleSyncRequest(ws, message) {
-    const { docId, vectorClock } = message;
+    const { docId, stateVector } = message;
+
+    const role = ws.currentDoc === docId ? ws.role : auth.roleFor(ws.user, docId);
+    if (!role) {
+        sendError(ws, 'ACCESS_DENIED', 'Access denied');
+        return;
+    }
 
     const doc = documents.get(docId);
     if (!doc) {
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Document not found'
-        }));
+        sendError(ws, 'DOCUMENT_NOT_FOUND', 'Document not found');
         return;
     }
 
-    // Send full state for now (optimization: send only diff)
-    const state = Y.encodeStateAsUpdate(doc.doc);
-    ws.send(JSON.stringify({
-        type: 'sync',
-        update: Array.from(state),
-        docId: docId
-    }));
+    doc.sendSync(ws, stateVector);
 }
 
 /**
@@ -369,11 +2207,22 @@ function handleSyncRequest(ws, message) {
 function handleUndo(ws, message) {
     const { docId } = message;
 
-    // Undo is handled client-side with UndoManager
-    // Server just broadcasts the resulting operations
+    const doc = ws.currentDoc === docId ? documents.get(docId) : null;
+    if (!doc) {
+        sendError(ws, 'NOT_IN_DOCUMENT', 'Not in document');
+        return;
+    }
+
+    if (!auth.hasRole(ws.role, 'editor')) {
+        sendError(ws, 'READ_ONLY', 'Read-only access');
+        return;
+    }
+
+    // The resulting update is broadcast to every client, including this one
     ws.send(JSON.stringify({
         type: 'undo-ack',
-        docId: docId
+        docId: docId,
+        ...doc.undo(ws)
     }));
 }
 
@@ -383,25 +2232,82 @@ function handleUndo(ws, message) {
 function handleRedo(ws, message) {
     const { docId } = message;
 
-    // Redo is handled client-side with UndoManager
+    const doc = ws.currentDoc === docId ? documents.get(docId) : null;
+    if (!doc) {
+        sendError(ws, 'NOT_IN_DOCUMENT', 'Not in document');
+        return;
+    }
+
+    if (!auth.hasRole(ws.role, 'editor')) {
+        sendError(ws, 'READ_ONLY', 'Read-only access');
+        return;
+    }
+
     ws.send(JSON.stringify({
         type: 'redo-ack',
-        docId: docId
+        docId: docId,
+        ...doc.redo(ws)
+    }));
+}
+
+/**
+ * Handle a change to the comment threads: { action, threadId, anchor, text }
+ * (see performCommentAction). The change reaches everyone, this client
+ * included, as a regular update.
+ */
+function handleComment(ws, message) {
+    const { docId, action, threadId } = message;
+
+    const doc = ws.currentDoc === docId ? documents.get(docId) : null;
+    if (!doc) {
+        sendError(ws, 'NOT_IN_DOCUMENT', 'Not in document');
+        return;
+    }
+
+    if (!ws.rateLimiter.take()) {
+        sendError(ws, 'RATE_LIMITED', 'Too many comments', {
+            retryAfter: ws.rateLimiter.retryAfter()
+        });
+        return;
+    }
+
+    const result = performCommentAction(doc, message, describeAuthor(ws, doc.awareness), ws.role);
+    if (result.error) {
+        const codes = { 403: 'ACCESS_DENIED', 404: 'THREAD_NOT_FOUND' };
+        sendError(ws, codes[result.status] || 'INVALID_COMMENT', result.error, { action, threadId });
+        return;
+    }
+
+    ws.send(JSON.stringify({
+        type: 'comment-ack',
+        docId: docId,
+        action,
+        threadId: result.thread ? result.thread.id : threadId
     }));
 }
 
+const evictionInterval = setInterval(evictDocuments, EVICTION_INTERVAL);
+
+const searchIndexLoaded = loadSearchIndex();
+
 /**
  * Heartbeat to detect dead connections
  */
 const heartbeatInterval = setInterval(() => {
-    wss.clients.forEach((ws) => {
-        if (ws.isAlive === false) {
-            console.log(`💀 Terminating dead connection: ${ws.id}`);
-            return ws.terminate();
-        }
+    // Event streams have no pong; the comment just keeps proxies from cutting them
+    sseConnections.forEach(connection => connection.ping());
+
+    [wss, yjsWss].forEach((socketServer) => {
+        socketServer.clients.forEach((ws) => {
+            if (ws.isAlive === false) {
+                console.log(`💀 Terminating dead connection: ${ws.id}`);
+                heartbeatTerminations.inc({ transport: ws.transport });
+                return ws.terminate();
+            }
 
-        ws.isAlive = false;
-        ws.ping();
+            ws.isAlive = false;
+            ws.ping();
+        });
     });
 }, 30000);
 
@@ -546,6 +2452,10 @@ app.get('/', (req, res) => {
                 <span class="stat-label">WebSocket</span>
                 <span class="stat-value">ws://localhost:${PORT}</span>
             </div>
+            <div class="stat">
+                <span class="stat-label">Yjs WebSocket</span>
+                <span class="stat-value">ws://localhost:${PORT}${YJS_PATH_PREFIX}:docId</span>
+            </div>
             <div class="stat">
                 <span class="stat-label">Active Documents</span>
                 <span class="stat-value" id="docCount">0</span>
@@ -556,131 +2466,1035 @@ app.get('/', (req, res) => {
             </div>
         </div>
 
-        <div class="endpoints">
-            <h2>📡 API Endpoints</h2>
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/health</span>
-            </div>
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/documents</span>
-            </div>
-            <div class="endpoint">
-                <span class="method">GET</span>
-                <span class="path">/api/documents/:docId</span>
-            </div>
-            <div class="endpoint">
-                <span class="method">POST</span>
-                <span class="path">/api/documents</span>
-            </div>
-            <div class="endpoint">
-                <span class="method">DELETE</span>
-                <span class="path">/api/documents/:docId</span>
-            </div>
-        </div>
+        <div class="endpoints">
+            <h2>📡 API Endpoints</h2>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/health</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/metrics</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/documents</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/documents/:docId</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/documents</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">DELETE</span>
+                <span class="path">/api/documents/:docId</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/documents/:docId/versions</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/documents/:docId/versions</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/documents/:docId/versions/:versionId[/diff]</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/documents/:docId/versions/:versionId/restore</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/documents/:docId/comments</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/documents/:docId/comments</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/documents/:docId/fork</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/documents/:docId/merge</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/documents/:docId/merge</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/documents/:docId/share-links</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/documents/:docId/share-links</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">DELETE</span>
+                <span class="path">/api/documents/:docId/share-links/:linkId</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/sse</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/sse/:token</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/webhooks</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">POST</span>
+                <span class="path">/api/webhooks</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">DELETE</span>
+                <span class="path">/api/webhooks/:webhookId</span>
+            </div>
+            <div class="endpoint">
+                <span class="method">GET</span>
+                <span class="path">/api/webhooks/:webhookId/deliveries</span>
+            </div>
+        </div>
+
+        <button class="button" onclick="location.href='/health'">
+            Check Server Health
+        </button>
+    </div>
+
+    <script>
+        // Update stats every 2 seconds
+        setInterval(async () => {
+            try {
+                const response = await fetch('/health');
+                const data = await response.json();
+                document.getElementById('docCount').textContent = data.documents || 0;
+                document.getElementById('clientCount').textContent = data.connections || 0;
+            } catch (error) {
+                console.error('Error fetching stats:', error);
+            }
+        }, 2000);
+
+        // Initial load
+        setTimeout(() => {
+            fetch('/health')
+                .then(r => r.json())
+                .then(data => {
+                    document.getElementById('docCount').textContent = data.documents || 0;
+                    document.getElementById('clientCount').textContent = data.connections || 0;
+                });
+        }, 100);
+    </script>
+</body>
+</html>
+    `);
+});
+
+// Health check; open to everyone, so only counts (per-document detail is under /api/health)
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        uptime: process.uptime(),
+        instanceId: INSTANCE_ID,
+        backplane: BACKPLANE_ADAPTER,
+        connections: wss.clients.size + yjsWss.clients.size + sseConnections.size,
+        documents: documents.size,
+        loading: Array.from(documents.values()).filter(doc => doc.status === 'loading').length,
+        memory: {
+            residentSize: getResidentSize(),
+            budget: DOC_MEMORY_BUDGET,
+            idleTimeout: DOC_IDLE_TIMEOUT
+        },
+        evictions: evictionStats.evictions,
+        lastEvictedAt: evictionStats.lastEvictedAt,
+        recoveries: {
+            recovered: recoveries.filter(recovery => recovery.status === 'recovered').length,
+            failed: recoveries.filter(recovery => recovery.status === 'failed').length
+        }
+    });
+});
+
+// Resident documents and recent recoveries, limited to documents the caller can see
+app.get('/api/health', (req, res) => {
+    const visible = docId => auth.roleFor(req.user, docId) !== null;
+
+    res.json({
+        resident: Array.from(documents.values()).filter(doc => visible(doc.docId)).map(doc => ({
+            docId: doc.docId,
+            clients: doc.clients.size,
+            estimatedSize: doc.estimatedSize,
+            idleFor: Date.now() - doc.lastAccess
+        })),
+        lastEvictedDocId: evictionStats.lastEvictedDocId && visible(evictionStats.lastEvictedDocId)
+            ? evictionStats.lastEvictedDocId
+            : null,
+        recoveries: recoveries.filter(recovery => visible(recovery.docId))
+    });
+});
+
+/**
+ * Server-Sent Events fallback for clients that cannot open a WebSocket (see sse.js)
+ */
+
+// Event stream carrying the server's JSON messages; same auth rules as the upgrade
+app.get(SSE_PATH, (req, res) => {
+    req.user = authenticate(req);
+    if (!req.user && auth.extractToken(req)) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const connection = new SseConnection(res, SSE_PATH);
+    sseConnections.set(connection.token, connection);
+    connection.on('close', () => sseConnections.delete(connection.token));
+    acceptJsonClient(connection, req.user, 'sse');
+});
+
+// Messages from the client of an event stream: a JSON array, handled in order
+app.post(`${SSE_PATH}/:token`, express.text({ type: () => true, limit: MAX_MESSAGE_SIZE * 2 }), (req, res) => {
+    const connection = sseConnections.get(req.params.token);
+    if (!connection || connection.readyState !== 1) {
+        return res.status(404).json({ error: 'Connection not found' });
+    }
+
+    let messages = req.body;
+    if (typeof messages === 'string') {
+        try {
+            messages = JSON.parse(messages);
+        } catch (error) {
+            messages = null;
+        }
+    }
+    if (!Array.isArray(messages)) {
+        return res.status(400).json({ error: 'Expected a JSON array of messages' });
+    }
+
+    connection.receive(messages);
+    res.status(204).end();
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', Registry.contentType);
+    res.send(metrics.render());
+});
+
+// Get document info
+app.get('/api/documents/:docId', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.json({ ...doc.getStats(), metadata: doc.getMetadata() });
+}));
+
+// Change title, description or tags
+app.patch('/api/documents/:docId', requireRole('editor'), asyncRoute(async (req, res) => {
+    const { fields, error } = validateMetadata(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await doc.updateMetadata(fields);
+    res.json({ metadata: doc.getMetadata() });
+}));
+
+// Current text, as JSON or text/plain; the ETag changes with every edit
+app.get('/api/documents/:docId/content', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const etag = doc.getETag();
+    res.set('ETag', etag);
+    if (req.get('If-None-Match') && matchesETag(req.get('If-None-Match'), etag)) {
+        return res.status(304).end();
+    }
+
+    if (req.accepts(['json', 'text']) === 'text') {
+        return res.type('text/plain').send(doc.text.toString());
+    }
+    res.json({ docId: doc.docId, text: doc.text.toString(), etag });
+}));
+
+// Replace the text; only the parts that differ are edited. Creates the document if needed.
+app.put(
+    '/api/documents/:docId/content',
+    requireRole('editor'),
+    express.text({ limit: MAX_MESSAGE_SIZE }),
+    asyncRoute(async (req, res) => {
+        const text = typeof req.body === 'string' ? req.body : req.body.text;
+        if (typeof text !== 'string') {
+            return res.status(400).json({ error: 'Expected the text as text/plain or as { "text": "..." }' });
+        }
+        if (Buffer.byteLength(text) > MAX_DOCUMENT_SIZE) {
+            return res.status(413).json({ error: `Documents are limited to ${MAX_DOCUMENT_SIZE} bytes` });
+        }
+
+        await replaceDocumentText(req, res, text);
+    })
+);
+
+// Apply explicit insert/delete operations, in order, as one edit
+app.patch('/api/documents/:docId/content', requireRole('editor'), asyncRoute(async (req, res) => {
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !matchesETag(ifMatch, doc.getETag())) {
+        return res.status(412).json({ error: 'Document has changed', etag: doc.getETag() });
+    }
+
+    const { operations } = req.body;
+    const error = validateTextOperations(operations, doc.text.length);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const inserted = operations.reduce((total, op) => total + (op.type === 'insert' ? Buffer.byteLength(op.text) : 0), 0);
+    if (doc.estimatedSize + inserted > MAX_DOCUMENT_SIZE) {
+        return res.status(413).json({ error: `Documents are limited to ${MAX_DOCUMENT_SIZE} bytes` });
+    }
+
+    doc.transactAs({ id: req.user.id, name: req.user.name }, () => {
+        operations.forEach(op => {
+            if (op.type === 'insert') {
+                doc.text.insert(op.index, op.text);
+            } else {
+                doc.text.delete(op.index, op.length);
+            }
+        });
+    }, 'rest');
+
+    const etag = doc.getETag();
+    res.set('ETag', etag).json({ docId: doc.docId, etag, textLength: doc.text.length });
+}));
+
+// Download as txt, md, html or the raw Yjs update
+app.get('/api/documents/:docId/export.:format', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const { format } = req.params;
+    if (!FORMATS[format]) {
+        return res.status(400).json({ error: `Unknown format, use one of: ${Object.keys(FORMATS).join(', ')}` });
+    }
+
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const { body, contentType } = exportDocument(doc.doc, format, doc.docId);
+    res.attachment(`${doc.docId}.${format}`)
+        .type(contentType)
+        .set('ETag', doc.getETag())
+        .send(body);
+}));
+
+// Create or overwrite a document from an uploaded file (the raw request body).
+// The format comes from ?format=, the ?filename= extension or the Content-Type.
+app.post(
+    '/api/documents/:docId/import',
+    requireRole('editor'),
+    express.raw({ type: () => true, limit: MAX_MESSAGE_SIZE }),
+    asyncRoute(async (req, res) => {
+        const format = detectFormat({
+            format: req.query.format,
+            fileName: req.query.filename,
+            contentType: req.get('Content-Type')
+        });
+        if (!format) {
+            return res.status(415).json({ error: `Unsupported format, use one of: ${Object.keys(FORMATS).join(', ')}` });
+        }
+        if (!Buffer.isBuffer(req.body)) {
+            return res.status(400).json({ error: 'Expected the file as the request body' });
+        }
+
+        let text;
+        try {
+            text = importText(req.body, format);
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read the ${format} file: ${error.message}` });
+        }
+        if (Buffer.byteLength(text) > MAX_DOCUMENT_SIZE) {
+            return res.status(413).json({ error: `Documents are limited to ${MAX_DOCUMENT_SIZE} bytes` });
+        }
+
+        await replaceDocumentText(req, res, text, { format });
+    })
+);
+
+// Full-text search over every document the caller can read: ?q=&limit=&offset=
+app.get('/api/search', asyncRoute(async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+    }
+
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+        return res.status(400).json({ error: 'limit must be an integer from 1 to 50' });
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    // A share link guest searches the one document the link opens
+    let user = req.user;
+    if (!user) {
+        const sharedDocId = await shareLinks.documentOf(String(req.query.share));
+        const guest = sharedDocId
+            ? await authenticateShareLink(req, sharedDocId)
+            : { error: 'Share link not found' };
+        if (!guest.user) {
+            return res.status(401).json({ error: guest.error });
+        }
+        user = guest.user;
+    }
 
-        <button class="button" onclick="location.href='/health'">
-            Check Server Health
-        </button>
-    </div>
+    await searchIndexLoaded;
+    const ranked = searchIndex.search(q, { filter: docId => auth.roleFor(user, docId) });
 
-    <script>
-        // Update stats every 2 seconds
-        setInterval(async () => {
-            try {
-                const response = await fetch('/health');
-                const data = await response.json();
-                document.getElementById('docCount').textContent = data.documents || 0;
-                document.getElementById('clientCount').textContent = data.connections || 0;
-            } catch (error) {
-                console.error('Error fetching stats:', error);
+    // Snippets come from the live text, or the stored one for documents not in memory
+    const results = await Promise.all(ranked.slice(offset, offset + limit).map(async ({ docId, score }) => {
+        let text = '';
+        let title = docId;
+        try {
+            const doc = documents.get(docId);
+            if (doc) {
+                await doc.loaded;
+                text = doc.text.toString();
+                title = doc.getMetadata().title;
+            } else {
+                const [storedText, metadata] = await Promise.all([
+                    readStoredText(docId),
+                    persistence.loadMetadata(docId)
+                ]);
+                text = storedText || '';
+                title = metadata ? metadata.title : docId;
             }
-        }, 2000);
+        } catch (error) {
+            console.error(`Error reading ${docId} for search results:`, error.message);
+        }
 
-        // Initial load
-        setTimeout(() => {
-            fetch('/health')
-                .then(r => r.json())
-                .then(data => {
-                    document.getElementById('docCount').textContent = data.documents || 0;
-                    document.getElementById('clientCount').textContent = data.connections || 0;
-                });
-        }, 100);
-    </script>
-</body>
-</html>
-    `);
-});
+        const { matches, snippets } = findMatches(text, q);
+        return { docId, title, score: Math.round(score * 1000) / 1000, matches: matches.length, snippets };
+    }));
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        uptime: process.uptime(),
-        connections: wss.clients.size,
-        documents: documents.size
-    });
-});
+    res.json({ query: q, total: ranked.length, limit, offset, results });
+}));
 
-// Get document info
-app.get('/api/documents/:docId', (req, res) => {
-    const doc = documents.get(req.params.docId);
+// Who wrote which part of the text
+app.get('/api/documents/:docId/blame', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const doc = await loadExistingDocument(req.params.docId);
     if (!doc) {
         return res.status(404).json({ error: 'Document not found' });
     }
 
-    res.json(doc.getStats());
-});
+    res.json(doc.getBlame());
+}));
 
-// List all documents
-app.get('/api/documents', (req, res) => {
-    const docs = Array.from(documents.values()).map(doc => doc.getStats());
-    res.json({ documents: docs });
-});
+// Catalog of every document the caller can see; see catalog.js for the query parameters
+app.get('/api/documents', asyncRoute(async (req, res) => {
+    const { query, error } = parseCatalogQuery(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // Stored metadata, stand-ins for documents stored before there was any,
+    // and the live entries of loaded documents on top
+    const entries = new Map();
+    const [stored, docIds] = await Promise.all([persistence.listMetadata(), persistence.list()]);
+    docIds.forEach(docId => entries.set(docId, createMetadata(docId)));
+    stored.forEach(metadata => entries.set(metadata.docId, metadata));
+
+    const loaded = Array.from(documents.values());
+    await Promise.all(loaded.map(doc => doc.loaded));
+    loaded.forEach(doc => entries.set(doc.docId, doc.getMetadata()));
+
+    const visible = Array.from(entries.values()).filter(entry => auth.roleFor(req.user, entry.docId));
+    const page = queryCatalog(visible, query);
+
+    // Lineage: every entry names its source, and lists the forks made of it
+    const forks = new Map();
+    visible.forEach(entry => {
+        if (!entry.forkedFrom) return;
+        if (!forks.has(entry.forkedFrom.docId)) {
+            forks.set(entry.forkedFrom.docId, []);
+        }
+        forks.get(entry.forkedFrom.docId).push(entry.docId);
+    });
 
-// Create new document
-app.post('/api/documents', (req, res) => {
-    const docId = req.body.docId || `doc-${Date.now()}`;
-    const doc = getDocument(docId);
     res.json({
+        ...page,
+        documents: page.documents.map(entry => {
+            const doc = documents.get(entry.docId);
+            return {
+                ...entry,
+                forkedFrom: entry.forkedFrom || null,
+                forks: (forks.get(entry.docId) || []).sort(),
+                loaded: Boolean(doc),
+                clients: doc ? doc.clients.size : 0
+            };
+        })
+    });
+}));
+
+// Open a document, creating it if needed: { docId, title, description, tags }.
+// The id defaults to a new one; fields that are given are applied either way.
+app.post('/api/documents', asyncRoute(async (req, res) => {
+    const docId = req.body.docId || crypto.randomUUID();
+    if (typeof docId !== 'string') {
+        return res.status(400).json({ error: 'docId must be a string' });
+    }
+    if (!auth.hasRole(auth.roleFor(req.user, docId), 'editor')) {
+        return res.status(403).json({ error: 'Requires editor access to this document' });
+    }
+
+    const { fields, error } = validateMetadata(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    let doc = await loadExistingDocument(docId);
+    const created = !doc;
+    if (created) {
+        doc = getDocument(docId, req.user);
+        await doc.loaded;
+    }
+    if (Object.keys(fields).length > 0) {
+        await doc.updateMetadata(fields);
+    }
+
+    res.status(created ? 201 : 200).json({
         docId: docId,
+        metadata: doc.getMetadata(),
         stats: doc.getStats()
     });
-});
+}));
 
-// Delete document
-app.delete('/api/documents/:docId', async (req, res) => {
-    const doc = documents.get(req.params.docId);
+/**
+ * Comments
+ */
+
+// Comment threads with their current ranges; ?resolved=true|false filters them
+app.get('/api/documents/:docId/comments', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const doc = await loadExistingDocument(req.params.docId);
     if (!doc) {
         return res.status(404).json({ error: 'Document not found' });
     }
 
-    // Disconnect all clients
-    doc.clients.forEach(client => {
-        client.send(JSON.stringify({
-            type: 'document-deleted',
-            docId: req.params.docId
-        }));
-        client.close();
+    let threads = comments.listThreads(doc.doc, doc.text);
+    if (req.query.resolved === 'true' || req.query.resolved === 'false') {
+        threads = threads.filter(thread => thread.resolved === (req.query.resolved === 'true'));
+    }
+    res.json({ docId: doc.docId, threads });
+}));
+
+// Run a comment action for a REST request and send the response
+async function sendCommentAction(req, res, action, details, status = 200) {
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    let { anchor } = details;
+    if (action === 'create' && !anchor) {
+        const { start, end } = req.body;
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > doc.text.length) {
+            return res.status(400).json({ error: `Expected start < end, both within 0 and ${doc.text.length}, or an anchor` });
+        }
+        anchor = comments.anchorFromRange(doc.text, start, end);
+    }
+
+    const author = { id: req.user.id, name: req.user.name };
+    const result = performCommentAction(doc, { ...details, action, anchor }, author, auth.roleFor(req.user, doc.docId));
+    if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+    }
+    res.status(status).json(result);
+}
+
+// Open a thread on [start, end) of the current text (or on an anchor of relative positions): { start, end, text }
+app.post('/api/documents/:docId/comments', requireRole('commenter'), asyncRoute((req, res) =>
+    sendCommentAction(req, res, 'create', { anchor: req.body.anchor, text: req.body.text }, 201)
+));
+
+// Reply to a thread: { text }
+app.post('/api/documents/:docId/comments/:threadId/replies', requireRole('commenter'), asyncRoute((req, res) =>
+    sendCommentAction(req, res, 'reply', { threadId: req.params.threadId, text: req.body.text }, 201)
+));
+
+// Resolve or reopen a thread: { resolved: true | false }
+app.patch('/api/documents/:docId/comments/:threadId', requireRole('commenter'), asyncRoute(async (req, res) => {
+    if (typeof req.body.resolved !== 'boolean') {
+        return res.status(400).json({ error: 'resolved must be true or false' });
+    }
+    await sendCommentAction(req, res, req.body.resolved ? 'resolve' : 'reopen', { threadId: req.params.threadId });
+}));
+
+// Delete a thread (its author, or an editor)
+app.delete('/api/documents/:docId/comments/:threadId', requireRole('commenter'), asyncRoute((req, res) =>
+    sendCommentAction(req, res, 'delete', { threadId: req.params.threadId })
+));
+
+/**
+ * Forks
+ */
+
+// Copy a document into a new one to draft changes on: { docId, title, description, tags }
+app.post('/api/documents/:docId/fork', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const source = await loadExistingDocument(req.params.docId);
+    if (!source) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const docId = req.body.docId || `${source.docId}-fork-${crypto.randomUUID().slice(0, 8)}`;
+    if (typeof docId !== 'string') {
+        return res.status(400).json({ error: 'docId must be a string' });
+    }
+    if (!auth.hasRole(auth.roleFor(req.user, docId), 'editor')) {
+        return res.status(403).json({ error: 'Requires editor access to the new document' });
+    }
+
+    const { fields, error } = validateMetadata(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const existing = await loadExistingDocument(docId);
+    if (existing) {
+        return res.status(409).json({ error: 'Document already exists', metadata: existing.getMetadata() });
+    }
+
+    // Same Yjs history as the source, so the fork's own edits can later be
+    // told apart from what it started with
+    const fork = getDocument(docId, req.user);
+    await fork.loaded;
+    const author = { id: req.user.id, name: req.user.name };
+    fork.applyRelatedUpdate(source, Y.encodeStateAsUpdate(source.doc), author, 'fork');
+    await fork.updateMetadata({
+        title: `${source.getMetadata().title} (fork)`,
+        description: source.metadata.description,
+        tags: source.metadata.tags,
+        ...fields,
+        forkedFrom: { docId: source.docId, forkedAt: Date.now(), mergedAt: null, mergedBy: null }
+    });
+
+    console.log(`🍴 Forked ${source.docId} into ${docId}`);
+    res.status(201).json({
+        docId,
+        metadata: fork.getMetadata(),
+        stats: fork.getStats()
+    });
+}));
+
+// The loaded fork and the document it was forked from, or an error response
+async function findMergeTarget(req, res) {
+    const fork = await loadExistingDocument(req.params.docId);
+    if (!fork) {
+        res.status(404).json({ error: 'Document not found' });
+        return null;
+    }
+
+    const { forkedFrom } = fork.metadata;
+    if (!forkedFrom) {
+        res.status(400).json({ error: 'This document is not a fork' });
+        return null;
+    }
+
+    const parent = await loadExistingDocument(forkedFrom.docId);
+    if (!parent) {
+        res.status(404).json({ error: `The document it was forked from (${forkedFrom.docId}) no longer exists` });
+        return null;
+    }
+    // Deleted and created again under the same id: it shares no history with the fork
+    if (parent.metadata.createdAt && parent.metadata.createdAt > forkedFrom.forkedAt) {
+        res.status(409).json({ error: `${forkedFrom.docId} was recreated after the fork` });
+        return null;
+    }
+
+    return { fork, parent };
+}
+
+/**
+ * What the fork has that its parent lacks: the fork's own edits since it was
+ * made (or last merged), as a Yjs update
+ */
+function encodeForkChanges(fork, parent) {
+    return Y.encodeStateAsUpdate(fork.doc, Y.encodeStateVector(parent.doc));
+}
+
+// Preview a merge: the parent's text with the fork's changes applied, and the line diff
+app.get('/api/documents/:docId/merge', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const target = await findMergeTarget(req, res);
+    if (!target) return;
+
+    const { fork, parent } = target;
+    if (!auth.hasRole(auth.roleFor(req.user, parent.docId), 'viewer')) {
+        return res.status(403).json({ error: 'Requires viewer access to the document it was forked from' });
+    }
+
+    const scratch = new Y.Doc();
+    Y.applyUpdate(scratch, Y.encodeStateAsUpdate(parent.doc));
+    Y.applyUpdate(scratch, encodeForkChanges(fork, parent));
+    const text = scratch.getText('content').toString();
+    scratch.destroy();
+
+    res.json({
+        docId: fork.docId,
+        into: parent.docId,
+        etag: parent.getETag(),
+        text,
+        changes: diffLines(parent.text.toString(), text)
+    });
+}));
+
+// Merge the fork's changes into its parent. If-Match takes the etag of the preview.
+app.post('/api/documents/:docId/merge', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const target = await findMergeTarget(req, res);
+    if (!target) return;
+
+    const { fork, parent } = target;
+    if (!auth.hasRole(auth.roleFor(req.user, parent.docId), 'editor')) {
+        return res.status(403).json({ error: 'Requires editor access to the document it was forked from' });
+    }
+
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !matchesETag(ifMatch, parent.getETag())) {
+        return res.status(412).json({ error: 'Document has changed', etag: parent.getETag() });
+    }
+
+    const update = encodeForkChanges(fork, parent);
+    if (parent.estimatedSize + update.length > MAX_DOCUMENT_SIZE) {
+        return res.status(413).json({ error: `Documents are limited to ${MAX_DOCUMENT_SIZE} bytes` });
+    }
+
+    const author = { id: req.user.id, name: req.user.name };
+    parent.applyRelatedUpdate(fork, update, author, 'merge');
+    await fork.updateMetadata({
+        forkedFrom: { ...fork.metadata.forkedFrom, mergedAt: Date.now(), mergedBy: author }
+    });
+
+    console.log(`🔀 Merged ${fork.docId} into ${parent.docId}`);
+    const etag = parent.getETag();
+    res.set('ETag', etag).json({
+        docId: fork.docId,
+        into: parent.docId,
+        etag,
+        textLength: parent.text.length,
+        metadata: fork.getMetadata()
+    });
+}));
+
+// Delete document
+app.delete('/api/documents/:docId', requireRole('owner'), asyncRoute(async (req, res) => {
+    const { docId } = req.params;
+    const doc = documents.get(docId);
+    if (!doc && !(await persistence.list()).includes(docId)) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    // Disconnect all clients, here and on the other instances, and stop
+    // persisting; queued writes finish before the stored data is removed
+    backplane.publish(docId, { type: 'deleted' }).catch(error => {
+        console.error(`Backplane publish for ${docId} failed:`, error.message);
     });
+    if (doc) {
+        closeDeletedDocument(doc);
+    }
+    await pendingFlushes.get(docId);
 
-    // Delete persistence files
+    // Delete stored state, updates and snapshots; links to it stop working
+    shareLinks.revokeAll(docId);
+    searchIndex.remove(docId);
     try {
-        await fs.remove(doc.persistencePath);
-        const files = await fs.readdir(PERSISTENCE_DIR);
-        const snapshots = files.filter(f =>
-            f.startsWith(`${req.params.docId}.snapshot.`)
-        );
-        for (const snapshot of snapshots) {
-            await fs.remove(path.join(PERSISTENCE_DIR, snapshot));
+        await persistence.delete(docId);
+    } catch (error) {
+        console.error('Error deleting persisted document:', error);
+    }
+
+    // Subscriptions to the document hear about it one last time
+    webhooks.emit('document.deleted', docId, { deletedBy: req.user.id });
+    webhooks.deleteForDocument(docId);
+
+    res.json({ success: true });
+}));
+
+/**
+ * Version history
+ */
+
+// List versions, newest first
+app.get('/api/documents/:docId/versions', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const versions = await persistence.listVersions(req.params.docId);
+    res.json({ docId: req.params.docId, versions });
+}));
+
+// Create a named version of the current state
+app.post('/api/documents/:docId/versions', requireRole('editor'), asyncRoute(async (req, res) => {
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const version = await doc.createVersion({
+        label: req.body.label || null,
+        author: req.user.id
+    });
+    res.status(201).json({ version });
+}));
+
+// Get the text of a version
+app.get('/api/documents/:docId/versions/:versionId', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const stored = await persistence.loadVersion(req.params.docId, req.params.versionId);
+    if (!stored) {
+        return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ version: stored.version, text: readTextFromState(stored.state) });
+}));
+
+// Diff a version against another version (?against=<versionId>) or the current text
+app.get('/api/documents/:docId/versions/:versionId/diff', requireRole('viewer'), asyncRoute(async (req, res) => {
+    const { docId, versionId } = req.params;
+    const against = req.query.against || 'current';
+
+    const stored = await persistence.loadVersion(docId, versionId);
+    if (!stored) {
+        return res.status(404).json({ error: 'Version not found' });
+    }
+
+    let targetText;
+    if (against === 'current') {
+        const doc = await loadExistingDocument(docId);
+        if (!doc) {
+            return res.status(404).json({ error: 'Document not found' });
+        }
+        targetText = doc.text.toString();
+    } else {
+        const target = await persistence.loadVersion(docId, against);
+        if (!target) {
+            return res.status(404).json({ error: 'Version to compare against not found' });
         }
+        targetText = readTextFromState(target.state);
+    }
+
+    res.json({
+        docId,
+        from: versionId,
+        to: against,
+        changes: diffLines(readTextFromState(stored.state), targetText)
+    });
+}));
+
+// Restore a version as a new edit on top of the current state
+app.post('/api/documents/:docId/versions/:versionId/restore', requireRole('editor'), asyncRoute(async (req, res) => {
+    const doc = await loadExistingDocument(req.params.docId);
+    if (!doc) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+
+    const version = await doc.restoreVersion(req.params.versionId, {
+        author: req.user.id
+    });
+    if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({ restored: version, stats: doc.getStats() });
+}));
+
+/**
+ * Share links
+ */
+
+// Create a link: { scope: 'view' | 'comment' | 'edit', expiresAt | expiresIn (seconds), maxUses }
+app.post('/api/documents/:docId/share-links', requireRole('owner'), asyncRoute(async (req, res) => {
+    const { scope, expiresAt, expiresIn, maxUses } = req.body;
+
+    if (!SCOPE_ROLES[scope]) {
+        return res.status(400).json({ error: `scope must be one of ${Object.keys(SCOPE_ROLES).join(', ')}` });
+    }
+
+    let expiry = Date.now() + SHARE_LINK_TTL;
+    if (expiresAt !== undefined) {
+        expiry = new Date(expiresAt).getTime();
+    } else if (expiresIn !== undefined) {
+        expiry = Date.now() + Number(expiresIn) * 1000;
+    }
+    if (!Number.isFinite(expiry) || expiry <= Date.now()) {
+        return res.status(400).json({ error: 'Expiry must be a time in the future' });
+    }
+
+    if (maxUses !== undefined && maxUses !== null && !(Number.isInteger(maxUses) && maxUses > 0)) {
+        return res.status(400).json({ error: 'maxUses must be a positive integer' });
+    }
+
+    await shareLinks.loaded;
+    const link = shareLinks.create(req.params.docId, {
+        scope,
+        expiresAt: expiry,
+        maxUses: maxUses || null,
+        createdBy: req.user.id
+    });
+
+    const url = new URL(CLIENT_URL);
+    url.searchParams.set('doc', link.docId);
+    url.searchParams.set('share', link.token);
+
+    res.status(201).json({ link: describeShareLink(link), url: url.toString() });
+}));
+
+// List links, newest first
+app.get('/api/documents/:docId/share-links', requireRole('owner'), asyncRoute(async (req, res) => {
+    await shareLinks.loaded;
+    res.json({
+        docId: req.params.docId,
+        links: shareLinks.list(req.params.docId).map(describeShareLink)
+    });
+}));
+
+// Revoke a link; clients already connected through it stay connected
+app.delete('/api/documents/:docId/share-links/:linkId', requireRole('owner'), asyncRoute(async (req, res) => {
+    await shareLinks.loaded;
+    if (!shareLinks.revoke(req.params.docId, req.params.linkId)) {
+        return res.status(404).json({ error: 'Share link not found' });
+    }
+    res.json({ success: true });
+}));
+
+/**
+ * Webhooks
+ */
+
+// Global subscriptions ('*') need owner access to every document
+function canManageWebhooks(user, docId) {
+    return auth.hasRole(auth.roleFor(user, docId), 'owner');
+}
+
+// Subscription the caller may manage, or an error response
+async function findWebhook(req, res) {
+    await webhooks.loaded;
+    const webhook = webhooks.get(req.params.webhookId);
+    if (!webhook) {
+        res.status(404).json({ error: 'Webhook not found' });
+        return null;
+    }
+    if (!canManageWebhooks(req.user, webhook.docId)) {
+        res.status(403).json({ error: 'Requires owner access to the subscribed document' });
+        return null;
+    }
+    return webhook;
+}
+
+// Subscribe: { url, docId (default '*'), events (default ['*']), secret, description }
+app.post('/api/webhooks', asyncRoute(async (req, res) => {
+    const { url, docId = '*', events = ['*'], secret, description } = req.body;
+
+    let parsed = null;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        return res.status(400).json({ error: 'url must be an http or https URL' });
+    }
+    if (typeof docId !== 'string' || docId.length === 0) {
+        return res.status(400).json({ error: "docId must be a document id or '*'" });
+    }
+    if (!Array.isArray(events) || events.length === 0 ||
+        !events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event))) {
+        return res.status(400).json({ error: `events must list '*' or any of ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        return res.status(400).json({ error: 'secret must be a string of at least 16 characters' });
+    }
+    if (!canManageWebhooks(req.user, docId)) {
+        return res.status(403).json({ error: 'Requires owner access to the subscribed document' });
+    }
+    try {
+        await webhooks.checkUrl(parsed);
     } catch (error) {
-        console.error('Error deleting persistence files:', error);
+        return res.status(400).json({ error: `url must point to a public address: ${error.message}` });
     }
 
-    doc.cleanup();
+    await webhooks.loaded;
+    const webhook = webhooks.create({
+        url: parsed.toString(),
+        docId,
+        events: Array.from(new Set(events)),
+        secret,
+        description: typeof description === 'string' ? description : null,
+        createdBy: req.user.id
+    });
+
+    // The secret is only ever shown here
+    res.status(201).json({ webhook: describeWebhook(webhook), secret: webhook.secret });
+}));
+
+// Subscriptions the caller manages, newest first; ?docId= narrows to one document
+app.get('/api/webhooks', asyncRoute(async (req, res) => {
+    await webhooks.loaded;
+    const list = webhooks.list()
+        .filter(webhook => !req.query.docId || webhook.docId === req.query.docId)
+        .filter(webhook => canManageWebhooks(req.user, webhook.docId));
+
+    res.json({ webhooks: list.map(describeWebhook) });
+}));
+
+app.get('/api/webhooks/:webhookId', asyncRoute(async (req, res) => {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({ webhook: describeWebhook(webhook) });
+}));
+
+// Recent deliveries with every attempt, newest first
+app.get('/api/webhooks/:webhookId/deliveries', asyncRoute(async (req, res) => {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    res.json({ webhookId: webhook.id, deliveries: webhooks.listDeliveries(webhook.id) });
+}));
+
+// Unsubscribe; pending retries are dropped
+app.delete('/api/webhooks/:webhookId', asyncRoute(async (req, res) => {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+
+    webhooks.delete(webhook.id);
     res.json({ success: true });
+}));
+
+// Errors from routes and body parsers; client errors keep their status
+app.use((error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+    if (error.status >= 400 && error.status < 500) {
+        return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error(`Error handling ${req.method} ${req.path}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
 });
 
 /**
@@ -694,6 +3508,15 @@ process.on('SIGTERM', async () => {
         doc.saveState()
     );
     await Promise.all(savePromises);
+    await shareLinks.writeQueue;
+    await webhooks.writeQueue;
+
+    // Let other instances take over our documents without waiting for the TTL
+    await Promise.all(Array.from(documents.values())
+        .filter(doc => doc.isOwner)
+        .map(doc => backplane.releaseOwnership(doc.docId).catch(() => {})));
+    await backplane.close();
+    await persistence.close();
 
     // Close server
     server.close(() => {
@@ -719,12 +3542,18 @@ server.listen(PORT, () => {
 ║                                                           ║
 ║   HTTP Server: http://localhost:${PORT}                    ║
 ║   WebSocket:   ws://localhost:${PORT}                      ║
-║   Persistence: ${PERSISTENCE_DIR}                    ║
+║   Yjs Sync:    ws://localhost:${PORT}${YJS_PATH_PREFIX}:docId             ║
+║   Persistence: ${PERSISTENCE_ADAPTER} (${PERSISTENCE_ADAPTER === 'sqlite' ? SQLITE_PATH : PERSISTENCE_DIR})   ║
+║   Backplane:   ${BACKPLANE_ADAPTER} (${INSTANCE_ID})   ║
 ║                                                           ║
 ║   Open http://localhost:${PORT} in your browser          ║
 ║                                                           ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+
+    if (!AUTH_SECRET) {
+        console.warn('⚠️  AUTH_SECRET is not set: authentication is off and every client owns every document');
+    }
 });
 
 // Export for testing
@@ -0,0 +1,131 @@
+// share-links.js - Expiring links that grant access to one document
+//
+// A link carries a secret token and a scope (view, comment or edit) that maps
+// onto the matching document role. Links expire and can be limited to a
+// number of uses; a use is a new client session joining through the link.
+
+const crypto = require('crypto');
+
+const SCOPE_ROLES = {
+    view: 'viewer',
+    comment: 'commenter',
+    edit: 'editor'
+};
+
+class ShareLinkStore {
+    constructor(persistence) {
+        this.persistence = persistence;
+        this.links = new Map();
+        this.loaded = this.load();
+        this.writeQueue = this.loaded;
+    }
+
+    async load() {
+        try {
+            const links = await this.persistence.loadShareLinks();
+            links.forEach(link => this.links.set(link.token, link));
+        } catch (error) {
+            console.error('Error loading share links:', error);
+        }
+    }
+
+    /**
+     * Persist all links after any write still in flight
+     */
+    save() {
+        const links = Array.from(this.links.values());
+        this.writeQueue = this.writeQueue
+            .then(() => this.persistence.storeShareLinks(links))
+            .catch(error => console.error('Error saving share links:', error));
+        return this.writeQueue;
+    }
+
+    create(docId, { scope, expiresAt, maxUses = null, createdBy = null }) {
+        const link = {
+            id: `share-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            token: crypto.randomBytes(24).toString('base64url'),
+            docId,
+            scope,
+            expiresAt,
+            maxUses,
+            uses: 0,
+            sessions: [],
+            createdBy,
+            createdAt: Date.now()
+        };
+
+        this.links.set(link.token, link);
+        this.save();
+        return link;
+    }
+
+    list(docId) {
+        return Array.from(this.links.values())
+            .filter(link => link.docId === docId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    revoke(docId, linkId) {
+        const link = this.list(docId).find(l => l.id === linkId);
+        if (!link) return false;
+
+        this.links.delete(link.token);
+        this.save();
+        return true;
+    }
+
+    revokeAll(docId) {
+        this.list(docId).forEach(link => this.links.delete(link.token));
+        this.save();
+    }
+
+    /**
+     * Document a link token was made for, or null
+     */
+    async documentOf(token) {
+        await this.loaded;
+        const link = this.links.get(token);
+        return link ? link.docId : null;
+    }
+
+    /**
+     * Use a link to join a document. Resolves to { link, role } or { error, code }.
+     * A session that already used the link may rejoin without using it up.
+     */
+    async redeem(token, docId, sessionId) {
+        await this.loaded;
+
+        const link = this.links.get(token);
+        if (!link || link.docId !== docId) {
+            return { error: 'Share link not found', code: 'SHARE_LINK_NOT_FOUND' };
+        }
+        if (link.expiresAt <= Date.now()) {
+            return { error: 'Share link has expired', code: 'SHARE_LINK_EXPIRED' };
+        }
+
+        if (!link.sessions.includes(sessionId)) {
+            if (link.maxUses !== null && link.uses >= link.maxUses) {
+                return { error: 'Share link has been used up', code: 'SHARE_LINK_USED_UP' };
+            }
+
+            link.uses++;
+            // Only limited links need to recognise returning sessions
+            if (link.maxUses !== null) {
+                link.sessions.push(sessionId);
+            }
+            this.save();
+        }
+
+        return { link, role: SCOPE_ROLES[link.scope] };
+    }
+}
+
+/**
+ * Link as shown to its owners
+ */
+function describeShareLink(link) {
+    const { sessions, ...visible } = link;
+    return { ...visible, expired: link.expiresAt <= Date.now() };
+}
+
+module.exports = { ShareLinkStore, SCOPE_ROLES, describeShareLink };
@@ -0,0 +1,91 @@
+// sse.js - The JSON protocol over Server-Sent Events, for networks that block WebSockets
+//
+// A client opens an event stream on GET /sse. The first event names the URL
+// its own messages go to:
+//
+//   event: endpoint
+//   data: /sse/<token>
+//
+// after which every server message arrives as a plain `data:` event. The
+// client POSTs a JSON array of messages to that URL; they are handled in
+// order, exactly like WebSocket messages.
+//
+// SseConnection stands in for a WebSocket (send, close, terminate, ping,
+// readyState, bufferedAmount, 'message' and 'close' events), so the message
+// handlers and DocumentManager treat both alike.
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+// WebSocket readyState values
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+class SseConnection extends EventEmitter {
+    constructor(res, basePath) {
+        super();
+        this.res = res;
+        // Knowing the token is what lets a POST speak for this connection
+        this.token = crypto.randomBytes(24).toString('base64url');
+        this.readyState = OPEN;
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // nginx buffers responses unless told otherwise
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`event: endpoint\ndata: ${basePath}/${this.token}\n\n`);
+
+        res.on('close', () => {
+            this.readyState = CLOSED;
+            this.emit('close');
+        });
+        res.on('error', error => this.emit('error', error));
+    }
+
+    /**
+     * Bytes written but not yet handed to the network
+     */
+    get bufferedAmount() {
+        return this.res.writableLength;
+    }
+
+    send(data) {
+        if (this.readyState !== OPEN) return;
+        this.res.write(`data: ${data}\n\n`);
+    }
+
+    /**
+     * Keep proxies from timing out an idle stream. There is no pong: a dead
+     * connection shows up as a write error or a closed socket instead.
+     */
+    ping() {
+        if (this.readyState !== OPEN) return;
+        this.res.write(': ping\n\n');
+    }
+
+    close() {
+        if (this.readyState !== OPEN) return;
+        this.readyState = CLOSING;
+        this.res.end();
+    }
+
+    terminate() {
+        this.readyState = CLOSING;
+        this.res.destroy();
+    }
+
+    /**
+     * Deliver a POSTed batch (array of messages) as if each had arrived on a WebSocket
+     */
+    receive(messages) {
+        messages.forEach(message => {
+            this.emit('message', Buffer.from(JSON.stringify(message)));
+        });
+    }
+}
+
+module.exports = { SseConnection };
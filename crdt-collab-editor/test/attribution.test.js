@@ -0,0 +1,225 @@
+// Attribution: runs of clocks per author, blame ranges and the blame API
+
+const Y = require('yjs');
+const { Attribution } = require('../attribution');
+const auth = require('../auth');
+const { startServer, openDocument, waitForText, waitForServerText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+const alice = { id: 'alice', name: 'Alice', color: '#f00' };
+const bob = { id: 'bob', name: 'Bob', color: '#00f' };
+
+/**
+ * A server-side document that records every update it receives from an author
+ */
+function createRecorder() {
+    const doc = new Y.Doc();
+    const attribution = new Attribution();
+    return { doc, text: doc.getText('content'), attribution };
+}
+
+/**
+ * Edit a separate client document and deliver the change to the recorder as `author`
+ */
+function edit(recorder, client, author, change, time) {
+    const before = Y.encodeStateVector(client);
+    change(client.getText('content'));
+    const update = Y.encodeStateAsUpdate(client, before);
+    Y.applyUpdate(recorder.doc, update);
+    return recorder.attribution.record(update, author, time);
+}
+
+function plainRanges(recorder) {
+    return recorder.attribution.blame(recorder.text).map(({ text, author }) => [text, author]);
+}
+
+describe('Attribution', () => {
+    test('blames each part of the text on the author who wrote it', () => {
+        const recorder = createRecorder();
+        const a = new Y.Doc();
+        const b = new Y.Doc();
+
+        edit(recorder, a, alice, text => text.insert(0, 'Hello world'), 1000);
+        Y.applyUpdate(b, Y.encodeStateAsUpdate(recorder.doc));
+        edit(recorder, b, bob, text => text.insert(5, ', dear'), 2000);
+
+        expect(recorder.text.toString()).toBe('Hello, dear world');
+        expect(recorder.attribution.blame(recorder.text)).toEqual([
+            { start: 0, end: 5, text: 'Hello', author: 'alice', time: 1000 },
+            { start: 5, end: 11, text: ', dear', author: 'bob', time: 2000 },
+            { start: 11, end: 17, text: ' world', author: 'alice', time: 1000 }
+        ]);
+    });
+
+    test('deleted text drops out of the blame', () => {
+        const recorder = createRecorder();
+        const a = new Y.Doc();
+
+        edit(recorder, a, alice, text => text.insert(0, 'keep drop keep'), 1000);
+        edit(recorder, a, alice, text => text.delete(4, 5), 1000);
+
+        expect(recorder.attribution.blame(recorder.text)).toEqual([
+            { start: 0, end: 9, text: 'keep keep', author: 'alice', time: 1000 }
+        ]);
+    });
+
+    test('a typing session shares one run; a pause or another author starts a new one', () => {
+        const recorder = createRecorder();
+        const a = new Y.Doc();
+
+        edit(recorder, a, alice, text => text.insert(0, 'a'), 1000);
+        edit(recorder, a, alice, text => text.insert(1, 'b'), 2000);
+        expect(recorder.attribution.runs()).toEqual([[a.clientID, 0, 2, 'alice', 1000]]);
+
+        edit(recorder, a, alice, text => text.insert(2, 'c'), 1000 + 61 * 1000);
+        expect(recorder.attribution.runs()).toHaveLength(2);
+
+        // The same Yjs client relayed by someone else (a shared device)
+        edit(recorder, a, bob, text => text.insert(3, 'd'), 62 * 1000);
+        expect(recorder.attribution.runs()[2]).toEqual([a.clientID, 3, 1, 'bob', 62 * 1000]);
+    });
+
+    test('content is credited to whoever delivered it first', () => {
+        const recorder = createRecorder();
+        const a = new Y.Doc();
+        a.getText('content').insert(0, 'shared');
+        const update = Y.encodeStateAsUpdate(a);
+        Y.applyUpdate(recorder.doc, update);
+
+        expect(recorder.attribution.record(update, alice)).toHaveLength(1);
+        expect(recorder.attribution.record(update, bob)).toEqual([]);
+        expect(plainRanges(recorder)).toEqual([['shared', 'alice']]);
+    });
+
+    test('text nobody is known to have written has no author', () => {
+        const recorder = createRecorder();
+        const a = new Y.Doc();
+        a.getText('content').insert(0, 'from storage ');
+        Y.applyUpdate(recorder.doc, Y.encodeStateAsUpdate(a));
+
+        edit(recorder, a, alice, text => text.insert(13, 'and new'), 1000);
+
+        expect(plainRanges(recorder)).toEqual([['from storage ', null], ['and new', 'alice']]);
+    });
+
+    test('runs from another instance merge in, and stored runs load underneath newer ones', () => {
+        const recorder = createRecorder();
+        const a = new Y.Doc();
+        const b = new Y.Doc();
+
+        const runs = edit(recorder, a, alice, text => text.insert(0, 'one '), 1000);
+        const stored = JSON.parse(JSON.stringify(recorder.attribution.toJSON()));
+        Y.applyUpdate(b, Y.encodeStateAsUpdate(recorder.doc));
+
+        // A fresh instance gets the document, then bob edits before storage is read
+        const other = createRecorder();
+        Y.applyUpdate(other.doc, Y.encodeStateAsUpdate(recorder.doc));
+        edit(other, b, bob, text => text.insert(4, 'two'), 2000);
+        other.attribution.load(stored);
+
+        expect(plainRanges(other)).toEqual([['one ', 'alice'], ['two', 'bob']]);
+        expect(other.attribution.authors.get('alice')).toEqual(alice);
+
+        // Merging the same runs again changes nothing
+        other.attribution.merge({ authors: { alice }, runs });
+        expect(other.attribution.runs()).toHaveLength(2);
+    });
+});
+
+// blame() reads the text through Y.Text#toDelta against the empty snapshot;
+// these pin down what it relies on, so a Yjs upgrade that changes it fails here
+describe('Yjs contract', () => {
+    test('the installed Yjs is the version package.json pins', () => {
+        const pinned = require('../package.json').dependencies.yjs;
+        expect(require('yjs/package.json').version).toBe(pinned);
+    });
+
+    test('a delta against the empty snapshot keeps every item apart with its id', () => {
+        const doc = new Y.Doc();
+        const text = doc.getText('content');
+        text.insert(0, 'abc');
+        text.insert(3, 'def');
+        text.insert(1, 'X');
+        text.delete(4, 1);
+
+        const delta = text.toDelta(undefined, Y.emptySnapshot, (type, id) => ({ type, user: null, id }));
+
+        expect(delta.map(op => [op.insert, op.attributes.ychange.id.clock])).toEqual([
+            ['a', 0],
+            ['X', 6],
+            ['bc', 1],
+            ['ef', 4]
+        ]);
+        delta.forEach(op => {
+            expect(op.attributes.ychange).toEqual({ type: 'added', user: null, id: { client: doc.clientID, clock: expect.any(Number) } });
+        });
+    });
+
+    test('embeds come through as non-string inserts', () => {
+        const doc = new Y.Doc();
+        const text = doc.getText('content');
+        text.insert(0, 'ab');
+        text.insertEmbed(1, { image: 'x.png' });
+
+        const delta = text.toDelta(undefined, Y.emptySnapshot, (type, id) => ({ type, user: null, id }));
+        expect(delta.map(op => op.insert)).toEqual(['a', { image: 'x.png' }, 'b']);
+
+        expect(new Attribution().blame(text).map(range => range.text)).toEqual(['ab']);
+    });
+});
+
+describe('blame API', () => {
+    const SECRET = 'test-secret';
+    const aliceToken = auth.signToken({ sub: 'alice', name: 'Alice', docs: { '*': 'editor' } }, SECRET);
+    const bobToken = auth.signToken({ sub: 'bob', name: 'Bob', docs: { '*': 'editor' } }, SECRET);
+    let server;
+
+    async function blame(docId, token = aliceToken) {
+        const response = await server.fetch(`/api/documents/${docId}/blame`, { headers: { Authorization: `Bearer ${token}` } });
+        return { status: response.status, body: await response.json() };
+    }
+
+    beforeAll(async () => {
+        server = await startServer({ AUTH_SECRET: SECRET });
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('reports who wrote what, over WebSocket and REST', async () => {
+        const a = await openDocument(server, 'blamed', { token: aliceToken });
+        const b = await openDocument(server, 'blamed', { token: bobToken });
+
+        a.text.insert(0, 'Alice wrote this.');
+        await waitForText([b], 'Alice wrote this.');
+        b.text.insert(17, ' Bob added this.');
+        await waitForServerText(server, 'blamed', 'Alice wrote this. Bob added this.', { token: aliceToken });
+
+        await server.fetch('/api/documents/blamed/content', {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${aliceToken}` },
+            body: JSON.stringify({ operations: [{ type: 'insert', index: 0, text: '> ' }] })
+        });
+
+        const { status, body } = await blame('blamed', bobToken);
+        expect(status).toBe(200);
+        expect(body.text).toBe('> Alice wrote this. Bob added this.');
+        expect(body.ranges.map(({ text, author }) => [text, author])).toEqual([
+            ['> ', 'alice'],
+            ['Alice wrote this.', 'alice'],
+            [' Bob added this.', 'bob']
+        ]);
+        expect(body.authors).toEqual({
+            alice: { id: 'alice', name: 'Alice', color: null },
+            bob: { id: 'bob', name: 'Bob', color: null }
+        });
+
+        await Promise.all([a.close(), b.close()]);
+    });
+
+    test('unknown documents are 404', async () => {
+        expect((await blame('nobody-wrote-this')).status).toBe(404);
+    });
+});
@@ -0,0 +1,191 @@
+// Signed tokens and per-document roles, on their own and enforced by the server
+
+const auth = require('../auth');
+const { startServer, connect, openDocument, openYjsDocument, waitUntil, waitForText, waitForServerText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+const SECRET = 'test-secret';
+
+function tokenFor(sub, docs, extra = {}) {
+    return auth.signToken({ sub, docs, ...extra }, SECRET);
+}
+
+describe('tokens', () => {
+    test('a signed token verifies to its payload', () => {
+        const token = tokenFor('alice', { notes: 'editor' }, { name: 'Alice' });
+        expect(auth.verifyToken(token, SECRET)).toEqual({ sub: 'alice', docs: { notes: 'editor' }, name: 'Alice' });
+    });
+
+    test('tokens with another secret, a changed payload or the wrong shape are refused', () => {
+        const token = tokenFor('alice', { notes: 'viewer' });
+        const [header, , signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ sub: 'alice', docs: { notes: 'owner' } })).toString('base64url');
+
+        expect(auth.verifyToken(token, 'other-secret')).toBeNull();
+        expect(auth.verifyToken(`${header}.${forged}.${signature}`, SECRET)).toBeNull();
+        expect(auth.verifyToken('not-a-token', SECRET)).toBeNull();
+        expect(auth.verifyToken(undefined, SECRET)).toBeNull();
+        expect(auth.verifyToken(auth.signToken({ docs: {} }, SECRET), SECRET)).toBeNull();
+    });
+
+    test('expired tokens are refused', () => {
+        const now = Math.floor(Date.now() / 1000);
+        expect(auth.verifyToken(tokenFor('alice', {}, { exp: now - 10 }), SECRET)).toBeNull();
+        expect(auth.verifyToken(tokenFor('alice', {}, { exp: now + 60 }), SECRET)).not.toBeNull();
+    });
+
+    test('tokens come from the Authorization header or the query string', () => {
+        expect(auth.extractToken({ headers: { authorization: 'Bearer abc ' }, url: '/api?token=xyz' })).toBe('abc');
+        expect(auth.extractToken({ headers: {}, url: '/api?token=xyz' })).toBe('xyz');
+        expect(auth.extractToken({ headers: { authorization: 'Basic abc' }, url: '/api' })).toBeNull();
+    });
+});
+
+describe('roles', () => {
+    test('users keep known roles only, and the name falls back to the id', () => {
+        const user = auth.createUser({ sub: 'bob', docs: { notes: 'editor', plans: 'admin' } });
+        expect(user).toEqual({ id: 'bob', name: 'bob', docs: { notes: 'editor' } });
+    });
+
+    test('a document entry wins over the "*" default', () => {
+        const user = auth.createUser({ sub: 'bob', docs: { notes: 'owner', '*': 'viewer' } });
+
+        expect(auth.roleFor(user, 'notes')).toBe('owner');
+        expect(auth.roleFor(user, 'anything')).toBe('viewer');
+        expect(auth.roleFor(auth.createUser({ sub: 'eve' }), 'notes')).toBeNull();
+        expect(auth.roleFor(null, 'notes')).toBeNull();
+    });
+
+    test('roles are ordered viewer < commenter < editor < owner', () => {
+        expect(auth.hasRole('owner', 'editor')).toBe(true);
+        expect(auth.hasRole('editor', 'editor')).toBe(true);
+        expect(auth.hasRole('commenter', 'editor')).toBe(false);
+        expect(auth.hasRole('viewer', 'commenter')).toBe(false);
+        expect(auth.hasRole(null, 'viewer')).toBe(false);
+    });
+});
+
+describe('server with AUTH_SECRET', () => {
+    let server;
+    const clients = [];
+    const owner = tokenFor('olivia', { secured: 'owner' });
+    const editor = tokenFor('eddie', { secured: 'editor' });
+    const viewer = tokenFor('vera', { secured: 'viewer' });
+    const stranger = tokenFor('sam', { elsewhere: 'owner' });
+
+    async function open(docId, options) {
+        const client = await openDocument(server, docId, options);
+        clients.push(client);
+        return client;
+    }
+
+    function api(method, pathname, token, body) {
+        const headers = body ? { 'Content-Type': 'application/json' } : {};
+        if (token) headers.Authorization = `Bearer ${token}`;
+        return server.fetch(pathname, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    }
+
+    beforeAll(async () => {
+        server = await startServer({ AUTH_SECRET: SECRET });
+        const client = await open('secured', { token: owner });
+        client.text.insert(0, 'secret plans');
+        await waitForServerText(server, 'secured', 'secret plans', { token: owner });
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.splice(1).map(client => client.close()));
+    });
+
+    afterAll(async () => {
+        await Promise.all(clients.splice(0).map(client => client.close()));
+        await server.stop();
+    });
+
+    test('REST calls without a valid token are 401', async () => {
+        expect((await api('GET', '/api/documents/secured')).status).toBe(401);
+        expect((await api('GET', '/api/documents/secured', tokenFor('vera', { secured: 'viewer' }, { exp: 1 }))).status).toBe(401);
+        expect((await api('GET', `/api/documents/secured?token=${auth.signToken({ sub: 'x' }, 'wrong')}`)).status).toBe(401);
+    });
+
+    test('REST calls need the route\'s role on the document', async () => {
+        expect((await api('GET', '/api/documents/secured', stranger)).status).toBe(403);
+        expect((await api('GET', `/api/documents/secured?token=${viewer}`)).status).toBe(200);
+        expect((await api('POST', '/api/documents/secured/versions', viewer, { label: 'Mine' })).status).toBe(403);
+        expect((await api('DELETE', '/api/documents/secured', editor)).status).toBe(403);
+
+        const response = await api('POST', '/api/documents/secured/versions', editor, { label: 'Reviewed', author: 'someone else' });
+        expect(response.status).toBe(201);
+        // The author is whoever the token names, not what the body claims
+        expect((await response.json()).version).toMatchObject({ label: 'Reviewed', author: 'eddie' });
+    });
+
+    test('editing the text over REST needs the editor role', async () => {
+        expect((await api('GET', '/api/documents/secured/content', stranger)).status).toBe(403);
+        expect((await api('PUT', '/api/documents/secured/content', viewer, { text: 'defaced' })).status).toBe(403);
+
+        const response = await api('PUT', '/api/documents/secured/content', editor, { text: 'revised plans' });
+        expect(response.status).toBe(200);
+        await waitForText([clients[0]], 'revised plans');
+
+        await api('PUT', '/api/documents/secured/content', editor, { text: 'secret plans' });
+        await waitForText([clients[0]], 'secret plans');
+    });
+
+    test('the document list shows only documents the token has a role on', async () => {
+        const listed = async token => (await (await api('GET', '/api/documents', token)).json()).documents.map(doc => doc.docId);
+
+        expect(await listed(viewer)).toContain('secured');
+        expect(await listed(stranger)).not.toContain('secured');
+    });
+
+    test('a bad token refuses the WebSocket upgrade', async () => {
+        await expect(connect(server, { token: 'forged' })).rejects.toThrow(/401/);
+    });
+
+    test('joining needs a token with a role on the document', async () => {
+        await expect(open('secured')).rejects.toMatchObject({ code: 'AUTH_REQUIRED' });
+        await expect(open('secured', { token: stranger })).rejects.toMatchObject({ code: 'ACCESS_DENIED' });
+
+        const client = await open('secured', { token: viewer });
+        expect(client.joined.role).toBe('viewer');
+        expect(client.text.toString()).toBe('secret plans');
+    });
+
+    test('viewers receive edits but their own updates are refused', async () => {
+        const reader = await open('secured', { token: viewer });
+        const writer = await open('secured', { token: editor });
+        expect(writer.joined.role).toBe('editor');
+
+        reader.text.insert(0, 'not allowed: ');
+        expect(await reader.next('error')).toMatchObject({ code: 'READ_ONLY' });
+
+        writer.text.insert(writer.text.length, '!');
+        await waitForServerText(server, 'secured', 'secret plans!', { token: owner });
+
+        writer.text.delete(writer.text.length - 1, 1);
+        await waitForServerText(server, 'secured', 'secret plans', { token: owner });
+    });
+
+    test('the Yjs endpoint answers 401 without a token and 403 without a role', async () => {
+        await expect(openYjsDocument(server, 'secured')).rejects.toMatchObject({ status: 401 });
+        await expect(openYjsDocument(server, 'secured', { query: { token: stranger } })).rejects.toMatchObject({ status: 403 });
+
+        const client = await openYjsDocument(server, 'secured', { query: { token: viewer } });
+        clients.push(client);
+        expect(client.text.toString()).toBe('secret plans');
+    });
+
+    test('Yjs clients with a read-only role can not change the document', async () => {
+        const reader = await openYjsDocument(server, 'secured', { query: { token: viewer } });
+        const observer = await openYjsDocument(server, 'secured', { query: { token: viewer } });
+        clients.push(reader, observer);
+
+        reader.text.insert(0, 'dropped ');
+        // Presence sent after the edit arrives after the server has handled it
+        reader.awareness.setLocalState({ user: 'vera' });
+        await waitUntil(() => observer.awareness.getStates().has(reader.doc.clientID), { message: 'the reader\'s presence' });
+
+        await waitForServerText(server, 'secured', 'secret plans', { token: owner });
+    });
+});
@@ -0,0 +1,357 @@
+// Backplanes: fan-out and ownership between two instances, in process and over
+// RESP against a small Redis stand-in
+
+const net = require('net');
+const { LoopbackBackplane, LoopbackHub } = require('../backplane/loopback');
+const { RedisBackplane, encodeCommand, parseReply, RENEW_SCRIPT, RELEASE_SCRIPT } = require('../backplane/redis');
+const { waitUntil } = require('./helpers');
+
+jest.setTimeout(15000);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Just enough of Redis for the backplane: keys with expiry, the two ownership
+ * scripts and pub/sub. Anything else is an error, as are the GET/PEXPIRE
+ * round trips ownership must not rely on. With `splitReplies` every reply is
+ * written in small pieces so the client sees frames cut anywhere.
+ */
+class RedisStandIn {
+    constructor() {
+        this.keys = new Map(); // key -> { value, expiresAt }
+        this.channels = new Map(); // channel -> Set(socket)
+        this.sockets = new Set();
+        this.commands = [];
+        this.splitReplies = false;
+        this.server = net.createServer(socket => this.accept(socket));
+    }
+
+    listen() {
+        return new Promise(resolve => {
+            this.server.listen(0, '127.0.0.1', () => resolve(`redis://127.0.0.1:${this.server.address().port}`));
+        });
+    }
+
+    accept(socket) {
+        socket.setNoDelay(true);
+        socket.writes = Promise.resolve();
+        this.sockets.add(socket);
+
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let parsed;
+            while ((parsed = parseReply(buffer)) !== null) {
+                buffer = buffer.subarray(parsed.offset);
+                this.execute(socket, parsed.value);
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.channels.forEach(sockets => sockets.delete(socket));
+        });
+    }
+
+    get(key) {
+        const entry = this.keys.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            this.keys.delete(key);
+            return null;
+        }
+        return entry ? entry.value : null;
+    }
+
+    // Arguments arrive as Buffers; only published data stays binary
+    execute(socket, [name, ...raw]) {
+        const command = String(name).toUpperCase();
+        const args = raw.map(String);
+        this.commands.push(command);
+
+        switch (command) {
+            case 'SET': {
+                const [key, value, nx, px, ttl] = args;
+                if (nx !== 'NX' || px !== 'PX') return this.reply(socket, '-ERR only SET NX PX is supported\r\n');
+                if (this.get(key) !== null) return this.reply(socket, '$-1\r\n');
+                this.keys.set(key, { value, expiresAt: Date.now() + Number(ttl) });
+                return this.reply(socket, '+OK\r\n');
+            }
+
+            case 'EVAL': {
+                const [script, , key, instanceId, ttl] = args;
+                const ours = this.get(key) === instanceId;
+                if (script === RENEW_SCRIPT) {
+                    if (ours) this.keys.get(key).expiresAt = Date.now() + Number(ttl);
+                } else if (script === RELEASE_SCRIPT) {
+                    if (ours) this.keys.delete(key);
+                } else {
+                    return this.reply(socket, '-ERR unknown script\r\n');
+                }
+                return this.reply(socket, `:${ours ? 1 : 0}\r\n`);
+            }
+
+            case 'PUBLISH': {
+                const [channel] = args;
+                const subscribers = this.channels.get(channel) || new Set();
+                subscribers.forEach(subscriber => this.reply(subscriber, encodeCommand(['message', channel, raw[1]])));
+                return this.reply(socket, `:${subscribers.size}\r\n`);
+            }
+
+            case 'SUBSCRIBE':
+            case 'UNSUBSCRIBE': {
+                const [channel] = args;
+                if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+                this.channels.get(channel)[command === 'SUBSCRIBE' ? 'add' : 'delete'](socket);
+                return this.reply(socket, encodeCommand([command.toLowerCase(), channel, 1]));
+            }
+
+            default:
+                return this.reply(socket, `-ERR unknown command '${name}'\r\n`);
+        }
+    }
+
+    reply(socket, data) {
+        const bytes = Buffer.from(data);
+        const pieces = [];
+        const size = this.splitReplies ? 3 : bytes.length;
+        for (let i = 0; i < bytes.length; i += size) {
+            pieces.push(bytes.subarray(i, i + size));
+        }
+
+        socket.writes = socket.writes.then(async () => {
+            for (const piece of pieces) {
+                if (socket.destroyed) return;
+                socket.write(piece);
+                if (pieces.length > 1) await sleep(1);
+            }
+        });
+    }
+
+    subscriberCount(channel) {
+        return (this.channels.get(channel) || new Set()).size;
+    }
+
+    dropConnections() {
+        this.sockets.forEach(socket => socket.destroy());
+    }
+
+    close() {
+        this.dropConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+}
+
+describe('RESP encoding', () => {
+    test('commands are arrays of bulk strings', () => {
+        expect(encodeCommand(['SET', 'key', 12]).toString()).toBe('*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$2\r\n12\r\n');
+        expect(encodeCommand(['PUBLISH', Uint8Array.of(0, 255)])).toEqual(
+            Buffer.concat([Buffer.from('*2\r\n$7\r\nPUBLISH\r\n$2\r\n'), Buffer.from([0, 255]), Buffer.from('\r\n')])
+        );
+    });
+
+    test('replies of every type parse, and incomplete ones wait for more data', () => {
+        const data = Buffer.from('+OK\r\n:42\r\n$-1\r\n-ERR nope\r\n*2\r\n$5\r\nhello\r\n:1\r\n');
+        const values = [];
+        let offset = 0;
+        let parsed;
+        while ((parsed = parseReply(data, offset)) !== null) {
+            values.push(parsed.value);
+            offset = parsed.offset;
+        }
+
+        expect(values[0]).toBe('OK');
+        expect(values[1]).toBe(42);
+        expect(values[2]).toBeNull();
+        expect(values[3].message).toBe('ERR nope');
+        expect(values[4].map(String)).toEqual(['hello', '1']);
+        expect(offset).toBe(data.length);
+
+        // Cut at every byte, the reply is not there yet
+        const reply = Buffer.from('*2\r\n$5\r\nhello\r\n:1\r\n');
+        for (let end = 0; end < reply.length; end++) {
+            expect(parseReply(reply.subarray(0, end))).toBeNull();
+        }
+    });
+});
+
+describe('LoopbackBackplane with two instances on one hub', () => {
+    let hub;
+    let a;
+    let b;
+
+    beforeEach(() => {
+        hub = new LoopbackHub();
+        a = new LoopbackBackplane({ instanceId: 'a', hub });
+        b = new LoopbackBackplane({ instanceId: 'b', hub });
+    });
+
+    test('messages reach the other instance only, with a copy of the payload', async () => {
+        const toA = [];
+        const toB = [];
+        a.subscribe('doc', message => toA.push(message));
+        b.subscribe('doc', message => toB.push(message));
+
+        const payload = Uint8Array.of(1, 2, 3);
+        await a.publish('doc', { type: 'update', payload });
+        payload[0] = 9;
+        await waitUntil(() => toB.length === 1, { message: 'the message' });
+
+        expect(toB[0]).toEqual({ type: 'update', from: 'a', payload: Uint8Array.of(1, 2, 3) });
+        expect(toA).toEqual([]);
+
+        b.unsubscribe('doc');
+        await a.publish('doc', { type: 'update', payload });
+        await sleep(10);
+        expect(toB).toHaveLength(1);
+    });
+
+    test('one instance owns a document until it releases it or the lease runs out', async () => {
+        expect(await a.claimOwnership('doc', 1000)).toBe(true);
+        expect(await b.claimOwnership('doc', 1000)).toBe(false);
+        expect(await a.claimOwnership('doc', 1000)).toBe(true);
+
+        await b.releaseOwnership('doc');
+        expect(await b.claimOwnership('doc', 1000)).toBe(false);
+
+        await a.releaseOwnership('doc');
+        expect(await b.claimOwnership('doc', 30)).toBe(true);
+
+        await sleep(50);
+        expect(await a.claimOwnership('doc', 1000)).toBe(true);
+        expect(await b.claimOwnership('doc', 1000)).toBe(false);
+    });
+
+    test('closing gives up subscriptions and ownership', async () => {
+        a.subscribe('doc', () => {});
+        await a.claimOwnership('doc', 1000);
+
+        await a.close();
+
+        expect(hub.subscribers.size).toBe(0);
+        expect(await b.claimOwnership('doc', 1000)).toBe(true);
+    });
+});
+
+describe('RedisBackplane against a RESP stand-in', () => {
+    let redis;
+    let url;
+    let backplanes;
+
+    function connect(instanceId) {
+        const backplane = new RedisBackplane({ instanceId, url });
+        backplanes.push(backplane);
+        return backplane;
+    }
+
+    async function ready(...list) {
+        await waitUntil(() => list.every(b => b.commands.connected && b.subscriber.connected), { message: 'the connections' });
+    }
+
+    beforeEach(async () => {
+        redis = new RedisStandIn();
+        url = await redis.listen();
+        backplanes = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(backplanes.map(backplane => backplane.close()));
+        await redis.close();
+        jest.restoreAllMocks();
+    });
+
+    test('messages fan out to the other instance', async () => {
+        const a = connect('a');
+        const b = connect('b');
+        await ready(a, b);
+
+        const toA = [];
+        const toB = [];
+        a.subscribe('doc', message => toA.push(message));
+        b.subscribe('doc', message => toB.push(message));
+        await waitUntil(() => redis.subscriberCount('crdt:doc:doc') === 2, { message: 'both subscriptions' });
+
+        await a.publish('doc', { type: 'update', payload: Uint8Array.of(0, 13, 10, 255) });
+        await waitUntil(() => toB.length === 1, { message: 'the message' });
+
+        expect(toB[0]).toEqual({ type: 'update', from: 'a', payload: Uint8Array.of(0, 13, 10, 255) });
+        expect(toA).toEqual([]);
+    });
+
+    test('ownership is claimed with SET NX and renewed and released by script only while ours', async () => {
+        const a = connect('a');
+        const b = connect('b');
+        await ready(a, b);
+
+        expect(await a.claimOwnership('doc', 1000)).toBe(true);
+        expect(await b.claimOwnership('doc', 1000)).toBe(false);
+        expect(await a.claimOwnership('doc', 1000)).toBe(true);
+
+        await b.releaseOwnership('doc');
+        expect(redis.get('crdt:owner:doc')).toBe('a');
+
+        // Once the lease has passed to b, a's renewal must not extend it
+        await a.releaseOwnership('doc');
+        expect(await b.claimOwnership('doc', 1000)).toBe(true);
+        expect(await a.claimOwnership('doc', 1000)).toBe(false);
+        expect(redis.get('crdt:owner:doc')).toBe('b');
+
+        expect(redis.commands).not.toContain('GET');
+        expect(redis.commands).not.toContain('PEXPIRE');
+    });
+
+    test('an expired lease can be taken over', async () => {
+        const a = connect('a');
+        const b = connect('b');
+        await ready(a, b);
+
+        expect(await a.claimOwnership('doc', 30)).toBe(true);
+        await sleep(50);
+
+        expect(await b.claimOwnership('doc', 1000)).toBe(true);
+        expect(await a.claimOwnership('doc', 1000)).toBe(false);
+    });
+
+    test('replies and pushes split across packets are put back together', async () => {
+        redis.splitReplies = true;
+        const a = connect('a');
+        const b = connect('b');
+        await ready(a, b);
+
+        const toB = [];
+        b.subscribe('doc', message => toB.push(message));
+        await waitUntil(() => redis.subscriberCount('crdt:doc:doc') === 1, { message: 'the subscription' });
+
+        const payload = Uint8Array.from({ length: 200 }, (_, i) => i);
+        const claims = await Promise.all([a.claimOwnership('doc', 1000), b.claimOwnership('doc', 1000), a.claimOwnership('doc', 1000)]);
+        await Promise.all([a.publish('doc', { type: 'update', payload }), a.publish('doc', { type: 'awareness', payload: Uint8Array.of(7) })]);
+        await waitUntil(() => toB.length === 2, { message: 'both messages' });
+
+        expect(claims).toEqual([true, false, true]);
+        expect(toB).toEqual([
+            { type: 'update', from: 'a', payload },
+            { type: 'awareness', from: 'a', payload: Uint8Array.of(7) }
+        ]);
+    });
+
+    test('connections come back after the broker drops them, with their subscriptions', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const a = connect('a');
+        const b = connect('b');
+        await ready(a, b);
+
+        const toB = [];
+        b.subscribe('doc', message => toB.push(message));
+        await waitUntil(() => redis.subscriberCount('crdt:doc:doc') === 1, { message: 'the subscription' });
+
+        redis.dropConnections();
+        await waitUntil(() => !a.commands.connected && !b.subscriber.connected, { message: 'the disconnect' });
+        await expect(a.publish('doc', { type: 'update', payload: Uint8Array.of(1) })).rejects.toThrow('Not connected');
+
+        await ready(a, b);
+        await waitUntil(() => redis.subscriberCount('crdt:doc:doc') === 1, { message: 'the restored subscription' });
+
+        await a.publish('doc', { type: 'update', payload: Uint8Array.of(2) });
+        await waitUntil(() => toB.length === 1, { message: 'the message after reconnecting' });
+        expect(toB[0].payload).toEqual(Uint8Array.of(2));
+    });
+});
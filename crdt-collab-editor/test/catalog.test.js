@@ -0,0 +1,254 @@
+// Document catalog: metadata validation, list queries and the documents API
+
+const { createMetadata, validateMetadata, parseCatalogQuery, queryCatalog } = require('../catalog');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const auth = require('../auth');
+const { startServer } = require('./helpers');
+
+jest.setTimeout(30000);
+
+function entry(docId, fields = {}) {
+    return { ...createMetadata(docId), ...fields };
+}
+
+function query(params = {}) {
+    return parseCatalogQuery(params).query;
+}
+
+describe('validateMetadata', () => {
+    test('keeps the fields present, trimmed and without duplicate tags', () => {
+        expect(validateMetadata({})).toEqual({ fields: {} });
+        expect(validateMetadata({ title: '  Plan  ', description: null, tags: ['a', 'b', 'a'], other: 1 })).toEqual({
+            fields: { title: 'Plan', description: null, tags: ['a', 'b'] }
+        });
+    });
+
+    test.each([
+        ['a blank title', { title: '   ' }, /^title/],
+        ['a long title', { title: 'x'.repeat(201) }, /^title/],
+        ['a non-string description', { description: 42 }, /^description/],
+        ['tags that are not a list', { tags: 'q1' }, /^tags/],
+        ['empty tags', { tags: [''] }, /^tags/],
+        ['too many tags', { tags: Array.from({ length: 21 }, (_, i) => `t${i}`) }, /^tags/]
+    ])('refuses %s', (label, body, message) => {
+        expect(validateMetadata(body).error).toMatch(message);
+    });
+});
+
+describe('parseCatalogQuery', () => {
+    test('defaults to the most recently updated first', () => {
+        expect(query()).toEqual({
+            q: null, owner: null, tag: null, forkOf: null, updatedAfter: null,
+            sort: 'updatedAt', order: 'desc', limit: 50, offset: 0
+        });
+        expect(query({ sort: 'title' }).order).toBe('asc');
+    });
+
+    test('reads filters, times and paging from strings', () => {
+        expect(query({ q: ' Plan ', updatedAfter: '1700000000000', limit: '10', offset: '20' })).toMatchObject({
+            q: 'plan', updatedAfter: 1700000000000, limit: 10, offset: 20
+        });
+        expect(query({ updatedAfter: '2024-01-01T00:00:00Z' }).updatedAfter).toBe(Date.UTC(2024, 0, 1));
+    });
+
+    test.each([
+        [{ sort: 'owner' }, /^sort/],
+        [{ order: 'up' }, /^order/],
+        [{ limit: '0' }, /^limit/],
+        [{ limit: '201' }, /^limit/],
+        [{ offset: '-1' }, /^offset/],
+        [{ updatedAfter: 'yesterday' }, /^updatedAfter/]
+    ])('refuses %j', (params, message) => {
+        expect(parseCatalogQuery(params).error).toMatch(message);
+    });
+});
+
+describe('queryCatalog', () => {
+    const entries = [
+        entry('alpha', { title: 'Alpha plan', tags: ['q1'], createdBy: { id: 'alice' }, updatedAt: 300, size: 10 }),
+        entry('beta', { title: 'beta notes', tags: ['q2'], createdBy: { id: 'bob' }, updatedAt: 100, size: 30 }),
+        entry('gamma', { title: 'Gamma plan', tags: ['q1', 'q2'], createdBy: { id: 'alice' }, updatedAt: 200, size: 20,
+            forkedFrom: { docId: 'alpha', forkedAt: 150, mergedAt: null, mergedBy: null } }),
+        entry('legacy')
+    ];
+    const ids = result => result.documents.map(document => document.docId);
+
+    test('filters by title, owner, tag, lineage and update time', () => {
+        expect(ids(queryCatalog(entries, query({ q: 'PLAN' })))).toEqual(['alpha', 'gamma']);
+        expect(ids(queryCatalog(entries, query({ owner: 'bob' })))).toEqual(['beta']);
+        expect(ids(queryCatalog(entries, query({ tag: 'q2' })))).toEqual(['gamma', 'beta']);
+        expect(ids(queryCatalog(entries, query({ forkOf: 'alpha' })))).toEqual(['gamma']);
+        expect(ids(queryCatalog(entries, query({ updatedAfter: '200' })))).toEqual(['alpha', 'gamma']);
+    });
+
+    test('sorts titles case-insensitively and leaves records without a value last', () => {
+        expect(ids(queryCatalog(entries, query({ sort: 'title' })))).toEqual(['alpha', 'beta', 'gamma', 'legacy']);
+        expect(ids(queryCatalog(entries, query({ sort: 'updatedAt', order: 'asc' })))).toEqual(['beta', 'gamma', 'alpha', 'legacy']);
+        expect(ids(queryCatalog(entries, query({ sort: 'updatedAt' })))).toEqual(['alpha', 'gamma', 'beta', 'legacy']);
+        expect(ids(queryCatalog(entries, query({ sort: 'size' })))).toEqual(['beta', 'gamma', 'alpha', 'legacy']);
+    });
+
+    test('pages through the sorted result', () => {
+        expect(queryCatalog(entries, query({ limit: '2', offset: '1' }))).toMatchObject({
+            total: 4, limit: 2, offset: 1, documents: [{ docId: 'gamma' }, { docId: 'beta' }]
+        });
+    });
+});
+
+describe('documents API', () => {
+    const SECRET = 'test-secret';
+    const alice = auth.signToken({ sub: 'alice', name: 'Alice', docs: { '*': 'owner' } }, SECRET);
+    const bob = auth.signToken({ sub: 'bob', name: 'Bob', docs: { 'bob-notes': 'editor', 'launch-plan': 'viewer' } }, SECRET);
+    let server;
+
+    async function request(method, pathname, token, body) {
+        const headers = { Authorization: `Bearer ${token}` };
+        if (body) headers['Content-Type'] = 'application/json';
+        const response = await server.fetch(pathname, { method, headers, body: body && JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    }
+
+    async function list(token, params = {}) {
+        const { body } = await request('GET', `/api/documents?${new URLSearchParams(params)}`, token);
+        return body.documents.map(document => document.docId);
+    }
+
+    beforeAll(async () => {
+        server = await startServer({ AUTH_SECRET: SECRET });
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('creating a document records its metadata and creator', async () => {
+        const created = await request('POST', '/api/documents', alice, {
+            docId: 'launch-plan', title: 'Launch plan', description: 'What ships when', tags: ['q1', 'launch']
+        });
+
+        expect(created.status).toBe(201);
+        expect(created.body.metadata).toMatchObject({
+            docId: 'launch-plan',
+            title: 'Launch plan',
+            description: 'What ships when',
+            tags: ['q1', 'launch'],
+            createdBy: { id: 'alice', name: 'Alice' },
+            createdAt: expect.any(Number),
+            length: 0
+        });
+
+        const generated = await request('POST', '/api/documents', alice, {});
+        expect(generated.status).toBe(201);
+        expect(generated.body.docId).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        expect(generated.body.metadata.title).toBe(generated.body.docId);
+        expect((await request('POST', '/api/documents', alice, {})).body.docId).not.toBe(generated.body.docId);
+    });
+
+    test('creating an existing document opens it, applying only the fields given', async () => {
+        const again = await request('POST', '/api/documents', alice, { docId: 'launch-plan' });
+        expect(again.status).toBe(200);
+        expect(again.body.metadata).toMatchObject({ title: 'Launch plan', tags: ['q1', 'launch'], createdBy: { id: 'alice', name: 'Alice' } });
+
+        const retitled = await request('POST', '/api/documents', alice, { docId: 'launch-plan', description: 'Dates and owners' });
+        expect(retitled.status).toBe(200);
+        expect(retitled.body.metadata).toMatchObject({ title: 'Launch plan', description: 'Dates and owners' });
+
+        // Repeating a request changes nothing further
+        const repeated = await request('POST', '/api/documents', alice, { docId: 'launch-plan', description: 'Dates and owners' });
+        expect(repeated.body.metadata).toEqual(retitled.body.metadata);
+
+        await request('PATCH', '/api/documents/launch-plan', alice, { description: 'What ships when' });
+    });
+
+    test('creating needs the editor role and valid fields', async () => {
+        expect((await request('POST', '/api/documents', bob, { docId: 'not-bobs' })).status).toBe(403);
+        expect((await request('POST', '/api/documents', bob, { docId: 'bob-notes', tags: 'notes' })).status).toBe(400);
+        expect((await request('POST', '/api/documents', alice, { docId: 42 })).status).toBe(400);
+
+        expect((await request('POST', '/api/documents', bob, { docId: 'bob-notes', title: 'Notes', tags: ['q2'] })).status).toBe(201);
+    });
+
+    test('metadata can be changed by editors', async () => {
+        const changed = await request('PATCH', '/api/documents/bob-notes', bob, { title: 'Bob notes', tags: ['q1'] });
+        expect(changed.status).toBe(200);
+        expect(changed.body.metadata).toMatchObject({ title: 'Bob notes', tags: ['q1'], createdBy: { id: 'bob', name: 'Bob' } });
+
+        expect((await request('GET', '/api/documents/bob-notes', alice)).body.metadata.title).toBe('Bob notes');
+        expect((await request('PATCH', '/api/documents/launch-plan', bob, { title: 'Mine now' })).status).toBe(403);
+        expect((await request('PATCH', '/api/documents/bob-notes', bob, { title: '' })).status).toBe(400);
+        expect((await request('PATCH', '/api/documents/missing', alice, { title: 'Missing' })).status).toBe(404);
+    });
+
+    test('the list shows only the documents the caller can read', async () => {
+        const all = await list(alice, { sort: 'title' });
+        expect(all).toEqual(expect.arrayContaining(['bob-notes', 'launch-plan']));
+        expect(all.length).toBeGreaterThanOrEqual(3);
+
+        expect(await list(bob, { sort: 'title' })).toEqual(['bob-notes', 'launch-plan']);
+    });
+
+    test('the list filters, sorts and pages', async () => {
+        await server.fetch('/api/documents/launch-plan/content', {
+            method: 'PUT',
+            headers: { Authorization: `Bearer ${alice}`, 'Content-Type': 'text/plain' },
+            body: 'Ship it'
+        });
+
+        expect(await list(alice, { q: 'PLAN' })).toEqual(['launch-plan']);
+        expect(await list(alice, { tag: 'q1', sort: 'title', order: 'desc' })).toEqual(['launch-plan', 'bob-notes']);
+        expect(await list(alice, { owner: 'bob' })).toEqual(['bob-notes']);
+        expect((await list(alice))[0]).toBe('launch-plan');
+
+        const { body } = await request('GET', '/api/documents?tag=q1&sort=title&limit=1&offset=1', alice);
+        expect(body).toMatchObject({ total: 2, limit: 1, offset: 1, documents: [{ docId: 'launch-plan', length: 7, loaded: true, clients: 0, forks: [] }] });
+
+        expect((await request('GET', '/api/documents?sort=owner', alice)).status).toBe(400);
+    });
+});
+
+describe('stored catalog', () => {
+    let dir;
+    let server;
+
+    async function listDocuments() {
+        const response = await server.fetch('/api/documents');
+        return { status: response.status, body: await response.json() };
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-catalog-'));
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        fs.removeSync(dir);
+    });
+
+    test('lists stored documents with their metadata without loading them', async () => {
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+        await server.fetch('/api/documents', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ docId: 'kept', title: 'Kept across restarts', tags: ['archive'] })
+        });
+        await server.fetch('/api/documents/kept/content', { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'stored' });
+        await server.stop();
+
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+        const { body } = await listDocuments();
+
+        expect(body.documents).toEqual([expect.objectContaining({
+            docId: 'kept', title: 'Kept across restarts', tags: ['archive'], length: 6, loaded: false, clients: 0
+        })]);
+    });
+
+    test('a list that cannot be read from storage answers 500', async () => {
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+        fs.removeSync(dir);
+        fs.writeFileSync(dir, 'not a directory');
+
+        expect(await listDocuments()).toEqual({ status: 500, body: { error: 'Internal server error' } });
+    });
+});
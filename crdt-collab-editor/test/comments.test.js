@@ -0,0 +1,242 @@
+// Comment threads: anchors that follow concurrent edits, detachment, and the REST and JSON actions
+
+const Y = require('yjs');
+const comments = require('../comments');
+const auth = require('../auth');
+const { startServer, openDocument, waitUntil } = require('./helpers');
+
+jest.setTimeout(30000);
+
+const alice = { id: 'alice', name: 'Alice' };
+
+function createDoc(text) {
+    const doc = new Y.Doc();
+    doc.getText('content').insert(0, text);
+    return doc;
+}
+
+// Exchange everything two documents have the other lacks
+function sync(a, b) {
+    const toB = Y.encodeStateAsUpdate(a, Y.encodeStateVector(b));
+    const toA = Y.encodeStateAsUpdate(b, Y.encodeStateVector(a));
+    Y.applyUpdate(b, toB);
+    Y.applyUpdate(a, toA);
+}
+
+/**
+ * Open a thread on the first occurrence of `quote`
+ */
+function comment(doc, quote, text = 'A comment') {
+    const ytext = doc.getText('content');
+    const start = ytext.toString().indexOf(quote);
+    const anchor = comments.anchorFromRange(ytext, start, start + quote.length);
+    return comments.createThread(doc, ytext, { anchor, text, author: alice }).thread;
+}
+
+function threads(doc) {
+    return comments.listThreads(doc, doc.getText('content'));
+}
+
+describe('anchors', () => {
+    test('follow edits before the thread and inside it', () => {
+        const doc = createDoc('The quick fox');
+        comment(doc, 'quick');
+        const ytext = doc.getText('content');
+
+        ytext.insert(0, 'Look: ');
+        ytext.insert(ytext.toString().indexOf('quick') + 2, '-i-');
+
+        expect(threads(doc)[0]).toMatchObject({ start: 10, end: 18, text: 'qu-i-ick', quote: 'quick', detached: false });
+    });
+
+    test('typing right at either edge does not widen the range', () => {
+        const doc = createDoc('The quick fox');
+        comment(doc, 'quick');
+        const ytext = doc.getText('content');
+
+        // Right before the first character, then right after the last
+        ytext.insert(4, 'very ');
+        ytext.insert(14, 'est');
+
+        expect(ytext.toString()).toBe('The very quickest fox');
+        expect(threads(doc)[0]).toMatchObject({ start: 9, end: 14, text: 'quick' });
+    });
+
+    test('concurrent edits at the edges and inside converge on the same range', () => {
+        const a = createDoc('The quick fox');
+        const b = new Y.Doc();
+        sync(a, b);
+
+        comment(a, 'quick');
+        const textA = a.getText('content');
+        const textB = b.getText('content');
+        // b has not seen the thread yet
+        textB.insert(4, 'very ');
+        textB.insert(14, 'est');
+        textA.insert(6, 'i');
+
+        sync(a, b);
+
+        expect(textA.toString()).toBe('The very quiickest fox');
+        expect(threads(a)).toEqual(threads(b));
+        expect(threads(b)[0]).toMatchObject({ text: 'quiick', detached: false });
+    });
+
+    test('text deleted concurrently with the thread being opened detaches it', () => {
+        const a = createDoc('Keep this, drop that.');
+        const b = new Y.Doc();
+        sync(a, b);
+
+        comment(a, 'drop that');
+        b.getText('content').delete(9, 11);
+        sync(a, b);
+
+        expect(a.getText('content').toString()).toBe('Keep this.');
+        expect(threads(b)).toEqual([expect.objectContaining({ text: '', quote: 'drop that', detached: true })]);
+    });
+});
+
+describe('threads', () => {
+    test('deleting part of the range shrinks it, deleting all of it detaches it', () => {
+        const doc = createDoc('one two three');
+        comment(doc, 'two three');
+        const ytext = doc.getText('content');
+
+        ytext.delete(4, 4);
+        expect(threads(doc)[0]).toMatchObject({ text: 'three', detached: false });
+
+        ytext.delete(3, 6);
+        expect(threads(doc)[0]).toMatchObject({ start: 3, end: 3, text: '', quote: 'two three', detached: true });
+    });
+
+    test('are listed in text order with detached ones last', () => {
+        const doc = createDoc('alpha beta gamma');
+        const gamma = comment(doc, 'gamma');
+        const alpha = comment(doc, 'alpha');
+        const beta = comment(doc, 'beta');
+        doc.getText('content').delete(0, 6);
+
+        expect(threads(doc).map(thread => thread.id)).toEqual([beta.id, gamma.id, alpha.id]);
+    });
+
+    test('collect replies and resolution state', () => {
+        const doc = createDoc('Ship on Friday');
+        const ytext = doc.getText('content');
+        const { id } = comment(doc, 'Friday', 'Which Friday?');
+
+        comments.addReply(doc, ytext, id, { text: 'The 14th', author: { id: 'bob', name: 'Bob' } });
+        const { thread } = comments.setResolved(doc, ytext, id, true, alice);
+
+        expect(thread.messages.map(message => [message.author.id, message.text])).toEqual([['alice', 'Which Friday?'], ['bob', 'The 14th']]);
+        expect(thread).toMatchObject({ resolved: true, resolvedBy: alice, resolvedAt: expect.any(Number) });
+        expect(comments.setResolved(doc, ytext, id, false, alice).thread).toMatchObject({ resolved: false, resolvedBy: null });
+
+        expect(comments.deleteThread(doc, id)).toBe(true);
+        expect(comments.deleteThread(doc, id)).toBe(false);
+        expect(comments.addReply(doc, ytext, id, { text: 'late', author: alice })).toMatchObject({ notFound: true });
+    });
+
+    test('refuse empty ranges, foreign positions and empty text', () => {
+        const doc = createDoc('text');
+        const ytext = doc.getText('content');
+        const other = doc.getText('elsewhere');
+        other.insert(0, 'other');
+
+        expect(comments.createThread(doc, ytext, { anchor: comments.anchorFromRange(ytext, 2, 2), text: 'x', author: alice }).error)
+            .toBe('anchor must be a non-empty range of the text');
+        expect(comments.createThread(doc, ytext, { anchor: comments.anchorFromRange(other, 0, 2), text: 'x', author: alice }).error)
+            .toBe('anchor must be a non-empty range of the text');
+        expect(comments.createThread(doc, ytext, { anchor: comments.anchorFromRange(ytext, 0, 2), text: '  ', author: alice }).error)
+            .toMatch(/^text must be/);
+    });
+});
+
+describe('comments API', () => {
+    const SECRET = 'test-secret';
+    const tokens = {
+        owner: auth.signToken({ sub: 'olga', name: 'Olga', docs: { '*': 'owner' } }, SECRET),
+        commenter: auth.signToken({ sub: 'carl', name: 'Carl', docs: { '*': 'commenter' } }, SECRET),
+        viewer: auth.signToken({ sub: 'vera', name: 'Vera', docs: { '*': 'viewer' } }, SECRET)
+    };
+    let server;
+
+    async function request(method, pathname, token, body) {
+        const headers = { Authorization: `Bearer ${tokens[token]}` };
+        if (body) headers['Content-Type'] = 'application/json';
+        const response = await server.fetch(`/api/documents/notes${pathname}`, { method, headers, body: body && JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    }
+
+    beforeAll(async () => {
+        server = await startServer({ AUTH_SECRET: SECRET });
+        await request('PUT', '/content', 'owner', { text: 'Ship the release on Friday.' });
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('threads are opened on a range and follow edits', async () => {
+        const created = await request('POST', '/comments', 'commenter', { start: 20, end: 26, text: 'Which Friday?' });
+        expect(created.status).toBe(201);
+        expect(created.body.thread).toMatchObject({ start: 20, end: 26, text: 'Friday', author: { id: 'carl', name: 'Carl' } });
+
+        await request('PATCH', '/content', 'owner', { operations: [{ type: 'insert', index: 0, text: 'Plan: ' }] });
+
+        const { body } = await request('GET', '/comments', 'viewer');
+        expect(body.threads).toMatchObject([{ id: created.body.thread.id, start: 26, end: 32, text: 'Friday' }]);
+    });
+
+    test('replies, resolving and filtering by resolution', async () => {
+        const { body: { thread } } = await request('POST', '/comments', 'commenter', { start: 0, end: 4, text: 'Plan?' });
+
+        expect((await request('POST', `/comments/${thread.id}/replies`, 'owner', { text: 'Yes' })).body.thread.messages).toHaveLength(2);
+        expect((await request('PATCH', `/comments/${thread.id}`, 'owner', { resolved: true })).body.thread.resolved).toBe(true);
+
+        const resolved = (await request('GET', '/comments?resolved=true', 'viewer')).body.threads;
+        expect(resolved.map(t => t.id)).toEqual([thread.id]);
+        expect((await request('GET', '/comments?resolved=false', 'viewer')).body.threads.map(t => t.id)).not.toContain(thread.id);
+
+        expect((await request('PATCH', `/comments/${thread.id}`, 'owner', { resolved: 'yes' })).status).toBe(400);
+    });
+
+    test('requests are checked for role, range, text and thread', async () => {
+        expect((await request('POST', '/comments', 'viewer', { start: 0, end: 4, text: 'Hi' })).status).toBe(403);
+        expect((await request('POST', '/comments', 'commenter', { start: 4, end: 4, text: 'Hi' })).status).toBe(400);
+        expect((await request('POST', '/comments', 'commenter', { start: 0, end: 999, text: 'Hi' })).status).toBe(400);
+        expect((await request('POST', '/comments', 'commenter', { start: 0, end: 4, text: '' })).status).toBe(400);
+        expect((await request('POST', '/comments/thread-none/replies', 'commenter', { text: 'Hi' })).status).toBe(404);
+
+        const response = await server.fetch('/api/documents/missing/comments', { headers: { Authorization: `Bearer ${tokens.owner}` } });
+        expect(response.status).toBe(404);
+    });
+
+    test('threads are deleted by their author or an editor', async () => {
+        const { body: { thread: byOwner } } = await request('POST', '/comments', 'owner', { start: 0, end: 4, text: 'Mine' });
+        const { body: { thread: byCommenter } } = await request('POST', '/comments', 'commenter', { start: 0, end: 4, text: 'Also mine' });
+
+        expect((await request('DELETE', `/comments/${byOwner.id}`, 'commenter')).status).toBe(403);
+        expect((await request('DELETE', `/comments/${byCommenter.id}`, 'commenter')).body).toEqual({ deleted: true });
+        expect((await request('DELETE', `/comments/${byOwner.id}`, 'owner')).status).toBe(200);
+        expect((await request('DELETE', `/comments/${byOwner.id}`, 'owner')).status).toBe(404);
+    });
+
+    test('JSON clients comment over their connection and see each other\'s threads', async () => {
+        const commenter = await openDocument(server, 'notes', { token: tokens.commenter });
+        const viewer = await openDocument(server, 'notes', { token: tokens.viewer });
+        const ytext = commenter.doc.getText('content');
+        const anchor = comments.anchorFromRange(ytext, 0, 4);
+
+        commenter.send({ type: 'comment', docId: 'notes', action: 'create', anchor, text: 'Over the socket' });
+        const ack = await commenter.next('comment-ack');
+        expect(ack).toMatchObject({ action: 'create', threadId: expect.any(String) });
+
+        await waitUntil(() => threads(viewer.doc).some(thread => thread.id === ack.threadId), { message: 'the thread to reach the viewer' });
+        expect(threads(viewer.doc).find(thread => thread.id === ack.threadId)).toMatchObject({ text: 'Plan', author: { id: 'carl' } });
+
+        viewer.send({ type: 'comment', docId: 'notes', action: 'reply', threadId: ack.threadId, text: 'Read only' });
+        expect(await viewer.next('error')).toMatchObject({ code: 'ACCESS_DENIED', action: 'reply' });
+
+        await Promise.all([commenter.close(), viewer.close()]);
+    });
+});
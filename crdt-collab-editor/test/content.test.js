@@ -0,0 +1,170 @@
+// Content API: reading and replacing text, explicit operations, ETags, and
+// answering 500 instead of hanging when storage fails
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { startServer, openDocument, waitForText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+let server;
+
+async function request(method, pathname, { body, headers = {} } = {}) {
+    const options = { method, headers: { ...headers } };
+    if (typeof body === 'string') {
+        options.headers['Content-Type'] = options.headers['Content-Type'] || 'text/plain';
+        options.body = body;
+    } else if (body) {
+        options.headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(body);
+    }
+
+    const response = await server.fetch(pathname, options);
+    const text = await response.text();
+    const type = response.headers.get('content-type') || '';
+    return {
+        status: response.status,
+        etag: response.headers.get('etag'),
+        body: type.includes('json') ? JSON.parse(text) : text
+    };
+}
+
+describe('content API', () => {
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('PUT creates a document, then replaces its text for connected clients', async () => {
+        const created = await request('PUT', '/api/documents/content-put/content', { body: 'first line\n' });
+        expect(created.status).toBe(201);
+        expect(created.body).toEqual({ docId: 'content-put', etag: created.etag, textLength: 11 });
+
+        const client = await openDocument(server, 'content-put');
+        expect(client.text.toString()).toBe('first line\n');
+
+        const replaced = await request('PUT', '/api/documents/content-put/content', { body: { text: 'first line\nsecond line\n' } });
+        expect(replaced.status).toBe(200);
+        expect(replaced.etag).not.toBe(created.etag);
+        await waitForText([client], 'first line\nsecond line\n');
+
+        expect((await request('PUT', '/api/documents/content-put/content', { body: { text: 42 } })).status).toBe(400);
+        await client.close();
+    });
+
+    test('GET returns the text as JSON or plain text, with an ETag', async () => {
+        await request('PUT', '/api/documents/content-get/content', { body: 'hello' });
+
+        const json = await request('GET', '/api/documents/content-get/content');
+        expect(json.status).toBe(200);
+        expect(json.body).toEqual({ docId: 'content-get', text: 'hello', etag: json.etag });
+
+        const plain = await request('GET', '/api/documents/content-get/content', { headers: { Accept: 'text/plain' } });
+        expect(plain.body).toBe('hello');
+
+        const unchanged = await request('GET', '/api/documents/content-get/content', { headers: { 'If-None-Match': json.etag } });
+        expect(unchanged.status).toBe(304);
+
+        expect((await request('GET', '/api/documents/content-missing/content')).status).toBe(404);
+    });
+
+    test('If-Match refuses writes made against an older version', async () => {
+        const { etag } = await request('PUT', '/api/documents/content-match/content', { body: 'v1' });
+        const { etag: current } = await request('PUT', '/api/documents/content-match/content', { body: 'v2', headers: { 'If-Match': etag } });
+
+        const stale = await request('PUT', '/api/documents/content-match/content', { body: 'v3', headers: { 'If-Match': etag } });
+        expect(stale.status).toBe(412);
+        expect(stale.body).toEqual({ error: 'Document has changed', etag: current });
+
+        const patched = await request('PATCH', '/api/documents/content-match/content', {
+            body: { operations: [{ type: 'insert', index: 2, text: '!' }] },
+            headers: { 'If-Match': etag }
+        });
+        expect(patched.status).toBe(412);
+        expect((await request('GET', '/api/documents/content-match/content')).body.text).toBe('v2');
+    });
+
+    test('PATCH applies operations in order as one edit', async () => {
+        await request('PUT', '/api/documents/content-patch/content', { body: 'Hello world' });
+        const client = await openDocument(server, 'content-patch');
+
+        const patched = await request('PATCH', '/api/documents/content-patch/content', {
+            body: {
+                operations: [
+                    { type: 'insert', index: 0, text: '# ' },
+                    { type: 'delete', index: 7, length: 6 },
+                    { type: 'insert', index: 7, text: ', everyone' }
+                ]
+            }
+        });
+
+        expect(patched.status).toBe(200);
+        expect(patched.body.textLength).toBe(17);
+        await waitForText([client], '# Hello, everyone');
+        await client.close();
+    });
+
+    test('PATCH rejects operations outside the text and unknown documents', async () => {
+        await request('PUT', '/api/documents/content-invalid/content', { body: 'abc' });
+        const patch = operations => request('PATCH', '/api/documents/content-invalid/content', { body: { operations } });
+
+        expect((await patch([])).body.error).toBe('Expected a non-empty "operations" array');
+        expect((await patch([{ type: 'insert', index: 4, text: 'x' }])).body.error).toBe('Operation 0: index must be an integer between 0 and 3');
+        expect((await patch([{ type: 'insert', index: 3, text: 'd' }, { type: 'delete', index: 2, length: 3 }])).status).toBe(400);
+        expect((await patch([{ type: 'replace', index: 0 }])).status).toBe(400);
+
+        expect((await request('GET', '/api/documents/content-invalid/content')).body.text).toBe('abc');
+        expect((await request('PATCH', '/api/documents/content-none/content', {
+            body: { operations: [{ type: 'insert', index: 0, text: 'x' }] }
+        })).status).toBe(404);
+    });
+
+    test('malformed bodies are a 400 with a JSON error', async () => {
+        const response = await request('PATCH', '/api/documents/content-invalid/content', {
+            body: '{"operations": [',
+            headers: { 'Content-Type': 'application/json' }
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({ error: expect.any(String) });
+    });
+});
+
+describe('when storage fails', () => {
+    let dir;
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-failing-'));
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+
+        // Listing the stored documents fails from now on
+        fs.removeSync(dir);
+        fs.writeFileSync(dir, 'not a directory');
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        fs.removeSync(dir);
+    });
+
+    test('reads answer 500 instead of hanging', async () => {
+        const response = await request('GET', '/api/documents/unknown/content');
+
+        expect(response).toMatchObject({ status: 500, body: { error: 'Internal server error' } });
+    });
+
+    test('writes answer 500 and leave no document behind', async () => {
+        const put = await request('PUT', '/api/documents/unknown/content', { body: 'text' });
+        const patch = await request('PATCH', '/api/documents/unknown/content', {
+            body: { operations: [{ type: 'insert', index: 0, text: 'x' }] }
+        });
+
+        expect(put).toMatchObject({ status: 500, body: { error: 'Internal server error' } });
+        expect(patch).toMatchObject({ status: 500, body: { error: 'Internal server error' } });
+        expect((await request('GET', '/health')).body.documents).toBe(0);
+    });
+});
@@ -0,0 +1,105 @@
+// CRDT merging through the server: concurrent and offline edits converge
+
+const Y = require('yjs');
+const { startServer, openDocument, waitForText, waitUntil } = require('./helpers');
+
+jest.setTimeout(30000);
+
+let server;
+const clients = [];
+
+async function open(docId, options) {
+    const client = await openDocument(server, docId, options);
+    clients.push(client);
+    return client;
+}
+
+function sameText(list) {
+    return waitUntil(
+        () => list.every(client => client.text.toString() === list[0].text.toString()),
+        { message: 'the clients to converge' }
+    );
+}
+
+beforeAll(async () => {
+    server = await startServer();
+});
+
+afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+});
+
+afterAll(async () => {
+    await server.stop();
+});
+
+describe('convergence', () => {
+    test('concurrent inserts at the same position keep both', async () => {
+        const alice = await open('merge-same-spot');
+        const bob = await open('merge-same-spot');
+
+        // Neither has seen the other's edit when making its own
+        alice.text.insert(0, 'AAA');
+        bob.text.insert(0, 'BBB');
+
+        await sameText([alice, bob]);
+        expect(['AAABBB', 'BBBAAA']).toContain(alice.text.toString());
+    });
+
+    test('an insert into text deleted concurrently survives the delete', async () => {
+        const alice = await open('merge-delete');
+        alice.text.insert(0, 'keep this gone that');
+        const bob = await open('merge-delete');
+        await waitForText([bob], 'keep this gone that');
+
+        alice.text.delete(10, 5);
+        bob.text.insert(12, 'X');
+
+        await waitForText([alice, bob], 'keep this Xthat');
+    });
+
+    test('edits made offline merge with edits made meanwhile', async () => {
+        const doc = new Y.Doc();
+        const alice = await open('merge-offline', { doc });
+        alice.text.insert(0, 'shared');
+        const bob = await open('merge-offline');
+        await waitForText([bob], 'shared');
+
+        await alice.close();
+        doc.getText('content').insert(0, 'offline ');
+        bob.text.insert(6, ' online');
+        await waitForText([bob], 'shared online');
+
+        // The server's sync-step1 on join pulls the offline edit out of the client
+        const back = await open('merge-offline', { doc });
+        await waitForText([back, bob], 'offline shared online');
+    });
+
+    test('random edits from several clients converge', async () => {
+        const editors = [];
+        for (let i = 0; i < 3; i++) {
+            editors.push(await open('merge-random'));
+        }
+
+        let seed = 42;
+        const random = max => {
+            seed = (seed * 16807) % 2147483647;
+            return seed % max;
+        };
+
+        for (let round = 0; round < 60; round++) {
+            const editor = editors[random(editors.length)];
+            const length = editor.text.length;
+            if (length > 0 && random(3) === 0) {
+                const index = random(length);
+                editor.text.delete(index, Math.min(1 + random(3), length - index));
+            } else {
+                editor.text.insert(random(length + 1), String.fromCharCode(97 + random(26)));
+            }
+        }
+
+        await sameText(editors);
+        const late = await open('merge-random');
+        await waitForText([late], editors[0].text.toString());
+    });
+});
@@ -0,0 +1,151 @@
+// Forks: copying a document, previewing and merging the fork's edits back
+
+const auth = require('../auth');
+const { startServer, openDocument, waitForText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+const SECRET = 'test-secret';
+const alice = auth.signToken({ sub: 'alice', name: 'Alice', docs: { '*': 'owner' } }, SECRET);
+const bob = auth.signToken({ sub: 'bob', name: 'Bob', docs: { plan: 'viewer', 'plan-bob': 'editor' } }, SECRET);
+
+let server;
+
+async function request(method, pathname, token, { body, headers = {} } = {}) {
+    const options = { method, headers: { Authorization: `Bearer ${token}`, ...headers } };
+    if (body !== undefined) {
+        options.headers['Content-Type'] = typeof body === 'string' ? 'text/plain' : 'application/json';
+        options.body = typeof body === 'string' ? body : JSON.stringify(body);
+    }
+    const response = await server.fetch(pathname, options);
+    return { status: response.status, body: await response.json() };
+}
+
+function insert(docId, token, index, text) {
+    return request('PATCH', `/api/documents/${docId}/content`, token, { body: { operations: [{ type: 'insert', index, text }] } });
+}
+
+// Blame ranges with neighbours of the same author joined
+function byAuthor(ranges) {
+    return ranges.reduce((runs, { text, author }) => {
+        const last = runs[runs.length - 1];
+        if (last && last[1] === author) {
+            last[0] += text;
+        } else {
+            runs.push([text, author]);
+        }
+        return runs;
+    }, []);
+}
+
+async function textOf(docId) {
+    return (await request('GET', `/api/documents/${docId}/content`, alice)).body.text;
+}
+
+beforeAll(async () => {
+    server = await startServer({ AUTH_SECRET: SECRET });
+    await request('PUT', '/api/documents/plan/content', alice, { body: 'Intro\nBody\n' });
+    await request('PATCH', '/api/documents/plan', alice, { body: { title: 'Plan', tags: ['q1'] } });
+});
+
+afterAll(async () => {
+    await server.stop();
+});
+
+test('a fork copies the text and metadata and names its source', async () => {
+    const { status, body } = await request('POST', '/api/documents/plan/fork', bob, { body: { docId: 'plan-bob' } });
+
+    expect(status).toBe(201);
+    expect(body.metadata).toMatchObject({
+        docId: 'plan-bob',
+        title: 'Plan (fork)',
+        tags: ['q1'],
+        createdBy: { id: 'bob', name: 'Bob' },
+        forkedFrom: { docId: 'plan', forkedAt: expect.any(Number), mergedAt: null, mergedBy: null }
+    });
+    expect(await textOf('plan-bob')).toBe('Intro\nBody\n');
+
+    const { body: catalog } = await request('GET', '/api/documents?forkOf=plan', alice);
+    expect(catalog.documents.map(entry => entry.docId)).toEqual(['plan-bob']);
+    const { body: all } = await request('GET', '/api/documents?q=plan&sort=title', alice);
+    expect(all.documents.find(entry => entry.docId === 'plan').forks).toEqual(['plan-bob']);
+});
+
+test('forking needs editor access to the new id and a free id', async () => {
+    expect((await request('POST', '/api/documents/plan/fork', bob, { body: { docId: 'plan-elsewhere' } })).status).toBe(403);
+    expect((await request('POST', '/api/documents/plan/fork', alice, { body: { docId: 'plan-bob' } })).status).toBe(409);
+    expect((await request('POST', '/api/documents/missing/fork', alice, { body: {} })).status).toBe(404);
+    expect((await request('POST', '/api/documents/plan/fork', alice, { body: { docId: 'plan-x', title: '' } })).status).toBe(400);
+});
+
+test('a fork without an id gets one named after its source', async () => {
+    const { status, body } = await request('POST', '/api/documents/plan/fork', alice, { body: { title: 'Scratch' } });
+
+    expect(status).toBe(201);
+    expect(body.docId).toMatch(/^plan-fork-[0-9a-f]{8}$/);
+    expect(body.metadata).toMatchObject({ title: 'Scratch', forkedFrom: { docId: 'plan' } });
+});
+
+test('a merge brings the fork\'s edits over and keeps the parent\'s own', async () => {
+    const editor = await openDocument(server, 'plan', { token: alice });
+
+    await insert('plan-bob', bob, 11, 'Bob\'s section\n');
+    await insert('plan', alice, 5, 'duction');
+
+    const preview = await request('GET', '/api/documents/plan-bob/merge', bob);
+    expect(preview.status).toBe(200);
+    expect(preview.body).toMatchObject({ docId: 'plan-bob', into: 'plan', text: 'Introduction\nBody\nBob\'s section\n' });
+    expect(preview.body.changes).toEqual([
+        { type: 'equal', value: 'Introduction\nBody\n' },
+        { type: 'insert', value: 'Bob\'s section\n' }
+    ]);
+    expect(await textOf('plan')).toBe('Introduction\nBody\n');
+
+    // Bob can only read the parent
+    expect((await request('POST', '/api/documents/plan-bob/merge', bob)).status).toBe(403);
+
+    const merged = await request('POST', '/api/documents/plan-bob/merge', alice, { headers: { 'If-Match': preview.body.etag } });
+    expect(merged.status).toBe(200);
+    expect(merged.body.metadata.forkedFrom).toMatchObject({ mergedAt: expect.any(Number), mergedBy: { id: 'alice', name: 'Alice' } });
+    await waitForText([editor], 'Introduction\nBody\nBob\'s section\n');
+
+    // Text keeps its authors
+    const { body: blame } = await request('GET', '/api/documents/plan/blame', alice);
+    expect(byAuthor(blame.ranges)).toEqual([['Introduction\nBody\n', 'alice'], ['Bob\'s section\n', 'bob']]);
+
+    await editor.close();
+});
+
+test('merging again only applies what the fork changed since', async () => {
+    await request('POST', '/api/documents/plan-bob/merge', alice);
+    expect(await textOf('plan')).toBe('Introduction\nBody\nBob\'s section\n');
+
+    await insert('plan-bob', bob, 0, '# ');
+    await request('POST', '/api/documents/plan-bob/merge', alice);
+
+    expect(await textOf('plan')).toBe('# Introduction\nBody\nBob\'s section\n');
+});
+
+test('a stale If-Match refuses the merge', async () => {
+    const { body: preview } = await request('GET', '/api/documents/plan-bob/merge', alice);
+    await insert('plan', alice, 0, '!');
+
+    const refused = await request('POST', '/api/documents/plan-bob/merge', alice, { headers: { 'If-Match': preview.etag } });
+    expect(refused.status).toBe(412);
+    expect(refused.body.etag).not.toBe(preview.etag);
+});
+
+test('only forks of an existing parent can be merged', async () => {
+    expect((await request('GET', '/api/documents/plan/merge', alice)).status).toBe(400);
+    expect((await request('GET', '/api/documents/missing/merge', alice)).status).toBe(404);
+
+    await request('POST', '/api/documents/plan/fork', alice, { body: { docId: 'plan-orphan' } });
+    await request('DELETE', '/api/documents/plan', alice);
+    const gone = await request('GET', '/api/documents/plan-orphan/merge', alice);
+    expect(gone.status).toBe(404);
+    expect(gone.body.error).toMatch(/\(plan\) no longer exists/);
+
+    await request('PUT', '/api/documents/plan/content', alice, { body: 'A new plan' });
+    expect((await request('POST', '/api/documents/plan-orphan/merge', alice)).status).toBe(409);
+    expect(await textOf('plan')).toBe('A new plan');
+});
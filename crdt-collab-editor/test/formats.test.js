@@ -0,0 +1,212 @@
+// Export formats, import parsing and the export/import routes
+
+const Y = require('yjs');
+const { exportDocument, importText, detectFormat } = require('../formats');
+const { startServer, openDocument, waitForText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+function docWithText(text) {
+    const doc = new Y.Doc();
+    doc.getText('content').insert(0, text);
+    return doc;
+}
+
+describe('exportDocument', () => {
+    test('txt is the text as written', () => {
+        const doc = docWithText('# Notes\n\n- one');
+
+        expect(exportDocument(doc, 'txt', 'notes')).toEqual({ body: '# Notes\n\n- one', contentType: 'text/plain; charset=utf-8' });
+    });
+
+    test('md escapes what Markdown would read as syntax and keeps every line', () => {
+        const doc = docWithText('# not a heading\n- 2 * 3_4 <b>\n  1. indented\n\nnext');
+        const { body, contentType } = exportDocument(doc, 'md', 'notes');
+
+        expect(contentType).toBe('text/markdown; charset=utf-8');
+        expect(body).toBe('\\# not a heading\\\n\\- 2 \\* 3\\_4 \\<b\\>\\\n&#32;&#32;1\\. indented\n\nnext');
+    });
+
+    test('html has one escaped paragraph per block', () => {
+        const { body } = exportDocument(docWithText('a < b & "c"\nsame block\n\n\nnext'), 'html', 'x <y>');
+
+        expect(body).toContain('<title>x &lt;y&gt;</title>');
+        expect(body).toContain('<p>a &lt; b &amp; &quot;c&quot;<br>\nsame block</p>\n<p>next</p>');
+    });
+
+    test('yjs is the whole document as an update', () => {
+        const { body } = exportDocument(docWithText('state'), 'yjs', 'doc');
+        const copy = new Y.Doc();
+        Y.applyUpdate(copy, new Uint8Array(body));
+
+        expect(copy.getText('content').toString()).toBe('state');
+    });
+
+    test('unknown formats throw', () => {
+        expect(() => exportDocument(new Y.Doc(), 'pdf', 'doc')).toThrow('Unknown export format: pdf');
+    });
+});
+
+describe('importText', () => {
+    test('text drops a byte order mark', () => {
+        expect(importText(Buffer.from('﻿hello'), 'txt')).toBe('hello');
+    });
+
+    test('html keeps the readable text', () => {
+        const html = [
+            '<html><head><title>ignored</title></head><body>',
+            '<h1>Title</h1>',
+            '<script>alert(1)</script><!-- note -->',
+            '<p>One <b>bold</b><br>line &amp; &#x263A; &#65;</p>',
+            '<ul><li>first</li><li>second</li></ul>',
+            '</body></html>'
+        ].join('\n');
+
+        expect(importText(Buffer.from(html), 'html')).toBe('Title\n\nOne bold\nline & ☺ A\n\nfirst\nsecond');
+    });
+
+    test('html keeps the whitespace of <pre> blocks', () => {
+        const html = '<p>Run   it:</p><pre>\n  make  all\n\n\n    done\n</pre><p>then</p>';
+
+        expect(importText(Buffer.from(html), 'html')).toBe('Run it:\n\n  make  all\n\n\n    done\n\nthen');
+    });
+
+    test('html that is never closed is dropped, in linear time', () => {
+        const started = Date.now();
+        const unclosed = ['<!--', '<script>', '<style>', '<body>', '<p', '<'].map(opener => opener.repeat(200000));
+
+        expect(importText(Buffer.from(`kept${unclosed[0]}lost`), 'html')).toBe('kept');
+        expect(importText(Buffer.from(`kept${unclosed[1]}lost`), 'html')).toBe('kept');
+        unclosed.forEach(html => importText(Buffer.from(html), 'html'));
+        expect(Date.now() - started).toBeLessThan(2000);
+    });
+
+    test('md resolves escapes, hard breaks and character references', () => {
+        const markdown = '\\# Title\\\nline &#32;&amp; \\*x\\* \\\\\n\n*kept* as written';
+
+        expect(importText(Buffer.from(markdown), 'md')).toBe('# Title\nline  & *x* \\\n\n*kept* as written');
+    });
+
+    test.each([
+        'plain words',
+        '# heading\n\n- list\n+ more\n1) one\n===\n---',
+        '  indented\tand\ttabbed  \ntrailing \\\n\n\n\nafter blank lines',
+        '<b>&amp;</b> `code` [link](url) *a* _b_ ~c~ | d'
+    ])('exported md imports back to the same text: %j', text => {
+        const { body } = exportDocument(docWithText(text), 'md', 'doc');
+
+        expect(importText(Buffer.from(body), 'md')).toBe(text);
+    });
+
+    test('exported html imports back to the same text', () => {
+        const text = 'a < b\nc\n\nd & e';
+        const { body } = exportDocument(docWithText(text), 'html', 'doc');
+
+        expect(importText(Buffer.from(body), 'html')).toBe(text);
+    });
+
+    test('yjs must be a complete update', () => {
+        const full = Y.encodeStateAsUpdate(docWithText('from yjs'));
+        expect(importText(Buffer.from(full), 'yjs')).toBe('from yjs');
+
+        expect(() => importText(Buffer.from('not yjs'), 'yjs')).toThrow(/Yjs document update/);
+
+        // An update that depends on one we do not have
+        const doc = docWithText('base');
+        const before = Y.encodeStateVector(doc);
+        doc.getText('content').insert(4, ' more');
+        const dependent = Y.encodeStateAsUpdate(doc, before);
+        expect(() => importText(Buffer.from(dependent), 'yjs')).toThrow('Not a complete Yjs document update');
+    });
+});
+
+describe('detectFormat', () => {
+    test('an explicit format wins, then the file extension, then the content type', () => {
+        expect(detectFormat({ format: 'html', fileName: 'a.md', contentType: 'text/plain' })).toBe('html');
+        expect(detectFormat({ format: 'docx' })).toBeNull();
+        expect(detectFormat({ fileName: 'Notes.MARKDOWN', contentType: 'text/plain' })).toBe('md');
+        expect(detectFormat({ fileName: 'archive.zip', contentType: 'text/html; charset=utf-8' })).toBe('html');
+        expect(detectFormat({ contentType: 'application/octet-stream' })).toBe('yjs');
+        expect(detectFormat({ contentType: 'application/json' })).toBeNull();
+        expect(detectFormat({})).toBeNull();
+    });
+});
+
+describe('export and import API', () => {
+    let server;
+
+    function importFile(docId, query, body, headers = {}) {
+        return server.fetch(`/api/documents/${docId}/import?${new URLSearchParams(query)}`, { method: 'POST', headers, body });
+    }
+
+    async function content(docId) {
+        return (await (await server.fetch(`/api/documents/${docId}/content`)).json()).text;
+    }
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('exports download as attachments', async () => {
+        await server.fetch('/api/documents/exported/content', { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'one\n\ntwo' });
+
+        const md = await server.fetch('/api/documents/exported/export.md');
+        expect(md.headers.get('content-disposition')).toBe('attachment; filename="exported.md"');
+        expect(md.headers.get('etag')).toBeTruthy();
+        expect(await md.text()).toBe('one\n\ntwo');
+
+        const yjs = await server.fetch('/api/documents/exported/export.yjs');
+        expect(importText(Buffer.from(await yjs.arrayBuffer()), 'yjs')).toBe('one\n\ntwo');
+
+        expect((await server.fetch('/api/documents/exported/export.pdf')).status).toBe(400);
+        expect((await server.fetch('/api/documents/not-there/export.txt')).status).toBe(404);
+    });
+
+    test('an import creates the document and reaches connected clients', async () => {
+        const created = await importFile('imported', { filename: 'notes.md' }, '# Imported', { 'Content-Type': 'text/markdown' });
+        expect(created.status).toBe(201);
+
+        const client = await openDocument(server, 'imported');
+        const html = '<html><body><p>Replaced</p></body></html>';
+        expect((await importFile('imported', {}, html, { 'Content-Type': 'text/html' })).status).toBe(200);
+
+        await waitForText([client], 'Replaced');
+        await client.close();
+    });
+
+    test('bodies the JSON and form parsers would take are imported as they are', async () => {
+        // curl --data-binary sends application/x-www-form-urlencoded unless told otherwise
+        const form = await importFile('imported-form', { filename: 'notes.md' }, 'a=1&b=two words', {
+            'Content-Type': 'application/x-www-form-urlencoded'
+        });
+        expect(form.status).toBe(201);
+        expect(await content('imported-form')).toBe('a=1&b=two words');
+
+        const json = await importFile('imported-json', { format: 'txt' }, '{"text": "not a field"}', { 'Content-Type': 'application/json' });
+        expect(json.status).toBe(201);
+        expect(await content('imported-json')).toBe('{"text": "not a field"}');
+    });
+
+    test('a yjs upload imports its text', async () => {
+        const update = Y.encodeStateAsUpdate(docWithText('from another editor'));
+        const response = await importFile('imported-yjs', {}, update, { 'Content-Type': 'application/octet-stream' });
+
+        expect(response.status).toBe(201);
+        expect(await content('imported-yjs')).toBe('from another editor');
+    });
+
+    test('unsupported and unreadable uploads are refused', async () => {
+        expect((await importFile('refused', {}, '{}', { 'Content-Type': 'application/json' })).status).toBe(415);
+        expect((await importFile('refused', { format: 'docx' }, 'x')).status).toBe(415);
+
+        const broken = await importFile('refused', { format: 'yjs' }, 'garbage');
+        expect(broken.status).toBe(400);
+        expect((await broken.json()).error).toBe('Could not read the yjs file: Not a Yjs document update');
+
+        expect((await server.fetch('/api/documents/refused/content')).status).toBe(404);
+    });
+});
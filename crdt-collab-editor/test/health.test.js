@@ -0,0 +1,111 @@
+// /health counts, the authenticated per-document detail and unloading idle documents
+
+const auth = require('../auth');
+const { startServer, openDocument, waitUntil, waitForServerText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+const SECRET = 'test-secret';
+
+let server;
+
+async function json(pathname, token) {
+    const response = await server.fetch(pathname, token ? { headers: { Authorization: `Bearer ${token}` } } : {});
+    return { status: response.status, body: await response.json() };
+}
+
+afterEach(async () => {
+    await server.stop();
+});
+
+describe('health', () => {
+    const owner = auth.signToken({ sub: 'olivia', docs: { 'team-plans': 'owner', 'team-notes': 'viewer' } }, SECRET);
+    const outsider = auth.signToken({ sub: 'sam', docs: { elsewhere: 'owner' } }, SECRET);
+
+    test('/health needs no token and gives counts without document ids', async () => {
+        server = await startServer({ AUTH_SECRET: SECRET });
+        const client = await openDocument(server, 'team-plans', { token: owner });
+
+        const { status, body } = await json('/health');
+
+        expect(status).toBe(200);
+        expect(body).toMatchObject({
+            status: 'healthy',
+            documents: 1,
+            connections: 1,
+            loading: 0,
+            evictions: 0,
+            recoveries: { recovered: 0, failed: 0 }
+        });
+        expect(JSON.stringify(body)).not.toContain('team-plans');
+        await client.close();
+    });
+
+    test('/api/health lists only documents the caller has a role on', async () => {
+        server = await startServer({ AUTH_SECRET: SECRET });
+        const clients = await Promise.all([
+            openDocument(server, 'team-plans', { token: owner }),
+            openDocument(server, 'team-notes', { token: owner }),
+            openDocument(server, 'elsewhere', { token: outsider })
+        ]);
+
+        expect((await json('/api/health')).status).toBe(401);
+
+        const { body } = await json('/api/health', owner);
+        expect(body.resident.map(doc => doc.docId).sort()).toEqual(['team-notes', 'team-plans']);
+        expect(body.resident[0]).toEqual({
+            docId: expect.any(String),
+            clients: 1,
+            estimatedSize: expect.any(Number),
+            idleFor: expect.any(Number)
+        });
+        expect(body.recoveries).toEqual([]);
+
+        expect((await json('/api/health', outsider)).body.resident.map(doc => doc.docId)).toEqual(['elsewhere']);
+        await Promise.all(clients.map(client => client.close()));
+    });
+});
+
+describe('eviction', () => {
+    test('idle documents are unloaded and load again with their text', async () => {
+        server = await startServer({ DOC_IDLE_TIMEOUT: '200', EVICTION_INTERVAL: '100' });
+        const writer = await openDocument(server, 'idle-doc');
+        writer.text.insert(0, 'saved before unloading');
+        await waitForServerText(server, 'idle-doc', 'saved before unloading');
+
+        // Connected documents stay however long they are idle
+        await new Promise(resolve => setTimeout(resolve, 400));
+        expect((await json('/health')).body).toMatchObject({ documents: 1, evictions: 0 });
+
+        await writer.close();
+        const health = await waitUntil(async () => {
+            const { body } = await json('/health');
+            return body.documents === 0 && body;
+        }, { message: 'the idle document to be evicted' });
+        expect(health.evictions).toBe(1);
+        expect(health.lastEvictedAt).toEqual(expect.any(Number));
+        expect((await json('/api/health')).body.lastEvictedDocId).toBe('idle-doc');
+
+        const reader = await openDocument(server, 'idle-doc');
+        expect(reader.text.toString()).toBe('saved before unloading');
+        await reader.close();
+    });
+
+    test('least recently used documents go first while over the memory budget', async () => {
+        server = await startServer({ DOC_MEMORY_BUDGET: '60', EVICTION_INTERVAL: '100' });
+        for (const docId of ['older', 'newer']) {
+            const client = await openDocument(server, docId);
+            client.text.insert(0, `${docId} text that takes up some room`);
+            await waitForServerText(server, docId, `${docId} text that takes up some room`);
+            await client.close();
+        }
+
+        const health = await waitUntil(async () => {
+            const { body } = await json('/health');
+            return body.evictions > 0 && body;
+        }, { message: 'an eviction' });
+
+        expect(health.documents).toBe(1);
+        expect((await json('/api/health')).body).toMatchObject({ lastEvictedDocId: 'older', resident: [{ docId: 'newer' }] });
+    });
+});
@@ -0,0 +1,384 @@
+// test/helpers.js - Run the server in a child process and talk to it like a client
+//
+// Each test file starts its own server (in-memory storage unless the env says
+// otherwise) on a free port, working in a scratch directory of its own, so
+// files stay independent of each other.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Y = require('yjs');
+const WebSocket = require('ws');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+
+const SERVER_PATH = path.join(__dirname, '..', 'server.js');
+const DEFAULT_TIMEOUT = 5000;
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+/**
+ * A TCP port nobody is listening on right now
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Poll `check` until it returns something truthy
+ */
+async function waitUntil(check, { timeout = DEFAULT_TIMEOUT, interval = 20, message = 'condition' } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for ${message}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+/**
+ * Start server.js with `env` on top of a clean configuration. Resolves once
+ * /health answers; `stop()` shuts it down the way a deployment would (SIGTERM).
+ */
+async function startServer(env = {}) {
+    const port = await freePort();
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-test-'));
+    const child = spawn(process.execPath, [SERVER_PATH], {
+        cwd: workDir,
+        env: {
+            PATH: process.env.PATH,
+            PORT: String(port),
+            PERSISTENCE_ADAPTER: 'memory',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    child.stdout.on('data', data => { output += data; });
+    child.stderr.on('data', data => { output += data; });
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    const server = {
+        port,
+        url: `http://127.0.0.1:${port}`,
+        wsUrl: `ws://127.0.0.1:${port}`,
+        output: () => output,
+
+        fetch(pathname, options = {}) {
+            return fetch(`${server.url}${pathname}`, options);
+        },
+
+        async stop() {
+            if (child.exitCode === null && child.signalCode === null) {
+                child.kill('SIGTERM');
+                const timer = setTimeout(() => child.kill('SIGKILL'), DEFAULT_TIMEOUT);
+                await exited;
+                clearTimeout(timer);
+            }
+            fs.rmSync(workDir, { recursive: true, force: true });
+        },
+
+        // A crash: nothing gets saved on the way out
+        async kill() {
+            if (child.exitCode !== null || child.signalCode !== null) return;
+            child.kill('SIGKILL');
+            await exited;
+        }
+    };
+
+    try {
+        await waitUntil(async () => {
+            if (child.exitCode !== null) {
+                throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+            }
+            try {
+                return (await server.fetch('/health')).ok;
+            } catch (error) {
+                return false;
+            }
+        }, { timeout: 15000, interval: 50, message: 'the server to start' });
+    } catch (error) {
+        await server.stop();
+        throw error;
+    }
+
+    return server;
+}
+
+/**
+ * JSON protocol client. Incoming messages queue up until a `next()` call
+ * takes them, so a test can wait for a message that already arrived.
+ */
+class JsonClient {
+    constructor(ws) {
+        this.ws = ws;
+        this.inbox = [];
+        this.waiters = [];
+        this.closed = new Promise(resolve => ws.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+
+        ws.on('message', data => {
+            const message = JSON.parse(data);
+            const waiter = this.waiters.find(w => w.matches(message));
+            if (waiter) {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                waiter.resolve(message);
+            } else {
+                this.inbox.push(message);
+            }
+        });
+    }
+
+    /**
+     * The first queued or upcoming message of a type (or matching a predicate)
+     */
+    next(match, timeout = DEFAULT_TIMEOUT) {
+        const matches = typeof match === 'function' ? match : message => message.type === match;
+        const index = this.inbox.findIndex(matches);
+        if (index !== -1) {
+            return Promise.resolve(this.inbox.splice(index, 1)[0]);
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { matches, resolve };
+            const timer = setTimeout(() => {
+                this.waiters.splice(this.waiters.indexOf(waiter), 1);
+                reject(new Error(`Timed out waiting for ${typeof match === 'string' ? match : 'message'}`));
+            }, timeout);
+            waiter.resolve = message => {
+                clearTimeout(timer);
+                resolve(message);
+            };
+            this.waiters.push(waiter);
+        });
+    }
+
+    /**
+     * Queued messages of a type, taken out of the queue
+     */
+    take(type) {
+        const taken = this.inbox.filter(message => message.type === type);
+        this.inbox = this.inbox.filter(message => message.type !== type);
+        return taken;
+    }
+
+    send(message) {
+        this.ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+    }
+
+    close() {
+        if (this.ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+        this.ws.close();
+        return this.closed;
+    }
+}
+
+/**
+ * Open a JSON protocol connection; resolves after the welcome message
+ */
+async function connect(server, { token, path: pathname = '/' } = {}) {
+    const query = token ? `?token=${encodeURIComponent(token)}` : '';
+    const ws = new WebSocket(`${server.wsUrl}${pathname}${query}`);
+    const client = new JsonClient(ws);
+
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    client.welcome = await client.next('connected');
+    return client;
+}
+
+/**
+ * Connect and join a document with a local Y.Doc kept in sync the way the
+ * editor does it: server updates are applied, local edits are sent, and the
+ * server's sync-step1 is answered with what it is missing. Resolves to the
+ * client with `doc`, `text` and the `joined` message.
+ */
+async function openDocument(server, docId, { token, sessionId, shareToken, doc = new Y.Doc() } = {}) {
+    const client = await connect(server, { token });
+    client.doc = doc;
+    client.text = doc.getText('content');
+    client.docId = docId;
+
+    client.ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (message.docId !== docId) return;
+
+        if (message.type === 'sync' || message.type === 'update') {
+            Y.applyUpdate(doc, new Uint8Array(message.update), 'remote');
+        } else if (message.type === 'sync-step1') {
+            client.send({
+                type: 'sync-step2',
+                docId,
+                update: Array.from(Y.encodeStateAsUpdate(doc, new Uint8Array(message.stateVector)))
+            });
+        }
+    });
+
+    client.onUpdate = (update, origin) => {
+        if (origin !== 'remote' && client.ws.readyState === WebSocket.OPEN) {
+            client.send({ type: 'update', docId, update: Array.from(update) });
+        }
+    };
+    doc.on('update', client.onUpdate);
+    client.ws.once('close', () => doc.off('update', client.onUpdate));
+
+    client.send({
+        type: 'join',
+        docId,
+        stateVector: Array.from(Y.encodeStateVector(doc)),
+        sessionId,
+        shareToken
+    });
+
+    const reply = await client.next(message => message.type === 'joined' || message.type === 'error');
+    if (reply.type === 'error') {
+        const error = new Error(reply.message);
+        error.code = reply.code;
+        await client.close();
+        throw error;
+    }
+    client.joined = reply;
+    return client;
+}
+
+/**
+ * Connect to /yjs/<docId> like y-websocket does. Resolves once the server
+ * has answered our sync step 1; `awareness` relays presence both ways.
+ * A refused upgrade rejects with the HTTP status as `status`.
+ */
+async function openYjsDocument(server, docId, { query = {}, doc = new Y.Doc() } = {}) {
+    const search = new URLSearchParams(query).toString();
+    const ws = new WebSocket(`${server.wsUrl}/yjs/${encodeURIComponent(docId)}${search ? `?${search}` : ''}`);
+    const awareness = new awarenessProtocol.Awareness(doc);
+    const client = { ws, doc, text: doc.getText('content'), awareness };
+
+    const send = encoder => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(encoding.toUint8Array(encoder));
+        }
+    };
+
+    const synced = new Promise(resolve => {
+        ws.on('message', data => {
+            const decoder = decoding.createDecoder(new Uint8Array(data));
+            const encoder = encoding.createEncoder();
+            const messageType = decoding.readVarUint(decoder);
+
+            if (messageType === MESSAGE_SYNC) {
+                encoding.writeVarUint(encoder, MESSAGE_SYNC);
+                const syncType = syncProtocol.readSyncMessage(decoder, encoder, doc, 'remote');
+                if (encoding.length(encoder) > 1) {
+                    send(encoder);
+                }
+                if (syncType === syncProtocol.messageYjsSyncStep2) {
+                    resolve();
+                }
+            } else if (messageType === MESSAGE_AWARENESS) {
+                awarenessProtocol.applyAwarenessUpdate(awareness, decoding.readVarUint8Array(decoder), 'remote');
+            }
+        });
+    });
+
+    doc.on('update', (update, origin) => {
+        if (origin === 'remote') return;
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_SYNC);
+        syncProtocol.writeUpdate(encoder, update);
+        send(encoder);
+    });
+
+    awareness.on('update', ({ added, updated, removed }, origin) => {
+        if (origin === 'remote') return;
+        const encoder = encoding.createEncoder();
+        encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+        encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, added.concat(updated, removed)));
+        send(encoder);
+    });
+
+    // However the socket closes, the awareness check timer must stop or Jest keeps running
+    client.closed = new Promise(resolve => ws.once('close', (code, reason) => {
+        awareness.destroy();
+        resolve({ code, reason: reason.toString() });
+    }));
+    client.close = () => {
+        if (ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+        ws.close();
+        return client.closed;
+    };
+
+    try {
+        await new Promise((resolve, reject) => {
+            ws.once('open', resolve);
+            ws.once('unexpected-response', (req, res) => {
+                const error = new Error(`Upgrade refused with ${res.statusCode}`);
+                error.status = res.statusCode;
+                req.destroy();
+                reject(error);
+            });
+            ws.once('error', reject);
+        });
+    } catch (error) {
+        // A refused upgrade never opened, so there is no close event either
+        awareness.destroy();
+        throw error;
+    }
+
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeSyncStep1(encoder, doc);
+    send(encoder);
+    await synced;
+
+    return client;
+}
+
+/**
+ * Wait until every client's text reads `expected`
+ */
+function waitForText(clients, expected, timeout) {
+    return waitUntil(
+        () => clients.every(client => client.text.toString() === expected),
+        { timeout, message: `text "${expected}"` }
+    );
+}
+
+/**
+ * Wait until the server's copy of a document reads `expected` (the client's
+ * own edits may still be on their way)
+ */
+function waitForServerText(server, docId, expected, { token } = {}) {
+    return waitUntil(async () => {
+        const response = await server.fetch(`/api/documents/${encodeURIComponent(docId)}/content`, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        });
+        return response.ok && (await response.json()).text === expected;
+    }, { message: `the server to read "${expected}"` });
+}
+
+module.exports = {
+    freePort,
+    waitUntil,
+    startServer,
+    JsonClient,
+    connect,
+    openDocument,
+    openYjsDocument,
+    waitForText,
+    waitForServerText
+};
@@ -0,0 +1,142 @@
+// Size limits and per-connection rate limiting
+
+const Y = require('yjs');
+const { TokenBucket } = require('../rate-limit');
+const { startServer, openDocument, openYjsDocument, waitForServerText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+describe('TokenBucket', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ now: 1000000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('allows a burst, then refills at the rate', () => {
+        const bucket = new TokenBucket(2, 3);
+
+        expect([bucket.take(), bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, true, false]);
+        expect(bucket.retryAfter()).toBe(500);
+
+        jest.advanceTimersByTime(250);
+        expect(bucket.take()).toBe(false);
+        expect(bucket.retryAfter()).toBe(250);
+
+        jest.advanceTimersByTime(250);
+        expect(bucket.retryAfter()).toBe(0);
+        expect(bucket.take()).toBe(true);
+        expect(bucket.take()).toBe(false);
+    });
+
+    test('never holds more than the burst', () => {
+        const bucket = new TokenBucket(10, 2);
+
+        jest.advanceTimersByTime(60000);
+
+        expect([bucket.take(), bucket.take(), bucket.take()]).toEqual([true, true, false]);
+    });
+});
+
+describe('size limits', () => {
+    let server;
+    const clients = [];
+
+    async function open(docId) {
+        const client = await openDocument(server, docId);
+        clients.push(client);
+        return client;
+    }
+
+    beforeAll(async () => {
+        server = await startServer({ MAX_MESSAGE_SIZE: '3000', MAX_UPDATE_SIZE: '500', MAX_DOCUMENT_SIZE: '1000' });
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.splice(0).map(client => client.close()));
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('messages over MAX_MESSAGE_SIZE are refused', async () => {
+        const client = await open('limits-message');
+
+        client.send({ type: 'awareness', docId: 'limits-message', update: 'x'.repeat(3000) });
+
+        expect(await client.next('error')).toMatchObject({ code: 'MESSAGE_TOO_LARGE', message: 'Messages are limited to 3000 bytes' });
+    });
+
+    test('updates over MAX_UPDATE_SIZE are refused', async () => {
+        const client = await open('limits-update');
+        client.text.insert(0, 'small');
+        await waitForServerText(server, 'limits-update', 'small');
+
+        client.text.insert(5, 'x'.repeat(600));
+
+        expect(await client.next('error')).toMatchObject({ code: 'UPDATE_TOO_LARGE' });
+        await waitForServerText(server, 'limits-update', 'small');
+    });
+
+    test('edits that would grow a document past MAX_DOCUMENT_SIZE are refused', async () => {
+        const client = await open('limits-document');
+        const chunk = 'y'.repeat(400);
+
+        client.text.insert(0, chunk);
+        client.text.insert(400, chunk);
+        await waitForServerText(server, 'limits-document', chunk + chunk);
+        client.text.insert(800, chunk);
+
+        expect(await client.next('error')).toMatchObject({ code: 'DOCUMENT_TOO_LARGE' });
+        await waitForServerText(server, 'limits-document', chunk + chunk);
+
+        const response = await server.fetch('/api/documents/limits-document/content', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: 'z'.repeat(1200) })
+        });
+        expect(response.status).toBe(413);
+    });
+
+    test('the Yjs endpoint closes the connection on an oversized update', async () => {
+        const client = await openYjsDocument(server, 'limits-yjs');
+
+        client.text.insert(0, 'x'.repeat(600));
+
+        expect((await client.closed).code).toBe(1009);
+    });
+});
+
+describe('rate limiting', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer({ RATE_LIMIT_RATE: '2', RATE_LIMIT_BURST: '3' });
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('updates over the limit are dropped and come back with the next sync', async () => {
+        const client = await openDocument(server, 'limits-rate');
+
+        for (const letter of 'abcdef') {
+            client.text.insert(client.text.length, letter);
+        }
+
+        const error = await client.next('error');
+        expect(error).toMatchObject({ code: 'RATE_LIMITED', message: 'Too many updates' });
+        expect(error.retryAfter).toBeGreaterThan(0);
+        expect(error.retryAfter).toBeLessThanOrEqual(500);
+
+        // The client still has every letter; a sync-request makes the server ask for them
+        await new Promise(resolve => setTimeout(resolve, 600));
+        client.send({ type: 'sync-request', docId: 'limits-rate', stateVector: Array.from(Y.encodeStateVector(new Y.Doc())) });
+        await waitForServerText(server, 'limits-rate', 'abcdef');
+        await client.close();
+    });
+});
@@ -0,0 +1,128 @@
+// Prometheus registry rendering and the /metrics endpoint
+
+const { Registry } = require('../metrics');
+const { startServer, openDocument, waitForText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+describe('Registry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new Registry();
+    });
+
+    test('counters add up per label set', () => {
+        const counter = registry.counter({ name: 'requests_total', help: 'Requests', labelNames: ['route'] });
+        counter.inc({ route: '/a' });
+        counter.inc({ route: '/a' }, 2);
+        counter.inc({ route: '/b', ignored: 'x' });
+
+        expect(registry.render()).toBe([
+            '# HELP requests_total Requests',
+            '# TYPE requests_total counter',
+            'requests_total{route="/a"} 3',
+            'requests_total{route="/b"} 1',
+            ''
+        ].join('\n'));
+    });
+
+    test('label values are escaped', () => {
+        const counter = registry.counter({ name: 'odd_total', help: 'Odd', labelNames: ['value'] });
+        counter.inc({ value: 'quote " slash \\ line\nbreak' });
+
+        expect(registry.render()).toContain('odd_total{value="quote \\" slash \\\\ line\\nbreak"} 1');
+    });
+
+    test('gauges are set or collected at render time', () => {
+        const set = registry.gauge({ name: 'set_value', help: 'Set' });
+        set.set({}, 5);
+        set.set({}, 7);
+        let collected = 1;
+        registry.gauge({ name: 'collected_value', help: 'Collected', collect: () => [[{}, collected]] });
+
+        collected = 2;
+        const output = registry.render();
+
+        expect(output).toContain('# TYPE set_value gauge\nset_value 7\n');
+        expect(output).toContain('collected_value 2\n');
+    });
+
+    test('histograms count observations into cumulative buckets', () => {
+        const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [0.1, 1] });
+        histogram.observe({}, 0.05);
+        histogram.observe({}, 0.5);
+        histogram.observe({}, 3);
+
+        expect(registry.render()).toBe([
+            '# HELP latency_seconds Latency',
+            '# TYPE latency_seconds histogram',
+            'latency_seconds_bucket{le="0.1"} 1',
+            'latency_seconds_bucket{le="1"} 2',
+            'latency_seconds_bucket{le="+Inf"} 3',
+            'latency_seconds_sum 3.55',
+            'latency_seconds_count 3',
+            ''
+        ].join('\n'));
+    });
+
+    test('collected histograms count the values of the moment, not a running total', () => {
+        let values = [0, 1, 3];
+        registry.histogram({ name: 'clients', help: 'Clients', buckets: [0, 1, 2], collect: () => values.map(v => [{}, v]) });
+
+        expect(registry.render()).toContain('clients_bucket{le="0"} 1\nclients_bucket{le="1"} 2\nclients_bucket{le="2"} 2\nclients_bucket{le="+Inf"} 3\n');
+
+        values = [2];
+        const output = registry.render();
+        expect(output).toContain('clients_bucket{le="2"} 1\nclients_bucket{le="+Inf"} 1\n');
+        expect(output).toContain('clients_count 1\n');
+    });
+
+    test('timers record elapsed seconds', async () => {
+        const histogram = registry.histogram({ name: 'work_seconds', help: 'Work' });
+        const end = histogram.startTimer();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        end();
+
+        const [series] = histogram.series.values();
+        expect(series.count).toBe(1);
+        expect(series.sum).toBeGreaterThanOrEqual(0.015);
+    });
+});
+
+describe('/metrics', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('reports documents as distributions without their ids', async () => {
+        const clients = await Promise.all([
+            openDocument(server, 'private-roadmap'),
+            openDocument(server, 'private-roadmap'),
+            openDocument(server, 'hr-reviews')
+        ]);
+        clients[0].text.insert(0, 'secret');
+        await waitForText([clients[1]], 'secret');
+
+        const response = await server.fetch('/metrics');
+        const output = await response.text();
+
+        expect(response.headers.get('content-type')).toMatch(/^text\/plain;.*version=0\.0\.4/);
+        expect(output).not.toMatch(/private-roadmap|hr-reviews|doc_id/);
+        expect(output).toContain('# TYPE crdt_document_clients histogram');
+        expect(output).toContain('crdt_document_clients_bucket{le="1"} 1\ncrdt_document_clients_bucket{le="2"} 2\n');
+        expect(output).toContain('crdt_document_size_bytes_count 2\n');
+        expect(output).toContain('crdt_documents_loaded 2\n');
+        expect(output).toContain('crdt_connections{transport="json"} 3\n');
+        expect(output).toMatch(/crdt_updates_received_total\{source="json"\} [1-9]/);
+        expect(output).toMatch(/crdt_join_duration_seconds_count\{transport="json"\} 3/);
+
+        await Promise.all(clients.map(client => client.close()));
+    });
+});
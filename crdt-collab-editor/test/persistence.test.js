@@ -0,0 +1,252 @@
+// Persistence adapters: one contract every adapter must meet, plus adapter specifics
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { createPersistence } = require('../persistence');
+
+const bytes = (...values) => new Uint8Array(values);
+const plain = list => list.map(update => Array.from(update));
+const tick = () => new Promise(resolve => setTimeout(resolve, 2));
+
+const ADAPTERS = ['memory', 'filesystem', 'sqlite'];
+
+describe.each(ADAPTERS)('%s adapter', (adapter) => {
+    let dir;
+    let persistence;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), `crdt-${adapter}-`));
+        persistence = createPersistence({ adapter, dir });
+    });
+
+    afterEach(async () => {
+        await persistence.close();
+        fs.removeSync(dir);
+    });
+
+    describe('documents', () => {
+        test('unknown documents load as null', async () => {
+            expect(await persistence.load('missing')).toBeNull();
+        });
+
+        test('updates are kept in order until a base state replaces them', async () => {
+            await persistence.storeUpdate('doc', bytes(1));
+            await persistence.storeUpdate('doc', bytes(2, 3));
+
+            let stored = await persistence.load('doc');
+            expect(stored.state).toBeNull();
+            expect(plain(stored.updates)).toEqual([[1], [2, 3]]);
+
+            await persistence.storeState('doc', bytes(9, 9));
+            await persistence.storeUpdate('doc', bytes(4));
+
+            stored = await persistence.load('doc');
+            expect(Array.from(stored.state)).toEqual([9, 9]);
+            expect(plain(stored.updates)).toEqual([[4]]);
+        });
+
+        test('list has every document with a state or updates, and nothing else', async () => {
+            await persistence.storeState('with-state', bytes(1));
+            await persistence.storeUpdate('with-updates', bytes(2));
+            await persistence.storeMetadata('metadata-only', { docId: 'metadata-only', title: 'x' });
+            await persistence.storeVersion('version-only', { id: 'v1', createdAt: 1 }, bytes(3));
+            await persistence.storeAttribution('attribution-only', { authors: {}, runs: [] });
+            await persistence.storeSnapshot('snapshot-only', bytes(4));
+            await persistence.storeSearchRecord('search-only', { docId: 'search-only', length: 0, terms: {} });
+
+            expect((await persistence.list()).sort()).toEqual(['with-state', 'with-updates']);
+        });
+
+        test('ids with dots, slashes and other characters round-trip', async () => {
+            const ids = ['notes.v2', 'team/plan', 'ünïcode doc', '..', '100%'];
+            for (const docId of ids) {
+                await persistence.storeUpdate(docId, bytes(7));
+                await persistence.storeMetadata(docId, { docId });
+            }
+
+            expect((await persistence.list()).sort()).toEqual([...ids].sort());
+            for (const docId of ids) {
+                expect(plain((await persistence.load(docId)).updates)).toEqual([[7]]);
+            }
+            expect((await persistence.listMetadata()).map(m => m.docId).sort()).toEqual([...ids].sort());
+        });
+
+        test('delete removes everything stored for the document only', async () => {
+            await persistence.storeState('gone', bytes(1));
+            await persistence.storeUpdate('gone', bytes(2));
+            await persistence.storeSnapshot('gone', bytes(3));
+            await persistence.storeVersion('gone', { id: 'v1', createdAt: 1 }, bytes(4));
+            await persistence.storeAttribution('gone', { authors: {}, runs: [] });
+            await persistence.storeMetadata('gone', { docId: 'gone' });
+            await persistence.storeSearchRecord('gone', { docId: 'gone' });
+            await persistence.storeState('kept', bytes(5));
+
+            await persistence.delete('gone');
+
+            expect(await persistence.load('gone')).toBeNull();
+            expect(await persistence.loadSnapshots('gone')).toEqual([]);
+            expect(await persistence.listVersions('gone')).toEqual([]);
+            expect(await persistence.loadAttribution('gone')).toBeNull();
+            expect(await persistence.loadMetadata('gone')).toBeNull();
+            expect(await persistence.listSearchRecords()).toEqual([]);
+            expect(await persistence.list()).toEqual(['kept']);
+        });
+    });
+
+    describe('snapshots and quarantine', () => {
+        test('snapshots come newest first and only the last five are kept', async () => {
+            for (let i = 1; i <= 7; i++) {
+                await persistence.storeSnapshot('doc', bytes(i));
+                await tick();
+            }
+
+            const snapshots = await persistence.loadSnapshots('doc');
+            expect(snapshots.map(snapshot => snapshot.state[0])).toEqual([7, 6, 5, 4, 3]);
+            expect(snapshots[0].createdAt).toBeGreaterThanOrEqual(snapshots[1].createdAt);
+            expect(await persistence.loadSnapshots('other')).toEqual([]);
+        });
+
+        test('quarantine moves the state and updates aside but keeps snapshots', async () => {
+            await persistence.storeState('bad', bytes(1));
+            await persistence.storeUpdate('bad', bytes(2));
+            await persistence.storeSnapshot('bad', bytes(3));
+
+            expect(typeof (await persistence.quarantine('bad'))).toBe('string');
+            expect(await persistence.load('bad')).toBeNull();
+            expect(await persistence.list()).toEqual([]);
+            expect((await persistence.loadSnapshots('bad'))[0].state[0]).toBe(3);
+        });
+    });
+
+    describe('versions', () => {
+        test('are listed newest first, loaded with their state and deleted one by one', async () => {
+            await persistence.storeVersion('doc', { id: 'v1', label: 'first', createdAt: 1000 }, bytes(1));
+            await persistence.storeVersion('doc', { id: 'v2', label: null, createdAt: 2000 }, bytes(2));
+            await persistence.storeVersion('other', { id: 'v3', createdAt: 3000 }, bytes(3));
+
+            expect((await persistence.listVersions('doc')).map(v => v.id)).toEqual(['v2', 'v1']);
+
+            const { version, state } = await persistence.loadVersion('doc', 'v1');
+            expect(version).toEqual({ id: 'v1', label: 'first', createdAt: 1000 });
+            expect(Array.from(state)).toEqual([1]);
+            expect(await persistence.loadVersion('doc', 'v3')).toBeNull();
+
+            await persistence.deleteVersion('doc', 'v2');
+            expect((await persistence.listVersions('doc')).map(v => v.id)).toEqual(['v1']);
+            expect(await persistence.loadVersion('doc', 'v2')).toBeNull();
+        });
+    });
+
+    describe('metadata', () => {
+        test('is replaced per document and listed for all', async () => {
+            expect(await persistence.loadMetadata('doc')).toBeNull();
+
+            await persistence.storeMetadata('doc', { docId: 'doc', title: 'Old' });
+            await persistence.storeMetadata('doc', { docId: 'doc', title: 'New', tags: ['a'] });
+            await persistence.storeMetadata('other', { docId: 'other', title: 'Other' });
+
+            expect(await persistence.loadMetadata('doc')).toEqual({ docId: 'doc', title: 'New', tags: ['a'] });
+            expect((await persistence.listMetadata()).map(m => m.title).sort()).toEqual(['New', 'Other']);
+        });
+    });
+
+    describe('attribution', () => {
+        test('is replaced per document', async () => {
+            const attribution = { authors: { alice: { id: 'alice', name: 'Alice' } }, runs: [[1, 0, 3, 'alice', 5]] };
+            await persistence.storeAttribution('doc', { authors: {}, runs: [] });
+            await persistence.storeAttribution('doc', attribution);
+
+            expect(await persistence.loadAttribution('doc')).toEqual(attribution);
+            expect(await persistence.loadAttribution('other')).toBeNull();
+        });
+    });
+
+    describe('search records', () => {
+        test('are replaced per document and listed for all', async () => {
+            await persistence.storeSearchRecord('doc', { docId: 'doc', length: 1, terms: { old: 1 } });
+            await persistence.storeSearchRecord('doc', { docId: 'doc', length: 1, terms: { new: 1 } });
+
+            expect(await persistence.listSearchRecords()).toEqual([{ docId: 'doc', length: 1, terms: { new: 1 } }]);
+        });
+    });
+
+    describe('share links', () => {
+        test('are replaced as a whole', async () => {
+            expect(await persistence.loadShareLinks()).toEqual([]);
+
+            const link = { id: 'share-1', token: 't', docId: 'doc', scope: 'view', sessions: [] };
+            await persistence.storeShareLinks([link, { ...link, id: 'share-2', token: 'u' }]);
+            await persistence.storeShareLinks([link]);
+
+            expect(await persistence.loadShareLinks()).toEqual([link]);
+        });
+    });
+
+    describe('webhooks', () => {
+        test('are replaced as a whole', async () => {
+            expect(await persistence.loadWebhooks()).toEqual([]);
+
+            const webhook = { id: 'webhook-1', docId: '*', url: 'https://example.com/hook', events: ['*'], secret: 's' };
+            await persistence.storeWebhooks([webhook, { ...webhook, id: 'webhook-2', docId: 'doc' }]);
+            await persistence.storeWebhooks([webhook]);
+
+            expect(await persistence.loadWebhooks()).toEqual([webhook]);
+        });
+    });
+});
+
+describe('filesystem adapter with files from before ids were escaped', () => {
+    let dir;
+    let persistence;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-legacy-'));
+        persistence = createPersistence({ adapter: 'filesystem', dir });
+    });
+
+    afterEach(() => {
+        fs.removeSync(dir);
+    });
+
+    test('lists, loads and renames documents stored under their raw id', async () => {
+        const log = Buffer.from([0, 0, 0, 1, 8]);
+        fs.writeFileSync(path.join(dir, 'notes.v2.yjs'), Buffer.from([1, 2]));
+        fs.writeFileSync(path.join(dir, 'notes.v2.log'), log);
+        fs.writeFileSync(path.join(dir, 'notes.v2.snapshot.1700000000000.yjs'), Buffer.from([3]));
+        fs.writeFileSync(path.join(dir, 'my doc.yjs'), Buffer.from([4]));
+
+        expect((await persistence.list()).sort()).toEqual(['my doc', 'notes.v2']);
+
+        const quiet = jest.spyOn(console, 'log').mockImplementation(() => {});
+        const stored = await persistence.load('notes.v2');
+        expect(Array.from(stored.state)).toEqual([1, 2]);
+        expect(plain(stored.updates)).toEqual([[8]]);
+        expect(Array.from((await persistence.load('my doc')).state)).toEqual([4]);
+        quiet.mockRestore();
+
+        expect(fs.readdirSync(dir).sort()).toEqual([
+            'my%20doc.yjs',
+            'notes%2Ev2.log',
+            'notes%2Ev2.snapshot.1700000000000.yjs',
+            'notes%2Ev2.yjs'
+        ]);
+        expect((await persistence.loadSnapshots('notes.v2')).map(s => s.createdAt)).toEqual([1700000000000]);
+
+        // New writes go next to the renamed files
+        await persistence.storeUpdate('notes.v2', bytes(9));
+        expect(plain((await persistence.load('notes.v2')).updates)).toEqual([[8], [9]]);
+        expect((await persistence.list()).sort()).toEqual(['my doc', 'notes.v2']);
+    });
+
+    test('deleting a document stored under its raw id removes its files', async () => {
+        fs.writeFileSync(path.join(dir, 'old.doc.yjs'), Buffer.from([1]));
+
+        const quiet = jest.spyOn(console, 'log').mockImplementation(() => {});
+        await persistence.delete('old.doc');
+        quiet.mockRestore();
+
+        expect(await persistence.list()).toEqual([]);
+        expect(fs.readdirSync(dir)).toEqual([]);
+    });
+});
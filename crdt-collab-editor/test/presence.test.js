@@ -0,0 +1,114 @@
+// Presence: awareness updates between JSON clients, user names, colors and cursors
+
+const Y = require('yjs');
+const awarenessProtocol = require('y-protocols/awareness');
+const { startServer, openDocument, waitUntil } = require('./helpers');
+
+jest.setTimeout(30000);
+
+let server;
+const clients = [];
+
+/**
+ * A joined client whose awareness is sent and updated like the editor's
+ */
+async function openWithPresence(docId) {
+    const client = await openDocument(server, docId);
+    clients.push(client);
+    client.awareness = new awarenessProtocol.Awareness(client.doc);
+
+    client.ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (message.type === 'awareness') {
+            awarenessProtocol.applyAwarenessUpdate(client.awareness, new Uint8Array(message.update), 'remote');
+        }
+    });
+    client.take('awareness').forEach(message => {
+        awarenessProtocol.applyAwarenessUpdate(client.awareness, new Uint8Array(message.update), 'remote');
+    });
+
+    client.awareness.on('update', ({ added, updated, removed }, origin) => {
+        if (origin === 'remote') return;
+        client.send({
+            type: 'awareness',
+            docId,
+            update: Array.from(awarenessProtocol.encodeAwarenessUpdate(client.awareness, added.concat(updated, removed)))
+        });
+    });
+    return client;
+}
+
+function presenceOf(observer, client) {
+    const state = observer.awareness.getStates().get(client.doc.clientID);
+    return state || null;
+}
+
+beforeAll(async () => {
+    server = await startServer();
+});
+
+afterEach(async () => {
+    clients.forEach(client => client.awareness && client.awareness.destroy());
+    await Promise.all(clients.splice(0).map(client => client.close()));
+});
+
+afterAll(async () => {
+    await server.stop();
+});
+
+describe('presence', () => {
+    test('relays user and cursor to the other clients', async () => {
+        const alice = await openWithPresence('presence-relay');
+        const bob = await openWithPresence('presence-relay');
+        alice.text.insert(0, 'hello');
+
+        alice.awareness.setLocalState({
+            user: { name: 'Alice', color: '#e91e63' },
+            cursor: {
+                anchor: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(alice.text, 2)),
+                head: Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(alice.text, 4))
+            }
+        });
+
+        const seen = await waitUntil(() => presenceOf(bob, alice), { message: 'presence' });
+        expect(seen.user).toEqual({ name: 'Alice', color: '#e91e63' });
+
+        await waitUntil(() => bob.text.toString() === 'hello', { message: 'text' });
+        const head = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(seen.cursor.head), bob.doc);
+        expect(head.index).toBe(4);
+    });
+
+    test('late joiners get the current presence, and the server lists the users', async () => {
+        const alice = await openWithPresence('presence-late');
+        alice.awareness.setLocalStateField('user', { name: 'Alice', color: '#2196f3' });
+        await waitUntil(async () => {
+            const info = await (await server.fetch('/api/documents/presence-late')).json();
+            return info.users.length === 1;
+        }, { message: 'the server to see the presence' });
+
+        const late = await openWithPresence('presence-late');
+        expect(presenceOf(late, alice).user.name).toBe('Alice');
+        expect(late.joined.stats.users).toEqual([{ clientId: alice.doc.clientID, name: 'Alice', color: '#2196f3' }]);
+    });
+
+    test('presence is removed when its connection closes', async () => {
+        const alice = await openWithPresence('presence-leave');
+        const bob = await openWithPresence('presence-leave');
+        alice.awareness.setLocalStateField('user', { name: 'Alice', color: '#4caf50' });
+        await waitUntil(() => presenceOf(bob, alice), { message: 'presence' });
+
+        // Without announcing it first: the server drops what the connection owned
+        await alice.close();
+        await waitUntil(() => !presenceOf(bob, alice), { message: 'presence to be removed' });
+    });
+
+    test('presence stays within its document', async () => {
+        const alice = await openWithPresence('presence-here');
+        const elsewhere = await openWithPresence('presence-there');
+        alice.awareness.setLocalStateField('user', { name: 'Alice', color: '#000' });
+
+        const here = await openWithPresence('presence-here');
+        await waitUntil(() => presenceOf(here, alice), { message: 'presence' });
+        expect(presenceOf(elsewhere, alice)).toBeNull();
+    });
+});
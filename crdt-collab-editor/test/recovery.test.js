@@ -0,0 +1,121 @@
+// Loading stored documents: concurrent joins wait for the load, and state that
+// does not decode is quarantined and replaced by the newest usable snapshot
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Y = require('yjs');
+const { startServer, openDocument } = require('./helpers');
+
+jest.setTimeout(30000);
+
+let dir;
+let server;
+const clients = [];
+
+function textUpdate(text) {
+    const doc = new Y.Doc();
+    doc.getText('content').insert(0, text);
+    return Y.encodeStateAsUpdate(doc);
+}
+
+// An update whose parent was never stored, so it can not be applied
+function danglingUpdate() {
+    const doc = new Y.Doc();
+    const ytext = doc.getText('content');
+    ytext.insert(0, 'lost');
+    const stateVector = Y.encodeStateVector(doc);
+    ytext.insert(4, ' and gone');
+    return Y.encodeStateAsUpdate(doc, stateVector);
+}
+
+function writeFile(name, bytes) {
+    fs.writeFileSync(path.join(dir, name), Buffer.from(bytes));
+}
+
+async function open(docId) {
+    const client = await openDocument(server, docId);
+    clients.push(client);
+    return client;
+}
+
+async function recoveryOf(docId) {
+    const response = await server.fetch(`/api/documents/${docId}`);
+    return (await response.json()).recovery;
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-recovery-'));
+});
+
+afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+    await server.stop();
+    fs.removeSync(dir);
+});
+
+describe('loading stored documents', () => {
+    test('clients joining while the document loads all get the stored text', async () => {
+        writeFile('stored.yjs', textUpdate('from disk'));
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+
+        const joined = await Promise.all([open('stored'), open('stored'), open('stored')]);
+
+        joined.forEach(client => expect(client.text.toString()).toBe('from disk'));
+        expect(await recoveryOf('stored')).toBeNull();
+    });
+});
+
+describe('recovering from corrupt state', () => {
+    test('falls back to the newest snapshot and quarantines the bad files', async () => {
+        writeFile('broken.yjs', danglingUpdate());
+        writeFile('broken.snapshot.1700000000000.yjs', textUpdate('older snapshot'));
+        writeFile('broken.snapshot.1700000005000.yjs', textUpdate('newer snapshot'));
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+
+        const client = await open('broken');
+        expect(client.text.toString()).toBe('newer snapshot');
+
+        const recovery = await recoveryOf('broken');
+        expect(recovery).toMatchObject({
+            docId: 'broken',
+            status: 'recovered',
+            error: 'Stored state references missing updates',
+            snapshotCreatedAt: 1700000005000
+        });
+        expect(recovery.quarantined).toMatch(/^broken\.corrupt\.\d+\.yjs$/);
+        expect(fs.existsSync(path.join(dir, recovery.quarantined))).toBe(true);
+        expect((await (await server.fetch('/health')).json()).recoveries).toEqual({ recovered: 1, failed: 0 });
+        expect((await (await server.fetch('/api/health')).json()).recoveries).toEqual([recovery]);
+
+        // The recovered state replaces the bad one, so the next start loads it directly
+        const doc = new Y.Doc();
+        Y.applyUpdate(doc, fs.readFileSync(path.join(dir, 'broken.yjs')));
+        expect(doc.getText('content').toString()).toBe('newer snapshot');
+    });
+
+    test('skips snapshots that do not decode either', async () => {
+        writeFile('broken.yjs', danglingUpdate());
+        writeFile('broken.snapshot.1700000000000.yjs', textUpdate('usable snapshot'));
+        writeFile('broken.snapshot.1700000005000.yjs', danglingUpdate());
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+
+        const client = await open('broken');
+
+        expect(client.text.toString()).toBe('usable snapshot');
+        expect(await recoveryOf('broken')).toMatchObject({ status: 'recovered', snapshotCreatedAt: 1700000000000 });
+    });
+
+    test('starts empty when no snapshot is usable', async () => {
+        writeFile('hopeless.yjs', danglingUpdate());
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+
+        const client = await open('hopeless');
+
+        expect(client.text.toString()).toBe('');
+        const recovery = await recoveryOf('hopeless');
+        expect(recovery).toMatchObject({ status: 'failed', snapshotCreatedAt: null });
+        expect(fs.existsSync(path.join(dir, recovery.quarantined))).toBe(true);
+        expect(fs.existsSync(path.join(dir, 'hopeless.yjs'))).toBe(false);
+    });
+});
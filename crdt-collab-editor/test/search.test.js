@@ -0,0 +1,197 @@
+// Full-text search: the index, match snippets and the search API
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const Y = require('yjs');
+const { SearchIndex, findMatches, tokenize } = require('../search-index');
+const auth = require('../auth');
+const { startServer, waitUntil } = require('./helpers');
+
+jest.setTimeout(30000);
+
+describe('tokenize', () => {
+    test('lowercase words of two or more letters or digits, in any script', () => {
+        expect(tokenize('A Büro-Plan for Q1, 2024: naïve 東京!')).toEqual(['büro', 'plan', 'for', 'q1', '2024', 'naïve', '東京']);
+    });
+});
+
+describe('SearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        index = new SearchIndex();
+        index.update('launch', 'launch checklist: launch date, launch owners');
+        index.update('notes', 'meeting notes mention the launch once');
+        index.update('recipes', 'pancakes and waffles');
+    });
+
+    test('ranks documents by how much the query words stand out in them', () => {
+        const results = index.search('launch');
+
+        expect(results.map(result => result.docId)).toEqual(['launch', 'notes']);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+        expect(results[0].terms).toEqual(['launch']);
+    });
+
+    test('a document matches any of the words, rarer words weigh more', () => {
+        const results = index.search('Launch MEETING');
+
+        expect(results.map(result => result.docId)).toEqual(['notes', 'launch']);
+        expect(results[0].terms).toEqual(['launch', 'meeting']);
+        expect(index.search('x')).toEqual([]);
+        expect(index.search('nothing here')).toEqual([]);
+    });
+
+    test('re-indexing only reports changed word counts', () => {
+        expect(index.update('recipes', 'Waffles and pancakes!')).toBeNull();
+
+        const record = index.update('recipes', 'pancakes, waffles and a launch party');
+        expect(record).toMatchObject({ docId: 'recipes', words: 5, terms: { launch: 1, party: 1 } });
+        expect(index.search('launch').map(result => result.docId)).toContain('recipes');
+
+        index.update('recipes', 'pancakes');
+        expect(index.search('waffles')).toEqual([]);
+    });
+
+    test('removed documents and filtered ones are not found', () => {
+        index.remove('notes');
+        expect(index.has('notes')).toBe(false);
+        expect(index.search('launch').map(result => result.docId)).toEqual(['launch']);
+
+        expect(index.search('launch', { filter: docId => docId !== 'launch' })).toEqual([]);
+    });
+
+    test('stored records load unless the index already has something newer', () => {
+        const fresh = new SearchIndex();
+        const record = index.update('stored', 'from storage');
+        fresh.update('stored', 'edited since');
+
+        fresh.add({ ...record, indexedAt: 0 });
+        expect(fresh.search('storage')).toEqual([]);
+
+        fresh.add({ ...record, indexedAt: Date.now() + 1000 });
+        expect(fresh.search('storage').map(result => result.docId)).toEqual(['stored']);
+        expect(fresh.search('edited')).toEqual([]);
+    });
+});
+
+describe('findMatches', () => {
+    test('finds whole words case-insensitively', () => {
+        const { matches } = findMatches('Plan the planet. PLAN b', 'plan');
+
+        expect(matches).toEqual([{ start: 0, end: 4 }, { start: 17, end: 21 }]);
+    });
+
+    test('nearby matches share a snippet, and there are at most three', () => {
+        const filler = ' filler'.repeat(30);
+        const text = `alpha beta${filler} alpha${filler} alpha${filler} alpha${filler} alpha`;
+        const { matches, snippets } = findMatches(text, 'alpha beta');
+
+        expect(matches).toHaveLength(6);
+        expect(snippets).toHaveLength(3);
+        expect(snippets[0]).toMatchObject({ start: 0, highlights: [{ start: 0, end: 5 }, { start: 6, end: 10 }] });
+        snippets.forEach(snippet => {
+            expect(snippet.text).toBe(text.slice(snippet.start, snippet.end));
+            snippet.highlights.forEach(({ start, end }) => expect(['alpha', 'beta']).toContain(text.slice(start, end)));
+        });
+    });
+});
+
+describe('search API', () => {
+    const SECRET = 'test-secret';
+    const alice = auth.signToken({ sub: 'alice', docs: { '*': 'owner' } }, SECRET);
+    const bob = auth.signToken({ sub: 'bob', docs: { 'team-notes': 'viewer' } }, SECRET);
+    let dir;
+    let server;
+
+    async function search(params, token = alice) {
+        const response = await server.fetch(`/api/search?${new URLSearchParams(params)}`, { headers: { Authorization: `Bearer ${token}` } });
+        return { status: response.status, body: await response.json() };
+    }
+
+    function put(docId, text) {
+        return server.fetch(`/api/documents/${docId}/content`, {
+            method: 'PUT',
+            headers: { Authorization: `Bearer ${alice}`, 'Content-Type': 'text/plain' },
+            body: text
+        });
+    }
+
+    function start() {
+        return startServer({ AUTH_SECRET: SECRET, PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir, SEARCH_INDEX_DELAY: '50' });
+    }
+
+    beforeAll(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-search-'));
+
+        // Stored before there was a search index
+        const legacy = new Y.Doc();
+        legacy.getText('content').insert(0, 'An old launch retrospective');
+        fs.writeFileSync(path.join(dir, 'retro.yjs'), Buffer.from(Y.encodeStateAsUpdate(legacy)));
+
+        server = await start();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+        fs.removeSync(dir);
+    });
+
+    test('edited documents become searchable, with snippets', async () => {
+        await put('team-notes', 'Launch checklist\n\nThe launch is on Friday.');
+        await put('private-plan', 'Secret launch plan');
+
+        const { body } = await waitUntil(async () => {
+            const result = await search({ q: 'launch' });
+            return result.body.total === 3 && result;
+        }, { message: 'three results' });
+
+        expect(body.results.map(result => result.docId).sort()).toEqual(['private-plan', 'retro', 'team-notes']);
+        const notes = body.results.find(result => result.docId === 'team-notes');
+        expect(notes).toMatchObject({ title: 'team-notes', matches: 2, score: expect.any(Number) });
+        expect(notes.snippets[0].highlights).toEqual([{ start: 0, end: 6 }, { start: 22, end: 28 }]);
+    });
+
+    test('results only include documents the caller can read', async () => {
+        const { body } = await search({ q: 'launch secret' }, bob);
+
+        expect(body.total).toBe(1);
+        expect(body.results.map(result => result.docId)).toEqual(['team-notes']);
+    });
+
+    test('a share link guest finds only the linked document', async () => {
+        const created = await server.fetch('/api/documents/team-notes/share-links', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${alice}` },
+            body: JSON.stringify({ scope: 'view' })
+        });
+        const { link } = await created.json();
+
+        const asGuest = (share) => server.fetch(`/api/search?q=launch&share=${share}&sessionId=guest-tab`);
+        const response = await asGuest(link.token);
+        expect(response.status).toBe(200);
+        expect((await response.json()).results.map(result => result.docId)).toEqual(['team-notes']);
+
+        expect((await asGuest('nope')).status).toBe(401);
+    });
+
+    test('results are paged and parameters checked', async () => {
+        const { body } = await search({ q: 'launch', limit: '1', offset: '1' });
+        expect(body).toMatchObject({ query: 'launch', total: 3, limit: 1, offset: 1 });
+        expect(body.results).toHaveLength(1);
+
+        expect((await search({ q: '  ' })).status).toBe(400);
+        expect((await search({ q: 'launch', limit: '51' })).status).toBe(400);
+        expect((await search({ q: 'launch', offset: '-1' })).status).toBe(400);
+    });
+
+    test('the index and unloaded documents are searchable after a restart', async () => {
+        await server.stop();
+        server = await start();
+
+        const { body } = await search({ q: 'friday' });
+        expect(body.results).toMatchObject([{ docId: 'team-notes', matches: 1 }]);
+        expect(body.results[0].snippets[0].text).toContain('The launch is on Friday.');
+    });
+});
@@ -0,0 +1,220 @@
+// Share links: redeeming, expiry and use limits, and joining through a link
+
+const { createPersistence } = require('../persistence');
+const { ShareLinkStore, describeShareLink } = require('../share-links');
+const auth = require('../auth');
+const { startServer, openDocument, openYjsDocument, waitForServerText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+const HOUR = 60 * 60 * 1000;
+
+describe('ShareLinkStore', () => {
+    let persistence;
+    let store;
+
+    beforeEach(() => {
+        persistence = createPersistence({ adapter: 'memory' });
+        store = new ShareLinkStore(persistence);
+    });
+
+    test('redeeming grants the role matching the scope', async () => {
+        const view = store.create('doc', { scope: 'view', expiresAt: Date.now() + HOUR });
+        const edit = store.create('doc', { scope: 'edit', expiresAt: Date.now() + HOUR });
+
+        expect(await store.redeem(view.token, 'doc', 's1')).toMatchObject({ role: 'viewer', link: { id: view.id } });
+        expect((await store.redeem(edit.token, 'doc', 's1')).role).toBe('editor');
+    });
+
+    test('unknown tokens, other documents and expired links are refused', async () => {
+        const link = store.create('doc', { scope: 'view', expiresAt: Date.now() + HOUR });
+        const expired = store.create('doc', { scope: 'view', expiresAt: Date.now() - 1 });
+
+        expect(await store.redeem('nope', 'doc', 's1')).toEqual({ error: 'Share link not found', code: 'SHARE_LINK_NOT_FOUND' });
+        expect((await store.redeem(link.token, 'other', 's1')).code).toBe('SHARE_LINK_NOT_FOUND');
+        expect((await store.redeem(expired.token, 'doc', 's1')).code).toBe('SHARE_LINK_EXPIRED');
+    });
+
+    test('limited links count sessions, and a returning session does not use them up', async () => {
+        const link = store.create('doc', { scope: 'comment', expiresAt: Date.now() + HOUR, maxUses: 2 });
+
+        expect((await store.redeem(link.token, 'doc', 'first')).role).toBe('commenter');
+        expect((await store.redeem(link.token, 'doc', 'first')).role).toBe('commenter');
+        expect((await store.redeem(link.token, 'doc', 'second')).role).toBe('commenter');
+        expect((await store.redeem(link.token, 'doc', 'third')).code).toBe('SHARE_LINK_USED_UP');
+        expect((await store.redeem(link.token, 'doc', 'second')).role).toBe('commenter');
+        expect(link.uses).toBe(2);
+    });
+
+    test('unlimited links count uses without remembering sessions', async () => {
+        const link = store.create('doc', { scope: 'view', expiresAt: Date.now() + HOUR });
+
+        await store.redeem(link.token, 'doc', 'a');
+        await store.redeem(link.token, 'doc', 'b');
+
+        expect(link.uses).toBe(2);
+        expect(link.sessions).toEqual([]);
+    });
+
+    test('revoked links stop working', async () => {
+        const kept = store.create('doc', { scope: 'view', expiresAt: Date.now() + HOUR });
+        const revoked = store.create('doc', { scope: 'view', expiresAt: Date.now() + HOUR });
+        const other = store.create('other', { scope: 'view', expiresAt: Date.now() + HOUR });
+
+        expect(store.revoke('other', revoked.id)).toBe(false);
+        expect(store.revoke('doc', revoked.id)).toBe(true);
+        expect((await store.redeem(revoked.token, 'doc', 's')).code).toBe('SHARE_LINK_NOT_FOUND');
+
+        store.revokeAll('doc');
+        expect((await store.redeem(kept.token, 'doc', 's')).code).toBe('SHARE_LINK_NOT_FOUND');
+        expect((await store.redeem(other.token, 'other', 's')).role).toBe('viewer');
+    });
+
+    test('links and their use counts are persisted', async () => {
+        const link = store.create('doc', { scope: 'view', expiresAt: Date.now() + HOUR, maxUses: 1 });
+        await store.redeem(link.token, 'doc', 'first');
+        await store.writeQueue;
+
+        const reloaded = new ShareLinkStore(persistence);
+        expect((await reloaded.redeem(link.token, 'doc', 'second')).code).toBe('SHARE_LINK_USED_UP');
+        expect((await reloaded.redeem(link.token, 'doc', 'first')).role).toBe('viewer');
+    });
+
+    test('owners see links without the sessions that used them', () => {
+        const link = store.create('doc', { scope: 'view', expiresAt: Date.now() - 1, maxUses: 1 });
+        const described = describeShareLink(link);
+
+        expect(described).not.toHaveProperty('sessions');
+        expect(described).toMatchObject({ id: link.id, token: link.token, expired: true });
+    });
+});
+
+describe('joining through share links', () => {
+    const SECRET = 'test-secret';
+    const owner = auth.signToken({ sub: 'olivia', docs: { shared: 'owner' } }, SECRET);
+    const editor = auth.signToken({ sub: 'eddie', docs: { shared: 'editor' } }, SECRET);
+    let server;
+    const clients = [];
+
+    async function open(options) {
+        const client = await openDocument(server, 'shared', options);
+        clients.push(client);
+        return client;
+    }
+
+    async function createLink(body, token = owner) {
+        const response = await server.fetch('/api/documents/shared/share-links', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    beforeAll(async () => {
+        server = await startServer({ AUTH_SECRET: SECRET, CLIENT_URL: 'http://editor.test/' });
+        const client = await open({ token: owner });
+        client.text.insert(0, 'shared text');
+        await waitForServerText(server, 'shared', 'shared text', { token: owner });
+    });
+
+    afterEach(async () => {
+        await Promise.all(clients.splice(1).map(client => client.close()));
+    });
+
+    afterAll(async () => {
+        await Promise.all(clients.splice(0).map(client => client.close()));
+        await server.stop();
+    });
+
+    test('only owners create links, with a valid scope, expiry and use limit', async () => {
+        expect((await createLink({ scope: 'view' }, editor)).status).toBe(403);
+        expect((await createLink({ scope: 'admin' })).status).toBe(400);
+        expect((await createLink({ scope: 'view', expiresIn: -5 })).status).toBe(400);
+        expect((await createLink({ scope: 'view', maxUses: 0 })).status).toBe(400);
+
+        const { status, body } = await createLink({ scope: 'view', expiresIn: 60, maxUses: 3 });
+        expect(status).toBe(201);
+        expect(body.link).toMatchObject({ docId: 'shared', scope: 'view', maxUses: 3, uses: 0, createdBy: 'olivia' });
+        expect(body.url).toBe(`http://editor.test/?doc=shared&share=${body.link.token}`);
+    });
+
+    test('a guest without a token joins with the link\'s role', async () => {
+        const { body: { link } } = await createLink({ scope: 'view' });
+
+        const guest = await open({ shareToken: link.token });
+
+        expect(guest.joined.role).toBe('viewer');
+        expect(guest.text.toString()).toBe('shared text');
+        guest.text.insert(0, 'nope ');
+        expect((await guest.next('error')).code).toBe('READ_ONLY');
+    });
+
+    test('a used-up link still lets its session back in', async () => {
+        const { body: { link } } = await createLink({ scope: 'edit', maxUses: 1 });
+
+        const first = await open({ shareToken: link.token, sessionId: 'guest-session' });
+        expect(first.joined.role).toBe('editor');
+        await first.close();
+
+        await expect(open({ shareToken: link.token, sessionId: 'someone-else' })).rejects.toMatchObject({ code: 'SHARE_LINK_USED_UP' });
+        const again = await open({ shareToken: link.token, sessionId: 'guest-session' });
+        expect(again.joined.role).toBe('editor');
+    });
+
+    test('links only open their own document and stop working once revoked', async () => {
+        const { body: { link } } = await createLink({ scope: 'view' });
+
+        await expect(openDocument(server, 'elsewhere', { shareToken: link.token })).rejects.toMatchObject({ code: 'SHARE_LINK_NOT_FOUND' });
+
+        const revoked = await server.fetch(`/api/documents/shared/share-links/${link.id}`, {
+            method: 'DELETE',
+            headers: { Authorization: `Bearer ${owner}` }
+        });
+        expect(revoked.status).toBe(200);
+        await expect(open({ shareToken: link.token })).rejects.toMatchObject({ code: 'SHARE_LINK_NOT_FOUND' });
+    });
+
+    test('the Yjs endpoint takes the link as ?share=', async () => {
+        const { body: { link } } = await createLink({ scope: 'view' });
+
+        const guest = await openYjsDocument(server, 'shared', { query: { share: link.token } });
+        clients.push(guest);
+        expect(guest.text.toString()).toBe('shared text');
+
+        await expect(openYjsDocument(server, 'shared', { query: { share: 'nope' } })).rejects.toMatchObject({ status: 401 });
+    });
+
+    test('REST calls on the link\'s document take it as ?share= with the tab\'s sessionId', async () => {
+        const { body: { link } } = await createLink({ scope: 'edit', maxUses: 1 });
+        const asGuest = (pathname, sessionId, init) =>
+            server.fetch(`${pathname}?share=${link.token}&sessionId=${sessionId}`, init);
+
+        expect((await asGuest('/api/documents/shared', 'guest-tab')).status).toBe(200);
+        const created = await asGuest('/api/documents/shared/versions', 'guest-tab', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ label: 'From the guest' })
+        });
+        expect(created.status).toBe(201);
+        expect((await created.json()).version.author).toBe(`guest-${link.id}`);
+
+        // The same tab keeps its place; another one finds the link used up
+        expect((await asGuest('/api/documents/shared', 'guest-tab')).status).toBe(200);
+        const refused = await asGuest('/api/documents/shared', 'other-tab');
+        expect(refused.status).toBe(401);
+        expect(await refused.json()).toEqual({ error: 'Share link has been used up' });
+    });
+
+    test('a share link over REST stops at its scope and its document', async () => {
+        const { body: { link } } = await createLink({ scope: 'view' });
+        const query = `share=${link.token}&sessionId=guest-tab`;
+
+        expect((await server.fetch(`/api/documents/shared/versions?${query}`)).status).toBe(200);
+        expect((await server.fetch(`/api/documents/shared?${query}`, { method: 'DELETE' })).status).toBe(403);
+        expect((await server.fetch(`/api/documents/elsewhere?${query}`)).status).toBe(401);
+        expect((await (await server.fetch(`/api/documents?${query}`)).json()).documents).toEqual([]);
+        // A bad token is not rescued by a share link
+        expect((await server.fetch(`/api/documents/shared?${query}&token=forged`)).status).toBe(401);
+    });
+});
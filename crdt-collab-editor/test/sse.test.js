@@ -0,0 +1,191 @@
+// The JSON protocol over Server-Sent Events
+
+const { EventEmitter } = require('events');
+const http = require('http');
+const Y = require('yjs');
+const auth = require('../auth');
+const { startServer, JsonClient, openDocument, waitUntil, waitForText, waitForServerText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+/**
+ * Open GET /sse and wrap it in a JsonClient: `data:` events arrive as
+ * messages, `send()` POSTs to the stream's endpoint (one request at a time,
+ * so messages keep their order).
+ */
+async function openEventStream(server, { token } = {}) {
+    const pathname = `/sse${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+    // http rather than fetch: an aborted fetch keeps its socket open and holds up server shutdown
+    const response = await new Promise((resolve, reject) => http.get(`${server.url}${pathname}`, resolve).on('error', reject));
+    if (response.statusCode !== 200) {
+        const error = new Error(`Event stream refused with ${response.statusCode}`);
+        error.status = response.statusCode;
+        response.destroy();
+        throw error;
+    }
+
+    const stream = new EventEmitter();
+    stream.readyState = 1;
+    stream.response = response;
+    let posting = Promise.resolve();
+    stream.send = data => {
+        posting = posting.then(() => server.fetch(stream.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: `[${data}]`
+        }));
+    };
+    stream.close = () => response.destroy();
+
+    const client = new JsonClient(stream);
+    const endpoint = new Promise(resolve => stream.once('endpoint', resolve));
+
+    let buffered = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => {
+        buffered += chunk;
+        let end;
+        while ((end = buffered.indexOf('\n\n')) !== -1) {
+            const lines = buffered.slice(0, end).split('\n');
+            buffered = buffered.slice(end + 2);
+
+            const event = lines.find(line => line.startsWith('event: '));
+            const data = lines.filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+            if (event === 'event: endpoint') {
+                stream.endpoint = data;
+                stream.emit('endpoint', data);
+            } else if (data) {
+                stream.emit('message', data);
+            }
+        }
+    });
+    response.once('close', () => {
+        stream.readyState = 3;
+        stream.emit('close', 1000, Buffer.from(''));
+    });
+
+    client.endpoint = await endpoint;
+    client.welcome = await client.next('connected');
+    return client;
+}
+
+/**
+ * Join a document over the stream with a local Y.Doc kept in sync
+ */
+async function joinDocument(client, docId) {
+    client.doc = new Y.Doc();
+    client.text = client.doc.getText('content');
+
+    client.ws.on('message', data => {
+        const message = JSON.parse(data);
+        if (message.docId !== docId) return;
+
+        if (message.type === 'sync' || message.type === 'update') {
+            Y.applyUpdate(client.doc, new Uint8Array(message.update), 'remote');
+        } else if (message.type === 'sync-step1') {
+            client.send({
+                type: 'sync-step2',
+                docId,
+                update: Array.from(Y.encodeStateAsUpdate(client.doc, new Uint8Array(message.stateVector)))
+            });
+        }
+    });
+    client.doc.on('update', (update, origin) => {
+        if (origin !== 'remote') {
+            client.send({ type: 'update', docId, update: Array.from(update) });
+        }
+    });
+
+    client.send({ type: 'join', docId, stateVector: Array.from(Y.encodeStateVector(client.doc)) });
+    return client.next(message => message.type === 'joined' || message.type === 'error');
+}
+
+describe('Server-Sent Events', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer();
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('the stream names its endpoint, then carries the server messages', async () => {
+        const client = await openEventStream(server);
+
+        expect(client.ws.response.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+        expect(client.endpoint).toMatch(/^\/sse\/[\w-]{32}$/);
+        expect(client.welcome).toMatchObject({ type: 'connected', clientId: expect.any(String) });
+
+        await client.close();
+    });
+
+    test('edits go both ways between SSE and WebSocket clients', async () => {
+        const sse = await openEventStream(server);
+        expect(await joinDocument(sse, 'sse-shared')).toMatchObject({ type: 'joined', docId: 'sse-shared' });
+        const ws = await openDocument(server, 'sse-shared');
+
+        ws.text.insert(0, 'from the socket');
+        await waitForText([sse], 'from the socket');
+
+        sse.text.insert(0, 'from the stream, ');
+        sse.text.insert(sse.text.length, '!');
+        await waitForText([ws], 'from the stream, from the socket!');
+        await waitForServerText(server, 'sse-shared', 'from the stream, from the socket!');
+
+        await Promise.all([sse.close(), ws.close()]);
+    });
+
+    test('streams count as sse connections', async () => {
+        const client = await openEventStream(server);
+
+        const health = await (await server.fetch('/health')).json();
+        expect(health.connections).toBe(1);
+        expect(await (await server.fetch('/metrics')).text()).toContain('crdt_connections{transport="sse"} 1\n');
+
+        await client.close();
+        await waitUntil(async () => (await (await server.fetch('/health')).json()).connections === 0, { message: 'the stream to close' });
+    });
+
+    test('posts need a JSON array for an open stream', async () => {
+        const client = await openEventStream(server);
+        const post = (pathname, body) => server.fetch(pathname, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body });
+
+        expect((await post(client.endpoint, '{"type": "join"}')).status).toBe(400);
+        expect((await post(client.endpoint, 'not json')).status).toBe(400);
+        expect((await post('/sse/unknown-token', '[]')).status).toBe(404);
+
+        // Messages are handled like WebSocket messages, errors included
+        expect((await post(client.endpoint, '[{"type": "join"}]')).status).toBe(204);
+        expect(await client.next('error')).toMatchObject({ code: 'DOC_ID_REQUIRED' });
+
+        await client.close();
+        await waitUntil(async () => (await post(client.endpoint, '[]')).status === 404, { message: 'the endpoint to go away' });
+    });
+});
+
+describe('Server-Sent Events with authentication', () => {
+    const SECRET = 'test-secret';
+    let server;
+
+    beforeAll(async () => {
+        server = await startServer({ AUTH_SECRET: SECRET });
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    test('invalid tokens are refused, missing ones cannot join', async () => {
+        await expect(openEventStream(server, { token: 'not-a-token' })).rejects.toMatchObject({ status: 401 });
+
+        const anonymous = await openEventStream(server);
+        expect(await joinDocument(anonymous, 'sse-private')).toMatchObject({ type: 'error', code: 'AUTH_REQUIRED' });
+        await anonymous.close();
+
+        const viewer = await openEventStream(server, { token: auth.signToken({ sub: 'vera', docs: { 'sse-private': 'viewer' } }, SECRET) });
+        expect(await joinDocument(viewer, 'sse-private')).toMatchObject({ type: 'joined', docId: 'sse-private' });
+        await viewer.close();
+    });
+});
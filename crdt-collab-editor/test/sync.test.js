@@ -0,0 +1,179 @@
+// JSON sync protocol: join, initial sync and update relay between clients
+
+const Y = require('yjs');
+const { startServer, connect, openDocument, waitForText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+let server;
+const clients = [];
+
+async function open(docId, options) {
+    const client = await openDocument(server, docId, options);
+    clients.push(client);
+    return client;
+}
+
+beforeAll(async () => {
+    server = await startServer();
+});
+
+afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+});
+
+afterAll(async () => {
+    await server.stop();
+});
+
+describe('JSON sync protocol', () => {
+    test('greets every connection with its client id', async () => {
+        const client = await connect(server);
+        clients.push(client);
+
+        expect(client.welcome.clientId).toMatch(/^client-/);
+        expect(typeof client.welcome.timestamp).toBe('number');
+    });
+
+    test('joining sends the document state, then the room info', async () => {
+        const writer = await open('sync-initial');
+        writer.text.insert(0, 'hello world');
+
+        const reader = await open('sync-initial');
+        await waitForText([reader], 'hello world');
+
+        expect(reader.joined).toMatchObject({
+            type: 'joined',
+            docId: 'sync-initial',
+            role: 'owner',
+            stats: { docId: 'sync-initial', clients: 2 }
+        });
+    });
+
+    test('relays updates to the other clients but not back to the sender', async () => {
+        const alice = await open('sync-relay');
+        const bob = await open('sync-relay');
+        alice.take('update');
+
+        alice.text.insert(0, 'from alice');
+        const update = await bob.next('update');
+
+        expect(update.docId).toBe('sync-relay');
+        await waitForText([bob], 'from alice');
+
+        bob.text.insert(bob.text.length, '!');
+        await waitForText([alice, bob], 'from alice!');
+        expect(alice.take('update')).toHaveLength(1);
+    });
+
+    test('keeps documents apart', async () => {
+        const first = await open('sync-apart-1');
+        const second = await open('sync-apart-2');
+
+        first.text.insert(0, 'only here');
+        const elsewhere = await open('sync-apart-1');
+        await waitForText([elsewhere], 'only here');
+
+        expect(second.text.toString()).toBe('');
+        expect(second.take('update')).toHaveLength(0);
+    });
+
+    test('switching documents leaves the previous one', async () => {
+        const client = await open('sync-switch-a');
+        const other = await open('sync-switch-a');
+
+        client.send({ type: 'join', docId: 'sync-switch-b' });
+        await client.next('joined');
+        other.text.insert(0, 'after the switch');
+        await waitForText([other], 'after the switch');
+
+        await new Promise(resolve => setTimeout(resolve, 200));
+        expect(client.take('update').filter(message => message.docId === 'sync-switch-a')).toHaveLength(0);
+    });
+
+    test('reports protocol errors', async () => {
+        const client = await connect(server);
+        clients.push(client);
+
+        client.send({ type: 'join' });
+        expect(await client.next('error')).toMatchObject({ code: 'DOC_ID_REQUIRED' });
+
+        client.send({ type: 'update', docId: 'sync-errors', update: [0, 0] });
+        expect(await client.next('error')).toMatchObject({ code: 'NOT_IN_DOCUMENT' });
+
+        client.send('not json');
+        expect(await client.next('error')).toMatchObject({ code: 'INVALID_MESSAGE' });
+
+        client.send({ type: 'join', docId: 'sync-errors' });
+        await client.next('joined');
+        client.send({ type: 'update', docId: 'sync-errors', update: 'nope' });
+        expect(await client.next('error')).toMatchObject({ code: 'INVALID_MESSAGE' });
+    });
+
+    test('a rejoining client catches up on what it missed', async () => {
+        const doc = new Y.Doc();
+        const first = await open('sync-rejoin', { doc });
+        first.text.insert(0, 'seen');
+        const writer = await open('sync-rejoin');
+        await waitForText([writer], 'seen');
+        await first.close();
+
+        writer.text.insert(4, ' and missed');
+        const again = await open('sync-rejoin', { doc });
+        await waitForText([again], 'seen and missed');
+    });
+});
+
+describe('sync-request', () => {
+    test('sends only the updates missing from the given state vector', async () => {
+        const client = await open('sync-request');
+        client.text.insert(0, 'first');
+        const reader = await open('sync-request');
+        await waitForText([reader], 'first');
+        const stateVector = Array.from(Y.encodeStateVector(reader.doc));
+
+        client.text.insert(5, ' second');
+        await waitForText([reader], 'first second');
+        reader.take('sync');
+        reader.take('sync-step1');
+
+        reader.send({ type: 'sync-request', docId: 'sync-request', stateVector });
+        const { update } = await reader.next('sync');
+        const { structs } = Y.decodeUpdate(new Uint8Array(update));
+        expect(structs.map(struct => struct.content.str)).toEqual([' second']);
+
+        // Followed by the server's own state vector, so the client can send back its part
+        const step1 = await reader.next('sync-step1');
+        expect(step1.stateVector).toEqual(Array.from(Y.encodeStateVector(reader.doc)));
+    });
+
+    test('an up-to-date client gets an empty update', async () => {
+        const client = await open('sync-request-current');
+        client.text.insert(0, 'all here');
+        client.take('sync');
+
+        client.send({ type: 'sync-request', docId: 'sync-request-current', stateVector: Array.from(Y.encodeStateVector(client.doc)) });
+        const { update } = await client.next('sync');
+        expect(Y.decodeUpdate(new Uint8Array(update)).structs).toHaveLength(0);
+    });
+
+    test('without a state vector the whole document is sent', async () => {
+        const client = await open('sync-request-full');
+        client.text.insert(0, 'everything');
+        client.take('sync');
+
+        client.send({ type: 'sync-request', docId: 'sync-request-full' });
+        const { update } = await client.next('sync');
+        const scratch = new Y.Doc();
+        Y.applyUpdate(scratch, new Uint8Array(update));
+        expect(scratch.getText('content').toString()).toBe('everything');
+    });
+
+    test('documents that are not loaded are reported', async () => {
+        const client = await connect(server);
+        clients.push(client);
+
+        client.send({ type: 'sync-request', docId: 'sync-request-missing', stateVector: [0] });
+        expect(await client.next('error')).toMatchObject({ code: 'DOCUMENT_NOT_FOUND' });
+    });
+});
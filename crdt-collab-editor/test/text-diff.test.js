@@ -0,0 +1,82 @@
+// text-diff.js: line diffs and minimal Y.Text edits
+
+const Y = require('yjs');
+const { diffLines, applyTextDiff } = require('../text-diff');
+
+describe('diffLines', () => {
+    test('equal texts are one unchanged run', () => {
+        expect(diffLines('a\nb\n', 'a\nb\n')).toEqual([{ type: 'equal', value: 'a\nb\n' }]);
+    });
+
+    test('reports inserted, deleted and replaced lines in order', () => {
+        expect(diffLines('one\ntwo\nthree\n', 'one\n2\nthree\nfour\n')).toEqual([
+            { type: 'equal', value: 'one\n' },
+            { type: 'delete', value: 'two\n' },
+            { type: 'insert', value: '2\n' },
+            { type: 'equal', value: 'three\n' },
+            { type: 'insert', value: 'four\n' }
+        ]);
+    });
+
+    test('handles empty texts and a last line without a line break', () => {
+        expect(diffLines('', '')).toEqual([]);
+        expect(diffLines('', 'new')).toEqual([{ type: 'insert', value: 'new' }]);
+        expect(diffLines('old\nend', 'old\n')).toEqual([
+            { type: 'equal', value: 'old\n' },
+            { type: 'delete', value: 'end' }
+        ]);
+    });
+
+    test('very different texts degrade to one replaced block', () => {
+        const oldText = Array.from({ length: 1500 }, (_, i) => `old ${i}\n`).join('');
+        const newText = Array.from({ length: 1500 }, (_, i) => `new ${i}\n`).join('');
+
+        expect(diffLines(oldText, newText)).toEqual([
+            { type: 'delete', value: oldText },
+            { type: 'insert', value: newText }
+        ]);
+    });
+});
+
+describe('applyTextDiff', () => {
+    function textWith(content) {
+        const doc = new Y.Doc();
+        const ytext = doc.getText('content');
+        ytext.insert(0, content);
+        return ytext;
+    }
+
+    test.each([
+        ['', 'fresh text'],
+        ['drop me', ''],
+        ['line one\nline two\nline three', 'line one\nline 2\nline three\nline four'],
+        ['same', 'same'],
+        ['a\nb\nc\n', 'c\nb\na\n']
+    ])('turns %j into %j', (before, after) => {
+        const ytext = textWith(before);
+        ytext.doc.transact(() => applyTextDiff(ytext, after));
+        expect(ytext.toString()).toBe(after);
+    });
+
+    test('edits only the characters that differ within a changed line', () => {
+        const ytext = textWith('The quick brown fox\njumps\n');
+        const deltas = [];
+        ytext.observe(event => deltas.push(event.delta));
+
+        ytext.doc.transact(() => applyTextDiff(ytext, 'The quick red fox\njumps\n'));
+
+        expect(deltas).toEqual([[{ retain: 10 }, { delete: 5 }, { insert: 'red' }]]);
+    });
+
+    test('text outside the edit keeps its identity, so concurrent edits there survive', () => {
+        const ytext = textWith('keep\nchange\n');
+        const other = new Y.Doc();
+        Y.applyUpdate(other, Y.encodeStateAsUpdate(ytext.doc));
+
+        other.getText('content').insert(2, '~');
+        ytext.doc.transact(() => applyTextDiff(ytext, 'keep\nchanged\n'));
+        Y.applyUpdate(ytext.doc, Y.encodeStateAsUpdate(other));
+
+        expect(ytext.toString()).toBe('ke~ep\nchanged\n');
+    });
+});
@@ -0,0 +1,105 @@
+// Server-side undo/redo: every client session undoes only its own edits
+
+const { startServer, connect, openDocument, waitForText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+const UNDO_GRACE_PERIOD = 1500;
+
+let server;
+const clients = [];
+
+async function open(docId, options) {
+    const client = await openDocument(server, docId, options);
+    clients.push(client);
+    return client;
+}
+
+async function request(client, type) {
+    client.send({ type, docId: client.docId });
+    return client.next(`${type}-ack`);
+}
+
+beforeAll(async () => {
+    server = await startServer({ UNDO_GRACE_PERIOD: String(UNDO_GRACE_PERIOD) });
+});
+
+afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+});
+
+afterAll(async () => {
+    await server.stop();
+});
+
+describe('undo/redo', () => {
+    test('undo removes only the requesting client\'s edits, redo brings them back', async () => {
+        const alice = await open('undo-own');
+        const bob = await open('undo-own');
+
+        alice.text.insert(0, 'Message from A. ');
+        await waitForText([bob], 'Message from A. ');
+        bob.text.insert(bob.text.length, 'Message from B.');
+        await waitForText([alice], 'Message from A. Message from B.');
+
+        const undone = await request(alice, 'undo');
+        expect(undone).toMatchObject({ docId: 'undo-own', applied: true, canUndo: false, canRedo: true });
+        await waitForText([alice, bob], 'Message from B.');
+
+        const redone = await request(alice, 'redo');
+        expect(redone).toMatchObject({ applied: true, canUndo: true, canRedo: false });
+        await waitForText([alice, bob], 'Message from A. Message from B.');
+    });
+
+    test('reports when there is nothing to undo or redo', async () => {
+        const client = await open('undo-empty');
+        expect(client.joined.undo).toEqual({ canUndo: false, canRedo: false });
+
+        expect(await request(client, 'undo')).toMatchObject({ applied: false, canUndo: false });
+        expect(await request(client, 'redo')).toMatchObject({ applied: false, canRedo: false });
+    });
+
+    test('a reconnect with the same session keeps the undo stack', async () => {
+        const first = await open('undo-session', { sessionId: 'session-1' });
+        first.text.insert(0, 'before reconnect');
+        await request(first, 'redo'); // the edit has reached the server once this is acknowledged
+        await first.close();
+
+        const again = await open('undo-session', { sessionId: 'session-1' });
+        expect(again.joined.undo).toEqual({ canUndo: true, canRedo: false });
+        expect(await request(again, 'undo')).toMatchObject({ applied: true });
+        await waitForText([again], '');
+    });
+
+    test('another session cannot undo those edits', async () => {
+        const owner = await open('undo-other', { sessionId: 'session-owner' });
+        owner.text.insert(0, 'not yours');
+        const other = await open('undo-other', { sessionId: 'session-other' });
+        await waitForText([other], 'not yours');
+
+        expect(await request(other, 'undo')).toMatchObject({ applied: false });
+        expect(other.text.toString()).toBe('not yours');
+    });
+
+    test('the undo stack expires once the session has been gone for the grace period', async () => {
+        const first = await open('undo-expiry', { sessionId: 'session-expiry' });
+        first.text.insert(0, 'kept');
+        await request(first, 'redo');
+        const observer = await open('undo-expiry');
+        await waitForText([observer], 'kept');
+        await first.close();
+
+        await new Promise(resolve => setTimeout(resolve, UNDO_GRACE_PERIOD + 500));
+        const again = await open('undo-expiry', { sessionId: 'session-expiry' });
+        expect(again.joined.undo).toEqual({ canUndo: false, canRedo: false });
+        expect(again.text.toString()).toBe('kept');
+    });
+
+    test('undo needs the document to be joined', async () => {
+        const client = await connect(server);
+        clients.push(client);
+
+        client.send({ type: 'undo', docId: 'undo-elsewhere' });
+        expect(await client.next('error')).toMatchObject({ code: 'NOT_IN_DOCUMENT' });
+    });
+});
@@ -0,0 +1,112 @@
+// Append-only update log: records, torn tails, compaction and reloading after a restart
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { FilesystemPersistence, readUpdateLog } = require('../persistence/filesystem');
+const { startServer, openDocument, waitForText, waitUntil } = require('./helpers');
+
+jest.setTimeout(30000);
+
+function record(bytes) {
+    const buffer = Buffer.alloc(4 + bytes.length);
+    buffer.writeUInt32BE(bytes.length, 0);
+    Buffer.from(bytes).copy(buffer, 4);
+    return buffer;
+}
+
+let dir;
+let server;
+
+function logPath(docId) {
+    return path.join(dir, `${docId}.log`);
+}
+
+function readLog(docId) {
+    return fs.existsSync(logPath(docId)) ? readUpdateLog(fs.readFileSync(logPath(docId))).updates : [];
+}
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-log-'));
+});
+
+afterEach(async () => {
+    if (server) {
+        await server.stop();
+        server = null;
+    }
+    fs.removeSync(dir);
+});
+
+describe('readUpdateLog', () => {
+    test('reads length-prefixed records in order', () => {
+        const log = Buffer.concat([record([1, 2, 3]), record([4]), record([])]);
+        const { updates, validLength } = readUpdateLog(log);
+
+        expect(updates.map(update => Array.from(update))).toEqual([[1, 2, 3], [4], []]);
+        expect(validLength).toBe(log.length);
+    });
+
+    test('stops before a record cut short by a crash', () => {
+        const complete = record([1, 2]);
+        const torn = record([3, 4, 5, 6]).subarray(0, 6);
+        const { updates, validLength } = readUpdateLog(Buffer.concat([complete, torn, Buffer.from([0])]));
+
+        expect(updates.map(update => Array.from(update))).toEqual([[1, 2]]);
+        expect(validLength).toBe(complete.length);
+    });
+
+    test('loading truncates the torn tail so later appends stay readable', async () => {
+        const persistence = new FilesystemPersistence(dir);
+        await persistence.storeUpdate('doc', new Uint8Array([1]));
+        fs.appendFileSync(persistence.logPath('doc'), Buffer.from([0, 0, 0, 9, 7]));
+
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect((await persistence.load('doc')).updates).toHaveLength(1);
+        warn.mockRestore();
+
+        await persistence.storeUpdate('doc', new Uint8Array([2]));
+        const { updates } = await persistence.load('doc');
+        expect(updates.map(update => Array.from(update))).toEqual([[1], [2]]);
+    });
+});
+
+describe('server update log', () => {
+    test('appends every edit, compacts into the base state and reloads both', async () => {
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir, LOG_COMPACT_COUNT: '5' });
+        const client = await openDocument(server, 'logged');
+
+        ['a', 'b', 'c'].forEach(letter => client.text.insert(client.text.length, letter));
+        await waitUntil(() => readLog('logged').length === 3, { message: 'three logged updates' });
+        expect(fs.existsSync(path.join(dir, 'logged.yjs'))).toBe(false);
+
+        ['d', 'e', 'f'].forEach(letter => client.text.insert(client.text.length, letter));
+        await waitUntil(() => fs.existsSync(path.join(dir, 'logged.yjs')), { message: 'compaction' });
+        await waitUntil(() => readLog('logged').length === 1, { message: 'the update after compaction' });
+
+        await client.close();
+        await server.stop();
+
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+        const reader = await openDocument(server, 'logged');
+        await waitForText([reader], 'abcdef');
+        await reader.close();
+    });
+
+    test('updates logged before a crash are not lost', async () => {
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+        const client = await openDocument(server, 'crashed');
+        client.text.insert(0, 'survives');
+        await waitUntil(() => readLog('crashed').length === 1, { message: 'the logged update' });
+
+        // No graceful shutdown, so nothing is compacted on the way out
+        server.kill();
+        await client.closed;
+
+        server = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+        const reader = await openDocument(server, 'crashed');
+        await waitForText([reader], 'survives');
+        await reader.close();
+    });
+
+});
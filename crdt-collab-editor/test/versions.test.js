@@ -0,0 +1,162 @@
+// Version history routes: create, list, preview, diff and restore
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { startServer, openDocument, waitForText, waitForServerText } = require('./helpers');
+
+jest.setTimeout(30000);
+
+let server;
+const clients = [];
+
+async function open(docId) {
+    const client = await openDocument(server, docId);
+    clients.push(client);
+    return client;
+}
+
+async function api(method, pathname, body) {
+    const response = await server.fetch(pathname, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : {},
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+beforeAll(async () => {
+    server = await startServer();
+});
+
+afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+});
+
+afterAll(async () => {
+    await server.stop();
+});
+
+describe('version history', () => {
+    test('saves named versions, lists them newest first and previews their text', async () => {
+        const client = await open('versions-basic');
+        client.text.insert(0, 'first draft');
+        await waitForServerText(server, 'versions-basic', 'first draft');
+
+        const first = await api('POST', '/api/documents/versions-basic/versions', { label: 'Draft' });
+        expect(first.status).toBe(201);
+        expect(first.body.version).toMatchObject({ docId: 'versions-basic', label: 'Draft', auto: false, textLength: 11 });
+
+        client.text.insert(11, ', revised');
+        await waitForServerText(server, 'versions-basic', 'first draft, revised');
+        const second = await api('POST', '/api/documents/versions-basic/versions', {});
+
+        const list = await api('GET', '/api/documents/versions-basic/versions');
+        expect(list.body.versions.map(v => v.id)).toEqual([second.body.version.id, first.body.version.id]);
+
+        const preview = await api('GET', `/api/documents/versions-basic/versions/${first.body.version.id}`);
+        expect(preview.body.text).toBe('first draft');
+    });
+
+    test('diffs a version against the current text or another version', async () => {
+        const client = await open('versions-diff');
+        client.text.insert(0, 'one\ntwo\n');
+        await waitForServerText(server, 'versions-diff', 'one\ntwo\n');
+        const { body: { version: v1 } } = await api('POST', '/api/documents/versions-diff/versions', {});
+
+        client.text.insert(8, 'three\n');
+        await waitForServerText(server, 'versions-diff', 'one\ntwo\nthree\n');
+        const { body: { version: v2 } } = await api('POST', '/api/documents/versions-diff/versions', {});
+        client.text.delete(0, 4);
+        await waitForServerText(server, 'versions-diff', 'two\nthree\n');
+
+        const current = await api('GET', `/api/documents/versions-diff/versions/${v1.id}/diff?against=current`);
+        expect(current.body).toEqual({
+            docId: 'versions-diff',
+            from: v1.id,
+            to: 'current',
+            changes: [
+                { type: 'delete', value: 'one\n' },
+                { type: 'equal', value: 'two\n' },
+                { type: 'insert', value: 'three\n' }
+            ]
+        });
+
+        const between = await api('GET', `/api/documents/versions-diff/versions/${v1.id}/diff?against=${v2.id}`);
+        expect(between.body.changes).toEqual([
+            { type: 'equal', value: 'one\ntwo\n' },
+            { type: 'insert', value: 'three\n' }
+        ]);
+
+        expect((await api('GET', `/api/documents/versions-diff/versions/${v1.id}/diff?against=nope`)).status).toBe(404);
+    });
+
+    test('restoring is a new edit that reaches connected clients', async () => {
+        const client = await open('versions-restore');
+        client.text.insert(0, 'good text');
+        await waitForServerText(server, 'versions-restore', 'good text');
+        const { body: { version } } = await api('POST', '/api/documents/versions-restore/versions', { label: 'Good' });
+
+        client.text.delete(0, 4);
+        client.text.insert(0, 'bad');
+        await waitForServerText(server, 'versions-restore', 'bad text');
+
+        const restored = await api('POST', `/api/documents/versions-restore/versions/${version.id}/restore`);
+        expect(restored.status).toBe(200);
+        expect(restored.body.restored.id).toBe(version.id);
+        await waitForText([client], 'good text');
+
+        // What was there before the restore is kept as a version of its own
+        const { body: { versions } } = await api('GET', '/api/documents/versions-restore/versions');
+        expect(versions[0]).toMatchObject({ auto: true, label: 'Before restoring Good' });
+        const before = await api('GET', `/api/documents/versions-restore/versions/${versions[0].id}`);
+        expect(before.body.text).toBe('bad text');
+    });
+
+    test('unknown versions are 404', async () => {
+        await open('versions-missing');
+
+        expect((await api('GET', '/api/documents/versions-missing/versions/nope')).status).toBe(404);
+        expect((await api('GET', '/api/documents/versions-missing/versions/nope/diff')).status).toBe(404);
+        expect((await api('POST', '/api/documents/versions-missing/versions/nope/restore')).status).toBe(404);
+    });
+
+    test('unknown documents are 404 and are not created', async () => {
+        const created = await api('POST', '/api/documents/versions-nobody/versions', { label: 'x' });
+        expect(created).toEqual({ status: 404, body: { error: 'Document not found' } });
+
+        // A version stored under the id does not make the document exist either
+        const client = await open('versions-elsewhere');
+        client.text.insert(0, 'text');
+        await waitForServerText(server, 'versions-elsewhere', 'text');
+        const { body: { version } } = await api('POST', '/api/documents/versions-elsewhere/versions', {});
+
+        expect((await api('GET', `/api/documents/versions-nobody/versions/${version.id}/diff`)).status).toBe(404);
+        expect((await api('POST', `/api/documents/versions-nobody/versions/${version.id}/restore`)).status).toBe(404);
+
+        expect((await api('GET', '/api/documents/versions-nobody')).status).toBe(404);
+        const catalog = await api('GET', '/api/documents?limit=100');
+        expect(catalog.body.documents.map(entry => entry.docId)).not.toContain('versions-nobody');
+    });
+
+    test('a version that cannot be read is a server error, not a hung request', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'crdt-versions-'));
+        const stored = await startServer({ PERSISTENCE_ADAPTER: 'filesystem', PERSISTENCE_DIR: dir });
+        try {
+            const client = await openDocument(stored, 'versions-broken');
+            client.text.insert(0, 'text');
+            await waitForServerText(stored, 'versions-broken', 'text');
+            const response = await stored.fetch('/api/documents/versions-broken/versions', { method: 'POST' });
+            const { version } = await response.json();
+            await client.close();
+
+            fs.writeFileSync(path.join(dir, 'versions-broken.versions', `${version.id}.yjs`), Buffer.from([255, 255, 255]));
+            const broken = await stored.fetch(`/api/documents/versions-broken/versions/${version.id}`);
+            expect(broken.status).toBe(500);
+            expect(await broken.json()).toEqual({ error: 'Internal server error' });
+        } finally {
+            await stored.stop();
+            fs.removeSync(dir);
+        }
+    });
+});
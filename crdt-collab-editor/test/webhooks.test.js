@@ -0,0 +1,213 @@
+// Webhooks: signed deliveries, retries, and receivers on internal addresses
+
+const http = require('http');
+const crypto = require('crypto');
+const { createPersistence } = require('../persistence');
+const { WebhookStore, isPrivateAddress, sign, describeWebhook } = require('../webhooks');
+const { startServer, waitUntil } = require('./helpers');
+
+jest.setTimeout(30000);
+
+/**
+ * Local HTTP receiver; `answers` are the status codes of the next requests
+ * (200 once they run out)
+ */
+async function startReceiver() {
+    const receiver = { requests: [], answers: [] };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.statusCode = receiver.answers.shift() || 200;
+            res.end('receiver says hi');
+        });
+    });
+
+    await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+    receiver.port = receiver.server.address().port;
+    receiver.url = `http://127.0.0.1:${receiver.port}/hook`;
+    receiver.close = () => new Promise(resolve => receiver.server.close(resolve));
+    return receiver;
+}
+
+describe('isPrivateAddress', () => {
+    test.each([
+        '127.0.0.1', '127.255.0.9', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1',
+        '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fc12:3456::1',
+        'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1'
+    ])('%s is internal', address => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each([
+        '8.8.8.8', '93.184.216.34', '172.32.0.1', '192.169.0.1', '2606:4700::1111', '::ffff:8.8.8.8'
+    ])('%s is public', address => {
+        expect(isPrivateAddress(address)).toBe(false);
+    });
+});
+
+describe('WebhookStore', () => {
+    let receiver;
+    let store;
+
+    function createStore(options = {}) {
+        return new WebhookStore(createPersistence({ adapter: 'memory' }), { retryDelay: 20, maxAttempts: 3, allowPrivate: true, ...options });
+    }
+
+    async function settled(webhook) {
+        return waitUntil(() => {
+            const [delivery] = store.listDeliveries(webhook.id);
+            return delivery && delivery.status !== 'pending' && delivery;
+        }, { message: 'the delivery to finish' });
+    }
+
+    beforeEach(async () => {
+        // Failed deliveries are logged
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        receiver = await startReceiver();
+        store = createStore();
+        await store.loaded;
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await receiver.close();
+    });
+
+    test('posts signed events to matching subscriptions only', async () => {
+        const webhook = store.create({ url: receiver.url, docId: 'notes', events: ['document.updated'], secret: 's'.repeat(16) });
+        store.create({ url: receiver.url, docId: 'other' });
+
+        await store.emit('document.deleted', 'notes');
+        await store.emit('document.updated', 'notes', { changes: 2 });
+        const delivery = await settled(webhook);
+
+        expect(receiver.requests).toHaveLength(1);
+        const [{ headers, body }] = receiver.requests;
+        expect(JSON.parse(body)).toMatchObject({ event: 'document.updated', docId: 'notes', data: { changes: 2 } });
+        expect(headers['x-webhook-id']).toBe(webhook.id);
+        expect(headers['x-webhook-delivery']).toBe(delivery.id);
+        expect(headers['x-webhook-signature']).toBe(`sha256=${sign(webhook.secret, headers['x-webhook-timestamp'], body)}`);
+        expect(sign('key', '1', 'body')).toBe(crypto.createHmac('sha256', 'key').update('1.body').digest('hex'));
+    });
+
+    test('the delivery log keeps status codes and durations, not response bodies', async () => {
+        const webhook = store.create({ url: receiver.url });
+
+        await store.emit('client.joined', 'notes');
+        const delivery = await settled(webhook);
+
+        expect(delivery.status).toBe('delivered');
+        expect(delivery.attempts).toEqual([{ at: expect.any(Number), statusCode: 200, error: null, duration: expect.any(Number) }]);
+        expect(JSON.stringify(delivery)).not.toContain('receiver says hi');
+    });
+
+    test('server errors are retried, other client errors fail at once', async () => {
+        const retried = store.create({ url: receiver.url, docId: 'retried' });
+        receiver.answers.push(503, 429);
+        await store.emit('document.updated', 'retried');
+        expect((await settled(retried)).attempts.map(attempt => attempt.statusCode)).toEqual([503, 429, 200]);
+
+        const exhausted = store.create({ url: receiver.url, docId: 'exhausted' });
+        receiver.answers.push(500, 500, 500);
+        await store.emit('document.updated', 'exhausted');
+        expect(await settled(exhausted)).toMatchObject({ status: 'failed', attempts: [{}, {}, {}] });
+
+        const refused = store.create({ url: receiver.url, docId: 'refused' });
+        receiver.answers.push(404);
+        await store.emit('document.updated', 'refused');
+        expect(await settled(refused)).toMatchObject({ status: 'failed', attempts: [{ statusCode: 404 }] });
+    });
+
+    test('the secret is only part of the subscription, not its description', () => {
+        const webhook = store.create({ url: receiver.url });
+
+        expect(webhook.secret).toHaveLength(43);
+        expect(describeWebhook(webhook)).not.toHaveProperty('secret');
+    });
+
+    describe('without private receivers', () => {
+        beforeEach(async () => {
+            store = createStore({ allowPrivate: false });
+            await store.loaded;
+        });
+
+        test('urls resolving to internal addresses are refused', async () => {
+            await expect(store.checkUrl(new URL('http://localhost/hook'))).rejects.toThrow(/localhost resolves to the internal address/);
+            await expect(store.checkUrl(new URL('http://169.254.169.254/latest/meta-data'))).rejects.toThrow('169.254.169.254 is an internal address');
+            await expect(store.checkUrl(new URL('http://[::1]:8080/'))).rejects.toThrow('::1 is an internal address');
+            await expect(store.checkUrl(new URL('http://nothing-here.invalid/'))).rejects.toThrow('Could not resolve nothing-here.invalid');
+            await expect(store.checkUrl(new URL('https://93.184.216.34/hook'))).resolves.toBeUndefined();
+        });
+
+        test('deliveries to internal addresses fail without reaching them or retrying', async () => {
+            // Subscriptions stored before the check existed, or hosts that now resolve elsewhere
+            const literal = store.create({ url: receiver.url, docId: 'literal' });
+            const named = store.create({ url: `http://localhost:${receiver.port}/hook`, docId: 'named' });
+
+            await store.emit('document.updated', 'literal');
+            await store.emit('document.updated', 'named');
+
+            expect(await settled(literal)).toMatchObject({ status: 'failed', attempts: [{ error: '127.0.0.1 is an internal address' }] });
+            expect(await settled(named)).toMatchObject({ status: 'failed', attempts: [{ error: expect.stringMatching(/^localhost resolves to the internal address/) }] });
+            expect(receiver.requests).toEqual([]);
+        });
+    });
+});
+
+describe('webhooks API', () => {
+    let server;
+
+    function subscribe(body) {
+        return server.fetch('/api/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    }
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('receivers on internal addresses cannot subscribe', async () => {
+        server = await startServer();
+
+        for (const url of ['http://127.0.0.1:9/hook', 'http://localhost/hook', 'http://169.254.169.254/', 'http://[fd00::1]/', 'http://10.0.0.5/']) {
+            const response = await subscribe({ url });
+            expect(response.status).toBe(400);
+            expect((await response.json()).error).toMatch(/^url must point to a public address: .* (is an|resolves to the) internal address/);
+        }
+        expect((await subscribe({ url: 'ftp://example.com/' })).status).toBe(400);
+
+        const list = await (await server.fetch('/api/webhooks')).json();
+        expect(list.webhooks).toEqual([]);
+    });
+
+    test('changes are delivered, logged and stop after unsubscribing', async () => {
+        server = await startServer({ WEBHOOK_ALLOW_PRIVATE: 'true', WEBHOOK_DEBOUNCE: '50' });
+        const receiver = await startReceiver();
+
+        const created = await subscribe({ url: receiver.url, docId: 'hooked', events: ['document.updated'] });
+        expect(created.status).toBe(201);
+        const { webhook, secret } = await created.json();
+        expect(webhook).not.toHaveProperty('secret');
+
+        await server.fetch('/api/documents/hooked/content', { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'hello' });
+        await waitUntil(() => receiver.requests.length === 1, { message: 'document.updated' });
+
+        const [{ headers, body }] = receiver.requests;
+        expect(JSON.parse(body)).toMatchObject({ event: 'document.updated', docId: 'hooked', data: { length: 5 } });
+        expect(headers['x-webhook-signature']).toBe(`sha256=${sign(secret, headers['x-webhook-timestamp'], body)}`);
+
+        const { deliveries } = await (await server.fetch(`/api/webhooks/${webhook.id}/deliveries`)).json();
+        expect(deliveries).toMatchObject([{ status: 'delivered', attempts: [{ statusCode: 200 }] }]);
+        expect(deliveries[0].attempts[0]).not.toHaveProperty('response');
+
+        expect((await server.fetch(`/api/webhooks/${webhook.id}`, { method: 'DELETE' })).status).toBe(200);
+        expect((await server.fetch(`/api/webhooks/${webhook.id}`)).status).toBe(404);
+        await receiver.close();
+    });
+});
@@ -0,0 +1,83 @@
+// y-protocols endpoint (/yjs/<docId>): sync and awareness with y-websocket style clients
+
+const WebSocket = require('ws');
+const { startServer, openDocument, openYjsDocument, waitForText, waitUntil } = require('./helpers');
+
+jest.setTimeout(30000);
+
+let server;
+const clients = [];
+
+async function track(promise) {
+    const client = await promise;
+    clients.push(client);
+    return client;
+}
+
+beforeAll(async () => {
+    server = await startServer();
+});
+
+afterEach(async () => {
+    await Promise.all(clients.splice(0).map(client => client.close()));
+});
+
+afterAll(async () => {
+    await server.stop();
+});
+
+describe('/yjs endpoint', () => {
+    test('syncs the stored document both ways on connect', async () => {
+        const json = await track(openDocument(server, 'yjs-initial'));
+        json.text.insert(0, 'from json');
+
+        const yjs = await track(openYjsDocument(server, 'yjs-initial'));
+        await waitForText([yjs], 'from json');
+    });
+
+    test('edits flow between y-protocols and JSON clients', async () => {
+        const yjs = await track(openYjsDocument(server, 'yjs-mixed'));
+        const json = await track(openDocument(server, 'yjs-mixed'));
+
+        yjs.text.insert(0, 'binary');
+        await waitForText([json], 'binary');
+
+        json.text.insert(6, ' and json');
+        await waitForText([yjs, json], 'binary and json');
+    });
+
+    test('content a client had before connecting reaches the server', async () => {
+        const offline = await track(openYjsDocument(server, 'yjs-offline'));
+        await offline.close();
+        offline.text.insert(0, 'written offline');
+
+        // Our sync step 1 gets the server's state, its step 1 gets ours
+        await track(openYjsDocument(server, 'yjs-offline', { doc: offline.doc }));
+        const reader = await track(openYjsDocument(server, 'yjs-offline'));
+        await waitForText([reader], 'written offline');
+    });
+
+    test('relays awareness between both kinds of clients', async () => {
+        const yjs = await track(openYjsDocument(server, 'yjs-awareness'));
+        const json = await track(openDocument(server, 'yjs-awareness'));
+
+        yjs.awareness.setLocalStateField('user', { name: 'Yara', color: '#f00' });
+        const presence = await json.next('awareness');
+        expect(presence.docId).toBe('yjs-awareness');
+
+        // A late joiner gets the current presence right away
+        const late = await track(openYjsDocument(server, 'yjs-awareness'));
+        await waitUntil(() => late.awareness.getStates().get(yjs.doc.clientID), { message: 'presence' });
+        expect(late.awareness.getStates().get(yjs.doc.clientID).user.name).toBe('Yara');
+
+        // Presence goes away with the connection
+        await yjs.close();
+        await waitUntil(() => !late.awareness.getStates().has(yjs.doc.clientID), { message: 'presence to be removed' });
+    });
+
+    test('closes connections that name no document', async () => {
+        const ws = new WebSocket(`${server.wsUrl}/yjs/`);
+        const [code] = await new Promise(resolve => ws.once('close', (...args) => resolve(args)));
+        expect(code).toBe(1008);
+    });
+});
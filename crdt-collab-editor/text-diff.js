@@ -0,0 +1,161 @@
+// text-diff.js - Line diffs between texts and applying them to a Y.Text
+//
+// Used to compare document versions and to turn a full replacement text into
+// a small set of Y.Text edits, so untouched text keeps its CRDT identity.
+
+// Above this many differing lines the diff degrades to a single replaced block
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines, keeping the line breaks
+ */
+function splitLines(text) {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Myers diff over two arrays; returns edits in order as
+ * { type: 'equal' | 'insert' | 'delete', value } per element
+ */
+function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        // Only diagonals -d..d are reachable after d edits
+        trace.push(v.slice(offset - d, offset + d + 1));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+
+    return null;
+}
+
+function backtrack(trace, a, b) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+        const v = trace[d];
+        const at = k => v[k + d];
+        const k = x - y;
+
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: 'equal', value: a[--x] });
+            y--;
+        }
+
+        if (x === prevX) {
+            edits.push({ type: 'insert', value: b[--y] });
+        } else {
+            edits.push({ type: 'delete', value: a[--x] });
+        }
+    }
+
+    while (x > 0 && y > 0) {
+        edits.push({ type: 'equal', value: a[--x] });
+        y--;
+    }
+
+    return edits.reverse();
+}
+
+/**
+ * Line-based diff, merged into runs of the same change type
+ */
+function diffLines(oldText, newText) {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+
+    const edits = myersDiff(oldLines, newLines) || [
+        { type: 'delete', value: oldText },
+        { type: 'insert', value: newText }
+    ];
+
+    const changes = [];
+    edits.forEach(edit => {
+        if (!edit.value) return;
+
+        const last = changes[changes.length - 1];
+        if (last && last.type === edit.type) {
+            last.value += edit.value;
+        } else {
+            changes.push({ ...edit });
+        }
+    });
+
+    return changes;
+}
+
+/**
+ * Edit a Y.Text in place until it reads newText. Replaced line blocks are
+ * narrowed to the characters that actually differ. Call inside a transaction.
+ */
+function applyTextDiff(ytext, newText) {
+    const changes = diffLines(ytext.toString(), newText);
+    let index = 0;
+
+    for (let i = 0; i < changes.length; i++) {
+        const change = changes[i];
+        const next = changes[i + 1];
+
+        if (change.type === 'equal') {
+            index += change.value.length;
+        } else if (change.type === 'delete' && next && next.type === 'insert') {
+            const removed = change.value;
+            const inserted = next.value;
+
+            let prefix = 0;
+            while (prefix < removed.length && prefix < inserted.length && removed[prefix] === inserted[prefix]) {
+                prefix++;
+            }
+            let suffix = 0;
+            while (
+                suffix < removed.length - prefix &&
+                suffix < inserted.length - prefix &&
+                removed[removed.length - 1 - suffix] === inserted[inserted.length - 1 - suffix]
+            ) {
+                suffix++;
+            }
+
+            const deleteCount = removed.length - prefix - suffix;
+            const insertText = inserted.slice(prefix, inserted.length - suffix);
+            if (deleteCount > 0) ytext.delete(index + prefix, deleteCount);
+            if (insertText) ytext.insert(index + prefix, insertText);
+
+            index += inserted.length;
+            i++;
+        } else if (change.type === 'delete') {
+            ytext.delete(index, change.value.length);
+        } else {
+            ytext.insert(index, change.value);
+            index += change.value.length;
+        }
+    }
+}
+
+module.exports = { diffLines, applyTextDiff };
@@ -0,0 +1,336 @@
+// webhooks.js - HTTP callbacks when documents change
+//
+// A subscription names a URL, the events it wants and one document, or '*'
+// for all of them. Every event is POSTed to it as JSON:
+//
+//   { id, event, docId, timestamp, data }
+//
+// and signed with the subscription's secret: X-Webhook-Signature is
+// "sha256=" + hex HMAC-SHA256 of `${X-Webhook-Timestamp}.${body}`. Receivers
+// recompute it and should reject stale timestamps.
+//
+// Failed deliveries (network errors, timeouts, 408, 429 and 5xx answers) are
+// retried with exponential backoff. The most recent deliveries of every
+// subscription (status code and duration of each attempt) are kept in memory
+// so they can be inspected.
+//
+// Receivers must be public: hosts resolving to loopback, private, link-local
+// or otherwise internal addresses are refused when subscribing, and again
+// when connecting for every delivery, since DNS answers can change.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const EVENTS = [
+    'document.created',
+    'document.updated',
+    'document.deleted',
+    'client.joined',
+    'client.left'
+];
+
+const DELIVERY_LOG_SIZE = 50;
+
+// Addresses no webhook may reach: this host, private networks and cloud metadata services
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is internal (loopback, private, link-local, ...)
+ */
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+
+    const type = family === 4 ? 'ipv4' : 'ipv6';
+    // IPv4-mapped IPv6 addresses are judged by the IPv4 address they carry
+    const mapped = type === 'ipv6' && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+    return BLOCKED_ADDRESSES.check(address, type);
+}
+
+function blockedAddressError(hostname, address) {
+    const error = new Error(hostname === address
+        ? `${address} is an internal address`
+        : `${hostname} resolves to the internal address ${address}`);
+    error.code = 'EADDRBLOCKED';
+    return error;
+}
+
+class WebhookStore {
+    constructor(persistence, { maxAttempts = 6, retryDelay = 2000, timeout = 10000, allowPrivate = false } = {}) {
+        this.persistence = persistence;
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        this.timeout = timeout;
+        this.allowPrivate = allowPrivate;
+        this.webhooks = new Map();
+        this.deliveries = new Map(); // webhook id -> recent deliveries, newest first
+        this.loaded = this.load();
+        this.writeQueue = this.loaded;
+    }
+
+    async load() {
+        try {
+            const webhooks = await this.persistence.loadWebhooks();
+            webhooks.forEach(webhook => this.webhooks.set(webhook.id, webhook));
+        } catch (error) {
+            console.error('Error loading webhooks:', error);
+        }
+    }
+
+    /**
+     * Persist all subscriptions after any write still in flight
+     */
+    save() {
+        const webhooks = Array.from(this.webhooks.values());
+        this.writeQueue = this.writeQueue
+            .then(() => this.persistence.storeWebhooks(webhooks))
+            .catch(error => console.error('Error saving webhooks:', error));
+        return this.writeQueue;
+    }
+
+    create({ url, docId = '*', events = ['*'], secret = null, description = null, createdBy = null }) {
+        const webhook = {
+            id: `webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            url,
+            docId,
+            events,
+            secret: secret || crypto.randomBytes(32).toString('base64url'),
+            description,
+            createdBy,
+            createdAt: Date.now()
+        };
+
+        this.webhooks.set(webhook.id, webhook);
+        this.save();
+        return webhook;
+    }
+
+    get(id) {
+        return this.webhooks.get(id) || null;
+    }
+
+    /**
+     * Resolve a receiver URL's host; rejects when it cannot be resolved or
+     * any of its addresses is internal
+     */
+    async checkUrl(url) {
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+        } catch (error) {
+            throw new Error(`Could not resolve ${hostname}`);
+        }
+
+        const blocked = addresses.find(({ address }) => !this.allowPrivate && isPrivateAddress(address));
+        if (blocked) {
+            throw blockedAddressError(hostname, blocked.address);
+        }
+    }
+
+    /**
+     * dns.lookup for outgoing deliveries that fails on internal addresses, so
+     * a host cannot be pointed somewhere else after subscribing
+     */
+    lookup(hostname, options, callback) {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) return callback(error);
+
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            const blocked = addresses.find(entry => !this.allowPrivate && isPrivateAddress(entry.address));
+            if (blocked) {
+                return callback(blockedAddressError(hostname, blocked.address));
+            }
+            callback(null, address, family);
+        });
+    }
+
+    list() {
+        return Array.from(this.webhooks.values()).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    delete(id) {
+        if (!this.webhooks.delete(id)) return false;
+
+        this.deliveries.delete(id);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Drop the subscriptions to one document (global ones stay)
+     */
+    deleteForDocument(docId) {
+        return this.loaded.then(() => {
+            const ids = this.list().filter(webhook => webhook.docId === docId).map(webhook => webhook.id);
+            ids.forEach(id => {
+                this.webhooks.delete(id);
+                this.deliveries.delete(id);
+            });
+            if (ids.length > 0) {
+                this.save();
+            }
+        });
+    }
+
+    listDeliveries(id) {
+        return this.deliveries.get(id) || [];
+    }
+
+    /**
+     * Deliver an event to every subscription that wants it
+     */
+    emit(event, docId, data = {}) {
+        const payload = {
+            id: `event-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            event,
+            docId,
+            timestamp: Date.now(),
+            data
+        };
+
+        return this.loaded.then(() => {
+            this.list()
+                .filter(webhook => webhook.docId === '*' || webhook.docId === docId)
+                .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event))
+                .forEach(webhook => this.deliver(webhook, payload));
+        });
+    }
+
+    deliver(webhook, payload) {
+        const delivery = {
+            id: `delivery-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+            webhookId: webhook.id,
+            eventId: payload.id,
+            event: payload.event,
+            docId: payload.docId,
+            status: 'pending',
+            attempts: [],
+            nextAttemptAt: Date.now(),
+            createdAt: Date.now()
+        };
+
+        if (!this.deliveries.has(webhook.id)) {
+            this.deliveries.set(webhook.id, []);
+        }
+        const log = this.deliveries.get(webhook.id);
+        log.unshift(delivery);
+        log.length = Math.min(log.length, DELIVERY_LOG_SIZE);
+
+        this.attempt(webhook, delivery, JSON.stringify(payload));
+    }
+
+    async attempt(webhook, delivery, body) {
+        const startedAt = Date.now();
+        const attempt = { at: startedAt, statusCode: null, error: null, duration: 0 };
+
+        let blocked = false;
+        try {
+            attempt.statusCode = await this.post(webhook, delivery, body);
+        } catch (error) {
+            attempt.error = error.message;
+            blocked = error.code === 'EADDRBLOCKED';
+        }
+        attempt.duration = Date.now() - startedAt;
+        delivery.attempts.push(attempt);
+
+        const { statusCode } = attempt;
+        if (statusCode >= 200 && statusCode < 300) {
+            delivery.status = 'delivered';
+            delivery.nextAttemptAt = null;
+            return;
+        }
+
+        const retryable = !blocked && (statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500);
+        if (!retryable || delivery.attempts.length >= this.maxAttempts || !this.webhooks.has(webhook.id)) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            console.warn(`⚠️  Webhook ${webhook.id} gave up on ${delivery.event} for ${delivery.docId} after ${delivery.attempts.length} attempt(s): ${attempt.error || `HTTP ${statusCode}`}`);
+            return;
+        }
+
+        // 2s, 4s, 8s, ... with some jitter so retries of many events spread out
+        const delay = this.retryDelay * 2 ** (delivery.attempts.length - 1) * (0.8 + Math.random() * 0.4);
+        delivery.nextAttemptAt = Date.now() + delay;
+        setTimeout(() => {
+            // Subscription removed meanwhile
+            if (!this.webhooks.has(webhook.id)) {
+                delivery.status = 'failed';
+                delivery.nextAttemptAt = null;
+                return;
+            }
+            this.attempt(this.webhooks.get(webhook.id), delivery, body);
+        }, delay).unref();
+    }
+
+    /**
+     * POST a signed body. Resolves to the response's status code; the body is
+     * read and discarded.
+     */
+    post(webhook, delivery, body) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const url = new URL(webhook.url);
+        const transport = url.protocol === 'https:' ? https : http;
+
+        // Literal IP hosts are connected to without a lookup
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        if (!this.allowPrivate && isPrivateAddress(hostname)) {
+            return Promise.reject(blockedAddressError(hostname, hostname));
+        }
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request(url, {
+                method: 'POST',
+                timeout: this.timeout,
+                lookup: (host, options, callback) => this.lookup(host, options, callback),
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body),
+                    'User-Agent': 'crdt-collab-editor-webhooks',
+                    'X-Webhook-Id': webhook.id,
+                    'X-Webhook-Delivery': delivery.id,
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+                }
+            }, res => {
+                res.resume();
+                res.on('end', () => resolve(res.statusCode));
+                res.on('error', reject);
+            });
+
+            req.on('timeout', () => req.destroy(new Error(`No response within ${this.timeout}ms`)));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+}
+
+/**
+ * Hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Subscription as shown after creation: the secret is only returned once
+ */
+function describeWebhook(webhook) {
+    const { secret, ...visible } = webhook;
+    return visible;
+}
+
+module.exports = { WebhookStore, EVENTS, describeWebhook, sign, isPrivateAddress };